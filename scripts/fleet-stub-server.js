@@ -0,0 +1,45 @@
+/**
+ * A stand-in vehicle feed for developing against the live provider.
+ * Serves the simulated fleet as Server-Sent Events: a snapshot when a
+ * client connects, then an update every second. Every client gets the same
+ * fleet when SEED is set.
+ *
+ *     SEED=42 npm run fleet:stub
+ *     open http://localhost:5173/?fleetProvider=live&fleetUrl=http://localhost:8787/fleet
+ */
+
+import { createServer } from 'node:http';
+import { SimulatorProvider } from '../src/js/data/providers/SimulatorProvider.js';
+
+const port = Number(process.env.PORT ?? 8787);
+const seed = process.env.SEED;
+
+createServer((request, response) => {
+    if (new URL(request.url, 'http://localhost').pathname !== '/fleet') {
+        response.writeHead(404).end();
+        return;
+    }
+
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+
+    const send = (message) => response.write(`data: ${JSON.stringify(message)}\n\n`);
+    const simulator = new SimulatorProvider(seed ? { seed } : {});
+    let type = 'snapshot';
+
+    simulator.start({
+        replace: (vehicles) => {
+            send({ type, vehicles });
+            type = 'update';
+        },
+        update: (vehicles) => send({ type: 'update', vehicles })
+    });
+
+    request.on('close', () => simulator.stop());
+}).listen(port, () => {
+    console.log(`Fleet feed on http://localhost:${port}/fleet`);
+});
@@ -0,0 +1,200 @@
+/**
+ * Fleet Recorder
+ * Captures every update of a `FleetTelematicsData` as a timestamped frame,
+ * to reproduce incidents later with a `ReplayProvider`. Frames are kept in
+ * IndexedDB as they come in, so a recording survives a crash of the page,
+ * and can be downloaded as NDJSON (see ./recording.js).
+ */
+
+import { downloadFile } from '../modules/ai/utils/export';
+import { toNDJSON } from './recording';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const done = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+export class FleetRecorder {
+    /**
+     * @param {import('./FleetTelematicsData').FleetTelematicsData} fleet
+     * @param {object} [options]
+     * @param {string} [options.dbName]
+     * @param {() => number} [options.now] - The clock frames are timed with
+     */
+    constructor(fleet, { dbName = 'FleetRecordings', now = () => Date.now() } = {}) {
+        this.fleet = fleet;
+        this.dbName = dbName;
+        this.now = now;
+        this.db = null;
+        this.opening = null;
+
+        this.recording = null;
+        this.writes = Promise.resolve();
+        this.capture = () => this.captureFrame();
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    initializeDB() {
+        if (this.opening) {
+            return this.opening;
+        }
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore('frames', { autoIncrement: true })
+                    .createIndex('recordingId', 'recordingId');
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.opening = null;
+                reject(request.error);
+            };
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Start recording, the fleet as it is now is the first frame
+     * @param {string} [name]
+     * @returns {Promise<number>} The recording's id
+     */
+    async start(name) {
+        if (this.recording) {
+            return this.recording.id;
+        }
+
+        const db = await this.initializeDB();
+        const startedAt = this.now();
+        const meta = {
+            name: name || `Fleet ${new Date(startedAt).toISOString()}`,
+            startedAt,
+            duration: 0,
+            frameCount: 0
+        };
+        meta.id = await promisify(db.transaction('recordings', 'readwrite').objectStore('recordings').add(meta));
+
+        this.recording = meta;
+        this.fleet.addListener(this.capture);
+        this.captureFrame();
+
+        return meta.id;
+    }
+
+    /**
+     * Stop recording, once every frame is saved
+     * @returns {Promise<object | null>} The recording's `id`, `name`, `startedAt`, `duration` and `frameCount`
+     */
+    async stop() {
+        const meta = this.recording;
+        if (!meta) {
+            return null;
+        }
+
+        this.fleet.removeListener(this.capture);
+        this.recording = null;
+        await this.writes;
+
+        const transaction = this.db.transaction('recordings', 'readwrite');
+        transaction.objectStore('recordings').put(meta);
+        await done(transaction);
+
+        return meta;
+    }
+
+    captureFrame() {
+        const meta = this.recording;
+        const frame = {
+            recordingId: meta.id,
+            t: this.now() - meta.startedAt,
+            // Later updates must not change what was recorded
+            vehicles: JSON.parse(JSON.stringify(this.fleet.getAllVehicles()))
+        };
+        meta.duration = frame.t;
+        meta.frameCount++;
+
+        // One write at a time keeps the frames in order
+        this.writes = this.writes.then(() => {
+            const transaction = this.db.transaction('frames', 'readwrite');
+            transaction.objectStore('frames').add(frame);
+            return done(transaction);
+        }).catch((error) => {
+            console.warn('FleetRecorder: Could not save a frame', error);
+        });
+    }
+
+    /**
+     * @returns {Promise<object[]>} The recordings, newest first
+     */
+    async getRecordings() {
+        const db = await this.initializeDB();
+        const recordings = await promisify(db.transaction('recordings').objectStore('recordings').getAll());
+
+        return recordings.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<import('./recording').FleetFrame[]>} Oldest first
+     */
+    async getFrames(id) {
+        const db = await this.initializeDB();
+        const frames = await promisify(db.transaction('frames').objectStore('frames').index('recordingId').getAll(id));
+
+        return frames
+            .map(({ t, vehicles }) => ({ t, vehicles }))
+            .sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * @param {number} id
+     */
+    async deleteRecording(id) {
+        const db = await this.initializeDB();
+        const transaction = db.transaction(['recordings', 'frames'], 'readwrite');
+        const frames = transaction.objectStore('frames');
+
+        transaction.objectStore('recordings').delete(id);
+        const request = frames.index('recordingId').getAllKeys(id);
+        request.onsuccess = () => request.result.forEach(key => frames.delete(key));
+        await done(transaction);
+    }
+
+    /**
+     * Save a recording as an NDJSON file
+     * @param {number} id
+     */
+    async download(id) {
+        const recording = (await this.getRecordings()).find(meta => meta.id === id);
+        const frames = await this.getFrames(id);
+        const filename = `fleet-${new Date(recording?.startedAt ?? this.now()).toISOString().replace(/[:.]/g, '-')}.ndjson`;
+
+        downloadFile(toNDJSON(frames), filename, 'application/x-ndjson');
+    }
+
+    destroy() {
+        this.fleet.removeListener(this.capture);
+        this.recording = null;
+        this.db?.close();
+        this.db = null;
+        this.opening = null;
+    }
+}
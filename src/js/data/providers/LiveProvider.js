@@ -0,0 +1,152 @@
+/**
+ * Live fleet from a vehicle feed, over a WebSocket (`ws://`, `wss://`) or
+ * Server-Sent Events (any other URL). Every message is a JSON object:
+ *
+ * - `{ "type": "snapshot", "vehicles": [...] }` replaces the whole fleet
+ * - `{ "type": "update", "vehicles": [...] }` or `{ "type": "update", "vehicle": {...} }`
+ *   changes the vehicles it lists, by `id`; fields left out keep their value
+ *
+ * Vehicles have the shape the simulator uses (`location`, `fuel`,
+ * `engine`, `driver`, `status`). The feed reconnects with backoff when it
+ * drops, the last known fleet stays on screen meanwhile.
+ */
+
+const parseMessage = (data) => {
+    let message;
+    try {
+        message = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch {
+        return null;
+    }
+
+    const vehicles = message?.vehicles ?? (message?.vehicle ? [message.vehicle] : null);
+    if (!['snapshot', 'update'].includes(message?.type) || !Array.isArray(vehicles)) {
+        return null;
+    }
+
+    // Without an id there is nothing to merge into
+    return {
+        type: message.type,
+        vehicles: vehicles.filter(vehicle => typeof vehicle?.id === 'string' && vehicle.id)
+    };
+};
+
+export class LiveProvider {
+    /**
+     * @param {object} options
+     * @param {string} options.url - The feed, `ws(s)://` for a WebSocket
+     * @param {'websocket' | 'sse'} [options.transport] - Picked from the URL by default
+     * @param {number} [options.reconnectDelay] - First delay before reconnecting, in ms, doubled up to `maxReconnectDelay`
+     * @param {number} [options.maxReconnectDelay]
+     */
+    constructor({
+        url,
+        transport = /^wss?:/.test(url) ? 'websocket' : 'sse',
+        reconnectDelay = 1000,
+        maxReconnectDelay = 30000
+    } = {}) {
+        if (!url) {
+            throw new Error('LiveProvider needs the URL of the vehicle feed');
+        }
+
+        this.url = url;
+        this.transport = transport;
+        this.reconnectDelay = reconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.attempts = 0;
+        this.connection = null;
+        this.reconnectTimer = null;
+        this.sink = null;
+    }
+
+    /**
+     * @param {import('../FleetTelematicsData').FleetSink} sink
+     */
+    start(sink) {
+        if (this.sink) {
+            return;
+        }
+
+        this.sink = sink;
+        this.connect();
+    }
+
+    stop() {
+        this.sink = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.close();
+    }
+
+    connect() {
+        const onMessage = (event) => this.handleMessage(event.data);
+        const onOpen = () => {
+            this.attempts = 0;
+        };
+        const onDrop = () => {
+            this.close();
+            this.scheduleReconnect();
+        };
+
+        if (this.transport === 'websocket') {
+            const socket = new WebSocket(this.url);
+            socket.onopen = onOpen;
+            socket.onmessage = onMessage;
+            socket.onclose = onDrop;
+            this.connection = socket;
+        } else {
+            const source = new EventSource(this.url);
+            source.onopen = onOpen;
+            source.onmessage = onMessage;
+            // EventSource retries on its own, but gives up on HTTP errors
+            source.onerror = () => {
+                if (source.readyState === EventSource.CLOSED) {
+                    onDrop();
+                }
+            };
+            this.connection = source;
+        }
+    }
+
+    close() {
+        if (!this.connection) {
+            return;
+        }
+
+        this.connection.onopen = null;
+        this.connection.onmessage = null;
+        this.connection.onclose = null;
+        this.connection.onerror = null;
+        this.connection.close();
+        this.connection = null;
+    }
+
+    scheduleReconnect() {
+        if (!this.sink) {
+            return;
+        }
+
+        const delay = Math.min(this.reconnectDelay * 2 ** this.attempts, this.maxReconnectDelay);
+        this.attempts++;
+        console.warn(`LiveProvider: Feed dropped, reconnecting in ${delay}ms`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    handleMessage(data) {
+        const message = parseMessage(data);
+        if (!message) {
+            console.warn('LiveProvider: Ignoring malformed message', data);
+            return;
+        }
+
+        if (message.type === 'snapshot') {
+            this.sink?.replace(message.vehicles);
+        } else {
+            this.sink?.update(message.vehicles);
+        }
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Plays back a recorded fleet, see ../recording.js for the format. Frames
+ * are handed out at their recorded pace, scaled by `speed`, and the
+ * recording starts over at the end when `loop` is on. Recordings can come
+ * inline or from a `url`, fetched when the replay starts.
+ *
+ * A replay can be paused, sought and sped up while it plays; whoever
+ * listens to the fleet sees the recorded vehicles as if they were live.
+ */
+
+import { parseRecording } from '../recording';
+
+const copy = (vehicles) => JSON.parse(JSON.stringify(vehicles));
+
+export class ReplayProvider {
+    /**
+     * @param {object} options
+     * @param {import('../recording').FleetFrame[]} [options.frames] - Oldest first
+     * @param {string} [options.url] - Where to load the frames from instead
+     * @param {number} [options.speed] - 2 plays twice as fast
+     * @param {boolean} [options.loop]
+     * @param {boolean} [options.paused] - Hold the first frame until `play()`
+     */
+    constructor({ frames = [], url = null, speed = 1, loop = true, paused = false } = {}) {
+        this.frames = [...frames].sort((a, b) => a.t - b.t);
+        this.url = url;
+        this.speed = speed;
+        this.loop = loop;
+        this.paused = paused;
+        this.index = 0;
+        this.timer = null;
+        this.sink = null;
+    }
+
+    /**
+     * Load a recording from a URL
+     * @param {string} url - NDJSON or JSON, see `parseRecording()`
+     * @param {object} [options] - `speed`, `loop` and `paused`
+     */
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`ReplayProvider: Loading ${url} failed with ${response.status}`);
+        }
+
+        return new ReplayProvider({
+            ...options,
+            frames: parseRecording(await response.text())
+        });
+    }
+
+    /**
+     * ms from the first frame to the last
+     */
+    get duration() {
+        return this.frames.length ? this.frames.at(-1).t - this.frames[0].t : 0;
+    }
+
+    /**
+     * ms into the recording of the frame shown, setting it seeks
+     */
+    get time() {
+        return this.frames.length ? this.frames[this.index].t - this.frames[0].t : 0;
+    }
+
+    set time(time) {
+        this.seek(time);
+    }
+
+    /**
+     * @param {import('../FleetTelematicsData').FleetSink} sink
+     */
+    start(sink) {
+        if (this.sink) {
+            return;
+        }
+
+        this.sink = sink;
+        if (this.frames.length) {
+            this.show(this.index);
+            this.schedule();
+        } else if (this.url) {
+            this.loadFrames();
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.sink = null;
+    }
+
+    async loadFrames() {
+        try {
+            const { frames } = await ReplayProvider.load(this.url);
+            this.frames = frames;
+            this.url = null;
+        } catch (error) {
+            console.warn('ReplayProvider: Could not load the recording', error);
+            return;
+        }
+
+        // Stopped while loading
+        if (this.sink && this.frames.length) {
+            this.show(0);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Go on from the frame shown
+     */
+    play() {
+        this.paused = false;
+        this.schedule();
+    }
+
+    /**
+     * Hold the frame shown
+     */
+    pause() {
+        this.paused = true;
+        this.schedule();
+    }
+
+    /**
+     * Show the frame at a time, and go on from there unless paused
+     * @param {number} time - ms into the recording
+     */
+    seek(time) {
+        if (!this.frames.length) {
+            return;
+        }
+
+        // The last frame at or before that time
+        const at = this.frames[0].t + time;
+        const index = this.frames.findLastIndex(frame => frame.t <= at);
+
+        this.show(Math.max(0, index));
+        this.schedule();
+    }
+
+    /**
+     * @param {number} speed - 2 plays twice as fast
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.schedule();
+    }
+
+    show(index) {
+        this.index = index;
+        // Listeners may change what they get, the recording stays as it is
+        this.sink?.replace(copy(this.frames[index].vehicles));
+    }
+
+    /**
+     * Wait for the frame after the one shown, from now on
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.sink || this.paused || !this.frames.length) {
+            return;
+        }
+
+        let next = this.index + 1;
+        if (next >= this.frames.length) {
+            if (!this.loop || this.frames.length < 2) {
+                return;
+            }
+            next = 0;
+        }
+
+        // Starting over waits as long as the last frame took
+        const frame = this.frames[this.index];
+        const delay = next > this.index ?
+            this.frames[next].t - frame.t :
+            frame.t - (this.frames[this.index - 1]?.t ?? frame.t);
+
+        this.timer = setTimeout(() => {
+            this.show(next);
+            this.schedule();
+        }, Math.max(0, delay) / this.speed);
+    }
+}
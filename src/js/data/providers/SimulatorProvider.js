@@ -0,0 +1,427 @@
+/**
+ * Simulated fleet, the default telemetry provider. Twelve vehicles drive
+ * their routes around Toronto (see ../routes): they follow the road at
+ * their speed, wait at stops and termini, burn fuel, log harsh driving
+ * events and now and then raise fault codes. A vehicle whose route has no
+ * geometry wanders off on a random heading instead.
+ *
+ * The walk is deterministic: it draws from a generator seeded with `seed`
+ * and runs on its own clock, which only `tick(dt)` moves. The same seed and
+ * the same ticks always give the same fleet, whenever they run.
+ */
+
+// With the extension, scripts/fleet-stub-server.js runs this in Node
+import { createRandom, randomSeed } from './random.js';
+import { TORONTO_ROUTES, createRoutes, pointAlong } from '../routes/index.js';
+
+export class SimulatorProvider {
+    /**
+     * @param {object} [options]
+     * @param {number | string} [options.seed] - Random by default, see `seed`
+     * @param {number} [options.updateInterval] - Simulated ms per tick, and real ms between ticks once started
+     * @param {boolean} [options.autoplay] - False to only move on `tick()`
+     * @param {number} [options.startTime] - The simulated clock's start, as a timestamp
+     * @param {object} [options.routes] - GeoJSON LineStrings named after `status.route`, see ../routes/toronto.js
+     */
+    constructor({
+        seed = randomSeed(),
+        updateInterval = 1000,
+        autoplay = true,
+        startTime = Date.now(),
+        routes = TORONTO_ROUTES
+    } = {}) {
+        this.updateInterval = updateInterval; // ms between updates
+        this.autoplay = autoplay;
+        this.startTime = startTime;
+        this.routes = createRoutes(routes);
+        // Where each vehicle is on its route: distance, direction and dwell
+        this.progress = new Map();
+        this.vehicles = new Map();
+        this.simulationInterval = null;
+        this.sink = null;
+        this.reset(seed);
+    }
+
+    /**
+     * Start over from a seed, the fleet is created again on the next tick or start
+     * @param {number | string} [seed] - The current one by default
+     */
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.time = this.startTime;
+        this.vehicles.clear();
+        this.progress.clear();
+    }
+
+    /**
+     * Start simulating, the first fleet is handed out right away
+     * @param {import('../FleetTelematicsData').FleetSink} sink
+     */
+    start(sink) {
+        if (this.sink) {
+            return;
+        }
+
+        this.sink = sink;
+        if (!this.vehicles.size) {
+            this.initializeFleet();
+        }
+        sink.replace(this.getVehicles());
+
+        // Every tick is the same step however late the timer fires
+        if (this.autoplay) {
+            this.simulationInterval = setInterval(() => this.tick(this.updateInterval), this.updateInterval);
+        }
+    }
+
+    stop() {
+        clearInterval(this.simulationInterval);
+        this.simulationInterval = null;
+        this.sink = null;
+    }
+
+    /**
+     * Advance the simulation, and hand out the fleet when started
+     * @param {number} [dt] - Simulated ms, `updateInterval` by default
+     * @returns {object[]} The vehicles
+     */
+    tick(dt = this.updateInterval) {
+        if (!this.vehicles.size) {
+            this.initializeFleet();
+        }
+
+        this.time += dt;
+        this.updateVehicleData(dt);
+
+        const vehicles = this.getVehicles();
+        this.sink?.replace(vehicles);
+        return vehicles;
+    }
+
+    /**
+     * Whether something that happens `perSecond` times a second on average happens during `dt`
+     */
+    chance(perSecond, dt) {
+        return this.random() < perSecond * dt / 1000;
+    }
+
+    getVehicles() {
+        return Array.from(this.vehicles.values());
+    }
+
+    /**
+     * Initialize a fleet of vehicles with realistic starting data
+     */
+    initializeFleet() {
+        const vehicleTypes = [
+            { type: 'Truck', fuel: 200, efficiency: 8.5 },
+            { type: 'Van', fuel: 80, efficiency: 12.0 },
+            { type: 'Car', fuel: 60, efficiency: 15.0 },
+            { type: 'Bus', fuel: 300, efficiency: 6.0 }
+        ];
+
+        const routes = this.routes.size ? [...this.routes.keys()] : [
+            'Highway 401 E',
+            'Downtown Core',
+            'Industrial Zone',
+            'Airport Route',
+            'Suburban Loop'
+        ];
+
+        // Create 12 vehicles for realistic fleet size
+        for (let i = 0; i < 12; i++) {
+            const vehicleType = vehicleTypes[i % vehicleTypes.length];
+            const route = routes[i % routes.length];
+            
+            const vehicle = {
+                id: `VH-${String(i + 1).padStart(3, '0')}`,
+                type: vehicleType.type,
+                
+                // Location data
+                location: {
+                    lat: 43.6532 + (this.random() - 0.5) * 0.1, // Toronto area
+                    lng: -79.3832 + (this.random() - 0.5) * 0.1,
+                    speed: this.random() * 80 + 20, // 20-100 km/h
+                    heading: this.random() * 360,
+                    altitude: 76 + this.random() * 50
+                },
+                
+                // Fuel data
+                fuel: {
+                    level: vehicleType.fuel * (0.3 + this.random() * 0.6), // 30-90% full
+                    capacity: vehicleType.fuel,
+                    efficiency: vehicleType.efficiency,
+                    consumption: 0,
+                    lastFill: this.time - this.random() * 86400000 // Last 24 hours
+                },
+                
+                // Engine diagnostics
+                engine: {
+                    rpm: 1500 + this.random() * 2000,
+                    temperature: 85 + this.random() * 15, // 85-100°C
+                    oilPressure: 30 + this.random() * 20, // 30-50 PSI
+                    voltage: 12.5 + this.random() * 1.5, // 12.5-14V
+                    faultCodes: [],
+                    hours: Math.floor(this.random() * 5000) + 1000
+                },
+                
+                // Driver behavior
+                driver: {
+                    id: `DR-${String(Math.floor(this.random() * 100) + 1).padStart(3, '0')}`,
+                    score: 75 + this.random() * 20, // 75-95 score
+                    harshAcceleration: Math.floor(this.random() * 5),
+                    harshBraking: Math.floor(this.random() * 3),
+                    harshCornering: Math.floor(this.random() * 2),
+                    idleTime: Math.floor(this.random() * 120), // minutes
+                    drivingTime: Math.floor(this.random() * 480) + 60 // 1-8 hours
+                },
+                
+                // Vehicle status
+                status: {
+                    state: this.random() > 0.8 ? 'idle' : 'driving',
+                    route: route,
+                    nextMaintenance: Math.floor(this.random() * 5000) + 500, // km
+                    lastUpdate: this.time,
+                    connected: this.random() > 0.05 // 95% connectivity
+                }
+            };
+            
+            this.placeOnRoute(vehicle);
+            this.vehicles.set(vehicle.id, vehicle);
+        }
+    }
+
+    /**
+     * Put a vehicle somewhere along its route, idle ones waiting at that spot
+     */
+    placeOnRoute(vehicle) {
+        const route = this.routes.get(vehicle.status.route);
+        if (!route) {
+            return;
+        }
+
+        this.progress.set(vehicle.id, {
+            distance: this.random() * route.length,
+            direction: route.mode === 'return' && this.random() < 0.5 ? -1 : 1,
+            dwell: vehicle.status.state === 'idle' ? 30 + this.random() * 60 : 0 // seconds
+        });
+        this.moveAlongRoute(vehicle, route, 0);
+    }
+
+    /**
+     * Update all vehicle data with realistic changes
+     */
+    updateVehicleData(dt) {
+        this.vehicles.forEach((vehicle) => {
+            this.updateVehicleLocation(vehicle, dt);
+            this.updateFuelData(vehicle, dt);
+            this.updateEngineData(vehicle, dt);
+            this.updateDriverBehavior(vehicle, dt);
+            this.updateVehicleStatus(vehicle, dt);
+            
+            vehicle.status.lastUpdate = this.time;
+        });
+    }
+
+    /**
+     * Update vehicle location with realistic movement
+     */
+    updateVehicleLocation(vehicle, dt) {
+        const route = this.routes.get(vehicle.status.route);
+        if (route) {
+            this.moveAlongRoute(vehicle, route, dt);
+            return;
+        }
+
+        if (vehicle.status.state === 'driving') {
+            // Simulate movement
+            const speedKmh = vehicle.location.speed;
+            const speedMs = speedKmh / 3.6; // Convert to m/s
+            const deltaTime = dt / 1000; // seconds
+            const distance = speedMs * deltaTime; // meters
+            
+            // Convert to lat/lng delta (rough approximation)
+            const latDelta = (distance / 111000) * Math.cos(vehicle.location.heading * Math.PI / 180);
+            const lngDelta = (distance / 111000) * Math.sin(vehicle.location.heading * Math.PI / 180);
+            
+            vehicle.location.lat += latDelta;
+            vehicle.location.lng += lngDelta;
+            
+            // Vary speed slightly
+            vehicle.location.speed += (this.random() - 0.5) * 5;
+            vehicle.location.speed = Math.max(10, Math.min(100, vehicle.location.speed));
+            
+            // Occasionally change heading
+            if (this.chance(0.1, dt)) {
+                vehicle.location.heading += (this.random() - 0.5) * 30;
+                vehicle.location.heading = (vehicle.location.heading + 360) % 360;
+            }
+        }
+    }
+
+    /**
+     * Advance a vehicle along its route at its speed. It waits out the
+     * dwell of every stop it reaches, and at the end of the route goes
+     * round again (`loop`) or turns around after the terminus dwell (`return`).
+     */
+    moveAlongRoute(vehicle, route, dt) {
+        const progress = this.progress.get(vehicle.id);
+
+        if (progress.dwell > 0) {
+            progress.dwell -= dt / 1000;
+            vehicle.status.state = 'idle';
+        } else {
+            vehicle.status.state = 'driving';
+
+            // Vary speed slightly
+            vehicle.location.speed += (this.random() - 0.5) * 5;
+            vehicle.location.speed = Math.max(10, Math.min(100, vehicle.location.speed));
+
+            let travel = vehicle.location.speed / 3.6 * dt / 1000; // meters
+            while (travel > 0) {
+                const { distance, direction } = progress;
+                const end = direction > 0 ? route.length : 0;
+                // The next stop ahead, or the end of the route
+                const stop = direction > 0 ?
+                    route.stops.find(_stop => _stop.distance > distance) :
+                    route.stops.findLast(_stop => _stop.distance < distance);
+                const target = stop?.distance ?? end;
+                const gap = Math.abs(target - distance);
+
+                if (gap > travel) {
+                    progress.distance += direction * travel;
+                    break;
+                }
+
+                progress.distance = target;
+                travel -= gap;
+
+                if (stop) {
+                    progress.dwell = stop.dwell;
+                } else if (route.mode === 'loop') {
+                    progress.distance = 0;
+                    continue;
+                } else {
+                    progress.direction = -direction;
+                    progress.dwell = route.terminusDwell;
+                }
+
+                if (progress.dwell > 0) {
+                    vehicle.status.state = 'idle';
+                    break;
+                }
+            }
+        }
+
+        const point = pointAlong(route, progress.distance);
+        vehicle.location.lat = point.lat;
+        vehicle.location.lng = point.lng;
+        vehicle.location.heading = progress.direction > 0 ? point.heading : (point.heading + 180) % 360;
+    }
+
+    /**
+     * Update fuel consumption and levels
+     */
+    updateFuelData(vehicle, dt) {
+        if (vehicle.status.state === 'driving') {
+            // Calculate fuel consumption based on speed and efficiency
+            const consumption = vehicle.location.speed / vehicle.fuel.efficiency / 3600; // L/s
+            const deltaTime = dt / 1000;
+            const fuelUsed = consumption * deltaTime;
+            
+            vehicle.fuel.level = Math.max(0, vehicle.fuel.level - fuelUsed);
+            vehicle.fuel.consumption = consumption * 3600; // L/h
+        } else {
+            vehicle.fuel.consumption = 0;
+        }
+    }
+
+    /**
+     * Update engine diagnostics
+     */
+    updateEngineData(vehicle, dt) {
+        if (vehicle.status.state === 'driving') {
+            // RPM varies with speed
+            const baseRpm = 800 + (vehicle.location.speed / 100) * 2500;
+            vehicle.engine.rpm = baseRpm + (this.random() - 0.5) * 200;
+            
+            // Temperature increases with load
+            vehicle.engine.temperature += (this.random() - 0.5) * 2;
+            vehicle.engine.temperature = Math.max(80, Math.min(105, vehicle.engine.temperature));
+            
+            // Oil pressure varies slightly
+            vehicle.engine.oilPressure += (this.random() - 0.5) * 2;
+            vehicle.engine.oilPressure = Math.max(25, Math.min(55, vehicle.engine.oilPressure));
+        } else {
+            // Idle values
+            vehicle.engine.rpm = 800 + (this.random() - 0.5) * 100;
+            vehicle.engine.temperature = Math.max(85, vehicle.engine.temperature - 0.5);
+        }
+        
+        // Voltage fluctuates slightly
+        vehicle.engine.voltage += (this.random() - 0.5) * 0.1;
+        vehicle.engine.voltage = Math.max(12.0, Math.min(14.5, vehicle.engine.voltage));
+        
+        // Occasionally generate fault codes
+        if (this.chance(0.001, dt) && vehicle.engine.faultCodes.length < 3) {
+            const faultCodes = ['P0171', 'P0300', 'P0420', 'P0128', 'P0442'];
+            const newFault = faultCodes[Math.floor(this.random() * faultCodes.length)];
+            if (!vehicle.engine.faultCodes.includes(newFault)) {
+                vehicle.engine.faultCodes.push(newFault);
+            }
+        }
+    }
+
+    /**
+     * Update driver behavior metrics
+     */
+    updateDriverBehavior(vehicle, dt) {
+        if (vehicle.status.state === 'driving') {
+            // Occasionally record harsh events
+            if (this.chance(0.01, dt)) {
+                const eventType = this.random();
+                if (eventType < 0.4) {
+                    vehicle.driver.harshAcceleration++;
+                } else if (eventType < 0.7) {
+                    vehicle.driver.harshBraking++;
+                } else {
+                    vehicle.driver.harshCornering++;
+                }
+            }
+            
+            // Update driving time
+            vehicle.driver.drivingTime += dt / 60000; // minutes
+        } else {
+            // Update idle time
+            vehicle.driver.idleTime += dt / 60000; // minutes
+        }
+        
+        // Recalculate driver score
+        const events = vehicle.driver.harshAcceleration + vehicle.driver.harshBraking + vehicle.driver.harshCornering;
+        const hours = vehicle.driver.drivingTime / 60;
+        const eventsPerHour = hours > 0 ? events / hours : 0;
+        vehicle.driver.score = Math.max(50, 100 - (eventsPerHour * 10));
+    }
+
+    /**
+     * Update vehicle status
+     */
+    updateVehicleStatus(vehicle, dt) {
+        // Occasionally change state, on a route the stops decide
+        if (!this.routes.has(vehicle.status.route) && this.chance(0.01, dt)) {
+            vehicle.status.state = vehicle.status.state === 'driving' ? 'idle' : 'driving';
+        }
+
+        // Simulate connectivity issues
+        if (this.chance(0.001, dt)) {
+            vehicle.status.connected = !vehicle.status.connected;
+        }
+
+        // Update maintenance countdown
+        if (vehicle.status.state === 'driving') {
+            vehicle.status.nextMaintenance -= vehicle.location.speed * (dt / 3600000); // km
+            vehicle.status.nextMaintenance = Math.max(0, vehicle.status.nextMaintenance);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+import { LiveProvider } from './LiveProvider';
+import { ReplayProvider } from './ReplayProvider';
+import { SimulatorProvider } from './SimulatorProvider';
+
+export { LiveProvider, ReplayProvider, SimulatorProvider };
+
+/**
+ * Where the fleet comes from. Set at build time through VITE_FLEET_PROVIDER
+ * and VITE_FLEET_URL, at runtime through `window.App.fleet = { provider, url }`,
+ * or for development with `?fleetProvider=live&fleetUrl=ws://localhost:8787`.
+ * A `seed`, or `?fleetSeed=42`, makes the simulator play the same fleet every time.
+ * @returns {{ provider: 'simulator' | 'live' | 'replay', url: string | null, seed?: number | string }}
+ */
+export const getFleetConfig = () => {
+    const env = import.meta.env ?? {};
+    const runtime = window.App?.fleet ?? {};
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.get('fleetSeed');
+
+    return {
+        ...runtime,
+        ...(seed !== null && { seed: /^\d+$/.test(seed) ? Number(seed) : seed }),
+        provider: params.get('fleetProvider') ?? runtime.provider ?? env.VITE_FLEET_PROVIDER ?? 'simulator',
+        url: params.get('fleetUrl') ?? runtime.url ?? env.VITE_FLEET_URL ?? null
+    };
+};
+
+/**
+ * The provider a config names, the simulator for names it does not know.
+ * `url` is the feed of a live provider and the recording of a replay.
+ * @param {ReturnType<typeof getFleetConfig>} config
+ */
+export const createFleetProvider = ({ provider, url, ...options } = getFleetConfig()) => {
+    switch (provider) {
+        case 'live':
+            return new LiveProvider({ url, ...options });
+        case 'replay':
+            return new ReplayProvider({ url, ...options });
+        case 'simulator':
+            return new SimulatorProvider(options);
+        default:
+            console.warn(`FleetTelematicsData: Unknown provider "${provider}", simulating the fleet`);
+            return new SimulatorProvider(options);
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Seeded random numbers for the simulator. The same seed always gives the
+ * same sequence, so a simulated fleet can be replayed exactly.
+ */
+
+/**
+ * Turn a string seed into a 32-bit one (FNV-1a)
+ * @param {string} seed
+ */
+const hashSeed = (seed) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * A generator like `Math.random`, from a seed (mulberry32)
+ * @param {number | string} seed
+ * @returns {() => number} Numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let state = typeof seed === 'string' ? hashSeed(seed) : seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * A seed to use when none is given
+ */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
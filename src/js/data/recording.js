@@ -0,0 +1,46 @@
+/**
+ * Recorded fleet sessions. A recording is a list of frames, each the whole
+ * fleet `t` ms after the recording started, oldest first. As a file it is
+ * NDJSON, one frame per line:
+ *
+ *     {"t":0,"vehicles":[...]}
+ *     {"t":1000,"vehicles":[...]}
+ *
+ * JSON with a list of frames, or `{ "frames": [...] }`, is read as well.
+ */
+
+/**
+ * @typedef {object} FleetFrame
+ * @property {number} t - ms since the recording started
+ * @property {import('./vehicle').Vehicle[]} vehicles
+ */
+
+const isFrame = (frame) => typeof frame?.t === 'number' && Array.isArray(frame.vehicles);
+
+/**
+ * A recording as NDJSON
+ * @param {FleetFrame[]} frames
+ */
+export const toNDJSON = (frames) => frames.map(frame => JSON.stringify(frame)).join('\n') + '\n';
+
+/**
+ * Read a recording from a file's text
+ * @param {string} text - NDJSON or JSON
+ * @returns {FleetFrame[]} Oldest first
+ */
+export const parseRecording = (text) => {
+    let frames;
+    try {
+        const recording = JSON.parse(text);
+        // A single line of NDJSON is a frame of its own
+        frames = Array.isArray(recording) ? recording : recording?.frames ?? [recording];
+    } catch {
+        frames = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    if (!Array.isArray(frames) || !frames.every(isFrame)) {
+        throw new Error('Not a fleet recording, frames need a time `t` and `vehicles`');
+    }
+
+    return [...frames].sort((a, b) => a.t - b.t);
+};
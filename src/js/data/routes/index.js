@@ -0,0 +1,126 @@
+/**
+ * Routes for the simulator: GeoJSON LineStrings measured once, so a vehicle
+ * can be placed anywhere along one by its distance from the start. See
+ * ./toronto.js for the properties a route feature takes.
+ */
+
+export { TORONTO_ROUTES } from './toronto.js';
+
+const EARTH_RADIUS = 6371000; // m
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance in m between two `[lng, lat]` coordinates
+ */
+export const distanceBetween = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Initial bearing from one `[lng, lat]` coordinate to another, in degrees from north
+ */
+export const bearingBetween = ([lng1, lat1], [lng2, lat2]) => {
+    const dLng = toRadians(lng2 - lng1);
+    const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+    const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+        Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Measure a route feature
+ * @param {object} feature - A GeoJSON Feature with a LineString
+ * @returns {{ name: string, mode: 'loop' | 'return', coordinates: number[][], distances: number[], length: number, stops: { name: string, distance: number, dwell: number }[], terminusDwell: number }}
+ */
+export const createRoute = (feature) => {
+    const { name, mode = 'return', stops = [], terminusDwell = 0 } = feature.properties ?? {};
+    const coordinates = [...(feature.geometry?.coordinates ?? [])];
+    if (feature.geometry?.type !== 'LineString' || coordinates.length < 2) {
+        throw new Error(`Route "${name}" needs a LineString of at least two coordinates`);
+    }
+
+    // A loop comes back to where it started
+    const [first] = coordinates;
+    const last = coordinates.at(-1);
+    if (mode === 'loop' && (first[0] !== last[0] || first[1] !== last[1])) {
+        coordinates.push(first);
+    }
+
+    const distances = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        distances.push(distances[i - 1] + distanceBetween(coordinates[i - 1], coordinates[i]));
+    }
+    const length = distances.at(-1);
+    if (!(length > 0)) {
+        throw new Error(`Route "${name}" needs coordinates apart from each other`);
+    }
+
+    return {
+        name,
+        mode,
+        coordinates,
+        distances,
+        length,
+        terminusDwell,
+        stops: stops
+            .map(stop => ({
+                name: stop.name,
+                // The start of a loop is reached at its end
+                distance: mode === 'loop' && stop.vertex === 0 ? length : distances[stop.vertex],
+                dwell: stop.dwell ?? 0
+            }))
+            // The ends of a return route are its termini
+            .filter(stop => mode === 'loop' || (stop.distance > 0 && stop.distance < length))
+            .sort((a, b) => a.distance - b.distance)
+    };
+};
+
+/**
+ * Measure every route of a collection, by name
+ * @param {object} collection - A GeoJSON FeatureCollection, or its features
+ * @returns {Map<string, ReturnType<typeof createRoute>>}
+ */
+export const createRoutes = (collection) => {
+    const features = Array.isArray(collection) ? collection : collection?.features ?? [];
+
+    return new Map(features
+        .filter(feature => feature.geometry?.type === 'LineString')
+        .map(feature => {
+            const route = createRoute(feature);
+            return [route.name, route];
+        }));
+};
+
+/**
+ * Where a route is a distance from its start
+ * @param {ReturnType<typeof createRoute>} route
+ * @param {number} distance - m, clamped to the route
+ * @returns {{ lat: number, lng: number, heading: number }} `heading` points along the route
+ */
+export const pointAlong = (route, distance) => {
+    const { coordinates, distances, length } = route;
+    const at = Math.max(0, Math.min(length, distance));
+
+    // The segment the distance falls on
+    let segment = 0;
+    while (segment < distances.length - 2 && distances[segment + 1] < at) {
+        segment++;
+    }
+
+    const from = coordinates[segment];
+    const to = coordinates[segment + 1];
+    const span = distances[segment + 1] - distances[segment];
+    const fraction = span > 0 ? (at - distances[segment]) / span : 0;
+
+    return {
+        lng: from[0] + (to[0] - from[0]) * fraction,
+        lat: from[1] + (to[1] - from[1]) * fraction,
+        heading: bearingBetween(from, to)
+    };
+};
@@ -0,0 +1,111 @@
+/**
+ * The routes of the simulated fleet, one GeoJSON LineString per
+ * `status.route` name. Coordinates are `[lng, lat]` as GeoJSON has them.
+ *
+ * - `mode`: `loop` goes round (the line is closed if it isn't), `return`
+ *   turns around at either end
+ * - `stops`: `{ name, vertex, dwell }`, where vehicles wait `dwell` seconds
+ *   at that coordinate
+ * - `terminusDwell`: seconds a `return` route waits at its ends
+ */
+
+export const TORONTO_ROUTES = {
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: { name: 'Highway 401 E', mode: 'return', terminusDwell: 300, stops: [] },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [-79.5905, 43.7005], // Highway 427
+                    [-79.5266, 43.7160], // Highway 400
+                    [-79.4630, 43.7270], // Dufferin St
+                    [-79.4000, 43.7445], // Yonge St
+                    [-79.3400, 43.7600], // Don Valley Pkwy
+                    [-79.2850, 43.7760], // Kennedy Rd
+                    [-79.2050, 43.7950] // Morningside Ave
+                ]
+            }
+        },
+        {
+            type: 'Feature',
+            properties: {
+                name: 'Downtown Core',
+                mode: 'loop',
+                stops: [
+                    { name: 'Union Station', vertex: 0, dwell: 60 },
+                    { name: 'Queen & Spadina', vertex: 2, dwell: 45 },
+                    { name: 'Queen & Yonge', vertex: 3, dwell: 45 }
+                ]
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [-79.3806, 43.6453], // Union Station
+                    [-79.3945, 43.6428], // Front & Spadina
+                    [-79.3967, 43.6487], // Queen & Spadina
+                    [-79.3790, 43.6524], // Queen & Yonge
+                    [-79.3722, 43.6497], // King & Jarvis
+                    [-79.3717, 43.6478] // Front & Jarvis
+                ]
+            }
+        },
+        {
+            type: 'Feature',
+            properties: {
+                name: 'Industrial Zone',
+                mode: 'return',
+                terminusDwell: 180,
+                stops: [{ name: 'Commissioners Depot', vertex: 2, dwell: 240 }]
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [-79.3460, 43.6480], // Cherry St
+                    [-79.3390, 43.6440], // Unwin Ave
+                    [-79.3270, 43.6460], // Commissioners St
+                    [-79.3180, 43.6500], // Leslie St
+                    [-79.3100, 43.6600] // Eastern Ave
+                ]
+            }
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Airport Route', mode: 'return', terminusDwell: 180, stops: [] },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [-79.3806, 43.6453], // Union Station
+                    [-79.4200, 43.6360], // Gardiner at Exhibition Place
+                    [-79.4750, 43.6290], // Humber Bay
+                    [-79.5440, 43.6250], // Highway 427
+                    [-79.5750, 43.6600], // Eglinton Ave W
+                    [-79.6114, 43.6793] // Pearson Airport
+                ]
+            }
+        },
+        {
+            type: 'Feature',
+            properties: {
+                name: 'Suburban Loop',
+                mode: 'loop',
+                stops: [
+                    { name: 'North York Centre', vertex: 0, dwell: 90 },
+                    { name: 'Fairview Mall', vertex: 3, dwell: 60 }
+                ]
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: [
+                    [-79.4110, 43.7615], // North York Centre
+                    [-79.3960, 43.7700], // Bayview Village
+                    [-79.3720, 43.7760], // Leslie & Sheppard
+                    [-79.3550, 43.7680], // Fairview Mall
+                    [-79.3650, 43.7480], // York Mills
+                    [-79.3920, 43.7450] // Yonge & York Mills
+                ]
+            }
+        }
+    ]
+};
@@ -0,0 +1,132 @@
+/**
+ * The one vehicle model of the fleet. Providers hand out vehicles of this
+ * shape, `FleetTelematicsData` keeps them, and the particle labels, the
+ * dashboards and the assistant's fleet context all read them.
+ */
+
+/** A vehicle drives or idles, there is no separate ignition flag */
+export type VehicleState = "driving" | "idle";
+
+export interface VehicleLocation {
+  lat: number;
+  lng: number;
+  /** km/h */
+  speed: number;
+  /** Degrees from north */
+  heading: number;
+  /** m */
+  altitude: number;
+}
+
+export interface VehicleFuel {
+  /** L */
+  level: number;
+  /** L */
+  capacity: number;
+  /** km/L */
+  efficiency: number;
+  /** L/h */
+  consumption: number;
+  /** Timestamp of the last fill, null when unknown */
+  lastFill: number | null;
+}
+
+export interface VehicleEngine {
+  rpm: number;
+  /** °C */
+  temperature: number;
+  /** PSI */
+  oilPressure: number;
+  /** V */
+  voltage: number;
+  /** OBD-II codes, e.g. P0300 */
+  faultCodes: string[];
+  /** Engine hours */
+  hours: number;
+}
+
+export interface VehicleDriver {
+  /** e.g. DR-042 */
+  id: string;
+  /** 50–100, lower with more harsh events per hour */
+  score: number;
+  harshAcceleration: number;
+  harshBraking: number;
+  harshCornering: number;
+  /** Minutes */
+  idleTime: number;
+  /** Minutes */
+  drivingTime: number;
+}
+
+export interface VehicleStatus {
+  state: VehicleState;
+  route: string | null;
+  /** km until the next service */
+  nextMaintenance: number;
+  /** Timestamp */
+  lastUpdate: number;
+  connected: boolean;
+}
+
+export interface Vehicle {
+  /** e.g. VH-001 */
+  id: string;
+  /** Truck, Van, Car or Bus for the simulated fleet */
+  type: string;
+  location: VehicleLocation;
+  fuel: VehicleFuel;
+  engine: VehicleEngine;
+  driver: VehicleDriver;
+  status: VehicleStatus;
+}
+
+/** What a feed may send about a vehicle, anything but the id can be left out */
+export type VehicleUpdate = { id: string } & {
+  [K in Exclude<keyof Vehicle, "id">]?: Vehicle[K] extends object ? Partial<Vehicle[K]> : Vehicle[K];
+};
+
+/**
+ * What a vehicle known only by its id shows until it is filled in
+ * @param id - The vehicle's id
+ */
+export const createVehicle = (id: string): Vehicle => ({
+  id,
+  type: "Vehicle",
+  location: { lat: 0, lng: 0, speed: 0, heading: 0, altitude: 0 },
+  fuel: { level: 0, capacity: 1, efficiency: 0, consumption: 0, lastFill: null },
+  engine: { rpm: 0, temperature: 0, oilPressure: 0, voltage: 0, faultCodes: [], hours: 0 },
+  driver: {
+    id: "DR-000",
+    score: 100,
+    harshAcceleration: 0,
+    harshBraking: 0,
+    harshCornering: 0,
+    idleTime: 0,
+    drivingTime: 0,
+  },
+  status: { state: "idle", route: null, nextMaintenance: Infinity, lastUpdate: Date.now(), connected: true },
+});
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const merge = (previous: Record<string, unknown>, update: Record<string, unknown>): Record<string, unknown> => {
+  const merged = { ...previous };
+
+  for (const [key, value] of Object.entries(update)) {
+    const current = previous[key];
+    merged[key] = isPlainObject(value) && isPlainObject(current) ? merge(current, value) : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Apply an update to a vehicle, nested groups field by field
+ * @param previous - The vehicle as it was, left unchanged
+ * @param update - The fields that changed
+ * @returns A new vehicle
+ */
+export const mergeVehicle = (previous: Vehicle, update: VehicleUpdate): Vehicle =>
+  merge(previous as unknown as Record<string, unknown>, update) as unknown as Vehicle;
@@ -3,6 +3,7 @@ import {
     gsap
 } from 'gsap'
 import Gl from '../Gl'
+import { speak, stopSpeaking } from '@/modules/ai/speech'
 
 export default class Audio {
     constructor() {
@@ -13,6 +14,7 @@ export default class Audio {
         */
         this.isAllowed = false
         this.audioAnimatedIn = false
+        this.isMuted = false
 
         /* 
           Default Volumes
@@ -25,6 +27,16 @@ export default class Audio {
             uiMenuOpen: 0.55,
             uiQuestionSend: 1,
             uiReply: 0.8,
+            speech: 1,
+        }
+
+        /* 
+          Ducking, the loops play quieter while an answer is read aloud
+        */
+        this.ducking = {
+            level: 0.25,
+            current: 1,
+            count: 0,
         }
 
         /* 
@@ -106,7 +118,7 @@ export default class Audio {
                 ease: 'power2.inOut',
             },
             (_value) => {
-                this.gl.assets.audio.synthLoop.setVolume(_value.volume * this.defaultVolumes.synthLoop)
+                this.gl.assets.audio.synthLoop.setVolume(_value.volume * this.getLoopVolume('synthLoop'))
                 // this.gl.assets.audio.powerLoop.setVolume(_value.volume)
             }
         )
@@ -172,6 +184,7 @@ export default class Audio {
 
     toggleGlobalVolume(_target) {
         // this.globalVolume.target = _target
+        this.isMuted = _target === 0
 
         gsap.to(this.globalVolume, {
             current: _target,
@@ -196,6 +209,45 @@ export default class Audio {
         }
     }
 
+    getLoopVolume(_sound) {
+        return this.defaultVolumes[_sound] * this.ducking.current
+    }
+
+    duck(_isDucked) {
+        this.ducking.count = Math.max(0, this.ducking.count + (_isDucked ? 1 : -1))
+
+        gsap.to(this.ducking, {
+            current: this.ducking.count > 0 ? this.ducking.level : 1,
+            duration: 0.4,
+            ease: 'power2.inOut',
+            overwrite: true,
+            onUpdate: () => {
+                // powerLoop follows in SceneMain.updateAudio()
+                if (this.gl.assets.audio.synthLoop.isPlaying) {
+                    this.gl.assets.audio.synthLoop.setVolume(this.getLoopVolume('synthLoop'))
+                }
+            },
+        })
+    }
+
+    speak(_text, _options = {}) {
+        // Muted with the audio toggle
+        if (this.isMuted || this.globalVolume.target === 0) {
+            return Promise.resolve()
+        }
+
+        this.duck(true)
+
+        return speak(_text, {
+            ..._options,
+            volume: Math.min(1, this.defaultVolumes.speech * this.globalVolume.target / this.globalVolume.max),
+        }).finally(() => this.duck(false))
+    }
+
+    stopSpeaking() {
+        stopSpeaking()
+    }
+
     setDebug() {
         const audioFolder = this.gl.debug.gui.addFolder('Audio').close()
 
@@ -228,7 +280,7 @@ export default class Audio {
                     this.defaultVolumes[key] = _value
 
                     if (key == 'synthLoop') {
-                        this.gl.assets.audio.synthLoop.setVolume(_value)
+                        this.gl.assets.audio.synthLoop.setVolume(this.getLoopVolume('synthLoop'))
                     }
                 })
         }
@@ -5,6 +5,10 @@ import {
 import Stats from 'stats-gl'
 
 import Gl from '../Gl'
+import { getFleetData } from '@/data/FleetTelematicsData'
+import { FleetRecorder } from '@/data/FleetRecorder'
+import { ReplayProvider } from '@/data/providers'
+import { parseRecording } from '@/data/recording'
 
 export default class Debug {
     constructor() {
@@ -39,6 +43,7 @@ export default class Debug {
         this.hideProjectedPoints()
         this.setHoveringGUI()
         this.addFleetTelematicsToggle()
+        this.addFleetReplay()
     }
 
     setHoveringGUI() {
@@ -109,6 +114,117 @@ export default class Debug {
             })
     }
 
+    /**
+     * Record the fleet, and replay recordings into the particle labels as if
+     * they were live
+     */
+    addFleetReplay() {
+        const fleet = getFleetData()
+        const recorder = new FleetRecorder(fleet)
+        const liveProvider = fleet.provider
+        const folder = this.gui.addFolder('Fleet Replay').close()
+
+        const state = {
+            recording: null,
+            record: async () => {
+                if (recorder.isRecording) {
+                    state.recording = (await recorder.stop()).id
+                    recordController.name('Record')
+                    await listRecordings()
+                } else {
+                    await recorder.start()
+                    recordController.name('Stop recording')
+                }
+            },
+            replay: async () => {
+                if (state.recording !== null) {
+                    const name = recordingController.$select.selectedOptions[0]?.text
+                    replay(await recorder.getFrames(state.recording), name)
+                }
+            },
+            download: () => state.recording !== null && recorder.download(state.recording),
+            delete: async () => {
+                if (state.recording !== null) {
+                    await recorder.deleteRecording(state.recording)
+                    state.recording = null
+                    await listRecordings()
+                }
+            },
+            open: () => fileInput.click(),
+        }
+
+        const recordController = folder.add(state, 'record').name('Record')
+        let recordingController = folder.add(state, 'recording', {}).name('Recording')
+        folder.add(state, 'replay').name('Replay')
+        folder.add(state, 'download').name('Download NDJSON')
+        folder.add(state, 'delete').name('Delete')
+        folder.add(state, 'open').name('Open NDJSON file')
+
+        const listRecordings = async () => {
+            const recordings = await recorder.getRecordings()
+            const options = Object.fromEntries(recordings.map((_recording) => [
+                `${_recording.name} (${(_recording.duration / 1000).toFixed(0)}s)`,
+                _recording.id
+            ]))
+
+            state.recording ??= recordings[0]?.id ?? null
+            // Replaces the controller, in place
+            recordingController = recordingController.options(options)
+        }
+        listRecordings()
+
+        // Replaying takes over the fleet until going back to live
+        let replayFolder = null
+        const replay = (_frames, _name) => {
+            replayFolder?.destroy()
+
+            const provider = new ReplayProvider({ frames: _frames })
+            fleet.setProvider(provider)
+
+            replayFolder = folder.addFolder(`Replay ${_name}`)
+            replayFolder
+                .add({
+                    toggle: () => provider.paused ? provider.play() : provider.pause()
+                }, 'toggle')
+                .name('Play / Pause')
+            replayFolder.add(provider, 'time', 0, provider.duration, 1).name('Time (ms)').listen()
+            replayFolder
+                .add(provider, 'speed', 0.25, 8, 0.25)
+                .name('Speed')
+                .onChange((_value) => provider.setSpeed(_value))
+            replayFolder
+                .add(provider, 'loop')
+                .name('Loop')
+                .onChange(() => provider.schedule())
+            replayFolder
+                .add({
+                    live: () => {
+                        replayFolder.destroy()
+                        replayFolder = null
+                        fleet.setProvider(liveProvider)
+                    }
+                }, 'live')
+                .name('Back to live')
+        }
+
+        const fileInput = document.createElement('input')
+        fileInput.type = 'file'
+        fileInput.accept = '.ndjson,.json,application/x-ndjson,application/json'
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0]
+            fileInput.value = ''
+            if (!file) {
+                return
+            }
+
+            try {
+                replay(parseRecording(await file.text()), file.name)
+            } catch (error) {
+                console.warn('Debug: Could not replay', file.name, error)
+            }
+        })
+    }
+
     update() {
         this.stats.update()
     }
@@ -5,6 +5,7 @@ import {
 import gsap from '@/gsap'
 
 import Gl from '@/gl/Gl'
+import { getFleetData } from '@/data/FleetTelematicsData'
 import {
     Scroll
 } from '@/scroll'
@@ -31,14 +32,13 @@ export default class Particles {
         /*
           Fleet Telematics Data
         */
-        this.vehicles = new Map()
+        this.fleetData = getFleetData()
         this.textElements = []
         this.currentMetrics = []
         this.lastUpdateTime = 0
 
         // Initialize Fleet Telematics system
         console.log('Particles: Initializing Fleet Telematics system...')
-        this.initFleetData()
         this.createTextElements()
         this.setupDataUpdates()
 
@@ -51,75 +51,6 @@ export default class Particles {
         console.log('Particles: Fleet Telematics system initialized successfully')
     }
 
-    /**
-     * Initialize Fleet Telematics vehicle data
-     */
-    initFleetData() {
-        const vehicleTypes = [
-            { type: 'truck', fuel: 300, efficiency: 8.5 },
-            { type: 'van', fuel: 80, efficiency: 12.0 },
-            { type: 'car', fuel: 60, efficiency: 15.0 },
-            { type: 'bus', fuel: 200, efficiency: 6.0 }
-        ]
-
-        // Create 15 vehicles
-        for (let i = 0; i < 15; i++) {
-            const vehicleType = vehicleTypes[i % vehicleTypes.length]
-
-            const vehicle = {
-                id: `VH-${String(i + 1).padStart(3, '0')}`,
-                type: vehicleType.type,
-
-                // Location data
-                location: {
-                    lat: 43.6532 + (Math.random() - 0.5) * 0.1, // Toronto area
-                    lng: -79.3832 + (Math.random() - 0.5) * 0.1,
-                    speed: Math.random() * 80 + 20, // 20-100 km/h
-                    heading: Math.random() * 360,
-                    altitude: 76 + Math.random() * 50
-                },
-
-                // Fuel data
-                fuel: {
-                    level: vehicleType.fuel * (0.3 + Math.random() * 0.6), // 30-90% full
-                    capacity: vehicleType.fuel,
-                    efficiency: vehicleType.efficiency,
-                    consumption: 0,
-                    lastFill: Date.now() - Math.random() * 86400000 // Last 24 hours
-                },
-
-                // Engine data
-                engine: {
-                    temperature: 85 + Math.random() * 20, // 85-105°C
-                    rpm: 800 + Math.random() * 2000, // 800-2800 RPM
-                    load: Math.random() * 100, // 0-100%
-                    runtime: Math.random() * 10000, // Hours
-                    faultCodes: []
-                },
-
-                // Driver data
-                driver: {
-                    id: `DR-${String(Math.floor(Math.random() * 999) + 1).padStart(3, '0')}`,
-                    score: 60 + Math.random() * 40, // 60-100 score
-                    drivingTime: Math.random() * 12, // 0-12 hours today
-                    violations: Math.floor(Math.random() * 5) // 0-4 violations
-                },
-
-                // Status
-                status: {
-                    connected: Math.random() > 0.1, // 90% connected
-                    ignition: Math.random() > 0.3, // 70% running
-                    lastUpdate: Date.now() - Math.random() * 300000, // Last 5 minutes
-                    nextMaintenance: 500 + Math.random() * 2000 // km until maintenance
-                }
-            }
-
-            this.vehicles.set(vehicle.id, vehicle)
-        }
-
-        console.log('Particles: Fleet data initialized with', this.vehicles.size, 'vehicles')
-    }
-
     /**
      * Create floating text elements for Fleet Telematics data
      */
@@ -203,8 +134,9 @@ export default class Particles {
      * Setup data updates for Fleet Telematics
      */
     setupDataUpdates() {
-        // Start data simulation
-        this.startDataSimulation()
+        // The labels follow the shared fleet
+        this.onFleetUpdate = () => this.updateTextContent()
+        this.fleetData.addListener(this.onFleetUpdate)
 
         // Update text content initially
         this.updateTextContent()
@@ -212,88 +144,6 @@ export default class Particles {
         console.log('Particles: Data updates initialized')
     }
 
-    /**
-     * Start the data simulation loop
-     */
-    startDataSimulation() {
-        if (this.dataUpdateInterval) {
-            clearInterval(this.dataUpdateInterval)
-        }
-
-        this.dataUpdateInterval = setInterval(() => {
-            this.updateVehicleData()
-            this.updateTextContent()
-        }, 1000) // Update every second
-
-        console.log('Particles: Data simulation started')
-    }
-
-    /**
-     * Update all vehicle data with realistic changes
-     */
-    updateVehicleData() {
-        this.vehicles.forEach((vehicle, id) => {
-            // Update location
-            if (vehicle.status.ignition) {
-                vehicle.location.speed = Math.max(0, vehicle.location.speed + (Math.random() - 0.5) * 10)
-                vehicle.location.heading += (Math.random() - 0.5) * 20
-
-                // Simulate movement
-                const speedKmh = vehicle.location.speed
-                const speedMs = speedKmh / 3.6
-                const deltaTime = 1 // 1 second
-                const distance = speedMs * deltaTime
-
-                const headingRad = vehicle.location.heading * Math.PI / 180
-                vehicle.location.lat += (distance * Math.cos(headingRad)) / 111000 // Rough conversion
-                vehicle.location.lng += (distance * Math.sin(headingRad)) / (111000 * Math.cos(vehicle.location.lat * Math.PI / 180))
-            } else {
-                vehicle.location.speed = 0
-            }
-
-            // Update fuel
-            if (vehicle.status.ignition && vehicle.location.speed > 0) {
-                const consumption = (vehicle.location.speed / 100) * vehicle.fuel.efficiency * (1/3600) // L/s
-                vehicle.fuel.level = Math.max(0, vehicle.fuel.level - consumption)
-                vehicle.fuel.consumption += consumption
-            }
-
-            // Update engine
-            if (vehicle.status.ignition) {
-                vehicle.engine.temperature = Math.min(120, Math.max(80, vehicle.engine.temperature + (Math.random() - 0.5) * 2))
-                vehicle.engine.rpm = 800 + (vehicle.location.speed / 100) * 2000 + (Math.random() - 0.5) * 200
-                vehicle.engine.load = (vehicle.location.speed / 100) * 80 + Math.random() * 20
-                vehicle.engine.runtime += 1/3600 // Add 1 second in hours
-            } else {
-                vehicle.engine.temperature = Math.max(20, vehicle.engine.temperature - 0.5)
-                vehicle.engine.rpm = 0
-                vehicle.engine.load = 0
-            }
-
-            // Update driver behavior
-            if (vehicle.status.ignition) {
-                vehicle.driver.drivingTime += 1/3600 // Add 1 second in hours
-
-                // Simulate score changes based on driving
-                if (vehicle.location.speed > 80) {
-                    vehicle.driver.score = Math.max(0, vehicle.driver.score - 0.1) // Speeding penalty
-                }
-                if (Math.abs(vehicle.location.speed - (vehicle.previousSpeed || vehicle.location.speed)) > 20) {
-                    vehicle.driver.score = Math.max(0, vehicle.driver.score - 0.2) // Harsh acceleration/braking
-                }
-
-                vehicle.previousSpeed = vehicle.location.speed
-            }
-
-            // Random status changes
-            if (Math.random() < 0.001) { // 0.1% chance per second
-                vehicle.status.ignition = !vehicle.status.ignition
-            }
-
-            vehicle.status.lastUpdate = Date.now()
-        })
-    }
-
     /**
      * Update text content with current fleet metrics
      */
@@ -304,11 +154,15 @@ export default class Particles {
             const userData = mesh.userData
             const element = userData.element
 
-            // Get metric for this text element
+            // Get metric for this text element, a focused vehicle keeps its label
             const metricIndex = index % this.currentMetrics.length
-            const metric = this.currentMetrics[metricIndex]
+            const metric = userData.pinnedVehicleId ?
+                this.currentMetrics.find((_metric) => _metric.vehicleId === userData.pinnedVehicleId) :
+                this.currentMetrics[metricIndex]
 
             if (metric) {
+                userData.vehicleId = metric.vehicleId
+
                 // Update content based on metric type
                 let content = ''
                 switch (metric.type) {
@@ -322,28 +176,28 @@ export default class Particles {
                     case 'fuel':
                         content = `
                             <div style="font-size: 10px; opacity: 0.8; margin-bottom: 2px;">${metric.vehicleId}</div>
-                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status === 'warning' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
+                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status !== 'normal' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
                             <div style="font-size: 9px; opacity: 0.6; margin-top: 1px;">${metric.detail}</div>
                         `
                         break
                     case 'engine':
                         content = `
                             <div style="font-size: 10px; opacity: 0.8; margin-bottom: 2px;">${metric.vehicleId}</div>
-                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status === 'warning' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
+                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status !== 'normal' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
                             <div style="font-size: 9px; opacity: 0.6; margin-top: 1px;">${metric.detail}</div>
                         `
                         break
                     case 'driver':
                         content = `
                             <div style="font-size: 10px; opacity: 0.8; margin-bottom: 2px;">${metric.label}</div>
-                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status === 'warning' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
+                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status !== 'normal' ? '#ff6b6b' : '#60b2ff'};">${metric.value}</div>
                             <div style="font-size: 9px; opacity: 0.6; margin-top: 1px;">${metric.detail}</div>
                         `
                         break
                     case 'fleet':
                         content = `
                             <div style="font-size: 10px; opacity: 0.8; margin-bottom: 2px;">${metric.label}</div>
-                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status === 'warning' ? '#ff6b6b' : '#4ade80'};">${metric.value}</div>
+                            <div style="font-size: 14px; font-weight: bold; color: ${metric.status !== 'normal' ? '#ff6b6b' : '#4ade80'};">${metric.value}</div>
                             <div style="font-size: 9px; opacity: 0.6; margin-top: 1px;">${metric.detail}</div>
                         `
                         break
@@ -365,92 +219,74 @@ export default class Particles {
      * Get formatted display metrics for particles
      */
     getDisplayMetrics() {
-        const vehicles = Array.from(this.vehicles.values())
-        const metrics = []
-
-        vehicles.forEach(vehicle => {
-            // Location/Speed metrics
-            metrics.push({
-                type: 'location',
-                vehicleId: vehicle.id,
-                label: 'Location',
-                value: vehicle.status.ignition ? `${vehicle.location.speed.toFixed(0)} km/h` : 'IDLE',
-                detail: `${vehicle.location.lat.toFixed(4)}, ${vehicle.location.lng.toFixed(4)}`,
-                status: vehicle.location.speed > 80 ? 'warning' : 'normal',
-                priority: vehicle.location.speed > 100 ? 'high' : 'normal'
-            })
+        return this.fleetData.getDisplayMetrics()
+    }
 
-            // Fuel metrics
-            const fuelPercent = (vehicle.fuel.level / vehicle.fuel.capacity) * 100
-            metrics.push({
-                type: 'fuel',
-                vehicleId: vehicle.id,
-                label: 'Fuel Level',
-                value: `${fuelPercent.toFixed(0)}%`,
-                detail: `${vehicle.fuel.level.toFixed(1)}L / ${vehicle.fuel.capacity}L`,
-                status: fuelPercent < 20 ? 'warning' : 'normal',
-                priority: fuelPercent < 10 ? 'high' : 'normal'
-            })
+    /**
+     * Get all vehicles data
+     */
+    getAllVehicles() {
+        return this.fleetData.getAllVehicles()
+    }
 
-            // Engine metrics
-            metrics.push({
-                type: 'engine',
-                vehicleId: vehicle.id,
-                label: 'Engine Status',
-                value: vehicle.status.ignition ? `${vehicle.engine.temperature.toFixed(0)}°C` : 'OFF',
-                detail: vehicle.status.ignition ? `${vehicle.engine.rpm.toFixed(0)} RPM` : 'Stopped',
-                status: vehicle.engine.temperature > 100 ? 'warning' : 'normal',
-                priority: vehicle.engine.temperature > 110 ? 'high' : 'normal'
-            })
+    /**
+     * Highlight the label of a vehicle, taking over a visible label when
+     * none shows it
+     */
+    focusVehicle(_id, _duration = 4) {
+        if (!this.fleetData.getVehicle(_id)) {
+            return false
+        }
 
-            // Driver behavior
-            metrics.push({
-                type: 'driver',
-                vehicleId: vehicle.id,
-                label: `Driver ${vehicle.driver.id}`,
-                value: `${vehicle.driver.score.toFixed(0)}`,
-                detail: `${vehicle.driver.drivingTime.toFixed(0)}h`,
-                status: vehicle.driver.score < 70 ? 'warning' : 'normal',
-                priority: vehicle.driver.score < 60 ? 'high' : 'normal'
-            })
+        const mesh = this.textElements.find((_mesh) => _mesh.userData.vehicleId === _id) ||
+            this.textElements.find((_mesh) => _mesh.userData.element.style.display !== 'none') ||
+            this.textElements[0]
+        if (!mesh) {
+            return false
+        }
+
+        const userData = mesh.userData
+        const element = userData.element
+
+        // Restore the label if it is still focused from before
+        userData.focusCall?.progress(1)
+        const { borderColor, zIndex } = element.style
+
+        userData.pinnedVehicleId = _id
+        userData.isFocused = true
+        this.updateTextContent()
+
+        element.classList.add('fleet-telematics-particle--focused')
+        element.style.borderColor = '#60b2ff'
+        element.style.zIndex = '10001'
+        gsap.fromTo(element, {
+            scale: 1,
+        }, {
+            scale: 1.25,
+            duration: 0.3,
+            ease: 'power2.inOut',
+            yoyo: true,
+            repeat: 1,
         })
 
-        // Add fleet summary metrics
-        const summary = this.getFleetSummary()
-        metrics.push({
-            type: 'fleet',
-            vehicleId: 'FLEET',
-            label: 'Fleet Status',
-            value: `${summary.active}/${summary.total}`,
-            detail: `${summary.connected} connected`,
-            status: summary.connected < summary.total * 0.9 ? 'warning' : 'normal',
-            priority: 'high'
+        userData.focusCall = gsap.delayedCall(_duration, () => {
+            userData.pinnedVehicleId = null
+            userData.isFocused = false
+            element.classList.remove('fleet-telematics-particle--focused')
+            element.style.borderColor = borderColor
+            element.style.zIndex = zIndex
         })
 
-        return metrics
+        return true
     }
 
     /**
      * Get fleet summary statistics
      */
     getFleetSummary() {
-        const vehicles = Array.from(this.vehicles.values())
-        const activeVehicles = vehicles.filter(v => v.status.ignition)
-        const connectedVehicles = vehicles.filter(v => v.status.connected)
-
-        return {
-            total: vehicles.length,
-            active: activeVehicles.length,
-            idle: vehicles.length - activeVehicles.length,
-            connected: connectedVehicles.length,
-            avgSpeed: activeVehicles.length > 0 ?
-                activeVehicles.reduce((sum, v) => sum + v.location.speed, 0) / activeVehicles.length : 0,
-            totalFuel: vehicles.reduce((sum, v) => sum + v.fuel.level, 0),
-            avgDriverScore: vehicles.reduce((sum, v) => sum + v.driver.score, 0) / vehicles.length,
-            maintenanceAlerts: vehicles.filter(v => v.status.nextMaintenance < 500).length,
-            faultCodes: vehicles.reduce((sum, v) => sum + v.engine.faultCodes.length, 0)
-        }
+        return this.fleetData.getFleetSummary()
     }
+
     /**
      * Set camera reference for 3D to 2D projection
      */
@@ -503,7 +339,8 @@ export default class Particles {
 
             // Handle visibility based on distance and life
             const distance = worldPosition.z
-            const lifeAlpha = Math.sin(userData.life * Math.PI)
+            // A focused label stays fully visible
+            const lifeAlpha = userData.isFocused ? 1 : Math.sin(userData.life * Math.PI)
             const distanceAlpha = distance > 1 ? 0 : (1 - distance)
             const finalAlpha = lifeAlpha * distanceAlpha * 0.9
 
@@ -631,13 +468,13 @@ export default class Particles {
      * Cleanup resources
      */
     destroy() {
-        // Stop data simulation
-        if (this.dataUpdateInterval) {
-            clearInterval(this.dataUpdateInterval)
-        }
+        // The fleet is shared, only stop following it
+        this.fleetData.removeListener(this.onFleetUpdate)
 
         // Remove HTML elements
         this.textElements.forEach(mesh => {
+            mesh.userData.focusCall?.kill()
+
             if (mesh.userData.element && mesh.userData.element.parentNode) {
                 mesh.userData.element.parentNode.removeChild(mesh.userData.element)
             }
@@ -646,7 +483,6 @@ export default class Particles {
         // Clear arrays
         this.textElements = []
         this.currentMetrics = []
-        this.vehicles.clear()
 
         console.log('Particles: Fleet Telematics system destroyed')
     }
@@ -6,7 +6,7 @@
 import * as THREE from 'three';
 import gsap from '@/gsap';
 import Gl from '@/gl/Gl';
-import { FleetTelematicsData } from '../../data/FleetTelematicsData';
+import { getFleetData } from '@/data/FleetTelematicsData';
 
 export default class ParticlesOptimized {
     constructor() {
@@ -29,7 +29,7 @@ export default class ParticlesOptimized {
         this.inactiveElements = [];
 
         // Fleet data
-        this.fleetData = new FleetTelematicsData();
+        this.fleetData = getFleetData();
         this.currentMetrics = [];
         this.lastUpdateTime = 0;
 
@@ -186,9 +186,8 @@ export default class ParticlesOptimized {
 
     setupDataUpdates() {
         // Listen to fleet data updates
-        this.fleetData.addListener((summary) => {
-            this.updateDisplayMetrics();
-        });
+        this.onFleetUpdate = () => this.updateDisplayMetrics();
+        this.fleetData.addListener(this.onFleetUpdate);
         
         // Initial update
         this.updateDisplayMetrics();
@@ -537,9 +536,9 @@ export default class ParticlesOptimized {
     destroy() {
         console.log('ParticlesOptimized: Destroying system...');
         
-        // Stop data simulation
+        // The fleet is shared, only stop following it
         if (this.fleetData) {
-            this.fleetData.destroy();
+            this.fleetData.removeListener(this.onFleetUpdate);
         }
 
         // Clean up all pooled objects
@@ -1325,6 +1325,15 @@ export default class SceneMain {
             projected = worldPosition.project(this.activeCamera)
             this.gl.world.projectedPointsDOMs[10].dom.style.transform = `translate(${projected.x * (this.gl.sizes.width / 2)}px, ${-projected.y * (this.gl.sizes.height / 2)}px)`
         }
+
+        /* 
+          Points focused by the assistant, whatever the scroll
+        */
+        this.gl.world.focusedPoints.forEach((_index) => {
+            this.projectedEmpties[_index].getWorldPosition(worldPosition)
+            projected = worldPosition.project(this.activeCamera)
+            this.gl.world.projectedPointsDOMs[_index].dom.style.transform = `translate(${projected.x * (this.gl.sizes.width / 2)}px, ${-projected.y * (this.gl.sizes.height / 2)}px)`
+        })
     }
 
     updateHover() {
@@ -1589,7 +1598,7 @@ export default class SceneMain {
         // Power Loop
         if (this.actionPowerLoop > 0) {
             // this.gl.assets.audio.synthLoop.setVolume(1.0 - this.actionPowerLoop)
-            this.gl.assets.audio.powerLoop.setVolume(this.actionPowerLoop * this.gl.audio.defaultVolumes.powerLoop)
+            this.gl.assets.audio.powerLoop.setVolume(this.actionPowerLoop * this.gl.audio.getLoopVolume('powerLoop'))
         }
     }
 
@@ -301,6 +301,8 @@ export default class World {
 
     createProjectedPointsDOMs() {
         this.projectedPointsDOMs = []
+        // Indexes kept on screen by focusProjectedPoint
+        this.focusedPoints = new Set()
 
         /* 
           Projection
@@ -364,6 +366,35 @@ export default class World {
         })
     }
 
+    // Highlight a projected point, e.g. 'chip', for the assistant
+    focusProjectedPoint(_name, _duration = 4) {
+        const index = this.projectedPointsDOMs.findIndex((_projectedPointDOM) => {
+            return _projectedPointDOM.dom && _projectedPointDOM.name.endsWith(`-${_name}`)
+        })
+        if (index === -1) {
+            return
+        }
+
+        const { dom } = this.projectedPointsDOMs[index]
+        const wasActive = dom.classList.contains('gl__projected-point--active')
+
+        this.focusedPoints.add(index)
+        dom.classList.add('gl__projected-point--active', 'gl__projected-point--hover')
+
+        gsap.delayedCall(_duration, () => {
+            this.focusedPoints.delete(index)
+            dom.classList.remove('gl__projected-point--hover')
+            if (!wasActive) {
+                dom.classList.remove('gl__projected-point--active')
+            }
+        })
+    }
+
+    triggerParticleWave(_duration = 4) {
+        // Only the main scenes have particles
+        this.activeScenes.current.particles?.triggerWave(1, _duration, 'back.out(2)')
+    }
+
     translateAnimation(_params) {
         this.isTransitioning = true
 
@@ -98,7 +98,7 @@ export class Accordion extends Observe {
             this.$details.classList.add("is-active");
         };
 
-        this.onShrink ? .(this.$details);
+        this.onShrink?.(this.$details);
 
         this.$details.setAttribute('aria-expanded', false);
         this.$summary.setAttribute('aria-controls', this.$content.id);
@@ -114,7 +114,7 @@ export class Accordion extends Observe {
         window.requestAnimationFrame(() => this.expand());
         currentOpenAccordion = this;
 
-        this.onOpen ? .(this.$details);
+        this.onOpen?.(this.$details);
 
         this.$details.setAttribute('aria-expanded', true);
         this.$summary.setAttribute('aria-controls', this.$content.id);
@@ -37,7 +37,7 @@ export class Modal extends Observe {
         // console.log("Initializing Modal...");
 
         this.$modal = this.element;
-        this.$modalCloseWrapper = this.$modal ? .querySelector('.modal__close-w');
+        this.$modalCloseWrapper = this.$modal?.querySelector('.modal__close-w');
         if (!this.$modal || !this.$modalCloseWrapper) return;
 
         gsap.set(this.$modal, {
@@ -78,7 +78,7 @@ export class Modal extends Observe {
         setTimeout(() => {
             this.anim.timeScale(1).play();
             const firstAccordion = document.querySelector('.accordion-w .accordion:first-child summary');
-            firstAccordion ? .click();
+            firstAccordion?.click();
         }, 200);
     }
 
@@ -107,7 +107,7 @@ export class Modal extends Observe {
                     Flip.from(flipState, {
                         duration: 0.8,
                         ease: "power2.inOut",
-                        onStart: () => this.translink.transitionToState(this.translink.STATES.INITIAL),
+                        onStart: () => this.translink.send("CLOSE"),
                         onComplete: () => {
                             gsap.to(form, {
                                 y: 0,
@@ -136,7 +136,7 @@ export class Modal extends Observe {
         // console.log('Destroying Modal...');
 
         document.removeEventListener('keyup', this.closeBind);
-        this.anim ? .kill();
+        this.anim?.kill();
         Modal.instance = null;
     }
 
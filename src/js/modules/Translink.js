@@ -1,6 +1,76 @@
 ﻿import {
-    url
-} from "./ai/utils/url";
+    getAgentConfig
+} from "./ai/config";
+import {
+    AgentTimeoutError,
+    getAdapter,
+    sendWithRetry
+} from "./ai/adapters";
+import {
+    createActionRegistry,
+    getActionIds,
+    getActions,
+    localizeActions,
+    registerActionHandler,
+    renderAction,
+    runAction,
+    trackAction
+} from "./ai/actions";
+import {
+    createFeedbackQueue
+} from "./ai/feedback";
+import {
+    buildFleetContext,
+    findFleetVehicle
+} from "./ai/fleet";
+import {
+    MESSAGES,
+    createTranslator,
+    detectLocale,
+    getLanguageName,
+    getSpeechLang,
+    mergeMessages,
+    storeLocale
+} from "./ai/i18n";
+import {
+    createTranslinkMachine
+} from "./ai/machine";
+import {
+    createOutbox,
+    isNetworkError,
+    probeConnection
+} from "./ai/outbox";
+import {
+    createSceneQueue,
+    parseSceneActions
+} from "./ai/scene";
+import {
+    STARTER_QUESTIONS
+} from "./ai/suggestions";
+import {
+    escapeHTML
+} from "./ai/utils/html";
+import {
+    renderFleetRefs,
+    renderMarkdown
+} from "./ai/utils/markdown";
+import {
+    createThreadId,
+    toContext
+} from "./ai/utils/thread";
+import {
+    downloadFile,
+    getMediaURL,
+    parseImport,
+    toHTML,
+    toJSON,
+    toMarkdown
+} from "./ai/utils/export";
+import {
+    ResponseFormatError,
+    parseAgentResponse,
+    parsePartialResponse
+} from "./ai/utils/schema";
 import gsap, {
     Flip,
     easeBlur,
@@ -21,12 +91,27 @@ import {
 import {
     TranslinkDB
 } from "./TranslinkDB";
+import {
+    TranslinkHistory
+} from "./TranslinkHistory";
+import {
+    TranslinkFeedback
+} from "./TranslinkFeedback";
+import {
+    TranslinkVoice
+} from "./TranslinkVoice";
+import {
+    TranslinkSuggestions
+} from "./TranslinkSuggestions";
 import Gl from "@/gl/Gl";
 import Hey from "../utils/hey";
 import {
     isMobile
 } from "@/utils/media";
 import ScrollController from "./ScrollController";
+import {
+    Scroll
+} from "@/scroll";
 
 const CLASS = {
     MODAL_OPEN: `has-modal-open`,
@@ -36,6 +121,12 @@ const CLASS = {
     AI_ERROR: `has-ai-error`,
 };
 
+// JS behaviours actions can name as `handler`, see ai/actions.ts
+registerActionHandler("openModal", ({ translink }) => translink.openModalFromResponse());
+registerActionHandler("openScene", ({ translink, action }) =>
+    translink.sceneQueue.enqueue(parseSceneActions([{ type: "switchScene", scene: action.target }])));
+registerActionHandler("scrollToSection", ({ action }) => Scroll.scrollTo(action.target));
+
 export class Translink {
     static instance = null;
 
@@ -59,13 +150,58 @@ export class Translink {
         this.isAnimating = false;
         this.gl = new Gl();
         this.db = new TranslinkDB(9);
+        const config = getAgentConfig();
+        // UI strings, action labels and answers follow the visitor's locale
+        this.messages = mergeMessages(MESSAGES, config.messages);
+        this.locale = detectLocale(Object.keys(this.messages), config.locale);
+        this.t = createTranslator(this.locale, this.messages);
+        this.actionRegistry = createActionRegistry(localizeActions(config.actions, this.locale));
+        this.markdownOptions = { allowedHosts: config.linkHosts };
+        // Ratings wait in the DB until the feedback endpoint has them
+        this.feedbackQueue = createFeedbackQueue(this.db, getAgentConfig);
+        // Questions asked offline wait there too, until the agent can be reached
+        this.outbox = createOutbox(this.db, {
+            send: (entry) => this.sendQueuedQuestion(entry),
+            probe: () => this.probeAgent(),
+            onChange: () => this.loadAccordionsFromDB(),
+        });
+        // Scene actions of answers run one by one, between World transitions
+        this.sceneQueue = createSceneQueue(() => this.gl.world);
+
+        // Follow-ups are sent with the previous turns of the current thread
+        this.threadId = createThreadId();
 
         this.Modal = new Modal(document.querySelector("[data-ai='modal']"), this);
         this.accordions = [];
+        this.accordionFeedback = new Map();
+        // Accordions on screen by record, see renderAccordions()
+        this.renderedAccordions = new Map();
 
         this.setupElements();
+        this.speechLang = getSpeechLang(this.locale);
+        this.voice = new TranslinkVoice(this.form, this.question, {
+            recognizer: config.recognizer,
+            lang: this.speechLang,
+            t: (key, params) => this.t(key, params),
+            onSpeakChange: (isSpeaking) => {
+                if (!isSpeaking) {
+                    this.gl.audio.stopSpeaking();
+                }
+            },
+        });
+        this.suggestions = new TranslinkSuggestions(this.form, this.question, {
+            db: this.db,
+            starters: this.getStarterQuestions(),
+            onAsk: (text, e) => this.askSuggestion(text, e),
+        });
         this.setupStates();
         this.initEventListeners();
+
+        this.loadAccordionsFromDB();
+        // Answers saved, changed or trimmed in other tabs
+        this.unsubscribeSync = this.db.subscribe(() => this.loadAccordionsFromDB());
+        this.feedbackQueue.start();
+        this.outbox.start();
     }
 
     setupElements() {
@@ -79,23 +215,20 @@ export class Translink {
         this.questionWrapper = qs("questionWrapper");
         this.question = qs("question");
         this.closeQuestion = qs("closeQuestion");
+        this.cancelButton = qs("cancelQuestion");
 
         this.responseWrapper = qs("responseWrapper");
         this.response = qs("response");
         this.responseTitle = qs("title");
         this.responseVisual = qs("visual");
         this.responseWrapper.style.display = "none";
-
-        this.CTAs = {
-            CTA_1: qs("CTA_1"),
-            CTA_2: qs("CTA_2"),
-            CTA_3: qs("CTA_3"),
-            CTA_4: qs("CTA_4"),
-        };
-        gsap.set(Object.values(this.CTAs), {
-            display: "none"
+        this.responseFeedback = new TranslinkFeedback(qs("feedback"), {
+            onRate: (feedback) => this.rateResponse(this.currentResponse, feedback),
         });
 
+        this.actionsWrapper = qs("actions");
+        this.toggleCancelButton(false);
+
         this.accordionWrapper = document.querySelector(
             "[data-ai='accordionWrapper']"
         );
@@ -113,6 +246,20 @@ export class Translink {
         this.responseModalVideoSource = this.$modal.querySelector(
             "[data-ai='videoSource']"
         );
+        this.history = new TranslinkHistory(
+            this.$modal.querySelector("[data-ai='history']"), {
+                onChange: () => this.loadAccordionsFromDB(),
+                onExport: (format) => this.exportResponses(format),
+                onImport: (file) => this.importResponses(file),
+                t: (key, params) => this.t(key, params),
+            }
+        );
+        this.history.setActions([...this.actionRegistry.values()]);
+
+        this.newThreadButton = this.$modal.querySelector("[data-ai='newThread']");
+        this.localeSelect = this.$modal.querySelector("[data-ai='locale']");
+        this.setupLocaleSelect();
+        this.localizeElements();
 
         this.indicatorWrapper = document.querySelector(".indicator-w");
     }
@@ -129,7 +276,6 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "6rem",
-                label: "Ask Translink",
                 questionVisible: false,
             },
             EXPANDED: {
@@ -143,7 +289,6 @@ export class Translink {
                     borderRadius: "2.2rem"
                 },
                 borderRadius: "2.2rem",
-                label: "How can I guide you?",
                 questionVisible: true,
             },
             THINKING: {
@@ -156,7 +301,6 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "2.2rem",
-                label: "Thinking...",
                 questionVisible: true,
             },
             RESPONSE: {
@@ -169,7 +313,6 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "2.2rem",
-                label: "Another question?",
                 questionVisible: true,
             },
             MODAL_INITIAL: {
@@ -182,7 +325,6 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "2.2rem",
-                label: "Ask me for more",
                 questionVisible: false,
             },
             MODAL_EXPANDED: {
@@ -195,7 +337,6 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "2rem",
-                label: "Tell me more",
                 questionVisible: true,
             },
             MODAL_THINKING: {
@@ -208,11 +349,30 @@ export class Translink {
                     padding: 1
                 },
                 borderRadius: "2.2rem",
-                label: "Wait a second...",
                 questionVisible: true,
             },
         };
-        this.currentState = this.STATES.INITIAL;
+        this.localizeStates();
+
+        // Which events each state takes, the timelines below only render them
+        this.machine = createTranslinkMachine({
+            guards: {
+                isIdle: () => !this.isAnimating,
+            },
+            enter: {
+                expanded: () => {
+                    this.gl.audio.playUI("uiAskTranslinkOpen");
+                    document.addEventListener("click", this.outsideClickBind);
+                },
+                "modal-expanded": () => this.gl.audio.playUI("uiAskTranslinkOpen"),
+                thinking: () => this.gl.audio.playUI("uiQuestionSend"),
+                "modal-thinking": () => this.gl.audio.playUI("uiQuestionSend"),
+            },
+            exit: {
+                expanded: () => document.removeEventListener("click", this.outsideClickBind),
+            },
+        });
+        this.buttonLabel.textContent = this.currentState.label;
 
         this.shakeConfig = {
             keyframes: [{
@@ -231,17 +391,115 @@ export class Translink {
         };
     }
 
-    createExpandTimelineFor(targetState) {
-        // console.log(targetState, this.currentState);
+    /**
+     * The view settings of the machine's current state
+     */
+    get currentState() {
+        return this.getState(this.machine.state);
+    }
+
+    getState(name) {
+        return Object.values(this.STATES).find((state) => state.name === name);
+    }
+
+    // Button labels of the states in the current locale
+    localizeStates() {
+        const labels = {
+            INITIAL: "label.initial",
+            EXPANDED: "label.expanded",
+            THINKING: "label.thinking",
+            RESPONSE: "label.response",
+            MODAL_INITIAL: "label.modalInitial",
+            MODAL_EXPANDED: "label.modalExpanded",
+            MODAL_THINKING: "label.modalThinking",
+        };
+
+        Object.entries(labels).forEach(([state, key]) => {
+            this.STATES[state].label = this.t(key);
+        });
+    }
+
+    localizeElements() {
+        this.question.placeholder = this.t("question.placeholder");
+        this.question.setAttribute("aria-label", this.t("question.label"));
+        if (this.newThreadButton) {
+            this.newThreadButton.textContent = this.t("thread.new");
+        }
+    }
+
+    /**
+     * The configured starter questions, or the built-in ones in the
+     * current locale
+     */
+    getStarterQuestions() {
+        return getAgentConfig().starterQuestions ?? STARTER_QUESTIONS.map((key) => this.t(key));
+    }
+
+    /**
+     * Offer every locale there are messages for, each named in its own
+     * language
+     */
+    setupLocaleSelect() {
+        if (!this.localeSelect) {
+            return;
+        }
+
+        this.localeSelect.replaceChildren(
+            ...Object.keys(this.messages).map((locale) =>
+                new Option(getLanguageName(locale), locale, false, locale === this.locale))
+        );
+    }
+
+    onLocaleChange = (e) => {
+        this.setLocale(e.target.value);
+    };
+
+    /**
+     * Switch the UI and the language of the next answers, and remember the
+     * choice over detection
+     * @param {string} locale - One of the locales there are messages for
+     */
+    setLocale(locale) {
+        if (!this.messages[locale] || locale === this.locale) {
+            return;
+        }
+
+        storeLocale(locale);
+        this.locale = locale;
+        this.t = createTranslator(locale, this.messages);
+        this.actionRegistry = createActionRegistry(localizeActions(getAgentConfig().actions, locale));
+        this.history.setActions([...this.actionRegistry.values()]);
+        this.speechLang = getSpeechLang(locale);
+        this.voice.setLang(this.speechLang);
+        this.suggestions.setStarters(this.getStarterQuestions());
+
+        this.localizeStates();
+        this.localizeElements();
+        if (this.localeSelect) {
+            this.localeSelect.value = locale;
+        }
+        // A running transition sets its own label when done, errors keep theirs
+        if (!this.isAnimating && !html.classList.contains(CLASS.AI_ERROR)) {
+            this.buttonLabel.textContent = this.currentState.label;
+        }
+        if (this.currentResponse) {
+            this.showResponseCTA(this.currentResponse);
+        }
+        this.loadAccordionsFromDB();
+    }
+
+    createExpandTimelineFor(targetState, fromState) {
+        // console.log(targetState, fromState);
 
         if (
             targetState === this.STATES.EXPANDED &&
-            this.currentState === this.STATES.THINKING
+            fromState === this.STATES.THINKING &&
+            this.responseWrapper.style.display === "flex"
         )
             // Hide response
             this.hideResponse();
 
-        const label = targetState ? .label || "";
+        const label = targetState?.label || "";
         return gsap
             .timeline({
                 paused: true,
@@ -275,7 +533,7 @@ export class Translink {
                     scale: 1,
                     transformOrigin: "bottom center",
                     attr: {
-                        ["data-after"]: "Press Enter to send"
+                        ["data-after"]: this.t("hint.send")
                     },
                 }
             )
@@ -286,14 +544,13 @@ export class Translink {
                 rotate: 180
             }, "<")
             .eventCallback("onComplete", () => {
-                this.isAnimating = false;
                 this.question.disabled = false;
                 this.question.focus();
             });
     }
 
-    createCollapseTimelineFor(targetState) {
-        const label = targetState ? .label || "";
+    createCollapseTimelineFor(targetState, fromState) {
+        const label = targetState?.label || "";
         const tl = gsap.timeline({
             paused: true,
             defaults: {
@@ -307,7 +564,7 @@ export class Translink {
         });
 
         const questionWrapperTween =
-            this.currentState.name === "expanded" ?
+            fromState === this.STATES.EXPANDED ?
             gsap.to(this.questionWrapper, {
                 autoAlpha: 0,
                 scale: 0.95,
@@ -351,7 +608,6 @@ export class Translink {
                         filter: "blur(0rem)",
                         duration: 0.8,
                     });
-                this.isAnimating = false;
             });
 
         return tl;
@@ -407,7 +663,7 @@ export class Translink {
     // }
 
     createThinkingTimelineFor(targetState) {
-        const label = targetState ? .label || this.STATES.THINKING.label;
+        const label = targetState?.label || this.STATES.THINKING.label;
 
         const getQuestionWrapperTween = () => {
             switch (targetState.name) {
@@ -505,7 +761,7 @@ export class Translink {
 
     createResponseTimelineFor(targetState) {
         this.gl.audio.playUI("uiReply");
-        const label = targetState ? .label || this.STATES.RESPONSE.label;
+        const label = targetState?.label || this.STATES.RESPONSE.label;
 
         return gsap
             .timeline({
@@ -534,7 +790,7 @@ export class Translink {
     }
 
     createClosingTimelineFor(targetState) {
-        const label = targetState ? .label || this.STATES.EXPANDED.label;
+        const label = targetState?.label || this.STATES.EXPANDED.label;
 
         return gsap
             .timeline({
@@ -558,7 +814,7 @@ export class Translink {
                     height: "8.5rem",
                     marginBottom: 0,
                     attr: {
-                        ["data-after"]: "Press Enter to send"
+                        ["data-after"]: this.t("hint.send")
                     },
                 },
                 "<"
@@ -566,41 +822,30 @@ export class Translink {
     }
 
     toggleState() {
-        const {
-            INITIAL,
-            EXPANDED,
-            MODAL_INITIAL,
-            MODAL_EXPANDED,
-            THINKING
-        } =
-        this.STATES;
-
-        let targetState;
-
-        switch (this.currentState) {
-            case INITIAL:
-                targetState = EXPANDED;
-                break;
-            case MODAL_INITIAL:
-                targetState = MODAL_EXPANDED;
-                break;
-            case MODAL_EXPANDED:
-                targetState = MODAL_INITIAL;
-                break;
-            case THINKING:
-                targetState = EXPANDED;
-                break;
-            default:
-                targetState = INITIAL;
+        return this.send("TOGGLE");
+    }
+
+    /**
+     * Pass an event to the state machine, ai/machine.ts, and animate the
+     * transition it makes. Events the current state doesn't take, or sent
+     * while animating, are ignored.
+     * @param {import("./ai/machine").TranslinkEvent} event
+     * @returns {Promise<void>} Resolves once the new state is on screen
+     */
+    send(event) {
+        const transition = this.machine.send(event);
+        if (!transition) {
+            return Promise.resolve();
         }
 
-        this.transitionToState(targetState);
+        return this.renderTransition(transition);
     }
 
-    async transitionToState(targetState) {
-        // console.log("Transitioning to", targetState);
+    renderTransition({ from, to }) {
+        // console.log("Transitioning to", to);
 
-        if (this.isAnimating || targetState === this.currentState) return;
+        const fromState = this.getState(from);
+        const targetState = this.getState(to);
 
         this.isAnimating = true;
         const isInitial = targetState === this.STATES.INITIAL;
@@ -610,55 +855,6 @@ export class Translink {
         const isModalExpanded = targetState === this.STATES.MODAL_EXPANDED;
         const isModalThinking = targetState === this.STATES.MODAL_THINKING;
 
-        switch (targetState) {
-            case this.STATES.MODAL_EXPANDED:
-                this.gl.audio.playUI("uiAskTranslinkOpen");
-                break;
-            case this.STATES.EXPANDED:
-                this.gl.audio.playUI("uiAskTranslinkOpen");
-                break;
-            case this.STATES.THINKING:
-                this.gl.audio.playUI("uiQuestionSend");
-                break;
-            case this.STATES.MODAL_THINKING:
-                this.gl.audio.playUI("uiQuestionSend");
-                break;
-        }
-
-        // MODAL state handling
-        // if (targetState === this.STATES.MODAL_INITIAL) {
-        //   gsap.set(this.button, {
-        //     width: targetState.box.width,
-        //     height: targetState.box.height
-        //   });
-        //   this.currentState = targetState;
-        //   return;
-        // }
-
-        // MODAL state and going to EXPANDED
-        if (
-            this.currentState === this.STATES.MODAL_INITIAL &&
-            targetState === this.STATES.EXPANDED
-        ) {
-            this.isAnimating = true;
-
-            gsap.to(this.button, {
-                width: "33.5rem",
-                height: this.STATES.EXPANDED.box.height,
-                duration: 0.4,
-                ease: "power2.inOut",
-                onComplete: () => {
-                    this.currentState = targetState;
-                    this.isAnimating = false;
-                    this.question.focus();
-                },
-            });
-
-            this.tlExpand = this.createExpandTimelineFor(targetState);
-            this.tlExpand.restart();
-            return;
-        }
-
         gsap.killTweensOf([
             this.questionWrapper,
             this.buttonLabel,
@@ -696,7 +892,8 @@ export class Translink {
 
         html.classList.toggle(CLASS.AI_THINKING, isThinking || isModalThinking);
 
-        Flip.from(flipState, {
+        // Resolves once the new state is in place, so callers can await it
+        const transition = new Promise((resolve) => Flip.from(flipState, {
             duration: 0.4,
             ease: easeGentleIn,
             // ease: "power2.inOut",
@@ -708,33 +905,48 @@ export class Translink {
                     targetState === this.STATES.EXPANDED ||
                     targetState === this.STATES.MODAL_EXPANDED
                 ) {
-                    this.tlExpand = this.createExpandTimelineFor(targetState);
+                    this.tlExpand = this.createExpandTimelineFor(targetState, fromState);
                     this.tlExpand.restart();
                 } else {
-                    this.tlCollapse = this.createCollapseTimelineFor(targetState);
+                    this.tlCollapse = this.createCollapseTimelineFor(targetState, fromState);
                     this.tlCollapse.restart();
                 }
             },
             onComplete: () => {
-                this.currentState = targetState;
+                // The machine takes events again, the label and question
+                // timelines may still be finishing
                 this.isAnimating = false;
                 if (isExpanded) this.question.focus();
+                resolve();
             },
-        });
+            onInterrupt: resolve,
+        }));
 
         // Update global classes
         html.classList.toggle(CLASS.AI_OPEN, !isInitial && !isModal);
 
-        if (isExpanded) {
-            document.addEventListener("click", this.outsideClickBind);
-        } else {
-            document.removeEventListener("click", this.outsideClickBind);
-        }
+        return transition;
     }
 
-    transitionToErrorState() {
+    transitionToErrorState(error) {
         html.classList.add(CLASS.AI_ERROR);
-        this.buttonLabel.textContent = "Error - Try Again";
+        // A fast failure can land while the thinking timeline is still running
+        this.tlThinking?.pause();
+        this.tlThinking?.kill();
+        gsap.killTweensOf(this.buttonLabel);
+        this.buttonLabel.textContent =
+            error instanceof ResponseFormatError ?
+            this.t("error.format") :
+            error instanceof AgentTimeoutError ?
+            this.t("error.timeout") :
+            this.t("error.generic");
+
+        // Surface what went wrong under the prompt
+        gsap.set(this.questionWrapper, {
+            attr: {
+                ["data-after"]: error?.message || ""
+            },
+        });
         gsap.to(this.button, {
             // backgroundColor: "#ffebee",
             color: "#F00",
@@ -742,55 +954,56 @@ export class Translink {
         });
     }
 
-    parseResponse(rawResponse) {
-        const parts = rawResponse.split(" | ").map((part) => part.trim());
-
-        // we can put default values for when things are missing
-        const result = {
-            title: null,
-            short: null,
-            long: null,
-            media: "IMG_9", // default image
-            CTA: null,
-        };
-
-        // match the things we need
-        parts.forEach((part) => {
-            if (part.startsWith("(SH)")) {
-                result.title = part.replace("(SH)", "").trim();
-            } else if (part.startsWith("(SR)")) {
-                result.short = part.replace("(SR)", "").trim();
-            } else if (part.startsWith("(LR)")) {
-                result.long = part.replace("(LR)", "").trim();
-            } else if (part.startsWith("IMG_") || part.startsWith("VIDEO_")) {
-                result.media = part;
-            } else if (part.startsWith("CTA_")) {
-                result.CTA = part;
-            }
-        });
+    /**
+     * Turn an agent answer (structured JSON or the legacy pipe format) into
+     * the record stored in TranslinkDB. Throws a ResponseFormatError when
+     * the answer doesn't match the contract.
+     * @param rawResponse - The answer as the adapter returned it
+     * @param query - What was asked, the current question by default
+     */
+    parseResponse(rawResponse, query = {
+        question: this.question.value,
+        threadId: this.threadId,
+        locale: this.locale,
+    }) {
+        const result = parseAgentResponse(rawResponse);
+        const [media] = result.media;
 
         // console.log(result);
 
         return {
-            question: this.question.value,
+            question: query.question,
             title: result.title,
             short: result.short,
             long: result.long,
-            media: result.media,
-            CTA: result.CTA,
+            media: media?.id || null,
+            mediaType: media?.type || null,
+            CTA: result.actions[0]?.id || null,
+            actions: result.actions.map((action) => action.id),
+            scene: result.scene,
+            followUps: result.followUps,
+            version: result.version,
+            threadId: query.threadId,
+            locale: query.locale,
             timestamp: new Date().toISOString(),
         };
     }
 
-    async handleResponse(data) {
+    async finishResponse(rawResponse) {
         try {
-            const rawResponse = data.result.content[0].text.value;
-            const structuredResponse = this.parseResponse(rawResponse);
+            // Scene actions and follow-ups are for now, they aren't part of the stored answer
+            const { scene, followUps, ...structuredResponse } = this.parseResponse(rawResponse);
             // console.log(rawResponse);
 
             // Store in IndexedDB only if CTA is CTA_4 -> doesn't work since we have multiple CTAs in Modal state
             // if (structuredResponse.CTA === "CTA_4") {
-            await this.db.saveResponse(structuredResponse);
+            const id = await this.db.saveResponse(structuredResponse);
+            structuredResponse.id = id;
+            // The stored answer takes the place of the streamed one
+            this.streamingAccordion?.remove();
+            this.streamingAccordion = null;
+            // Show the new answer even if the history was filtered
+            this.history.reset();
             // Create accordion from DB
             await this.loadAccordionsFromDB();
             // }
@@ -798,60 +1011,253 @@ export class Translink {
             // display in small ui
             // console.log(this.currentState);
             if (this.currentState === this.STATES.THINKING) {
-                this.displayResponse(structuredResponse);
+                if (this.hasStreamedResponse) {
+                    // Already on screen, only swap in the final content
+                    this.updateResponseContent(structuredResponse);
+                    this.showResponseCTA(structuredResponse);
+                } else {
+                    this.displayResponse(structuredResponse);
+                }
+
+                // Only stored answers can be rated
+                this.currentResponse = structuredResponse;
+                this.responseFeedback.setFeedback(null);
             }
             if (this.currentState === this.STATES.MODAL_THINKING) {
-                const accordionList = document.querySelectorAll(".accordion");
-                this.accordions[this.accordions.length - accordionList.length].open();
+                this.accordions
+                    .find((accordion) => accordion.$details.dataset.id === String(id))
+                    ?.open();
 
                 // toggle state to modal_initial
-                this.transitionToState(this.STATES.MODAL_INITIAL);
+                this.send("ANSWER");
                 // clear question+focus
                 this.question.value = "";
                 this.question.focus();
             }
+
+            this.speakResponse(structuredResponse);
+            this.suggestions.setFollowUps(followUps);
+            if (scene.length) {
+                this.sceneQueue.enqueue(scene);
+            }
         } catch (error) {
             console.error("Response handling failed:", error);
-            this.transitionToErrorState();
+            this.transitionToErrorState(error);
         }
     }
 
-    async loadAccordionsFromDB() {
+    /**
+     * Read the short answer aloud if the visitor turned that on
+     */
+    speakResponse(response) {
+        if (!this.voice.isSpeakingAnswers || !response.short) return;
+
+        this.gl.audio.speak(response.short, {
+            lang: this.speechLang
+        });
+    }
+
+    /**
+     * The particles of the active scene, they show the fleet the assistant
+     * is told about. Null until the scene is loaded.
+     */
+    getFleetSource() {
+        return this.gl.world?.activeScenes?.current?.particles ?? null;
+    }
+
+    /**
+     * Show a vehicle an answer refers to in the 3D view. Drivers are found
+     * through the vehicle they drive.
+     */
+    focusFleetRef(type, id) {
+        const fleet = this.getFleetSource();
+        const vehicle = fleet && findFleetVehicle(fleet.getAllVehicles(), type, id);
+        if (!vehicle) {
+            console.warn(`[Translink] ${id} is not part of the fleet on screen`);
+            return false;
+        }
+
+        // The modal covers the scene
+        if (html.classList.contains(CLASS.MODAL_OPEN)) {
+            this.Modal.close();
+        }
+
+        return fleet.focusVehicle(vehicle.id);
+    }
+
+    onFleetRefClick = (e) => {
+        const ref = e.target.closest(".fleet-ref");
+        if (!ref) {
+            return;
+        }
+
+        e.preventDefault();
+        this.focusFleetRef(ref.dataset.fleetType, ref.dataset.fleetId);
+    };
+
+    /**
+     * Bring the accordions up to date with the DB. Loads asked for while
+     * one runs, e.g. by several tabs writing at once, are done once after it.
+     */
+    loadAccordionsFromDB() {
+        if (this.loadingAccordions) {
+            this.reloadingAccordions ??= this.loadingAccordions.then(() => {
+                this.reloadingAccordions = null;
+                return this.loadAccordionsFromDB();
+            });
+            return this.reloadingAccordions;
+        }
+
+        this.loadingAccordions = this.renderAccordions().finally(() => {
+            this.loadingAccordions = null;
+        });
+        return this.loadingAccordions;
+    }
+
+    /**
+     * Only accordions of records that changed are rebuilt, the others stay
+     * as they are, open or not
+     */
+    async renderAccordions() {
         try {
-            const responses = await this.db.getAllResponses();
-            this.accordionWrapper.innerHTML = ""; // Clear existing accordions
+            // Pinned first, then newest first
+            const [responses, total, queued] = await Promise.all([
+                this.db.searchResponses(this.history.filters),
+                this.db.countResponses(),
+                this.db.getOutbox(),
+            ]);
+
+            // Questions still waiting for a connection come first
+            const records = [
+                ...queued.map((entry) => ({
+                    key: `outbox-${entry.id}`,
+                    record: entry,
+                    create: () => this.createPendingAccordion(entry),
+                })),
+                ...responses.map((response) => ({
+                    key: String(response.id),
+                    record: response,
+                    create: () => this.createAndAppendAccordion(response),
+                })),
+            ];
+
+            const rendered = new Map();
+            records.forEach(({ key, record, create }) => {
+                // Labels are in the locale, it changes them too
+                const signature = JSON.stringify([this.locale, record]);
+                const previous = this.renderedAccordions.get(key);
+
+                if (previous?.signature === signature) {
+                    // Moved to its place in the list
+                    this.accordionWrapper.appendChild(previous.instance.$details);
+                    rendered.set(key, previous);
+                    return;
+                }
 
-            // Sort by timestamp (newest first)
-            const sortedResponses = responses.sort(
-                (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
-            );
+                const instance = create();
+                if (previous) {
+                    if (previous.instance.$details.open) {
+                        instance.$details.open = true;
+                        instance.$details.classList.add("is-active");
+                    }
+                    this.removeAccordion(key, previous.instance);
+                }
+                rendered.set(key, { instance, signature });
+            });
 
-            sortedResponses.forEach((response, index) => {
-                this.createAndAppendAccordion(response);
+            this.renderedAccordions.forEach(({ instance }, key) => {
+                if (!rendered.has(key)) {
+                    this.removeAccordion(key, instance);
+                }
             });
+            this.renderedAccordions = rendered;
+            this.accordions = [...rendered.values()].map(({ instance }) => instance);
+
+            this.accordionWrapper.querySelector(".accordion-wrapper__empty")?.remove();
+            if (!responses.length && total) {
+                this.accordionWrapper.insertAdjacentHTML(
+                    "beforeend",
+                    `<p class="accordion-wrapper__empty">${escapeHTML(this.t("history.noMatch"))}</p>`
+                );
+            }
+            this.history.setCount(responses.length, total);
+
+            this.markCurrentThread();
         } catch (error) {
             console.error("Failed to load accordions from DB:", error);
         }
     }
 
+    removeAccordion(key, instance) {
+        instance.destroy?.();
+        instance.$details.remove();
+
+        // Outbox entries have no feedback
+        const id = Number(key);
+        this.accordionFeedback.get(id)?.destroy();
+        this.accordionFeedback.delete(id);
+    }
+
     createAndAppendAccordion(response) {
+        // Legacy records only carry the media id, its prefix tells the type
+        const mediaType = response.mediaType || (
+            response.media?.includes("IMAGE") || response.media?.includes("IMG") ?
+            "image" :
+            "video"
+        );
         const accordion = this.createAccordion(
             response.question,
             response.title,
             response.long,
-            response.media.includes("IMAGE") || response.media.includes("IMG") ?
-            "image" :
-            "video",
-            response.media.includes("IMAGE") || response.media.includes("IMG") ?
-            `/assets/ai-images/${response.media}.webp` :
-            `/assets/ai-video/${response.media}.mp4`,
-            response.CTA
+            response.media ? mediaType : "",
+            getMediaURL({
+                ...response,
+                mediaType
+            }),
+            getActionIds(response)
+        );
+
+        accordion.dataset.id = response.id;
+        accordion.dataset.threadId = response.threadId || "";
+        // Older answers don't know their language, they keep the page's
+        if (response.locale) {
+            accordion.lang = response.locale;
+        }
+        accordion.classList.toggle("is-pinned", Boolean(response.pinned));
+        accordion.addEventListener("click", (e) => this.onActionClick(e, response));
+        accordion
+            .querySelector("[data-ai='continueThread']")
+            .addEventListener("click", (e) => {
+                e.preventDefault();
+                this.continueThread(response, accordion);
+            });
+
+        const pinButton = accordion.querySelector("[data-ai='pinResponse']");
+        pinButton.textContent = response.pinned ? this.t("answer.unpin") : this.t("answer.pin");
+        pinButton.setAttribute("aria-pressed", Boolean(response.pinned));
+        pinButton.addEventListener("click", (e) => {
+            e.preventDefault();
+            this.togglePinned(response);
+        });
+        accordion
+            .querySelector("[data-ai='deleteResponse']")
+            .addEventListener("click", (e) => {
+                e.preventDefault();
+                this.deleteResponse(response, accordion);
+            });
+
+        const feedback = new TranslinkFeedback(
+            accordion.querySelector("[data-ai='feedback']"), {
+                onRate: (rating) => this.rateResponse(response, rating),
+            }
         );
+        feedback.setFeedback(response.feedback);
+        this.accordionFeedback.set(response.id, feedback);
 
         this.accordionWrapper.appendChild(accordion);
         const accordionInstance = new Accordion(accordion);
         accordionInstance.init();
-        this.accordions.push(accordionInstance);
+        return accordionInstance;
 
         // // Open the newly added accordion
         // if (this.accordions.length > 0) {
@@ -866,99 +1272,75 @@ export class Translink {
         // }
     }
 
+    /**
+     * Accordion of a question in the outbox, replaced by the answer once it
+     * has been sent
+     */
+    createPendingAccordion(entry) {
+        const accordion = document.createElement("details");
+        accordion.className = "accordion is-pending";
+        accordion.classList.toggle("is-failed", Boolean(entry.error));
+        accordion.dataset.outboxId = entry.id;
+        accordion.dataset.threadId = entry.threadId || "";
+        accordion.lang = entry.locale || "";
+
+        const status = entry.error ? this.t("outbox.failed") : this.t("outbox.pending");
+        accordion.innerHTML = `
+    <summary class="accordion__summary">
+      <div class="accordion__title-w">
+        <div class="accordion__question">${escapeHTML(entry.question)}</div>
+        <div class="accordion__title">${escapeHTML(status)}</div>
+      </div>
+    </summary>
+    <div class="accordion__content">
+      ${entry.error ? `<p class="accordion__error">${escapeHTML(entry.error)}</p>` : ""}
+      <div class="accordion__actions">
+        <button type="button" class="accordion__delete" data-ai="deleteQueued">${escapeHTML(this.t("answer.delete"))}</button>
+      </div>
+    </div>
+  `;
+
+        accordion
+            .querySelector("[data-ai='deleteQueued']")
+            .addEventListener("click", async (e) => {
+                e.preventDefault();
+                await this.db.deleteFromOutbox(entry.id);
+                this.loadAccordionsFromDB();
+            });
+
+        this.accordionWrapper.appendChild(accordion);
+        const accordionInstance = new Accordion(accordion);
+        accordionInstance.init();
+        return accordionInstance;
+    }
+
     createAccordion(
         question = "",
         title = "",
         long = "",
         media = "",
         mediaURL = "",
-        CTA = ""
+        actions = []
     ) {
         const accordion = document.createElement("details");
         accordion.className = "accordion";
         accordion.ariaExpanded = false;
 
-        const ctaButtons = {
-            CTA_1: `
-      <a class="cta_1" href="/specs">
-        <div>View Specs</div>
-        <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-          <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-                stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        </svg>
-      </a>`,
-            CTA_2: `
-      <a class="cta_2" href="#">
-        <div>Contact OFF+BRAND.</div>
-        <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-          <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-                stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        </svg>
-      </a>`,
-            CTA_3: `
-      <a class="cta_3" href="/preorder">
-        <div>Preorder</div>
-        <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-          <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-                stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        </svg>
-      </a>`,
-            CTA_4: `
-      <a class="cta_4" href="/specs">
-        <div>View Specs</div>
-        <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-          <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-                stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        </svg>
-      </a>`,
-        };
-
-        // const ctaButtons = {
-        //   CTA_1: `
-        //   <button class="cta_1">
-        //     <div>View Specs</div>
-        //     <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-        //       <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-        //             stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        //     </svg>
-        //   </button>`,
-        //   CTA_2: `
-        //   <button class="cta_2">
-        //     <div>Contact OFF+BRAND.</div>
-        //     <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-        //       <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-        //             stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        //     </svg>
-        //   </button>`,
-        //   CTA_3: `
-        //   <button class="cta_3">
-        //     <div>Preorder</div>
-        //     <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-        //       <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-        //             stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        //     </svg>
-        //   </button>`,
-        //   CTA_4: `
-        //   <button class="cta_4">
-        //     <div>View Specs</div>
-        //     <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow">
-        //       <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
-        //             stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
-        //     </svg>
-        //   </button>`,
-        // };
+        const actionButtons = getActions(actions, this.actionRegistry, "accordion")
+            .map((action) => renderAction(action, action.id.toLowerCase()))
+            .join("");
 
         let mediaBlock = "";
         if (media === "image") {
             mediaBlock = `
       <figure class="visual__big-w" data-ai="modalVisualWrapper">
-        <img src="${mediaURL}" alt="" class="visual" data-ai="modalVisual" loading="eager">
+        <img src="${escapeHTML(mediaURL)}" alt="" class="visual" data-ai="modalVisual" loading="eager">
       </figure>`;
         } else if (media === "video") {
             mediaBlock = `
       <div class="video-w">
         <video autoplay muted loop playsinline class="video__inner" data-ai="video">
-          <source src="${mediaURL}" type="video/mp4" data-ai="videoSource">
+          <source src="${escapeHTML(mediaURL)}" type="video/mp4" data-ai="videoSource">
         </video>
       </div>`;
         }
@@ -966,8 +1348,8 @@ export class Translink {
         accordion.innerHTML = `
     <summary class="accordion__summary">
       <div class="accordion__title-w">
-        <div class="accordion__question">${question}</div>
-        <div class="accordion__title">${title}</div>
+        <div class="accordion__question">${escapeHTML(question)}</div>
+        <div class="accordion__title">${escapeHTML(title)}</div>
       </div>
       <div class="accordion__arrow">
         <svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 10 6" fill="none">
@@ -977,52 +1359,175 @@ export class Translink {
       </div>
     </summary>
     <div class="accordion__content">
-      <h4>${title}</h4>
+      <h4>${escapeHTML(title)}</h4>
       ${mediaBlock}
-      <p class="response__long">${long}</p>
-      ${ctaButtons[CTA] || ""}
+      <div class="response__long">${renderMarkdown(long, this.markdownOptions)}</div>
+      ${actionButtons}
+      ${TranslinkFeedback.markup}
+      <div class="accordion__actions">
+        <button type="button" class="accordion__continue" data-ai="continueThread">${escapeHTML(this.t("thread.continue"))}</button>
+        <button type="button" class="accordion__pin" data-ai="pinResponse" aria-pressed="false">Pin</button>
+        <button type="button" class="accordion__delete" data-ai="deleteResponse">${escapeHTML(this.t("answer.delete"))}</button>
+      </div>
     </div>
   `;
 
         return accordion;
     }
 
-    displayResponse(response) {
-        // update textarea height
-        this.questionWrapperHeight =
-            this.questionWrapper.getBoundingClientRect().height + 6;
-        this.responseWrapper.style.marginBottom = this.questionWrapperHeight + "px";
+    /**
+     * Download the answers currently listed in the history, or open them
+     * as a printable report
+     * @param {"json" | "markdown" | "html"} format
+     */
+    async exportResponses(format) {
+        const responses = await this.db.searchResponses(this.history.filters);
+        if (!responses.length) {
+            this.history.setStatus(this.t("history.empty"));
+            return;
+        }
 
-        this.response.innerHTML = response.short;
-        this.responseTitle.innerHTML = response.title;
-        // update media based on CTA
-        // CTA_1 â€“ See the Specifications (link)
-        // CTA_2 â€“ Contact the Manufacturer (email)
-        // CTA_3 â€“ Buy Now (link)
-        // CTA_4 â€“ Know More (modal)
-        switch (response.CTA) {
-            case "CTA_1":
-                this.responseVisual.src = `/assets/ai-images/${response.media}.webp`;
-                break;
-            case "CTA_2":
-                this.responseVisual.src = `/assets/ai-images/avatar1.webp`;
+        const filename = `translink-answers-${new Date().toISOString().slice(0, 10)}`;
+        const origin = window.location.origin;
+
+        switch (format) {
+            case "json":
+                downloadFile(toJSON(responses), `${filename}.json`, "application/json");
                 break;
-            case "CTA_3":
-                this.responseVisual.src = `/assets/ai-images/avatar2.webp`;
+            case "markdown":
+                downloadFile(toMarkdown(responses, origin), `${filename}.md`, "text/markdown");
                 break;
-            case "CTA_4":
-                if (response.media.includes("error")) {
-                    this.responseVisual.src = `/assets/ai-images/avatar1.webp`;
-                }
-                if (response.media.includes("VIDEO")) {
-                    this.responseVisual.src = `/assets/ai-images/avatar1.webp`;
-                }
-                if (response.media.includes("IMAGE")) {
-                    this.responseVisual.src = `/assets/ai-images/${response.media}.webp`;
+            case "html": {
+                const report = toHTML(responses, origin, this.markdownOptions);
+                const reportWindow = window.open("", "_blank");
+
+                // Popup blocked, hand over the file instead
+                if (!reportWindow) {
+                    downloadFile(report, `${filename}.html`, "text/html");
+                    break;
                 }
+
+                reportWindow.document.write(report);
+                reportWindow.document.close();
+                reportWindow.addEventListener("load", () => reportWindow.print());
                 break;
+            }
+            default:
+                console.warn(`Unknown export format: ${format}`);
+                return;
         }
 
+        this.history.setStatus(this.t("history.exported", { count: responses.length }));
+    }
+
+    async importResponses(file) {
+        try {
+            const { added, skipped } = await this.db.importResponses(parseImport(await file.text()));
+            this.history.setStatus(
+                this.t("history.imported", { count: added }) +
+                (skipped ? this.t("history.skipped", { count: skipped }) : "")
+            );
+            await this.loadAccordionsFromDB();
+        } catch (error) {
+            console.error("Import failed:", error);
+            this.history.setStatus(this.t("history.importFailed", { error: error.message }));
+        }
+    }
+
+    /**
+     * Store a rating on the answer's record and queue it for the feedback
+     * endpoint
+     */
+    async rateResponse(response, feedback) {
+        if (!response?.id) return;
+
+        try {
+            response.feedback = await this.db.setFeedback(response.id, feedback);
+            // The same answer may be open in the response view and the modal
+            this.accordionFeedback.get(response.id)?.setFeedback(response.feedback);
+            this.feedbackQueue.flush();
+        } catch (error) {
+            console.error("Saving feedback failed:", error);
+        }
+    }
+
+    /**
+     * Pinned answers are kept when the history runs over its record limit
+     */
+    async togglePinned(response) {
+        await this.db.setPinned(response.id, !response.pinned);
+        await this.loadAccordionsFromDB();
+    }
+
+    async deleteResponse(response, accordion) {
+        await this.db.deleteResponse(response.id);
+
+        gsap.to(accordion, {
+            autoAlpha: 0,
+            height: 0,
+            duration: 0.3,
+            ease: easePrimary,
+            onComplete: () => this.loadAccordionsFromDB(),
+        });
+    }
+
+    /**
+     * Make a stored answer's thread the current one, the next question is
+     * sent with its turns as context.
+     */
+    async continueThread(response, accordion) {
+        if (!response.threadId) {
+            // Answers stored before threads existed start their own thread
+            response.threadId = createThreadId();
+            await this.db.updateResponse(response);
+            if (accordion) accordion.dataset.threadId = response.threadId;
+        }
+
+        this.threadId = response.threadId;
+        this.markCurrentThread();
+
+        if (this.currentState === this.STATES.MODAL_INITIAL) {
+            this.send("OPEN");
+        } else {
+            this.question.focus();
+        }
+    }
+
+    startNewThread() {
+        this.threadId = createThreadId();
+        this.markCurrentThread();
+        // Follow-ups belong to the previous thread
+        this.suggestions.setFollowUps([]);
+
+        this.question.value = "";
+        if (this.currentState === this.STATES.MODAL_INITIAL) {
+            this.send("OPEN");
+        } else {
+            this.question.focus();
+        }
+    }
+
+    markCurrentThread() {
+        this.accordionWrapper
+            .querySelectorAll(".accordion")
+            .forEach((accordion) => {
+                accordion.classList.toggle(
+                    "is-current-thread",
+                    accordion.dataset.threadId === this.threadId
+                );
+            });
+    }
+
+    displayResponse(response) {
+        // update textarea height
+        this.questionWrapperHeight =
+            this.questionWrapper.getBoundingClientRect().height + 6;
+        this.responseWrapper.style.marginBottom = this.questionWrapperHeight + "px";
+
+        this.updateResponseContent(response);
+        // Shown once the answer is stored
+        this.responseFeedback.hide();
+
         // Display response once content ready
         this.responseWrapper.style.display = "flex";
 
@@ -1038,13 +1543,7 @@ export class Translink {
         html.classList.remove(CLASS.AI_ERROR);
 
         // Handle CTAs
-        if (this.CTAs[response.CTA]) {
-            gsap.set(this.CTAs[response.CTA], {
-                display: "flex"
-            });
-        } else {
-            console.warn(`CTA not found: ${response.CTA}`);
-        }
+        this.showResponseCTA(response);
 
         // Animate response in
         gsap.fromTo(
@@ -1061,6 +1560,231 @@ export class Translink {
         );
     }
 
+    updateResponseContent(response) {
+        this.response.innerHTML = renderFleetRefs(response.short);
+        this.responseTitle.textContent = response.title || "";
+
+        const visual = this.getResponseVisual(response);
+        if (visual) {
+            this.responseVisual.src = visual;
+        }
+    }
+
+    /**
+     * The small view shows the answer's image, or the avatar its first
+     * action asks for
+     */
+    getResponseVisual(response) {
+        const [action] = getActions(getActionIds(response), this.actionRegistry, "response");
+        if (!action?.visual) return null;
+
+        if (action.visual !== "media") {
+            return `/assets/ai-images/${action.visual}.webp`;
+        }
+
+        const mediaURL = getMediaURL(response);
+        return mediaURL?.endsWith(".webp") ? mediaURL : "/assets/ai-images/avatar1.webp";
+    }
+
+    showResponseCTA(response) {
+        this.actionsWrapper.innerHTML = getActions(getActionIds(response), this.actionRegistry, "response")
+            .map((action) => renderAction(action, "ai-cta-button"))
+            .join("");
+    }
+
+    /**
+     * Clicks on a rendered action, tracked and handed to its handler. Link
+     * actions without handler navigate as usual.
+     */
+    onActionClick(e, response) {
+        const element = e.target.closest("[data-ai='action']");
+        const action = element && this.actionRegistry.get(element.dataset.action);
+        if (!action) return;
+
+        trackAction(action, response);
+
+        if (action.handler) {
+            e.preventDefault();
+            runAction({
+                action,
+                response,
+                translink: this,
+            });
+        }
+    }
+
+    /**
+     * Render a partially streamed answer. The small UI appears as soon as the
+     * (SR) short answer starts arriving, in the modal a placeholder accordion
+     * is filled with the (LR) long answer until the final one is stored.
+     */
+    renderPartialResponse(rawResponse) {
+        const partial = {
+            question: this.question.value,
+            ...parsePartialResponse(rawResponse),
+        };
+
+        if (this.currentState === this.STATES.THINKING) {
+            if (!partial.short) return;
+
+            if (this.hasStreamedResponse) {
+                this.response.innerHTML = renderFleetRefs(partial.short);
+                this.responseTitle.textContent = partial.title || "";
+            } else {
+                this.hasStreamedResponse = true;
+                this.displayResponse({
+                    ...partial,
+                    CTA: null,
+                    media: null
+                });
+            }
+        } else if (this.currentState === this.STATES.MODAL_THINKING) {
+            if (!this.streamingAccordion) {
+                this.streamingAccordion = this.createAccordion(
+                    partial.question,
+                    partial.title || "",
+                    partial.long || ""
+                );
+                this.streamingAccordion.open = true;
+                this.streamingAccordion.classList.add("is-active", "is-streaming");
+                this.accordionWrapper.prepend(this.streamingAccordion);
+                return;
+            }
+
+            const title = partial.title || "";
+            this.streamingAccordion.querySelector(".accordion__title").textContent = title;
+            this.streamingAccordion.querySelector("h4").textContent = title;
+            this.streamingAccordion.querySelector(".response__long").innerHTML =
+                renderMarkdown(partial.long, this.markdownOptions);
+        }
+    }
+
+    /**
+     * Abort the in-flight question. Whatever has streamed so far is discarded
+     * and the prompt goes back to EXPANDED with the question as typed.
+     */
+    cancelQuestion() {
+        if (!this.abortController) return;
+
+        this.abortController.abort();
+        this.abortController = null;
+        this.toggleCancelButton(false);
+
+        this.streamingAccordion?.remove();
+        this.streamingAccordion = null;
+
+        // Drop a partially streamed answer, the question stays as typed
+        if (this.hasStreamedResponse) {
+            this.hasStreamedResponse = false;
+            gsap.killTweensOf(this.responseWrapper);
+            gsap.set(this.responseWrapper, {
+                autoAlpha: 0,
+                display: "none"
+            });
+            html.classList.remove(CLASS.AI_RESPONSE);
+        }
+
+        this.leaveThinking();
+    }
+
+    /**
+     * Back to the prompt from thinking, undoing what the thinking timeline
+     * locked
+     */
+    leaveThinking() {
+        this.tlThinking?.kill();
+        gsap.killTweensOf(this.buttonLabel);
+        this.button.disabled = false;
+        this.buttonInner.style.pointerEvents = "auto";
+
+        this.isAnimating = false;
+        return this.send("CANCEL");
+    }
+
+    /**
+     * Keep a question asked offline in the outbox. It is listed as pending
+     * and sent once the agent can be reached again, the prompt is free for
+     * the next question meanwhile.
+     */
+    async queueQuestion() {
+        try {
+            await this.db.addToOutbox({
+                question: this.question.value,
+                threadId: this.threadId,
+                locale: this.locale,
+            });
+        } catch (error) {
+            console.error("Queueing the question failed:", error);
+            this.transitionToErrorState(error);
+            return;
+        }
+
+        this.history.reset();
+        this.loadAccordionsFromDB();
+
+        this.question.value = "";
+        await this.leaveThinking();
+        gsap.set(this.questionWrapper, {
+            attr: {
+                ["data-after"]: this.t("outbox.queued")
+            },
+        });
+    }
+
+    /**
+     * Send a question from the outbox and store its answer, which takes the
+     * place of the pending accordion. Throws like sendWithRetry() when it
+     * can't be sent.
+     */
+    async sendQueuedQuestion(entry) {
+        const config = getAgentConfig();
+        const context = toContext(await this.db.getThread(entry.threadId));
+
+        const rawResponse = await sendWithRetry(getAdapter(config.adapter), {
+            question: entry.question,
+            threadId: entry.threadId,
+            context,
+            locale: entry.locale,
+            fleet: config.fleetContext ?
+                buildFleetContext(this.getFleetSource(), entry.question, {
+                    maxSize: config.fleetContextSize,
+                }) : null,
+        }, {
+            config,
+        });
+
+        // Nobody is looking at the scene or the prompt for this one
+        const {
+            scene: _scene,
+            followUps: _followUps,
+            ...response
+        } = this.parseResponse(rawResponse, entry);
+        await this.db.completeOutboxEntry(entry.id, response);
+    }
+
+    /**
+     * Whether the agent can be reached, checked before sending queued
+     * questions
+     */
+    probeAgent() {
+        const config = getAgentConfig();
+
+        // The mock agent answers from inside the page
+        if (config.adapter === "mock") {
+            return Promise.resolve(navigator.onLine !== false);
+        }
+
+        return probeConnection(config.endpoint);
+    }
+
+    toggleCancelButton(isVisible) {
+        if (!this.cancelButton) return;
+
+        gsap.set(this.cancelButton, {
+            display: isVisible ? "flex" : "none"
+        });
+    }
+
     resetPrompt() {
         this.form.classList.remove("is--thinking");
         html.classList.remove(CLASS.AI_THINKING);
@@ -1068,85 +1792,102 @@ export class Translink {
         this.question.disabled = false;
     }
 
-    initEventListeners() {
-        this.CTAs.CTA_4.addEventListener("click", async (e) => {
-            //open modal
-            this.Modal.open();
+    /**
+     * Move the prompt into the modal, where the answer continues as an
+     * accordion
+     */
+    async openModalFromResponse() {
+        //open modal
+        this.Modal.open();
 
-            // Hide response first
-            await gsap.to(this.responseWrapper, {
-                autoAlpha: 0,
-                scale: 1.2,
-                filter: "blur(1rem)",
-                duration: 0.3,
-            });
-            this.responseWrapper.style.display = "none";
+        // Hide response first
+        await gsap.to(this.responseWrapper, {
+            autoAlpha: 0,
+            scale: 1.2,
+            filter: "blur(1rem)",
+            duration: 0.3,
+        });
+        this.responseWrapper.style.display = "none";
 
-            // Reset state
-            this.currentState = this.STATES.RESPONSE;
-            gsap.set(this.questionWrapper, {
-                clearProps: "all"
-            });
-            html.classList.remove(CLASS.AI_RESPONSE);
-            this.question.value = "";
-            gsap.set(Object.values(this.CTAs), {
-                display: "none"
-            });
+        // Reset state
+        this.machine.send("HIDE_ANSWER");
+        gsap.set(this.questionWrapper, {
+            clearProps: "all"
+        });
+        html.classList.remove(CLASS.AI_RESPONSE);
+        this.question.value = "";
+        this.actionsWrapper.innerHTML = "";
 
-            // Get containers and positions
-            const modalContainer = document.querySelector(".modal__Translink-w"); // need to replace with [data-ai='w']?
-            const originalBounds = this.form.getBoundingClientRect();
+        // Get containers and positions
+        const modalContainer = document.querySelector(".modal__Translink-w"); // need to replace with [data-ai='w']?
+        const originalBounds = this.form.getBoundingClientRect();
 
-            await gsap.to(this.form, {
-                y: 40,
-                opacity: 0,
-                duration: 0.3,
-                ease: easePrimary,
-            });
+        await gsap.to(this.form, {
+            y: 40,
+            opacity: 0,
+            duration: 0.3,
+            ease: easePrimary,
+        });
 
-            const flipState = Flip.getState(this.form, {
-                props: "width,height,borderRadius,opacity",
-                simple: true,
-            });
+        const flipState = Flip.getState(this.form, {
+            props: "width,height,borderRadius,opacity",
+            simple: true,
+        });
 
-            modalContainer.appendChild(this.form);
+        modalContainer.appendChild(this.form);
 
-            const finalPosition = this.form.getBoundingClientRect();
-            const slideUpDistance = window.innerHeight - finalPosition.top + 40;
+        const finalPosition = this.form.getBoundingClientRect();
+        const slideUpDistance = window.innerHeight - finalPosition.top + 40;
 
-            gsap.set(this.form, {
-                y: slideUpDistance,
-                opacity: 0,
-            });
+        gsap.set(this.form, {
+            y: slideUpDistance,
+            opacity: 0,
+        });
 
-            Flip.from(flipState, {
-                duration: 0.3,
-                ease: easePrimary,
-                scale: true,
-                onStart: () => {
-                    this.transitionToState(this.STATES.MODAL_INITIAL);
-                    // this.transitionToState(this.STATES.INITIAL);
-                },
-                onComplete: () => {
-                    gsap.to(this.form, {
-                        y: 0,
-                        opacity: 1,
-                        duration: 0.3,
-                        ease: easePrimary,
-                    });
-                },
-            });
+        Flip.from(flipState, {
+            duration: 0.3,
+            ease: easePrimary,
+            scale: true,
+            onStart: () => {
+                this.send("OPEN_MODAL");
+                // this.transitionToState(this.STATES.INITIAL);
+            },
+            onComplete: () => {
+                gsap.to(this.form, {
+                    y: 0,
+                    opacity: 1,
+                    duration: 0.3,
+                    ease: easePrimary,
+                });
+            },
         });
+    }
+
+    initEventListeners() {
+        this.actionsWrapper.addEventListener("click", (e) =>
+            this.onActionClick(e, this.currentResponse));
+        // Vehicle chips in answers, small view and accordions
+        this.response.addEventListener("click", this.onFleetRefClick);
+        this.accordionWrapper.addEventListener("click", this.onFleetRefClick);
 
         this.closeQuestion.addEventListener("click", (e) => {
             e.stopPropagation();
 
+            // Stop any answer still streaming in
+            this.abortController?.abort();
+            this.abortController = null;
+            this.toggleCancelButton(false);
+            this.streamingAccordion?.remove();
+            this.streamingAccordion = null;
+            this.voice.abort();
+            this.gl.audio.stopSpeaking();
+
             // close modal
             if (html.classList.contains(CLASS.MODAL_OPEN)) {
                 this.Modal.close();
             }
 
-            this.transitionToState(this.STATES.INITIAL);
+            this.send("CLOSE");
 
             // Hide response
             // this.hideResponse();
@@ -1184,31 +1925,63 @@ export class Translink {
             // });
         });
 
+        this.cancelButton?.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.cancelQuestion();
+        });
+
+        this.newThreadButton?.addEventListener("click", (e) => {
+            e.preventDefault();
+            this.startNewThread();
+        });
+
+        this.localeSelect?.addEventListener("change", this.onLocaleChange);
+
         this.buttonInner.addEventListener("click", (e) => {
             // e.stopPropagation();
             this.toggleState();
         });
 
-        window.addEventListener("keydown", (e) => {
+        this.keydownBind = (e) => {
             // ESC handler
-            if (
-                e.key === "Escape" &&
-                this.currentState === this.STATES.EXPANDED &&
-                !this.isAnimating
-            ) {
-                this.transitionToState(this.STATES.INITIAL);
+            if (e.key === "Escape") {
+                this.send("LEAVE");
+            }
+
+            // ESC while an answer is still on its way cancels it
+            if (e.key === "Escape" && this.abortController) {
+                this.cancelQuestion();
             }
 
             // Enter key handler (only in expanded state)
-            if (
-                e.key === "Enter" &&
-                (this.currentState === this.STATES.EXPANDED ||
-                    this.currentState === this.STATES.MODAL_EXPANDED) &&
-                !this.isAnimating
-            ) {
+            if (e.key === "Enter" && this.machine.can("SUBMIT")) {
                 this.handleEnterKey(e);
             }
-        });
+        };
+        window.addEventListener("keydown", this.keydownBind);
+    }
+
+    /**
+     * Ask a suggested or follow-up question. From the answer view the
+     * prompt opens first, like the button does.
+     */
+    async askSuggestion(text, e) {
+        if (this.isSubmitting || this.abortController) {
+            return;
+        }
+
+        if (this.currentState === this.STATES.THINKING) {
+            // The answer fades out first, it clears the prompt when done
+            if (this.responseWrapper.style.display === "flex") {
+                await this.hideResponse();
+            }
+            await this.send("OPEN");
+        } else if (this.currentState === this.STATES.MODAL_INITIAL) {
+            await this.send("OPEN");
+        }
+
+        this.question.value = text;
+        this.handleEnterKey(e);
     }
 
     handleEnterKey(e) {
@@ -1224,7 +1997,7 @@ export class Translink {
     }
 
     hideResponse() {
-        gsap.to(this.responseWrapper, {
+        return gsap.to(this.responseWrapper, {
             autoAlpha: 0,
             scale: 1.2,
             filter: "blur(1rem)",
@@ -1238,11 +2011,9 @@ export class Translink {
                 this.question.value = "";
 
                 // Hide any visible CTAs
-                gsap.set(Object.values(this.CTAs), {
-                    display: "none"
-                });
+                this.actionsWrapper.innerHTML = "";
 
-                this.currentState = this.STATES.RESPONSE;
+                this.machine.send("HIDE_ANSWER");
                 // this.transitionToState(this.STATES.EXPANDED);
 
                 this.button.disabled = false;
@@ -1270,12 +2041,8 @@ export class Translink {
     }
 
     outsideClickBind = (e) => {
-        if (
-            this.currentState === this.STATES.EXPANDED &&
-            !this.form.contains(e.target) &&
-            !this.isAnimating
-        ) {
-            this.transitionToState(this.STATES.INITIAL);
+        if (!this.form.contains(e.target)) {
+            this.send("LEAVE");
         }
     };
 
@@ -1283,9 +2050,16 @@ export class Translink {
         if (this.isSubmitting) return;
         this.isSubmitting = true;
 
+        // Sending ends listening, and the previous answer being read out
+        this.voice.abort();
+        this.gl.audio.stopSpeaking();
+        this.sceneQueue.clear();
+        this.suggestions.close();
+        this.suggestions.setFollowUps([]);
+
         try {
             if (this.currentState === this.STATES.EXPANDED) {
-                await this.transitionToState(this.STATES.THINKING);
+                await this.send("SUBMIT");
             } else if (this.currentState === this.STATES.MODAL_EXPANDED) {
                 // Close any open accordion
                 if (this.accordions.length > 0) {
@@ -1295,27 +2069,64 @@ export class Translink {
                         }
                     });
                 }
-                await this.transitionToState(this.STATES.MODAL_THINKING);
+                await this.send("SUBMIT");
             }
 
-            const response = await fetch(url(), {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                    Accept: "application/json",
-                },
-                body: JSON.stringify({
-                    question: this.question.value
-                }),
+            // Offline, the question waits in the outbox
+            if (navigator.onLine === false) {
+                await this.queueQuestion();
+                return;
+            }
+
+            this.abortController = new AbortController();
+            this.toggleCancelButton(true);
+            this.hasStreamedResponse = false;
+            this.streamingAccordion = null;
+
+            const context = toContext(await this.db.getThread(this.threadId));
+            const config = getAgentConfig();
+
+            const rawResponse = await sendWithRetry(getAdapter(config.adapter), {
+                question: this.question.value,
+                threadId: this.threadId,
+                context,
+                locale: this.locale,
+                fleet: config.fleetContext ?
+                    buildFleetContext(this.getFleetSource(), this.question.value, {
+                        maxSize: config.fleetContextSize,
+                    }) : null,
+            }, {
+                config,
+                signal: this.abortController.signal,
+                onText: (text) => this.renderPartialResponse(text),
+            }, (retry) => {
+                gsap.to(this.buttonLabel, {
+                    text: this.t("status.retrying", {
+                        retry,
+                        attempts: config.retry.attempts
+                    }),
+                    duration: 0.3,
+                });
             });
+            this.abortController = null;
+            this.toggleCancelButton(false);
+            await this.finishResponse(rawResponse);
+        } catch (error) {
+            // Cancelled by the user, cancelQuestion() already reset the UI
+            if (error.name === "AbortError") return;
 
-            if (!response.ok) throw new Error("API error");
-            const data = await response.json();
+            this.abortController = null;
+            this.toggleCancelButton(false);
+
+            // The request could not be made, keep the question for later.
+            // Anything else, like a bug rendering the answer, is an error
+            if (isNetworkError(error) && !this.hasStreamedResponse) {
+                await this.queueQuestion();
+                return;
+            }
 
-            this.handleResponse(data);
-        } catch (error) {
             // Transition to error state
-            this.transitionToErrorState();
+            this.transitionToErrorState(error);
             console.error("Submission failed:", error);
         } finally {
             this.isSubmitting = false;
@@ -1336,18 +2147,35 @@ export class Translink {
     destroy() {
         // console.log('Destroying Translink...');
 
-        this.tlExpand ? .kill();
-        this.tlCollapse ? .kill();
-        this.tlThinking ? .kill();
-        this.tlResponse ? .kill();
+        this.abortController?.abort();
+
+        this.tlExpand?.kill();
+        this.tlCollapse?.kill();
+        this.tlThinking?.kill();
+        this.tlResponse?.kill();
 
-        this.buttonInner ? .removeEventListener("click", this.toggleState);
-        window.removeEventListener("keydown", this.handleEnterKey);
+        this.buttonInner?.removeEventListener("click", this.toggleState);
+        window.removeEventListener("keydown", this.keydownBind);
         document.removeEventListener("click", this.outsideClickBind);
-        this.closeQuestion ? .removeEventListener("click", this.hideResponse);
+        this.closeQuestion?.removeEventListener("click", this.hideResponse);
+        this.response?.removeEventListener("click", this.onFleetRefClick);
+        this.accordionWrapper?.removeEventListener("click", this.onFleetRefClick);
+        this.localeSelect?.removeEventListener("change", this.onLocaleChange);
 
-        this.accordions ? .forEach((acc) => acc ? .destroy ? .());
+        this.unsubscribeSync?.();
+        this.accordions?.forEach((acc) => acc?.destroy?.());
         this.accordions = [];
+        this.renderedAccordions?.clear();
+        this.history?.destroy();
+        this.responseFeedback?.destroy();
+        this.accordionFeedback?.forEach((feedback) => feedback.destroy());
+        this.accordionFeedback?.clear();
+        this.feedbackQueue?.destroy();
+        this.outbox?.destroy();
+        this.voice?.destroy();
+        this.suggestions?.destroy();
+        this.gl?.audio?.stopSpeaking();
+        this.sceneQueue?.clear();
 
         html.classList.remove(
             "has-ai-open",
@@ -1357,7 +2185,7 @@ export class Translink {
             "has-modal-open"
         );
 
-        this.Modal ? .destroy ? .();
+        this.Modal?.destroy?.();
         Translink.instance = null;
     }
 }
\ No newline at end of file
@@ -1,77 +1,566 @@
-﻿export class TranslinkDB {
-    constructor(maxRecords = 10) {
-        this.dbName = 'TranslinkResponses';
+﻿import {
+    matchesFilters,
+    matchesQuery,
+    sortHistory
+} from './ai/utils/history';
+import {
+    getAnswerKey
+} from './ai/utils/export';
+import {
+    createSyncChannel
+} from './ai/sync';
+import {
+    MIGRATIONS,
+    runMigrations
+} from './TranslinkMigrations';
+
+/**
+ * Delete the oldest answers over the limit, in the transaction of
+ * `store`. Other writes to the store wait for it, in every tab, so tabs
+ * never trim from a stale list.
+ * @param {IDBObjectStore} store
+ * @param {number} maxRecords
+ * @param {number[]} deleted - Collects the ids of the deleted answers
+ */
+const trimRecords = (store, maxRecords, deleted) => {
+    const request = store.getAll();
+
+    request.onsuccess = () => {
+        // Pinned and imported answers neither count towards the limit nor
+        // get removed, the visitor chose to keep them
+        const unpinned = request.result.filter(record => !record.pinned && !record.imported);
+        if (unpinned.length <= maxRecords) {
+            return;
+        }
+
+        unpinned
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(0, unpinned.length - maxRecords)
+            .forEach((record) => {
+                store.delete(record.id);
+                deleted.push(record.id);
+            });
+    };
+};
+
+export class TranslinkDB {
+    constructor(maxRecords = 10, {
+        dbName = 'TranslinkResponses',
+        migrations = MIGRATIONS
+    } = {}) {
+        this.dbName = dbName;
         this.storeName = 'conversations';
+        this.outboxName = 'outbox';
         this.maxRecords = maxRecords;
+        this.migrations = migrations;
+        this.version = Math.max(...Object.keys(migrations).map(Number));
         this.db = null;
+        this.opening = null;
+        // Other tabs hear about every write
+        this.sync = createSyncChannel(`${dbName}:sync`);
+    }
+
+    /**
+     * Listen to writes from other tabs, see `./ai/sync.ts`
+     * @param {import('./ai/sync').SyncListener} listener
+     * @returns {() => void} Stops listening
+     */
+    subscribe(listener) {
+        return this.sync.subscribe(listener);
+    }
+
+    notify(store, ids) {
+        this.sync.post({ store, ids });
     }
 
     initializeDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, 1);
+        // Callers racing on startup share one connection
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const store = db.createObjectStore(this.storeName, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    store.createIndex('byQuestion', 'question', {
-                        unique: false
-                    });
-                }
+                const { transaction } = event.target;
+                const upgrade = runMigrations({
+                    db: event.target.result,
+                    transaction,
+                    oldVersion: event.oldVersion,
+                    newVersion: event.newVersion
+                }, this.migrations);
+
+                // Don't commit a half migrated database
+                Promise.resolve(upgrade).catch((error) => {
+                    console.error('[TranslinkDB] Migration failed:', error);
+                    transaction.abort();
+                });
+            };
+
+            request.onblocked = () => {
+                console.warn('[TranslinkDB] Upgrade waiting for other tabs to close the database');
             };
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+
+                // Let a newer version in another tab upgrade
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.opening = null;
+                };
+
                 resolve(this.db);
             };
 
             request.onerror = (event) => {
+                this.opening = null;
                 reject('IndexedDB error: ' + event.target.error);
             };
         });
+
+        return this.opening;
     }
 
     async saveResponse(responseData) {
         if (!this.db) await this.initializeDB();
 
-        return new Promise((resolve, reject) => {
+        const deleted = [];
+        const id = await new Promise((resolve, reject) => {
             const transaction = this.db.transaction(this.storeName, 'readwrite');
             const store = transaction.objectStore(this.storeName);
 
             responseData.timestamp = responseData.timestamp || new Date().toISOString();
 
             const addRequest = store.add(responseData);
+            // Trimmed in the same transaction, see trimRecords()
+            trimRecords(store, this.maxRecords, deleted);
+
+            transaction.oncomplete = () => resolve(addRequest.result);
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+        this.notify(this.storeName, [id, ...deleted]);
+
+        return id;
+    }
 
-            addRequest.onsuccess = () => {
-                this.enforceRecordLimit();
+    /**
+     * Delete the oldest unpinned answers over the limit
+     * @returns {Promise<number[]>} The ids of the deleted answers
+     */
+    async enforceRecordLimit() {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        const deleted = [];
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            trimRecords(transaction.objectStore(this.storeName), this.maxRecords, deleted);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+        if (deleted.length) {
+            this.notify(this.storeName, deleted);
+        }
+
+        return deleted;
+    }
+
+    async updateResponse(responseData) {
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const putRequest = store.put(responseData);
+
+            putRequest.onsuccess = () => {
+                this.notify(this.storeName, [putRequest.result]);
+                resolve(responseData);
+            };
+            putRequest.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async countResponses() {
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).count();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async getResponse(id) {
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async deleteResponse(id) {
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            const request = transaction.objectStore(this.storeName).delete(id);
+
+            request.onsuccess = () => {
+                this.notify(this.storeName, [id]);
                 resolve();
             };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    async setPinned(id, isPinned) {
+        const record = await this.getResponse(id);
+        if (!record) return null;
+
+        record.pinned = isPinned;
+        await this.updateResponse(record);
+
+        // Unpinning can push the history back over the limit
+        if (!isPinned) await this.enforceRecordLimit();
 
-            addRequest.onerror = (event) => reject(event.target.error);
+        return record;
+    }
+
+    /**
+     * Rate an answer. The rating is pending until the feedback queue has
+     * sent it, changing it makes it pending again.
+     * @param {number} id
+     * @param {{ rating: 'up' | 'down', comment?: string }} feedback
+     * @returns The stored feedback, or null if the answer is gone
+     */
+    async setFeedback(id, { rating, comment = '' }) {
+        const record = await this.getResponse(id);
+        if (!record) return null;
+
+        record.feedback = {
+            rating,
+            comment: comment.trim(),
+            updatedAt: new Date().toISOString(),
+            status: 'pending'
+        };
+        await this.updateResponse(record);
+
+        return record.feedback;
+    }
+
+    async getPendingFeedback() {
+        const records = await this.getAllResponses();
+        return records.filter(record => record.feedback?.status === 'pending');
+    }
+
+    /**
+     * Record the outcome of sending feedback. Skipped when the visitor
+     * changed the rating while it was being sent, the newer one goes next.
+     */
+    async setFeedbackStatus(id, updatedAt, status) {
+        const record = await this.getResponse(id);
+        if (record?.feedback?.updatedAt !== updatedAt) return null;
+
+        record.feedback.status = status;
+        return this.updateResponse(record);
+    }
+
+    /**
+     * Answers to exactly this question, through the byQuestion index
+     */
+    async getResponsesByQuestion(question) {
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index('byQuestion');
+            const request = index.getAll(question);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
         });
     }
 
-    async enforceRecordLimit() {
-        const allRecords = await this.getAllResponses();
-        if (allRecords.length <= this.maxRecords) return;
+    /**
+     * Answers whose question starts with `prefix`, through the byQuestion
+     * index. Like the index itself, this is case-sensitive.
+     */
+    async getResponsesByQuestionPrefix(prefix) {
+        if (!prefix) return [];
+        if (!this.db) await this.initializeDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index('byQuestion');
+            const request = index.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Filtered history, pinned answers first, then newest first. Questions
+     * starting with the search text are looked up through the byQuestion
+     * index and listed ahead of the other matches.
+     * @param {import('./ai/utils/history').HistoryFilters} filters
+     */
+    async searchResponses(filters = {}) {
+        const query = filters.query?.trim() || '';
+        const [allRecords, prefixMatches] = await Promise.all([
+            this.getAllResponses(),
+            this.getResponsesByQuestionPrefix(query)
+        ]);
+
+        const prefixIds = new Set(prefixMatches.map(record => record.id));
+        const otherFilters = { ...filters, query: '' };
+        const matches = sortHistory(allRecords.filter(record =>
+            matchesFilters(record, otherFilters) &&
+            (prefixIds.has(record.id) || matchesQuery(record, query))));
+
+        return [
+            ...matches.filter(record => prefixIds.has(record.id)),
+            ...matches.filter(record => !prefixIds.has(record.id))
+        ];
+    }
+
+    /**
+     * Add answers from a JSON export. Answers already stored, same question
+     * asked at the same time, are skipped; the others are kept however many
+     * there are.
+     * @returns {Promise<{ added: number, skipped: number }>}
+     */
+    async importResponses(responses) {
+        const known = new Set((await this.getAllResponses()).map(getAnswerKey));
+        const fresh = responses.filter((response) => {
+            const key = getAnswerKey(response);
+            if (known.has(key)) return false;
+
+            known.add(key);
+            return true;
+        });
+
+        if (fresh.length) {
+            const ids = await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(this.storeName, 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                // Kept over the limit, like pinned answers
+                const added = fresh.map(response => store.add({ ...response, imported: true }));
+
+                transaction.oncomplete = () => resolve(added.map(request => request.result));
+                transaction.onerror = (event) => reject(event.target.error);
+            });
+            this.notify(this.storeName, ids);
+        }
+
+        return {
+            added: fresh.length,
+            skipped: responses.length - fresh.length
+        };
+    }
+
+    async getThread(threadId) {
+        if (!threadId) return [];
+        if (!this.db) await this.initializeDB();
+
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readonly');
+            const index = transaction.objectStore(this.storeName).index('byThread');
+            const request = index.getAll(threadId);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+
+        return records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Queue a question asked offline
+     * @param {{ question: string, threadId: string, locale: string }} entry
+     * @returns {Promise<number>} The outbox id
+     */
+    async addToOutbox(entry) {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.outboxName, 'readwrite');
+            const request = transaction.objectStore(this.outboxName).add({
+                ...entry,
+                createdAt: new Date().toISOString(),
+                claimedBy: null,
+                claimedUntil: 0
+            });
+
+            request.onsuccess = () => {
+                this.notify(this.outboxName, [request.result]);
+                resolve(request.result);
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
 
-        const sorted = allRecords.sort((a, b) =>
-            new Date(a.timestamp) - new Date(b.timestamp));
+    /**
+     * Queued questions, oldest first
+     */
+    async getOutbox() {
+        if (!this.db) {
+            await this.initializeDB();
+        }
 
-        const deleteCount = allRecords.length - this.maxRecords;
-        const recordsToDelete = sorted.slice(0, deleteCount);
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.outboxName, 'readonly');
+            const request = transaction.objectStore(this.outboxName).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Claim a queued question for sending. Read and write share one
+     * transaction, which IndexedDB never runs alongside another one on the
+     * outbox, not even from another tab, so only one claim can win.
+     * @param {number} id
+     * @param {string} owner - The claiming queue
+     * @param {number} lease - How long the claim holds, in ms
+     * @returns The claimed entry, or null when it is gone or claimed elsewhere
+     */
+    async claimOutboxEntry(id, owner, lease) {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.outboxName, 'readwrite');
+            const store = transaction.objectStore(this.outboxName);
+            const request = store.get(id);
+            let claimed = null;
+
+            request.onsuccess = () => {
+                const entry = request.result;
+                const now = Date.now();
+                if (!entry || (entry.claimedBy !== owner && entry.claimedUntil > now)) {
+                    return;
+                }
+
+                claimed = {
+                    ...entry,
+                    claimedBy: owner,
+                    claimedUntil: now + lease
+                };
+                store.put(claimed);
+            };
+
+            transaction.oncomplete = () => {
+                if (claimed) {
+                    this.notify(this.outboxName, [id]);
+                }
+                resolve(claimed);
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Give up a claim, e.g. when still offline
+     * @param {number} id
+     * @param {string} owner - The queue holding the claim
+     * @param {string} [error] - Why the backend refused the question, it isn't sent again
+     */
+    async releaseOutboxEntry(id, owner, error) {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.outboxName, 'readwrite');
+            const store = transaction.objectStore(this.outboxName);
+            const request = store.get(id);
 
-        const transaction = this.db.transaction(this.storeName, 'readwrite');
-        const store = transaction.objectStore(this.storeName);
+            request.onsuccess = () => {
+                const entry = request.result;
+                if (entry?.claimedBy !== owner) {
+                    return;
+                }
+
+                store.put({
+                    ...entry,
+                    claimedBy: null,
+                    claimedUntil: 0,
+                    ...(error ? { error } : {})
+                });
+            };
 
-        recordsToDelete.forEach(record => {
-            store.delete(record.id);
+            transaction.oncomplete = () => {
+                this.notify(this.outboxName, [id]);
+                resolve();
+            };
+            transaction.onerror = (event) => reject(event.target.error);
         });
     }
 
+    async deleteFromOutbox(id) {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.outboxName, 'readwrite');
+            const request = transaction.objectStore(this.outboxName).delete(id);
+
+            request.onsuccess = () => {
+                this.notify(this.outboxName, [id]);
+                resolve();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    /**
+     * Store the answer to a queued question and take the question out of
+     * the outbox, both or neither
+     * @param {number} id - The outbox id
+     * @param {object} responseData - The answer record
+     * @returns {Promise<number>} The id of the stored answer
+     */
+    async completeOutboxEntry(id, responseData) {
+        if (!this.db) {
+            await this.initializeDB();
+        }
+
+        const deleted = [];
+        const responseId = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.outboxName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.add({
+                ...responseData,
+                timestamp: responseData.timestamp || new Date().toISOString()
+            });
+            trimRecords(store, this.maxRecords, deleted);
+            transaction.objectStore(this.outboxName).delete(id);
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+        this.notify(this.outboxName, [id]);
+        this.notify(this.storeName, [responseId, ...deleted]);
+
+        return responseId;
+    }
+
     async getAllResponses() {
         if (!this.db) await this.initializeDB();
 
@@ -0,0 +1,150 @@
+/**
+ * Thumbs up/down and an optional comment for one answer. Used in the
+ * response view and in every conversation accordion, Translink stores and
+ * sends whatever `onRate` reports.
+ */
+export class TranslinkFeedback {
+    /**
+     * Markup for answers rendered from JS, the response view has the same
+     * in index.html
+     */
+    static markup = `
+      <div class="feedback" data-ai="feedback" hidden>
+        <span class="feedback__label">Was this helpful?</span>
+        <button type="button" class="feedback__rate" data-ai="rate" data-rating="up" aria-pressed="false" aria-label="Helpful">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="none" aria-hidden="true">
+            <path d="M14 9V5a3 3 0 0 0-3-3l-4 9v11h11.28a2 2 0 0 0 2-1.7l1.38-9a2 2 0 0 0-2-2.3zM7 22H4a2 2 0 0 1-2-2v-7a2 2 0 0 1 2-2h3"
+                  stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"></path>
+          </svg>
+        </button>
+        <button type="button" class="feedback__rate" data-ai="rate" data-rating="down" aria-pressed="false" aria-label="Not helpful">
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="none" aria-hidden="true">
+            <path d="M10 15v4a3 3 0 0 0 3 3l4-9V2H5.72a2 2 0 0 0-2 1.7l-1.38 9a2 2 0 0 0 2 2.3zm7-13h2.67A2.31 2.31 0 0 1 22 4v7a2.31 2.31 0 0 1-2.33 2H17"
+                  stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"></path>
+          </svg>
+        </button>
+        <form class="feedback__comment" data-ai="feedbackComment" hidden>
+          <input type="text" class="feedback__input" data-ai="feedbackCommentInput" maxlength="500" placeholder="Tell us more (optional)" aria-label="Feedback comment">
+          <button type="submit" class="feedback__send">Send</button>
+        </form>
+        <span class="feedback__status" data-ai="feedbackStatus" aria-live="polite"></span>
+      </div>`;
+
+    constructor(element, {
+        onRate = () => {}
+    } = {}) {
+        this.element = element;
+        this.onRate = onRate;
+        this.rating = null;
+
+        if (!this.element) {
+            return;
+        }
+
+        const qs = (s) => this.element.querySelector(`[data-ai='${s}']`);
+
+        this.$rates = [...this.element.querySelectorAll("[data-ai='rate']")];
+        this.$comment = qs("feedbackComment");
+        this.$commentInput = qs("feedbackCommentInput");
+        this.$status = qs("feedbackStatus");
+
+        this.onRateBind = (e) => this.rate(e.currentTarget.dataset.rating);
+        this.onSubmitBind = this.onSubmit.bind(this);
+        // Enter belongs to the comment here, not to the question prompt
+        this.onKeydownBind = (e) => {
+            if (e.key === "Enter") {
+                e.stopPropagation();
+            }
+        };
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.$rates.forEach((el) => el.addEventListener("click", this.onRateBind));
+        this.$comment?.addEventListener("submit", this.onSubmitBind);
+        this.$commentInput?.addEventListener("keydown", this.onKeydownBind);
+    }
+
+    unbindEvents() {
+        this.$rates.forEach((el) => el.removeEventListener("click", this.onRateBind));
+        this.$comment?.removeEventListener("submit", this.onSubmitBind);
+        this.$commentInput?.removeEventListener("keydown", this.onKeydownBind);
+    }
+
+    rate(rating) {
+        if (rating === this.rating) {
+            return;
+        }
+
+        const feedback = {
+            rating,
+            comment: this.$commentInput?.value || ""
+        };
+        this.setFeedback(feedback);
+        this.onRate(feedback);
+        this.setStatus("Thanks for your feedback");
+        this.$commentInput?.focus();
+    }
+
+    onSubmit(e) {
+        e.preventDefault();
+        if (!this.rating) {
+            return;
+        }
+
+        this.onRate({
+            rating: this.rating,
+            comment: this.$commentInput.value
+        });
+        this.$comment.hidden = true;
+        this.setStatus("Thanks, comment sent");
+    }
+
+    /**
+     * Show the controls, reflecting a stored rating
+     * @param {{ rating: 'up' | 'down', comment: string } | null} feedback
+     */
+    setFeedback(feedback) {
+        if (!this.element) {
+            return;
+        }
+
+        this.rating = feedback?.rating || null;
+        this.element.hidden = false;
+        this.$rates.forEach((el) => {
+            el.setAttribute("aria-pressed", el.dataset.rating === this.rating);
+        });
+        if (this.$commentInput) {
+            this.$commentInput.value = feedback?.comment || "";
+        }
+        if (this.$comment) {
+            this.$comment.hidden = !this.rating;
+        }
+    }
+
+    /**
+     * Hide the controls, e.g. while an answer is still streaming in
+     */
+    hide() {
+        if (!this.element) {
+            return;
+        }
+
+        this.element.hidden = true;
+        this.rating = null;
+        this.setStatus("");
+    }
+
+    setStatus(message) {
+        if (this.$status) {
+            this.$status.textContent = message;
+        }
+    }
+
+    destroy() {
+        if (this.element) {
+            this.unbindEvents();
+        }
+    }
+}
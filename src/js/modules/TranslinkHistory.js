@@ -0,0 +1,154 @@
+import {
+    DEFAULT_LOCALE,
+    MESSAGES,
+    createTranslator
+} from "./ai/i18n";
+import {
+    getRangeStart
+} from "./ai/utils/history";
+
+const SEARCH_DELAY = 150;
+
+/**
+ * Search, filter, export and import controls above the conversation
+ * accordions in the modal. Reports every filter change through `onChange`,
+ * Translink then reloads the accordions with `filters`.
+ */
+export class TranslinkHistory {
+    constructor(element, {
+        onChange = () => {},
+        onExport = () => {},
+        onImport = () => {},
+        t = createTranslator(DEFAULT_LOCALE, MESSAGES)
+    } = {}) {
+        this.element = element;
+        this.onChange = onChange;
+        this.onExport = onExport;
+        this.onImport = onImport;
+        this.t = t;
+        this.searchTimeout = null;
+
+        if (!this.element) {
+            return;
+        }
+
+        const qs = (s) => this.element.querySelector(`[data-ai='${s}']`);
+
+        this.$search = qs("historySearch");
+        this.$date = qs("historyDate");
+        this.$CTA = qs("historyCTA");
+        this.$pinned = qs("historyPinned");
+        this.$count = qs("historyCount");
+        this.$status = qs("historyStatus");
+        this.$import = qs("historyImport");
+        this.$exports = [...this.element.querySelectorAll("[data-ai='historyExport']")];
+
+        this.onInputBind = this.onInput.bind(this);
+        this.onFilterBind = () => this.onChange(this.filters);
+        this.onExportBind = (e) => this.onExport(e.currentTarget.dataset.format);
+        this.onImportBind = this.onImportChange.bind(this);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.$search?.addEventListener("input", this.onInputBind);
+        [this.$date, this.$CTA, this.$pinned].forEach((el) =>
+            el?.addEventListener("change", this.onFilterBind));
+        this.$exports.forEach((el) => el.addEventListener("click", this.onExportBind));
+        this.$import?.addEventListener("change", this.onImportBind);
+    }
+
+    unbindEvents() {
+        this.$search?.removeEventListener("input", this.onInputBind);
+        [this.$date, this.$CTA, this.$pinned].forEach((el) =>
+            el?.removeEventListener("change", this.onFilterBind));
+        this.$exports.forEach((el) => el.removeEventListener("click", this.onExportBind));
+        this.$import?.removeEventListener("change", this.onImportBind);
+    }
+
+    onImportChange() {
+        const [file] = this.$import.files;
+        if (file) {
+            this.onImport(file);
+        }
+
+        // Allow picking the same file again
+        this.$import.value = "";
+    }
+
+    onInput() {
+        // Wait for a pause in typing before searching
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.onChange(this.filters), SEARCH_DELAY);
+    }
+
+    get filters() {
+        if (!this.element) {
+            return {};
+        }
+
+        return {
+            query: this.$search?.value.trim() || "",
+            from: getRangeStart(this.$date?.value || ""),
+            CTA: this.$CTA?.value || null,
+            pinnedOnly: Boolean(this.$pinned?.checked),
+        };
+    }
+
+    /**
+     * Clear all filters without reporting a change
+     */
+    reset() {
+        if (!this.element) {
+            return;
+        }
+
+        clearTimeout(this.searchTimeout);
+        [this.$search, this.$date, this.$CTA].forEach((el) => {
+            if (el) {
+                el.value = "";
+            }
+        });
+        if (this.$pinned) {
+            this.$pinned.checked = false;
+        }
+    }
+
+    /**
+     * Offer every registered action in the action filter
+     * @param {import('./ai/actions').ActionDefinition[]} actions
+     */
+    setActions(actions) {
+        if (!this.$CTA) {
+            return;
+        }
+
+        // Keep "All actions"
+        [...this.$CTA.options].slice(1).forEach((option) => option.remove());
+        actions.forEach(({ id, label }) => this.$CTA.add(new Option(label, id)));
+    }
+
+    setCount(shown, total) {
+        if (!this.$count) {
+            return;
+        }
+
+        this.$count.textContent = shown === total ?
+            this.t("history.count", { count: total }) :
+            this.t("history.filtered", { shown, total });
+    }
+
+    setStatus(message) {
+        if (this.$status) {
+            this.$status.textContent = message;
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.searchTimeout);
+        if (this.element) {
+            this.unbindEvents();
+        }
+    }
+}
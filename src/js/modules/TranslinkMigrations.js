@@ -0,0 +1,130 @@
+/**
+ * Upgrade steps for the TranslinkResponses database, keyed by the version
+ * they upgrade to. Steps run in order inside the versionchange transaction,
+ * from the version a visitor has stored up to the highest key here, the
+ * version TranslinkDB opens the database with. A step that rewrites records
+ * returns the eachRecord() promise, the next step waits for it.
+ *
+ * Never change a step that has shipped, add the next version instead.
+ */
+export const MIGRATIONS = {
+    // Initial schema
+    1: ({ db }) => {
+        if (db.objectStoreNames.contains('conversations')) {
+            return;
+        }
+
+        const store = db.createObjectStore('conversations', {
+            keyPath: 'id',
+            autoIncrement: true
+        });
+        store.createIndex('byQuestion', 'question', {
+            unique: false
+        });
+    },
+
+    // Threads, structured answers and pinning
+    2: ({ transaction }) => {
+        const store = transaction.objectStore('conversations');
+
+        if (!store.indexNames.contains('byThread')) {
+            store.createIndex('byThread', 'threadId', {
+                unique: false
+            });
+        }
+
+        return eachRecord(store, (record) => ({
+            ...record,
+            version: record.version ?? 0,
+            mediaType: record.mediaType ?? inferMediaType(record.media),
+            actions: record.actions ?? (record.CTA ? [record.CTA] : []),
+            pinned: record.pinned ?? false
+        }));
+    },
+
+    // Answer ratings
+    3: ({ transaction }) => {
+        return eachRecord(transaction.objectStore('conversations'), (record) => ({
+            ...record,
+            feedback: record.feedback ?? null
+        }));
+    },
+
+    // Answers tagged with their locale, unknown for those asked before
+    4: ({ transaction }) => {
+        return eachRecord(transaction.objectStore('conversations'), (record) => ({
+            ...record,
+            locale: record.locale ?? null
+        }));
+    },
+
+    // Questions asked offline, waiting to be sent
+    5: ({ db }) => {
+        if (db.objectStoreNames.contains('outbox')) {
+            return;
+        }
+
+        db.createObjectStore('outbox', {
+            keyPath: 'id',
+            autoIncrement: true
+        });
+    }
+};
+
+/**
+ * Legacy records only carry the media id, its prefix tells the type
+ */
+const inferMediaType = (media) => {
+    if (!media) {
+        return null;
+    }
+    return media.includes('IMAGE') || media.includes('IMG') ? 'image' : 'video';
+};
+
+/**
+ * Rewrite every record of a store in place
+ * @param {IDBObjectStore} store
+ * @param {(record: object) => object} update - Returns the new record
+ * @returns {Promise<void>} Resolves after the last record
+ */
+export const eachRecord = (store, update) => new Promise((resolve, reject) => {
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            resolve();
+            return;
+        }
+
+        cursor.update(update(cursor.value));
+        cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run the steps between two versions, oldest first
+ * @param {object} context
+ * @param {IDBDatabase} context.db
+ * @param {IDBTransaction} context.transaction - The versionchange transaction
+ * @param {number} context.oldVersion - 0 for a new database
+ * @param {number} context.newVersion
+ * @param {object} migrations - Steps keyed by version
+ * @returns {Promise<void> | undefined} Pending while a step rewrites records
+ */
+export const runMigrations = ({ db, transaction, oldVersion, newVersion }, migrations = MIGRATIONS) => {
+    const versions = Object.keys(migrations)
+        .map(Number)
+        .filter(version => version > oldVersion && version <= newVersion)
+        .sort((a, b) => a - b);
+
+    // Two cursors rewriting the same records would overwrite each other
+    let previous;
+    versions.forEach(version => {
+        const step = () => migrations[version]({ db, transaction, oldVersion });
+        previous = previous instanceof Promise ? previous.then(step) : step();
+    });
+
+    return previous;
+};
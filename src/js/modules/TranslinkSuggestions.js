@@ -0,0 +1,266 @@
+import {
+    getPrefixVariants,
+    getSuggestions
+} from "./ai/suggestions";
+import {
+    escapeHTML
+} from "./ai/utils/html";
+
+/**
+ * Suggested questions under the prompt, and follow-up chips under the
+ * answer. The question textarea works as a combobox: arrow keys move
+ * through the list, Enter fills in the highlighted question and is then
+ * left to Translink's handleEnterKey() to send it, Escape closes the list.
+ */
+export class TranslinkSuggestions {
+    constructor(element, input, {
+        db = null,
+        starters = [],
+        onAsk = () => {}
+    } = {}) {
+        this.element = element;
+        this.input = input;
+        this.db = db;
+        this.starters = starters;
+        this.onAsk = onAsk;
+        this.items = [];
+        this.followUps = [];
+        this.activeIndex = -1;
+        this.isOpen = false;
+        // Only the latest lookup may render
+        this.requestId = 0;
+
+        const qs = (s) => this.element?.querySelector(`[data-ai='${s}']`);
+
+        this.$list = qs("suggestions");
+        this.$chips = qs("followUps");
+
+        if (this.$list && this.input) {
+            this.$list.id ||= "translink-suggestions";
+            this.input.setAttribute("role", "combobox");
+            this.input.setAttribute("aria-autocomplete", "list");
+            this.input.setAttribute("aria-controls", this.$list.id);
+            this.input.setAttribute("aria-expanded", "false");
+        }
+
+        this.onInputBind = () => this.update();
+        this.onKeydownBind = this.onKeydown.bind(this);
+        this.onKeyupBind = this.onKeyup.bind(this);
+        this.onBlurBind = () => this.close();
+        // Keep the focus in the textarea while picking with the mouse
+        this.onListMousedownBind = (e) => e.preventDefault();
+        this.onListClickBind = this.onListClick.bind(this);
+        this.onChipClickBind = this.onChipClick.bind(this);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (this.$list) {
+            this.input?.addEventListener("input", this.onInputBind);
+            this.input?.addEventListener("focus", this.onInputBind);
+            this.input?.addEventListener("keydown", this.onKeydownBind);
+            this.input?.addEventListener("keyup", this.onKeyupBind);
+            this.input?.addEventListener("blur", this.onBlurBind);
+            this.$list.addEventListener("mousedown", this.onListMousedownBind);
+            this.$list.addEventListener("click", this.onListClickBind);
+        }
+        this.$chips?.addEventListener("click", this.onChipClickBind);
+    }
+
+    unbindEvents() {
+        this.input?.removeEventListener("input", this.onInputBind);
+        this.input?.removeEventListener("focus", this.onInputBind);
+        this.input?.removeEventListener("keydown", this.onKeydownBind);
+        this.input?.removeEventListener("keyup", this.onKeyupBind);
+        this.input?.removeEventListener("blur", this.onBlurBind);
+        this.$list?.removeEventListener("mousedown", this.onListMousedownBind);
+        this.$list?.removeEventListener("click", this.onListClickBind);
+        this.$chips?.removeEventListener("click", this.onChipClickBind);
+    }
+
+    async update() {
+        if (!this.$list || this.input.disabled) {
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        const input = this.input.value;
+        const history = await this.getHistory(input);
+        if (requestId !== this.requestId) {
+            return;
+        }
+
+        this.render(getSuggestions({
+            input,
+            history,
+            starters: this.starters,
+            followUps: this.followUps,
+        }));
+    }
+
+    /**
+     * Past questions completing the input, newest first
+     */
+    async getHistory(input) {
+        if (!this.db || !input.trim()) {
+            return [];
+        }
+
+        try {
+            const results = await Promise.all(
+                getPrefixVariants(input).map((prefix) => this.db.getResponsesByQuestionPrefix(prefix))
+            );
+
+            return results
+                .flat()
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .map((record) => record.question);
+        } catch (error) {
+            console.warn("[Translink] Past questions unavailable:", error);
+            return [];
+        }
+    }
+
+    render(items) {
+        this.items = items;
+        this.$list.innerHTML = items
+            .map((item, index) => `
+        <li id="${this.$list.id}-${index}" class="ai-suggestions__item ai-suggestions__item--${item.source}" role="option" aria-selected="false" data-index="${index}">${escapeHTML(item.text)}</li>`)
+            .join("");
+
+        this.setOpen(items.length > 0);
+    }
+
+    setOpen(isOpen) {
+        this.isOpen = isOpen;
+        this.$list.hidden = !isOpen;
+        this.input.setAttribute("aria-expanded", String(isOpen));
+        this.setActive(-1);
+    }
+
+    close() {
+        if (!this.$list) {
+            return;
+        }
+
+        // Drop lookups still on their way
+        this.requestId++;
+        this.setOpen(false);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        const options = [...this.$list.querySelectorAll("[role='option']")];
+        options.forEach((option, i) => option.setAttribute("aria-selected", String(i === index)));
+
+        if (options[index]) {
+            this.input.setAttribute("aria-activedescendant", options[index].id);
+            options[index].scrollIntoView?.({
+                block: "nearest"
+            });
+        } else {
+            this.input.removeAttribute("aria-activedescendant");
+        }
+    }
+
+    onKeydown(e) {
+        if (!this.isOpen) {
+            // Alt + Down opens the list again after Escape
+            if (e.key === "ArrowDown" && e.altKey) {
+                e.preventDefault();
+                this.update();
+            }
+            return;
+        }
+
+        const count = this.items.length;
+
+        switch (e.key) {
+            case "ArrowDown":
+                e.preventDefault();
+                this.setActive((this.activeIndex + 1) % count);
+                break;
+            case "ArrowUp":
+                e.preventDefault();
+                this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+                break;
+            case "Enter":
+                // Fill in the highlighted question, Translink sends it
+                if (this.activeIndex >= 0 && !e.shiftKey) {
+                    this.input.value = this.items[this.activeIndex].text;
+                }
+                this.close();
+                break;
+            case "Escape":
+                // Close the list, not the prompt
+                e.stopPropagation();
+                this.isClosingWithEscape = true;
+                this.close();
+                break;
+            case "Tab":
+                this.close();
+                break;
+        }
+    }
+
+    onKeyup(e) {
+        // The modal closes on Escape keyup
+        if (e.key === "Escape" && this.isClosingWithEscape) {
+            e.stopPropagation();
+            this.isClosingWithEscape = false;
+        }
+    }
+
+    onListClick(e) {
+        const option = e.target.closest("[role='option']");
+        const item = option && this.items[Number(option.dataset.index)];
+        if (!item) {
+            return;
+        }
+
+        this.input.value = item.text;
+        this.close();
+        this.onAsk(item.text, e);
+    }
+
+    onChipClick(e) {
+        const chip = e.target.closest("[data-follow-up]");
+        if (!chip) {
+            return;
+        }
+
+        this.onAsk(chip.dataset.followUp, e);
+    }
+
+    /**
+     * Questions offered under an empty prompt, from the next update on
+     */
+    setStarters(starters) {
+        this.starters = starters;
+    }
+
+    /**
+     * Follow-up questions of the latest answer, shown as chips and first in
+     * the list while nothing is typed
+     */
+    setFollowUps(followUps = []) {
+        this.followUps = followUps;
+
+        if (!this.$chips) {
+            return;
+        }
+
+        this.$chips.innerHTML = followUps
+            .map((text) => `
+        <button type="button" class="ai-follow-ups__chip" data-follow-up="${escapeHTML(text)}">${escapeHTML(text)}</button>`)
+            .join("");
+        this.$chips.hidden = !followUps.length;
+    }
+
+    destroy() {
+        this.close();
+        this.unbindEvents();
+    }
+}
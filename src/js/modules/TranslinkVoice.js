@@ -0,0 +1,195 @@
+import {
+    DEFAULT_LOCALE,
+    MESSAGES,
+    createTranslator
+} from "./ai/i18n";
+import {
+    canSpeak,
+    createRecognizer
+} from "./ai/speech";
+
+const SPEAK_STORAGE_KEY = "translink:speakAnswers";
+
+// Message keys of recognizer errors, see ./ai/i18n.ts
+const ERROR_MESSAGES = {
+    "not-allowed": "voice.denied",
+    "service-not-allowed": "voice.denied",
+    "no-speech": "voice.noSpeech",
+    "audio-capture": "voice.noMicrophone",
+    "network": "voice.offline",
+};
+
+/**
+ * Microphone button that fills the question from speech, and the switch
+ * for reading answers aloud. Both hide themselves where the browser can't
+ * do it; Translink asks `isSpeakingAnswers` before speaking.
+ */
+export class TranslinkVoice {
+    constructor(element, input, {
+        recognizer = "webspeech",
+        lang = "en-US",
+        t = createTranslator(DEFAULT_LOCALE, MESSAGES),
+        onSpeakChange = () => {}
+    } = {}) {
+        this.element = element;
+        this.input = input;
+        this.t = t;
+        this.onSpeakChange = onSpeakChange;
+        this.isListening = false;
+        this.prefix = "";
+        this.speakAnswers = this.readSpeakAnswers();
+
+        const qs = (s) => this.element?.querySelector(`[data-ai='${s}']`);
+
+        this.$mic = qs("mic");
+        this.$speak = qs("speakAnswers");
+        this.$status = qs("voiceStatus");
+
+        this.recognizerName = recognizer;
+        this.recognizer = this.createRecognizer(lang);
+
+        if (this.$mic) {
+            this.$mic.hidden = !this.recognizer;
+        }
+        if (this.$speak) {
+            this.$speak.hidden = !canSpeak();
+            this.$speak.setAttribute("aria-pressed", this.isSpeakingAnswers);
+        }
+
+        this.onMicBind = () => (this.isListening ? this.stop() : this.start());
+        this.onSpeakBind = () => this.setSpeakingAnswers(!this.isSpeakingAnswers);
+
+        this.bindEvents();
+    }
+
+    createRecognizer(lang) {
+        return this.$mic ? createRecognizer(this.recognizerName, {
+            lang,
+            onResult: this.onResult.bind(this),
+            onError: this.onError.bind(this),
+            onEnd: () => this.setListening(false),
+        }) : null;
+    }
+
+    /**
+     * Listen for another language, from the next question on
+     */
+    setLang(lang) {
+        this.abort();
+        this.recognizer = this.createRecognizer(lang);
+    }
+
+    bindEvents() {
+        this.$mic?.addEventListener("click", this.onMicBind);
+        this.$speak?.addEventListener("click", this.onSpeakBind);
+    }
+
+    unbindEvents() {
+        this.$mic?.removeEventListener("click", this.onMicBind);
+        this.$speak?.removeEventListener("click", this.onSpeakBind);
+    }
+
+    start() {
+        if (!this.recognizer || this.isListening || this.input.disabled) {
+            return;
+        }
+
+        // Speech is added to whatever was typed already
+        this.prefix = this.input.value.trim();
+        this.setStatus(this.t("voice.listening"));
+        this.setListening(true);
+
+        try {
+            this.recognizer.start();
+        } catch (error) {
+            // Thrown when the browser is still busy with the previous session
+            console.warn("[Translink] Voice input failed to start:", error);
+            this.setListening(false);
+            this.setStatus(this.t("voice.failed"));
+        }
+    }
+
+    /**
+     * Stop listening, keeping what was heard
+     */
+    stop() {
+        if (this.isListening) {
+            this.recognizer.stop();
+        }
+    }
+
+    /**
+     * Stop listening and drop what wasn't final yet, e.g. when the question
+     * is sent
+     */
+    abort() {
+        if (this.isListening) {
+            this.recognizer.abort();
+            this.setListening(false);
+            this.setStatus("");
+        }
+    }
+
+    onResult(transcript, isFinal) {
+        this.input.value = [this.prefix, transcript.trim()].filter(Boolean).join(" ");
+        this.input.dispatchEvent(new Event("input", { bubbles: true }));
+
+        if (isFinal) {
+            this.setStatus("");
+            this.input.focus();
+        }
+    }
+
+    onError(error) {
+        // Aborted by us
+        if (error === "aborted") {
+            return;
+        }
+
+        this.setStatus(this.t(ERROR_MESSAGES[error] || "voice.failed"));
+    }
+
+    setListening(isListening) {
+        this.isListening = isListening;
+        this.$mic?.classList.toggle("is-listening", isListening);
+        this.$mic?.setAttribute("aria-pressed", isListening);
+        if (!isListening && this.$status?.textContent === this.t("voice.listening")) {
+            this.setStatus("");
+        }
+    }
+
+    readSpeakAnswers() {
+        try {
+            return localStorage.getItem(SPEAK_STORAGE_KEY) === "true";
+        } catch {
+            return false;
+        }
+    }
+
+    get isSpeakingAnswers() {
+        return this.speakAnswers && canSpeak();
+    }
+
+    setSpeakingAnswers(isSpeaking) {
+        this.speakAnswers = isSpeaking;
+        try {
+            localStorage.setItem(SPEAK_STORAGE_KEY, isSpeaking);
+        } catch {
+            // Private mode, the choice lasts for this page only
+        }
+
+        this.$speak?.setAttribute("aria-pressed", isSpeaking);
+        this.onSpeakChange(isSpeaking);
+    }
+
+    setStatus(message) {
+        if (this.$status) {
+            this.$status.textContent = message;
+        }
+    }
+
+    destroy() {
+        this.abort();
+        this.unbindEvents();
+    }
+}
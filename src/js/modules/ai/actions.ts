@@ -0,0 +1,242 @@
+/**
+ * Registry of the actions (CTAs) an answer can offer. The agent returns
+ * action ids, what each id looks like and does is configured here and can
+ * be extended through `window.App.translink.actions`.
+ */
+
+import { toLanguage } from "./i18n";
+import { escapeHTML } from "./utils/html";
+
+export type ActionSurface = "response" | "accordion";
+
+export interface ActionAnalytics {
+  /** Event name pushed to `window.dataLayer` */
+  event: string;
+  [key: string]: unknown;
+}
+
+export interface ActionDefinition {
+  /** What the agent returns, e.g. "CTA_1" */
+  id: string;
+  label: string;
+  /** The label in other locales, keyed by locale or language */
+  labels?: Record<string, string>;
+  /** A name from ACTION_ICONS or inline SVG markup */
+  icon?: string;
+  /** Followed like a normal link */
+  href?: string;
+  /** A handler registered with `registerActionHandler()`, runs instead of following `href` */
+  handler?: string;
+  /** Passed to the handler, e.g. a scene name or a section selector */
+  target?: string;
+  /** Where the action is offered, everywhere by default */
+  surfaces?: ActionSurface[];
+  /** Image of the small response view, "media" for the answer's own image or an asset id */
+  visual?: string;
+  analytics?: ActionAnalytics;
+}
+
+export interface ActionContext {
+  action: ActionDefinition;
+  /** The stored answer offering the action */
+  response: any;
+  [key: string]: unknown;
+}
+
+export type ActionHandler = (context: ActionContext) => unknown;
+
+export type ActionRegistry = Map<string, ActionDefinition>;
+
+export const ACTION_ICONS: Record<string, string> = {
+  arrow: `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 9 9" fill="none" class="cta__arrow" aria-hidden="true">
+          <path d="M4.91455 7.82678L8.2332 4.50853M8.2332 4.50853L4.82233 1.09766M8.2332 4.50853L1.16016 4.50853"
+                stroke="currentColor" stroke-linecap="round" stroke-linejoin="round"></path>
+        </svg>`,
+};
+
+export const DEFAULT_ACTIONS: ActionDefinition[] = [
+  {
+    id: "CTA_1",
+    label: "View Specs",
+    labels: { de: "Technische Daten", fr: "Voir les caractéristiques", es: "Ver especificaciones" },
+    icon: "arrow",
+    href: "/specs",
+    visual: "media",
+    analytics: { event: "translink_cta", cta: "specs" },
+  },
+  {
+    id: "CTA_2",
+    label: "Contact OFF+BRAND.",
+    labels: { de: "OFF+BRAND. kontaktieren", fr: "Contacter OFF+BRAND.", es: "Contactar con OFF+BRAND." },
+    icon: "arrow",
+    href: "#contact",
+    visual: "avatar1",
+    analytics: { event: "translink_cta", cta: "contact" },
+  },
+  {
+    id: "CTA_3",
+    label: "Preorder",
+    labels: { de: "Vorbestellen", fr: "Précommander", es: "Reservar" },
+    icon: "arrow",
+    href: "/preorder",
+    visual: "avatar2",
+    analytics: { event: "translink_cta", cta: "preorder" },
+  },
+  {
+    // The full answer is already on screen in the modal
+    id: "CTA_4",
+    label: "Learn More",
+    labels: { de: "Mehr erfahren", fr: "En savoir plus", es: "Más información" },
+    icon: "arrow",
+    handler: "openModal",
+    surfaces: ["response"],
+    visual: "media",
+    analytics: { event: "translink_cta", cta: "more" },
+  },
+];
+
+/**
+ * Merge configured actions over the defaults, by id
+ * @param defaults - The built-in actions
+ * @param overrides - Changed or additional actions, partial for known ids
+ */
+export const mergeActions = (
+  defaults: ActionDefinition[],
+  overrides: Partial<ActionDefinition>[] = []
+): ActionDefinition[] => {
+  const merged = new Map(defaults.map((action) => [action.id, action]));
+
+  overrides.forEach((override) => {
+    if (!override?.id) {
+      console.warn("[Translink] Ignoring an action without id:", override);
+      return;
+    }
+
+    merged.set(override.id, { ...merged.get(override.id), ...override } as ActionDefinition);
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * The actions with their labels in a locale, `label` where there is no
+ * translation
+ * @param actions - The configured actions
+ * @param locale - e.g. "de" or "de-AT"
+ */
+export const localizeActions = (actions: ActionDefinition[], locale: string): ActionDefinition[] => {
+  return actions.map((action) => ({
+    ...action,
+    label: action.labels?.[locale] ?? action.labels?.[toLanguage(locale)] ?? action.label,
+  }));
+};
+
+export const createActionRegistry = (actions: ActionDefinition[]): ActionRegistry => {
+  return new Map(actions.map((action) => [action.id, action]));
+};
+
+/**
+ * Action ids of a stored answer. Answers stored before several actions
+ * were supported only carry `CTA`.
+ */
+export const getActionIds = (response: { actions?: string[]; CTA?: string | null }): string[] => {
+  if (response.actions?.length) {
+    return response.actions;
+  }
+
+  return response.CTA ? [response.CTA] : [];
+};
+
+/**
+ * The registered actions for a list of ids, in order. Ids nobody
+ * registered are skipped.
+ * @param ids - Action ids from the answer
+ * @param registry - The action registry
+ * @param surface - Only actions offered there
+ */
+export const getActions = (
+  ids: string[],
+  registry: ActionRegistry,
+  surface?: ActionSurface
+): ActionDefinition[] => {
+  return [...new Set(ids)].flatMap((id) => {
+    const action = registry.get(id);
+    if (!action) {
+      console.warn(`[Translink] Unknown action: ${id}`);
+      return [];
+    }
+    if (surface && action.surfaces && !action.surfaces.includes(surface)) {
+      return [];
+    }
+
+    return [action];
+  });
+};
+
+// Config is trusted, but a typo shouldn't turn a CTA into a script link
+const isSafeHref = (href: string): boolean => !/^\s*(javascript|data|vbscript):/i.test(href);
+
+/**
+ * Markup for one action, a link or a button for handler actions
+ * @param action - The action to render
+ * @param className - Classes of the rendered element
+ */
+export const renderAction = (action: ActionDefinition, className: string): string => {
+  const icon = action.icon ? ACTION_ICONS[action.icon] ?? action.icon : "";
+  const content = `<span>${escapeHTML(action.label)}</span>${icon}`;
+  const attributes = `class="${escapeHTML(className)}" data-ai="action" data-action="${escapeHTML(action.id)}"`;
+
+  if (action.href && !action.handler && isSafeHref(action.href)) {
+    return `<a ${attributes} href="${escapeHTML(action.href)}">${content}</a>`;
+  }
+
+  return `<button type="button" ${attributes}>${content}</button>`;
+};
+
+const handlers = new Map<string, ActionHandler>();
+
+/**
+ * Make a JS handler available to actions under `name`
+ * @param name - Referenced by `ActionDefinition.handler`
+ * @param handler - Called with the action and the answer offering it
+ */
+export const registerActionHandler = (name: string, handler: ActionHandler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Run the handler of an action
+ * @returns Whatever the handler returns
+ */
+export const runAction = (context: ActionContext): unknown => {
+  const { handler } = context.action;
+  if (!handler) {
+    return undefined;
+  }
+
+  const run = handlers.get(handler);
+  if (!run) {
+    console.warn(`[Translink] No handler registered for "${handler}"`);
+    return undefined;
+  }
+
+  return run(context);
+};
+
+/**
+ * Report an action to analytics: `window.dataLayer` when the action has
+ * an analytics event, and a `translink:action` event on window for any
+ * other listener
+ */
+export const trackAction = (action: ActionDefinition, response: any) => {
+  const detail = {
+    ...action.analytics,
+    actionId: action.id,
+    question: response?.question ?? null,
+  };
+
+  if (action.analytics) {
+    (window as any).dataLayer?.push(detail);
+  }
+  window.dispatchEvent(new CustomEvent("translink:action", { detail }));
+};
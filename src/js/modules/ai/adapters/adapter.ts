@@ -0,0 +1,104 @@
+import type { AgentConfig } from "../config";
+import type { FleetContext } from "../fleet";
+import type { Turn } from "../utils/thread";
+
+export interface AgentQuery {
+  question: string;
+  threadId: string;
+  context: Turn[];
+  /** Locale the answer should be written in, e.g. "de" */
+  locale?: string;
+  /** Live telemetry of the fleet on screen, when enabled */
+  fleet?: FleetContext | null;
+}
+
+export interface SendOptions {
+  config: AgentConfig;
+  signal?: AbortSignal;
+  /** Called with the accumulated answer text while it streams in */
+  onText?: (text: string) => void;
+}
+
+/**
+ * A backend Translink can talk to. `send()` resolves with the raw answer,
+ * either answer text (JSON or legacy pipe format) or a decoded structured
+ * answer, which Translink then parses with `parseAgentResponse()`.
+ */
+export interface AgentAdapter {
+  name: string;
+  send(query: AgentQuery, options: SendOptions): Promise<unknown>;
+}
+
+/**
+ * Thrown when the backend answers with a non-OK HTTP status
+ */
+export class AgentRequestError extends Error {
+  status: number;
+
+  constructor(status: number, statusText = "") {
+    super(`Agent request failed with ${status}${statusText ? ` ${statusText}` : ""}`);
+    this.name = "AgentRequestError";
+    this.status = status;
+  }
+}
+
+/**
+ * Thrown when the backend stays silent for longer than `config.timeout`
+ */
+export class AgentTimeoutError extends Error {
+  timeout: number;
+
+  constructor(timeout: number) {
+    super(`Agent did not answer within ${timeout / 1000}s`);
+    this.name = "AgentTimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when the backend can't be reached at all, fetch rejected without
+ * an answer. Anything else that goes wrong is not a network failure.
+ */
+export class NetworkError extends Error {
+  cause: unknown;
+
+  constructor(cause: unknown) {
+    super(`Network request failed${cause instanceof Error ? `: ${cause.message}` : ""}`);
+    this.name = "NetworkError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * fetch, rejecting with a NetworkError when the request can't be made.
+ * Aborts are passed on as they are.
+ * @param input - What to fetch
+ * @param init - The request options
+ */
+export const fetchOrThrow = async (input: RequestInfo | URL, init?: RequestInit): Promise<Response> => {
+  try {
+    return await fetch(input, init);
+  } catch (error) {
+    if ((error as Error)?.name === "AbortError") {
+      throw error;
+    }
+    throw new NetworkError(error);
+  }
+};
+
+/**
+ * Request headers shared by the HTTP adapters
+ * @param config - The resolved agent config
+ * @param accept - The Accept header value
+ */
+export const buildHeaders = (
+  config: AgentConfig,
+  accept: string
+): Record<string, string> => {
+  return {
+    "Content-Type": "application/json",
+    Accept: accept,
+    ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+    ...config.headers,
+  };
+};
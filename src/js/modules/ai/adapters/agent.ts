@@ -0,0 +1,34 @@
+import { getRawAnswer } from "../utils/schema";
+import { getStreamFormat, readStream } from "../utils/stream";
+import { AgentAdapter, AgentRequestError, buildHeaders, fetchOrThrow } from "./adapter";
+
+/**
+ * Our own agent service. Posts the question with its thread context and
+ * reads the answer as SSE, NDJSON or a single JSON body.
+ */
+export const agentAdapter: AgentAdapter = {
+  name: "agent",
+
+  async send(query, { config, signal, onText }) {
+    const response = await fetchOrThrow(config.endpoint, {
+      method: "POST",
+      headers: buildHeaders(config, "text/event-stream, application/x-ndjson, application/json"),
+      body: JSON.stringify({
+        ...query,
+        stream: true,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new AgentRequestError(response.status, response.statusText);
+    }
+
+    // Agents that don't stream still answer with a single JSON body
+    if (getStreamFormat(response) === "json" || !response.body) {
+      return getRawAnswer(await response.json());
+    }
+
+    return readStream(response, (text) => onText?.(text));
+  },
+};
@@ -0,0 +1,35 @@
+import type { AgentAdapter } from "./adapter";
+import { agentAdapter } from "./agent";
+import { mockAdapter } from "./mock";
+import { openAIAdapter } from "./openai";
+
+export type { AgentAdapter, AgentQuery, SendOptions } from "./adapter";
+export { AgentRequestError, AgentTimeoutError, NetworkError } from "./adapter";
+export { sendWithRetry } from "./retry";
+
+const adapters = new Map<string, AgentAdapter>();
+
+/**
+ * Make a backend available to Translink under `adapter.name`
+ * @param adapter - The adapter to register, replaces one with the same name
+ */
+export const registerAdapter = (adapter: AgentAdapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Look up a registered backend
+ * @param name - The adapter name from the agent config
+ */
+export const getAdapter = (name: string): AgentAdapter => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`[Translink] Unknown agent adapter "${name}"`);
+  }
+
+  return adapter;
+};
+
+registerAdapter(agentAdapter);
+registerAdapter(openAIAdapter);
+registerAdapter(mockAdapter);
@@ -0,0 +1,99 @@
+import fixtureFile from "../fixtures/mock-answers.json";
+import { wait } from "../utils/wait";
+import { AgentAdapter, AgentRequestError } from "./adapter";
+
+export interface MockFixture {
+  keywords?: string[];
+  /** Legacy pipe string or a structured JSON answer */
+  answer?: string | Record<string, unknown>;
+  /** Answer with this HTTP status instead */
+  error?: number;
+}
+
+export interface MockOptions {
+  fixtures?: MockFixture[];
+  fallback?: MockFixture;
+  /** Total time an answer takes, in ms */
+  latency?: number;
+  /** Chance (0-1) of failing with a 500 regardless of the question */
+  errorRate?: number;
+  /** Deliver the answer in chunks through `onText` */
+  stream?: boolean;
+}
+
+const STREAM_STEPS = 8;
+
+/**
+ * Pick the fixture sharing the most keywords with the question
+ * @param question - The question asked
+ * @param fixtures - The canned answers
+ * @param fallback - Used when nothing matches
+ */
+export const findFixture = (
+  question: string,
+  fixtures: MockFixture[],
+  fallback: MockFixture
+): MockFixture => {
+  const words = question.toLowerCase().match(/[a-z0-9]+/g) ?? [];
+
+  let best = fallback;
+  let bestScore = 0;
+
+  fixtures.forEach((fixture) => {
+    const score = (fixture.keywords ?? []).filter((keyword) => words.includes(keyword)).length;
+    if (score > bestScore) {
+      best = fixture;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * An in-browser stand-in for the agent service, answering from canned
+ * fixtures. Used with `?mockAgent` during development and in tests.
+ * @param options - Fixtures, latency and failure simulation
+ */
+export const createMockAdapter = (options: MockOptions = {}): AgentAdapter => {
+  return {
+    name: "mock",
+
+    async send(query, { config, signal, onText }) {
+      const {
+        fixtures = fixtureFile.fixtures as MockFixture[],
+        fallback = fixtureFile.fallback,
+        latency = config.mock.latency,
+        errorRate = config.mock.errorRate,
+        stream = true,
+      } = options;
+
+      const fixture = findFixture(query.question, fixtures, fallback);
+
+      if (fixture.error || Math.random() < errorRate) {
+        await wait(latency, signal);
+        throw new AgentRequestError(fixture.error ?? 500, "Mock Agent Error");
+      }
+
+      const answer = typeof fixture.answer === "string" ?
+        fixture.answer :
+        JSON.stringify(fixture.answer);
+
+      if (!stream || !onText) {
+        await wait(latency, signal);
+        return answer;
+      }
+
+      // Reveal the answer in even slices, as a streaming agent would
+      const step = Math.ceil(answer.length / STREAM_STEPS);
+      for (let end = step; end < answer.length + step; end += step) {
+        await wait(latency / STREAM_STEPS, signal);
+        onText(answer.slice(0, end));
+      }
+
+      return answer;
+    },
+  };
+};
+
+export const mockAdapter = createMockAdapter();
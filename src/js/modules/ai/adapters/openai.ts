@@ -0,0 +1,74 @@
+import { getLanguageName } from "../i18n";
+import { RESPONSE_VERSION, ResponseFormatError } from "../utils/schema";
+import { getStreamFormat, readStream } from "../utils/stream";
+import type { Turn } from "../utils/thread";
+import { AgentAdapter, AgentQuery, AgentRequestError, buildHeaders, fetchOrThrow } from "./adapter";
+
+const SYSTEM_PROMPT = [
+  "You are Translink, an assistant for fleet management.",
+  `Answer with a single JSON object: {"version": ${RESPONSE_VERSION}, "title": string, "short": string, "long": string,`,
+  '"media": [{"type": "image" | "video", "id": string}], "actions": [{"id": string}],',
+  '"followUps": [string]}, followUps being up to 3 questions the user may ask next.',
+  "No text outside the JSON object.",
+  "Refer to vehicles and drivers by their ids, e.g. VH-001 or DR-042.",
+].join(" ");
+
+const toAssistantMessage = ({ title, short, long }: Turn) => {
+  return JSON.stringify({ version: RESPONSE_VERSION, title, short, long });
+};
+
+/**
+ * Map a question and its thread to chat messages
+ */
+export const toMessages = ({ question, context, fleet, locale }: AgentQuery) => {
+  return [
+    { role: "system", content: SYSTEM_PROMPT },
+    ...(locale ? [{ role: "system", content: `Write title, short, long and followUps in ${getLanguageName(locale, "en")}.` }] : []),
+    ...(fleet ? [{ role: "system", content: `Live fleet telemetry: ${JSON.stringify(fleet)}` }] : []),
+    ...context.flatMap((turn) => [
+      { role: "user", content: turn.question },
+      { role: "assistant", content: toAssistantMessage(turn) },
+    ]),
+    { role: "user", content: question },
+  ];
+};
+
+const applyChatChunk = (payload: any, text: string): string => {
+  return text + (payload?.choices?.[0]?.delta?.content ?? "");
+};
+
+/**
+ * Any OpenAI-compatible chat completions endpoint. The model is asked to
+ * answer with the structured JSON contract.
+ */
+export const openAIAdapter: AgentAdapter = {
+  name: "openai",
+
+  async send(query, { config, signal, onText }) {
+    const response = await fetchOrThrow(config.endpoint, {
+      method: "POST",
+      headers: buildHeaders(config, "text/event-stream, application/json"),
+      body: JSON.stringify({
+        ...(config.model ? { model: config.model } : {}),
+        messages: toMessages(query),
+        stream: true,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new AgentRequestError(response.status, response.statusText);
+    }
+
+    if (getStreamFormat(response) === "json" || !response.body) {
+      const data = await response.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new ResponseFormatError(["missing choices[0].message.content"]);
+      }
+      return content;
+    }
+
+    return readStream(response, (text) => onText?.(text), applyChatChunk);
+  },
+};
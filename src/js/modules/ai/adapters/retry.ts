@@ -0,0 +1,144 @@
+import type { RetryConfig } from "../config";
+import { abortError, wait } from "../utils/wait";
+import {
+  AgentAdapter,
+  AgentQuery,
+  AgentRequestError,
+  AgentTimeoutError,
+  NetworkError,
+  SendOptions,
+} from "./adapter";
+
+/**
+ * Whether a failed attempt is worth repeating: 5xx answers and network
+ * failures (a NetworkError from `fetchOrThrow()`) are, client errors,
+ * malformed answers, timeouts and bugs are not.
+ * @param error - Whatever the attempt rejected with
+ */
+export const isRetryable = (error: unknown): boolean => {
+  if (error instanceof AgentRequestError) {
+    return error.status >= 500;
+  }
+
+  return error instanceof NetworkError;
+};
+
+/**
+ * Exponential backoff, `baseDelay` doubled for every retry up to `maxDelay`
+ * @param retry - Zero based index of the retry
+ * @param config - The retry settings
+ * @returns The delay in ms
+ */
+export const getBackoffDelay = (retry: number, { baseDelay, maxDelay }: RetryConfig): number => {
+  return Math.min(maxDelay, baseDelay * 2 ** retry);
+};
+
+/**
+ * A single attempt, rejected with an AgentTimeoutError when the backend
+ * stays silent for `config.timeout` ms. Every streamed chunk restarts the
+ * clock, so long answers that keep arriving are never cut off.
+ */
+const sendWithTimeout = (
+  adapter: AgentAdapter,
+  query: AgentQuery,
+  options: SendOptions
+): Promise<unknown> => {
+  const { config, signal, onText } = options;
+
+  if (signal?.aborted) {
+    return Promise.reject(abortError());
+  }
+
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener("abort", forwardAbort, { once: true });
+
+  return new Promise((resolve, reject) => {
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let isSettled = false;
+
+    const settle = (callback: () => void) => {
+      if (isSettled) {
+        return;
+      }
+      isSettled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", forwardAbort);
+      callback();
+    };
+
+    const restartTimer = () => {
+      if (config.timeout <= 0 || isSettled) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        settle(() => reject(new AgentTimeoutError(config.timeout)));
+        controller.abort();
+      }, config.timeout);
+    };
+
+    restartTimer();
+
+    adapter
+      .send(query, {
+        ...options,
+        signal: controller.signal,
+        onText: (text) => {
+          restartTimer();
+          onText?.(text);
+        },
+      })
+      .then(
+        (answer) => settle(() => resolve(answer)),
+        (error) => settle(() => reject(error))
+      );
+  });
+};
+
+/**
+ * Send a question through an adapter with the timeout and retries from
+ * `config`. Nothing is retried once part of the answer has been streamed,
+ * or after the caller aborted.
+ * @param adapter - The backend adapter
+ * @param query - The question with its thread context
+ * @param options - Config, abort signal and stream callback
+ * @param onRetry - Called before waiting for each retry
+ * @returns The raw answer
+ */
+export const sendWithRetry = async (
+  adapter: AgentAdapter,
+  query: AgentQuery,
+  options: SendOptions,
+  onRetry?: (retry: number, delay: number, error: unknown) => void
+): Promise<unknown> => {
+  const { config, signal } = options;
+
+  for (let retry = 0; ; retry++) {
+    let hasStreamed = false;
+
+    try {
+      return await sendWithTimeout(adapter, query, {
+        ...options,
+        onText: (text) => {
+          hasStreamed = true;
+          options.onText?.(text);
+        },
+      });
+    } catch (error) {
+      if (
+        signal?.aborted ||
+        hasStreamed ||
+        retry >= config.retry.attempts ||
+        !isRetryable(error)
+      ) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(retry, config.retry);
+      onRetry?.(retry + 1, delay, error);
+      await wait(delay, signal);
+    }
+  }
+};
@@ -0,0 +1,204 @@
+import { ActionDefinition, DEFAULT_ACTIONS, mergeActions } from "./actions";
+import { Messages } from "./i18n";
+
+export interface RetryConfig {
+  /** Retries after the first attempt */
+  attempts: number;
+  /** Delay before the first retry in ms, doubled for every following one */
+  baseDelay: number;
+  /** Upper bound for the delay in ms */
+  maxDelay: number;
+}
+
+export interface AgentConfig {
+  /** Name of the registered backend adapter, see `adapters/index.ts` */
+  adapter: string;
+  /** Base URL the `url()` helper appends paths to, always ends with a slash */
+  baseUrl: string;
+  /** Full URL questions are posted to */
+  endpoint: string;
+  /** Full URL answer ratings are posted to, an empty string keeps them local */
+  feedbackEndpoint: string;
+  /** Extra request headers */
+  headers: Record<string, string>;
+  /** Sent as `Authorization: Bearer <token>` when set */
+  token: string | null;
+  /** Model name for OpenAI-compatible endpoints */
+  model: string | null;
+  /** Give up when the backend stays silent this long, in ms (0 disables) */
+  timeout: number;
+  /** Retries for 5xx and network errors, with exponential backoff */
+  retry: RetryConfig;
+  /** Actions answers can offer, see `actions.ts` */
+  actions: ActionDefinition[];
+  /** Locale of the UI and the answers unless the visitor picks one, detected when null, see `i18n.ts` */
+  locale: string | null;
+  /** Changed or additional UI strings, keyed by locale */
+  messages: Record<string, Messages>;
+  /** Other sites answers may link to, subdomains included, see `utils/markdown.ts` */
+  linkHosts: string[];
+  /** Name of the registered speech recognizer for voice input, see `speech.ts` */
+  recognizer: string;
+  /** Questions suggested under an empty prompt, the built-in ones in the visitor's locale when null, see `suggestions.ts` */
+  starterQuestions: string[] | null;
+  /** Send live fleet telemetry with every question, off unless a deployment turns it on, see `fleet.ts` */
+  fleetContext: boolean;
+  /** Upper bound for that telemetry, in characters of JSON */
+  fleetContextSize: number;
+  /** Behaviour of the built-in mock agent */
+  mock: {
+    latency: number;
+    errorRate: number;
+  };
+}
+
+/** What env, `window.App.translink` and the URL may override */
+type ConfigOverrides = Partial<Omit<AgentConfig, "retry" | "mock" | "actions">> & {
+  retry?: Partial<RetryConfig>;
+  actions?: Partial<ActionDefinition>[];
+  mock?: Partial<AgentConfig["mock"]>;
+};
+
+const DEFAULT_BASE_URL = "http://localhost:3000/";
+const DEFAULT_MOCK_LATENCY = 1200;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_FLEET_CONTEXT_SIZE = 4000;
+const DEFAULT_RETRY: RetryConfig = {
+  attempts: 2,
+  baseDelay: 500,
+  maxDelay: 4000,
+};
+
+const ENV_KEYS = {
+  adapter: "VITE_TRANSLINK_ADAPTER",
+  baseUrl: "VITE_TRANSLINK_BASE_URL",
+  endpoint: "VITE_TRANSLINK_ENDPOINT",
+  feedbackEndpoint: "VITE_TRANSLINK_FEEDBACK_ENDPOINT",
+  headers: "VITE_TRANSLINK_HEADERS",
+  token: "VITE_TRANSLINK_TOKEN",
+  model: "VITE_TRANSLINK_MODEL",
+  timeout: "VITE_TRANSLINK_TIMEOUT",
+  retryAttempts: "VITE_TRANSLINK_RETRY_ATTEMPTS",
+  fleetContext: "VITE_TRANSLINK_FLEET_CONTEXT",
+} as const;
+
+/**
+ * Request headers from VITE_TRANSLINK_HEADERS, a JSON object. Anything else
+ * is ignored with a warning rather than breaking the assistant.
+ * @param json - e.g. `{"X-Tenant": "acme"}`
+ */
+const parseHeaders = (json: string): Record<string, string> => {
+  let headers;
+  try {
+    headers = JSON.parse(json);
+  } catch (error) {
+    console.warn(`[Translink] Ignoring ${ENV_KEYS.headers}, it is not valid JSON: ${(error as Error).message}`);
+    return {};
+  }
+
+  const isValid = headers !== null && typeof headers === "object" && !Array.isArray(headers) &&
+    Object.values(headers).every((value) => typeof value === "string");
+  if (!isValid) {
+    console.warn(`[Translink] Ignoring ${ENV_KEYS.headers}, it must be a JSON object of header names and values, like {"X-Tenant": "acme"}`);
+    return {};
+  }
+
+  return headers;
+};
+
+/**
+ * Build time configuration, set through VITE_TRANSLINK_* variables in .env
+ */
+const fromEnv = (): ConfigOverrides => {
+  const env = import.meta.env ?? {};
+  const config: Record<string, any> = {};
+
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (env[name]) {
+      config[key] = env[name];
+    }
+  }
+
+  const { timeout, retryAttempts, headers, fleetContext, ...rest } = config;
+
+  return {
+    ...rest,
+    ...(headers ? { headers: parseHeaders(headers) } : {}),
+    ...(timeout ? { timeout: Number(timeout) } : {}),
+    ...(retryAttempts ? { retry: { attempts: Number(retryAttempts) } } : {}),
+    ...(fleetContext ? { fleetContext: fleetContext === "true" } : {}),
+  };
+};
+
+/**
+ * Runtime configuration, a deployment can set it before the app loads:
+ * window.App = { translink: { endpoint: "https://…", token: "…", timeout: 20000 } }
+ */
+const fromWindow = (): ConfigOverrides => {
+  return (window as any).App?.translink ?? {};
+};
+
+/**
+ * Development overrides, `?mockAgent` switches to the built-in mock agent
+ * (`&mockLatency=3000&mockErrorRate=0.5` to tune it), like `?debug`.
+ */
+const fromUrl = (): ConfigOverrides => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("mockAgent")) {
+    return {};
+  }
+
+  return {
+    adapter: "mock",
+    // Ratings of mock answers stay in the browser
+    feedbackEndpoint: "",
+    mock: {
+      latency: Number(params.get("mockLatency") ?? DEFAULT_MOCK_LATENCY),
+      errorRate: Number(params.get("mockErrorRate") ?? 0),
+    },
+  };
+};
+
+/**
+ * Resolve the assistant configuration. Defaults are overridden by the
+ * build time env, then by `window.App.translink`, then by `?mockAgent`.
+ * @returns The merged configuration
+ */
+export const getAgentConfig = (): AgentConfig => {
+  const env = fromEnv();
+  const runtime = { ...fromWindow(), ...fromUrl() };
+
+  // Paths are resolved relative to it, so "https://host/v1" must not lose its last segment
+  const baseUrl = (runtime.baseUrl ?? env.baseUrl ?? DEFAULT_BASE_URL).replace(/\/?$/, "/");
+  // A relative one like "/assistant/" is on the site's own origin
+  const base = new URL(baseUrl, window.location.href);
+
+  return {
+    adapter: runtime.adapter ?? env.adapter ?? "agent",
+    baseUrl,
+    endpoint: runtime.endpoint ?? env.endpoint ?? new URL("api/agent", base).href,
+    feedbackEndpoint: runtime.feedbackEndpoint ?? env.feedbackEndpoint ?? new URL("api/feedback", base).href,
+    headers: { ...env.headers, ...runtime.headers },
+    token: runtime.token ?? env.token ?? null,
+    model: runtime.model ?? env.model ?? null,
+    timeout: runtime.timeout ?? env.timeout ?? DEFAULT_TIMEOUT,
+    retry: {
+      ...DEFAULT_RETRY,
+      ...env.retry,
+      ...runtime.retry,
+    },
+    actions: mergeActions(DEFAULT_ACTIONS, runtime.actions),
+    locale: runtime.locale ?? null,
+    messages: runtime.messages ?? {},
+    linkHosts: runtime.linkHosts ?? [],
+    recognizer: runtime.recognizer ?? "webspeech",
+    starterQuestions: runtime.starterQuestions ?? null,
+    fleetContext: runtime.fleetContext ?? env.fleetContext ?? false,
+    fleetContextSize: runtime.fleetContextSize ?? DEFAULT_FLEET_CONTEXT_SIZE,
+    mock: {
+      latency: DEFAULT_MOCK_LATENCY,
+      errorRate: 0,
+      ...runtime.mock,
+    },
+  };
+};
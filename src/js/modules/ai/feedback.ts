@@ -0,0 +1,171 @@
+import type { AgentConfig, RetryConfig } from "./config";
+import { AgentRequestError, NetworkError, buildHeaders, fetchOrThrow } from "./adapters/adapter";
+import { getBackoffDelay, isRetryable } from "./adapters/retry";
+
+export type Rating = "up" | "down";
+
+export type FeedbackStatus = "pending" | "sent" | "rejected";
+
+/** Stored on the TranslinkDB record as `feedback` */
+export interface Feedback {
+  rating: Rating;
+  comment: string;
+  /** When the visitor last changed the rating or comment */
+  updatedAt: string;
+  status: FeedbackStatus;
+}
+
+/** Where the queue finds pending feedback, implemented by TranslinkDB */
+export interface FeedbackStore {
+  getPendingFeedback(): Promise<any[]>;
+  setFeedbackStatus(id: number, updatedAt: string, status: FeedbackStatus): Promise<unknown>;
+}
+
+// Unlike questions nobody waits for feedback, keep trying for a long time
+const FEEDBACK_RETRY: RetryConfig = {
+  attempts: Infinity,
+  baseDelay: 5000,
+  maxDelay: 5 * 60 * 1000,
+};
+
+/**
+ * What the feedback endpoint receives for a rated answer
+ * @param record - A TranslinkDB record with feedback
+ */
+export const toFeedbackPayload = (record: any) => {
+  return {
+    rating: record.feedback.rating,
+    comment: record.feedback.comment || "",
+    ratedAt: record.feedback.updatedAt,
+    question: record.question,
+    title: record.title ?? null,
+    short: record.short ?? null,
+    threadId: record.threadId ?? null,
+    answeredAt: record.timestamp,
+  };
+};
+
+/**
+ * Post one rating to `config.feedbackEndpoint`
+ * @param record - A TranslinkDB record with feedback
+ * @param config - The resolved agent config
+ */
+export const sendFeedback = async (record: any, config: AgentConfig): Promise<void> => {
+  const controller = new AbortController();
+  const timer = config.timeout > 0 ? setTimeout(() => controller.abort(), config.timeout) : undefined;
+
+  try {
+    const response = await fetchOrThrow(config.feedbackEndpoint, {
+      method: "POST",
+      headers: buildHeaders(config, "application/json"),
+      body: JSON.stringify(toFeedbackPayload(record)),
+      // Ratings given right before leaving the page still go out
+      keepalive: true,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new AgentRequestError(response.status, response.statusText);
+    }
+  } catch (error) {
+    // A hung request counts as a network failure and is tried again
+    throw controller.signal.aborted ? new NetworkError(new Error("Feedback request timed out")) : error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Sends pending feedback from the store, one rating at a time. Network and
+ * 5xx failures are retried with backoff and whenever the browser comes back
+ * online, ratings the backend refuses (4xx) are marked rejected.
+ * @param store - Where pending feedback is kept
+ * @param getConfig - Read on every flush, the endpoint may change at runtime
+ */
+export const createFeedbackQueue = (store: FeedbackStore, getConfig: () => AgentConfig) => {
+  let running: Promise<void> | null = null;
+  let isQueued = false;
+  let retry = 0;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const scheduleRetry = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => flush(), getBackoffDelay(retry++, FEEDBACK_RETRY));
+  };
+
+  const drain = async () => {
+    const config = getConfig();
+
+    // Kept in the store until an endpoint is configured
+    if (!config.feedbackEndpoint) {
+      return;
+    }
+    // The online listener flushes again
+    if (navigator.onLine === false) {
+      return;
+    }
+
+    clearTimeout(timer);
+
+    for (const record of await store.getPendingFeedback()) {
+      const { updatedAt } = record.feedback;
+
+      try {
+        await sendFeedback(record, config);
+        await store.setFeedbackStatus(record.id, updatedAt, "sent");
+        retry = 0;
+      } catch (error) {
+        if (isRetryable(error)) {
+          scheduleRetry();
+          return;
+        }
+
+        console.warn("[Translink] Feedback rejected:", error);
+        await store.setFeedbackStatus(record.id, updatedAt, "rejected");
+      }
+    }
+  };
+
+  /**
+   * Send everything pending, resolves when done. Calls while sending run
+   * once more afterwards, so ratings changed meanwhile go out too.
+   */
+  const flush = (): Promise<void> => {
+    if (running) {
+      isQueued = true;
+      return running;
+    }
+
+    running = drain()
+      .catch((error) => console.error("[Translink] Sending feedback failed:", error))
+      .finally(() => {
+        running = null;
+        if (isQueued) {
+          isQueued = false;
+          flush();
+        }
+      });
+
+    return running;
+  };
+
+  const onOnline = () => {
+    retry = 0;
+    flush();
+  };
+
+  return {
+    flush,
+
+    /** Send what an earlier visit left pending and retry when back online */
+    start() {
+      window.addEventListener("online", onOnline);
+      return flush();
+    },
+
+    destroy() {
+      clearTimeout(timer);
+      window.removeEventListener("online", onOnline);
+    },
+  };
+};
@@ -0,0 +1,197 @@
+/**
+ * Live fleet telemetry sent along with a question, so the agent can answer
+ * things like "which trucks are low on fuel?". Built from whatever shows
+ * the fleet (`FleetTelematicsData` or the particles of the active scene):
+ * the fleet summary plus the vehicles that matter most for the question,
+ * trimmed to a size budget.
+ */
+
+import type { Vehicle } from "../../data/vehicle";
+
+/** Anything that can hand out the fleet, see `FleetTelematicsData` */
+export interface FleetSource {
+  getFleetSummary(): Record<string, number>;
+  getAllVehicles(): Vehicle[];
+}
+
+export interface FleetVehicle {
+  id: string;
+  type: string;
+  state: string;
+  connected: boolean;
+  /** km/h */
+  speed: number;
+  /** Percent of the tank */
+  fuel: number;
+  /** °C */
+  engineTemp: number;
+  faultCodes: string[];
+  driverId: string | null;
+  driverScore: number;
+  /** km until the next service */
+  nextMaintenance: number;
+  route?: string;
+  alerts: string[];
+}
+
+export interface FleetContext {
+  summary: Record<string, number>;
+  vehicles: FleetVehicle[];
+  /** Vehicles left out to stay within the budget */
+  omitted: number;
+}
+
+export interface FleetContextOptions {
+  /** Upper bound for the context, in characters of JSON */
+  maxSize?: number;
+  /** Upper bound for the vehicles listed */
+  maxVehicles?: number;
+}
+
+const DEFAULT_MAX_SIZE = 4000;
+const DEFAULT_MAX_VEHICLES = 20;
+
+// Same thresholds as the particle labels
+const LOW_FUEL = 20;
+const HOT_ENGINE = 100;
+const MAINTENANCE_DUE = 500;
+
+const FLEET_ID = /\b(?:VH|DR)-\d{3,}\b/g;
+const VEHICLE_TYPES = ["truck", "van", "car", "bus"];
+
+/** Questions about a topic list the vehicles worst off first */
+const TOPICS: { pattern: RegExp; compare: (a: FleetVehicle, b: FleetVehicle) => number }[] = [
+  { pattern: /fuel|tank|refuel|range/, compare: (a, b) => a.fuel - b.fuel },
+  { pattern: /engine|temperature|overheat|hot|fault/, compare: (a, b) => b.engineTemp - a.engineTemp },
+  { pattern: /driver|score|harsh|behaviou?r/, compare: (a, b) => a.driverScore - b.driverScore },
+  { pattern: /maintenance|service|repair/, compare: (a, b) => a.nextMaintenance - b.nextMaintenance },
+  { pattern: /speed|fast|speeding/, compare: (a, b) => b.speed - a.speed },
+  { pattern: /idle|parked|stopped/, compare: (a, b) => Number(a.state !== "idle") - Number(b.state !== "idle") },
+];
+
+const round = (value: unknown, digits = 0): number => {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+/**
+ * The fields the agent needs from one vehicle record
+ * @param vehicle - A vehicle as kept by the fleet source
+ */
+export const toFleetVehicle = (vehicle: any): FleetVehicle => {
+  const fuel = vehicle.fuel?.capacity ? (vehicle.fuel.level / vehicle.fuel.capacity) * 100 : 0;
+  const state = vehicle.status?.state ?? (vehicle.status?.ignition ? "driving" : "idle");
+
+  const result: FleetVehicle = {
+    id: vehicle.id,
+    type: String(vehicle.type ?? "").toLowerCase(),
+    state,
+    connected: vehicle.status?.connected !== false,
+    speed: state === "idle" ? 0 : round(vehicle.location?.speed),
+    fuel: round(fuel),
+    engineTemp: round(vehicle.engine?.temperature),
+    faultCodes: [...(vehicle.engine?.faultCodes ?? [])],
+    driverId: vehicle.driver?.id ?? null,
+    driverScore: round(vehicle.driver?.score),
+    nextMaintenance: round(vehicle.status?.nextMaintenance),
+    alerts: [],
+  };
+
+  if (vehicle.status?.route) {
+    result.route = vehicle.status.route;
+  }
+
+  if (result.fuel < LOW_FUEL) {
+    result.alerts.push("lowFuel");
+  }
+  if (result.engineTemp > HOT_ENGINE) {
+    result.alerts.push("hotEngine");
+  }
+  if (result.faultCodes.length) {
+    result.alerts.push("faultCodes");
+  }
+  if (result.nextMaintenance < MAINTENANCE_DUE) {
+    result.alerts.push("maintenanceDue");
+  }
+  if (!result.connected) {
+    result.alerts.push("offline");
+  }
+
+  return result;
+};
+
+/**
+ * Order vehicles by relevance to the question: the ones it names first,
+ * then the ones its topic is about, otherwise those with the most alerts.
+ * A question about one vehicle type only lists that type.
+ */
+const rankVehicles = (vehicles: FleetVehicle[], question: string): FleetVehicle[] => {
+  const text = question.toLowerCase();
+  const named = new Set(question.toUpperCase().match(FLEET_ID) ?? []);
+  const types = VEHICLE_TYPES.filter((type) => new RegExp(`\\b${type}(e?s)?\\b`).test(text));
+  const topic = TOPICS.find(({ pattern }) => pattern.test(text));
+
+  const ofType = types.length ? vehicles.filter((vehicle) => types.includes(vehicle.type)) : vehicles;
+  const isNamed = (vehicle: FleetVehicle) => named.has(vehicle.id) || named.has(vehicle.driverId ?? "");
+
+  return [...(ofType.length ? ofType : vehicles)].sort((a, b) => {
+    return Number(isNamed(b)) - Number(isNamed(a)) ||
+      (topic ? topic.compare(a, b) : b.alerts.length - a.alerts.length);
+  });
+};
+
+/**
+ * Build the fleet context sent with a question
+ * @param source - Where the fleet is shown, null while the scene isn't loaded
+ * @param question - The question, decides which vehicles are listed
+ * @param options - Size bounds
+ * @returns The context, or null when there is no fleet to describe
+ */
+export const buildFleetContext = (
+  source: FleetSource | null | undefined,
+  question: string,
+  { maxSize = DEFAULT_MAX_SIZE, maxVehicles = DEFAULT_MAX_VEHICLES }: FleetContextOptions = {}
+): FleetContext | null => {
+  if (!source) {
+    return null;
+  }
+
+  let summary: Record<string, number>;
+  let vehicles: FleetVehicle[];
+  try {
+    summary = Object.fromEntries(
+      Object.entries(source.getFleetSummary()).map(([key, value]) => [key, round(value, 1)])
+    );
+    vehicles = source.getAllVehicles().map(toFleetVehicle);
+  } catch (error) {
+    console.warn("[Translink] Fleet telemetry unavailable:", error);
+    return null;
+  }
+
+  const ranked = rankVehicles(vehicles, question);
+  const context: FleetContext = {
+    summary,
+    vehicles: ranked.slice(0, maxVehicles),
+    omitted: 0,
+  };
+
+  // Drop the least relevant vehicles until the context fits
+  while (context.vehicles.length && JSON.stringify(context).length > maxSize) {
+    context.vehicles.pop();
+  }
+  context.omitted = vehicles.length - context.vehicles.length;
+
+  return context;
+};
+
+/**
+ * Find the vehicle an answer refers to
+ * @param vehicles - The fleet's vehicle records
+ * @param type - "vehicle" or "driver", as on `.fleet-ref` elements
+ * @param id - e.g. VH-001, or DR-042 for the vehicle that driver drives
+ */
+export const findFleetVehicle = (vehicles: any[], type: string, id: string): any | null => {
+  return vehicles.find((vehicle) => {
+    return type === "driver" ? vehicle.driver?.id === id : vehicle.id === id;
+  }) ?? null;
+};
@@ -0,0 +1,354 @@
+/**
+ * Translink UI strings and the language answers are asked for in. The
+ * locale is the visitor's own choice if they made one, then the
+ * configured `locale`, then the page and browser languages, matched
+ * against the locales there are messages for.
+ *
+ * Messages can be changed or added per locale through
+ * `window.App.translink.messages`, e.g. `{ de: { "label.initial": "…" } }`.
+ * `{name}` placeholders are filled from the params of `t()`. Messages
+ * that count something come in plural forms, `key.one`, `key.other` and
+ * whichever other categories the locale has (see `Intl.PluralRules`);
+ * `t(key, { count })` picks the form.
+ */
+
+export type Messages = Record<string, string>;
+
+export type Translate = (key: string, params?: Record<string, string | number>) => string;
+
+export const DEFAULT_LOCALE = "en";
+
+const LOCALE_STORAGE_KEY = "translink:locale";
+
+export const MESSAGES: Record<string, Messages> = {
+  en: {
+    "label.initial": "Ask Translink",
+    "label.expanded": "How can I guide you?",
+    "label.thinking": "Thinking...",
+    "label.response": "Another question?",
+    "label.modalInitial": "Ask me for more",
+    "label.modalExpanded": "Tell me more",
+    "label.modalThinking": "Wait a second...",
+    "hint.send": "Press Enter to send",
+    "status.retrying": "Retrying ({retry}/{attempts})...",
+    "error.format": "Unreadable answer - Try Again",
+    "error.timeout": "No answer - Try Again",
+    "error.generic": "Error - Try Again",
+    "question.placeholder": "Ask me anything about fleet management...",
+    "question.label": "Ask a question about fleet management",
+    "thread.new": "New conversation",
+    "thread.continue": "Continue this conversation",
+    "answer.pin": "Pin",
+    "answer.unpin": "Unpin",
+    "answer.delete": "Delete",
+    "history.empty": "Nothing to export",
+    "outbox.queued": "You are offline, I will ask once you are back",
+    "outbox.pending": "Waiting for a connection...",
+    "outbox.failed": "Could not be sent",
+    "history.noMatch": "No conversations match your search",
+    "history.count.one": "{count} conversation",
+    "history.count.other": "{count} conversations",
+    "history.filtered": "{shown} of {total}",
+    "history.exported.one": "Exported {count} answer",
+    "history.exported.other": "Exported {count} answers",
+    "history.imported.one": "Imported {count} answer",
+    "history.imported.other": "Imported {count} answers",
+    "history.skipped.one": ", {count} already saved",
+    "history.skipped.other": ", {count} already saved",
+    "history.importFailed": "Import failed: {error}",
+    "voice.listening": "Listening...",
+    "voice.failed": "Voice input failed, try again",
+    "voice.denied": "Microphone access was denied",
+    "voice.noSpeech": "Didn't catch that, try again",
+    "voice.noMicrophone": "No microphone found",
+    "voice.offline": "Voice input needs a connection",
+    "starter.lowFuel": "Which trucks are low on fuel?",
+    "starter.fuelTracking": "How is fuel tracked?",
+    "starter.specs": "Where can I see the specs?",
+    "starter.chip": "What chip is inside?",
+    "starter.preorder": "How do I preorder?",
+  },
+  de: {
+    "label.initial": "Frag Translink",
+    "label.expanded": "Wie kann ich helfen?",
+    "label.thinking": "Denke nach...",
+    "label.response": "Noch eine Frage?",
+    "label.modalInitial": "Frag mich mehr",
+    "label.modalExpanded": "Erzähl mir mehr",
+    "label.modalThinking": "Einen Moment...",
+    "hint.send": "Enter zum Senden",
+    "status.retrying": "Neuer Versuch ({retry}/{attempts})...",
+    "error.format": "Unlesbare Antwort - Erneut versuchen",
+    "error.timeout": "Keine Antwort - Erneut versuchen",
+    "error.generic": "Fehler - Erneut versuchen",
+    "question.placeholder": "Frag mich alles zum Flottenmanagement...",
+    "question.label": "Eine Frage zum Flottenmanagement stellen",
+    "thread.new": "Neue Unterhaltung",
+    "thread.continue": "Diese Unterhaltung fortsetzen",
+    "answer.pin": "Anheften",
+    "answer.unpin": "Lösen",
+    "answer.delete": "Löschen",
+    "history.empty": "Nichts zu exportieren",
+    "outbox.queued": "Du bist offline, ich frage, sobald du wieder online bist",
+    "outbox.pending": "Warte auf eine Verbindung...",
+    "outbox.failed": "Konnte nicht gesendet werden",
+    "history.noMatch": "Keine Unterhaltung passt zu deiner Suche",
+    "history.count.one": "{count} Unterhaltung",
+    "history.count.other": "{count} Unterhaltungen",
+    "history.filtered": "{shown} von {total}",
+    "history.exported.one": "{count} Antwort exportiert",
+    "history.exported.other": "{count} Antworten exportiert",
+    "history.imported.one": "{count} Antwort importiert",
+    "history.imported.other": "{count} Antworten importiert",
+    "history.skipped.one": ", {count} war schon gespeichert",
+    "history.skipped.other": ", {count} waren schon gespeichert",
+    "history.importFailed": "Import fehlgeschlagen: {error}",
+    "voice.listening": "Höre zu...",
+    "voice.failed": "Spracheingabe fehlgeschlagen, versuch es noch einmal",
+    "voice.denied": "Der Zugriff auf das Mikrofon wurde verweigert",
+    "voice.noSpeech": "Nicht verstanden, versuch es noch einmal",
+    "voice.noMicrophone": "Kein Mikrofon gefunden",
+    "voice.offline": "Spracheingabe braucht eine Verbindung",
+    "starter.lowFuel": "Welche Lkw haben wenig Kraftstoff?",
+    "starter.fuelTracking": "Wie wird der Kraftstoff erfasst?",
+    "starter.specs": "Wo finde ich die technischen Daten?",
+    "starter.chip": "Welcher Chip steckt drin?",
+    "starter.preorder": "Wie kann ich vorbestellen?",
+  },
+  fr: {
+    "label.initial": "Demander à Translink",
+    "label.expanded": "Comment puis-je vous guider ?",
+    "label.thinking": "Réflexion...",
+    "label.response": "Une autre question ?",
+    "label.modalInitial": "Demandez-m'en plus",
+    "label.modalExpanded": "Dites-m'en plus",
+    "label.modalThinking": "Un instant...",
+    "hint.send": "Appuyez sur Entrée pour envoyer",
+    "status.retrying": "Nouvel essai ({retry}/{attempts})...",
+    "error.format": "Réponse illisible - Réessayer",
+    "error.timeout": "Pas de réponse - Réessayer",
+    "error.generic": "Erreur - Réessayer",
+    "question.placeholder": "Posez-moi une question sur la gestion de flotte...",
+    "question.label": "Poser une question sur la gestion de flotte",
+    "thread.new": "Nouvelle conversation",
+    "thread.continue": "Poursuivre cette conversation",
+    "answer.pin": "Épingler",
+    "answer.unpin": "Désépingler",
+    "answer.delete": "Supprimer",
+    "history.empty": "Rien à exporter",
+    "outbox.queued": "Vous êtes hors ligne, je la poserai dès votre retour",
+    "outbox.pending": "En attente de connexion...",
+    "outbox.failed": "Envoi impossible",
+    "history.noMatch": "Aucune conversation ne correspond à votre recherche",
+    "history.count.one": "{count} conversation",
+    "history.count.other": "{count} conversations",
+    "history.filtered": "{shown} sur {total}",
+    "history.exported.one": "{count} réponse exportée",
+    "history.exported.other": "{count} réponses exportées",
+    "history.imported.one": "{count} réponse importée",
+    "history.imported.other": "{count} réponses importées",
+    "history.skipped.one": ", {count} déjà enregistrée",
+    "history.skipped.other": ", {count} déjà enregistrées",
+    "history.importFailed": "Échec de l'import : {error}",
+    "voice.listening": "Écoute...",
+    "voice.failed": "La saisie vocale a échoué, réessayez",
+    "voice.denied": "L'accès au micro a été refusé",
+    "voice.noSpeech": "Je n'ai pas compris, réessayez",
+    "voice.noMicrophone": "Aucun micro trouvé",
+    "voice.offline": "La saisie vocale nécessite une connexion",
+    "starter.lowFuel": "Quels camions manquent de carburant ?",
+    "starter.fuelTracking": "Comment le carburant est-il suivi ?",
+    "starter.specs": "Où voir les caractéristiques techniques ?",
+    "starter.chip": "Quelle puce est à l'intérieur ?",
+    "starter.preorder": "Comment précommander ?",
+  },
+  es: {
+    "label.initial": "Pregunta a Translink",
+    "label.expanded": "¿Cómo puedo ayudarte?",
+    "label.thinking": "Pensando...",
+    "label.response": "¿Otra pregunta?",
+    "label.modalInitial": "Pregúntame más",
+    "label.modalExpanded": "Cuéntame más",
+    "label.modalThinking": "Un momento...",
+    "hint.send": "Pulsa Intro para enviar",
+    "status.retrying": "Reintentando ({retry}/{attempts})...",
+    "error.format": "Respuesta ilegible - Reintentar",
+    "error.timeout": "Sin respuesta - Reintentar",
+    "error.generic": "Error - Reintentar",
+    "question.placeholder": "Pregúntame lo que quieras sobre gestión de flotas...",
+    "question.label": "Haz una pregunta sobre gestión de flotas",
+    "thread.new": "Nueva conversación",
+    "thread.continue": "Continuar esta conversación",
+    "answer.pin": "Fijar",
+    "answer.unpin": "Desfijar",
+    "answer.delete": "Eliminar",
+    "history.empty": "Nada que exportar",
+    "outbox.queued": "Estás sin conexión, la enviaré cuando vuelvas",
+    "outbox.pending": "Esperando conexión...",
+    "outbox.failed": "No se pudo enviar",
+    "history.noMatch": "Ninguna conversación coincide con tu búsqueda",
+    "history.count.one": "{count} conversación",
+    "history.count.other": "{count} conversaciones",
+    "history.filtered": "{shown} de {total}",
+    "history.exported.one": "{count} respuesta exportada",
+    "history.exported.other": "{count} respuestas exportadas",
+    "history.imported.one": "{count} respuesta importada",
+    "history.imported.other": "{count} respuestas importadas",
+    "history.skipped.one": ", {count} ya guardada",
+    "history.skipped.other": ", {count} ya guardadas",
+    "history.importFailed": "Error al importar: {error}",
+    "voice.listening": "Escuchando...",
+    "voice.failed": "La entrada de voz falló, inténtalo de nuevo",
+    "voice.denied": "Se denegó el acceso al micrófono",
+    "voice.noSpeech": "No te he entendido, inténtalo de nuevo",
+    "voice.noMicrophone": "No se encontró ningún micrófono",
+    "voice.offline": "La entrada de voz necesita conexión",
+    "starter.lowFuel": "¿Qué camiones tienen poco combustible?",
+    "starter.fuelTracking": "¿Cómo se controla el combustible?",
+    "starter.specs": "¿Dónde puedo ver las especificaciones?",
+    "starter.chip": "¿Qué chip lleva dentro?",
+    "starter.preorder": "¿Cómo hago una reserva?",
+  },
+};
+
+/**
+ * The language of a BCP 47 tag, "de-AT" is "de"
+ */
+export const toLanguage = (tag: string): string => tag.trim().split(/[-_]/)[0].toLowerCase();
+
+/**
+ * Merge configured messages over the built-in ones, per locale
+ * @param defaults - The built-in messages
+ * @param overrides - Changed or additional messages, keyed by locale
+ */
+export const mergeMessages = (
+  defaults: Record<string, Messages>,
+  overrides: Record<string, Messages> = {}
+): Record<string, Messages> => {
+  const merged = { ...defaults };
+
+  for (const [locale, messages] of Object.entries(overrides)) {
+    merged[locale] = { ...merged[locale], ...messages };
+  }
+
+  return merged;
+};
+
+/**
+ * The first candidate there are messages for. "de-AT" matches "de-AT",
+ * otherwise "de".
+ * @param candidates - Preferred locales, most preferred first
+ * @param supported - The locales there are messages for
+ * @returns The matching supported locale, or null
+ */
+export const matchLocale = (candidates: (string | null | undefined)[], supported: string[]): string | null => {
+  const byTag = new Map(supported.map((locale) => [locale.toLowerCase(), locale]));
+
+  for (const candidate of candidates) {
+    if (!candidate?.trim()) {
+      continue;
+    }
+
+    const match = byTag.get(candidate.trim().toLowerCase()) ?? byTag.get(toLanguage(candidate));
+    if (match) {
+      return match;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * The locale the visitor picked, if any
+ */
+export const readStoredLocale = (): string | null => {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remember the locale the visitor picked
+ */
+export const storeLocale = (locale: string) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch {
+    // Private mode, the choice lasts for this page only
+  }
+};
+
+/**
+ * The languages of the page and the browser, most preferred first
+ */
+const getPreferredLanguages = (): string[] => [
+  document.documentElement.lang,
+  ...(navigator.languages ?? [navigator.language]),
+];
+
+/**
+ * Pick the locale for the assistant
+ * @param supported - The locales there are messages for
+ * @param configured - The `locale` agent config, used unless the visitor picked one
+ */
+export const detectLocale = (supported: string[], configured?: string | null): string => {
+  return matchLocale([readStoredLocale(), configured, ...getPreferredLanguages()], supported) ??
+    DEFAULT_LOCALE;
+};
+
+/**
+ * Language tag for speech in a locale, with the region of the page or
+ * browser when they speak that language ("en" becomes "en-GB")
+ */
+export const getSpeechLang = (locale: string): string => {
+  return getPreferredLanguages().find((tag) => tag && toLanguage(tag) === toLanguage(locale)) ?? locale;
+};
+
+/**
+ * Name of a locale's language, e.g. for the language picker or prompts
+ * @param locale - The locale to name
+ * @param displayLocale - The language to name it in, the locale itself by default
+ */
+export const getLanguageName = (locale: string, displayLocale = locale): string => {
+  try {
+    return new Intl.DisplayNames([displayLocale], { type: "language" }).of(locale) ?? locale;
+  } catch {
+    return locale;
+  }
+};
+
+/**
+ * Plural rules of a locale, English ones for tags Intl doesn't know
+ */
+const getPluralRules = (locale: string): Intl.PluralRules => {
+  try {
+    return new Intl.PluralRules(locale);
+  } catch {
+    return new Intl.PluralRules(DEFAULT_LOCALE);
+  }
+};
+
+/**
+ * Look up messages in a locale. Keys missing there come from the default
+ * locale, unknown keys are returned as they are.
+ * @param locale - The locale to translate to
+ * @param messages - All messages, keyed by locale
+ */
+export const createTranslator = (locale: string, messages: Record<string, Messages>): Translate => {
+  const lookup = (key: string): string | undefined => messages[locale]?.[key] ?? messages[DEFAULT_LOCALE]?.[key];
+  const plurals = getPluralRules(locale);
+
+  return (key, params = {}) => {
+    const { count } = params;
+    const plural = typeof count === "number" ?
+      lookup(`${key}.${plurals.select(count)}`) ?? lookup(`${key}.other`) :
+      undefined;
+    const message = plural ?? lookup(key) ?? key;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      return name in params ? String(params[name]) : placeholder;
+    });
+  };
+};
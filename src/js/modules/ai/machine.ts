@@ -0,0 +1,226 @@
+/**
+ * A small headless state machine, and the one of the Translink widget.
+ * States only change through events listed in the definition; guards can
+ * refuse an event, e.g. while the widget is animating, and hooks run when
+ * states are left and entered. Nothing here knows about the DOM or GSAP,
+ * Translink renders each transition it gets back from `send()`.
+ */
+
+export interface Transition<S extends string = string, E extends string = string> {
+  from: S;
+  to: S;
+  event: E;
+}
+
+/** A target state, or a target with the name of the guard that must allow it */
+export type TransitionTarget<S extends string> = S | { target: S; guard?: string };
+
+export interface MachineDefinition<S extends string, E extends string> {
+  initial: S;
+  states: Record<S, { on?: Partial<Record<E, TransitionTarget<S>>> }>;
+}
+
+export type Guard<S extends string, E extends string> = (transition: Transition<S, E>) => boolean;
+export type Hook<S extends string, E extends string> = (transition: Transition<S, E>) => void;
+
+export interface MachineOptions<S extends string, E extends string> {
+  /** Implementations of the guards the definition names */
+  guards?: Record<string, Guard<S, E>>;
+  /** Run when a state is entered, after `exit` of the state left */
+  enter?: Partial<Record<S, Hook<S, E>>>;
+  /** Run when a state is left */
+  exit?: Partial<Record<S, Hook<S, E>>>;
+}
+
+const toTarget = <S extends string>(target: TransitionTarget<S>) =>
+  typeof target === "string" ? { target, guard: undefined } : target;
+
+/**
+ * Start a machine in the definition's initial state
+ * @param definition - States and the events each one takes
+ * @param options - Guards and hooks
+ */
+export const createMachine = <S extends string, E extends string>(
+  definition: MachineDefinition<S, E>,
+  { guards = {}, enter = {}, exit = {} }: MachineOptions<S, E> = {}
+) => {
+  // A typo in the definition would otherwise only show as a dead button
+  for (const [name, { on = {} }] of Object.entries<{ on?: Partial<Record<E, TransitionTarget<S>>> }>(definition.states)) {
+    for (const [event, target] of Object.entries(on) as [E, TransitionTarget<S>][]) {
+      const { target: to, guard } = toTarget(target);
+      if (!(to in definition.states)) {
+        throw new Error(`[machine] ${name} + ${event} leads to unknown state "${to}"`);
+      }
+      if (guard && !guards[guard]) {
+        throw new Error(`[machine] ${name} + ${event} needs the missing guard "${guard}"`);
+      }
+    }
+  }
+
+  const listeners = new Set<Hook<S, E>>();
+  let state = definition.initial;
+
+  /** The transition an event would make now, null when it is refused */
+  const resolve = (event: E): Transition<S, E> | null => {
+    const target = definition.states[state].on?.[event];
+    if (!target) {
+      return null;
+    }
+
+    const { target: to, guard } = toTarget(target);
+    const transition = { from: state, to, event };
+    if (guard && !guards[guard](transition)) {
+      return null;
+    }
+
+    return transition;
+  };
+
+  return {
+    get state(): S {
+      return state;
+    },
+
+    /** Whether the current state takes an event, guards included */
+    can(event: E): boolean {
+      return resolve(event) !== null;
+    },
+
+    /**
+     * Take an event
+     * @returns The transition made, null when the event was refused
+     */
+    send(event: E): Transition<S, E> | null {
+      const transition = resolve(event);
+      if (!transition) {
+        return null;
+      }
+
+      exit[transition.from]?.(transition);
+      state = transition.to;
+      enter[transition.to]?.(transition);
+      listeners.forEach((listener) => listener(transition));
+
+      return transition;
+    },
+
+    /**
+     * Called after every transition
+     * @returns Stops listening
+     */
+    subscribe(listener: Hook<S, E>): () => void {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/** The states of the Translink widget, `name` of `Translink.STATES` */
+export type TranslinkState =
+  | "initial"
+  | "expanded"
+  | "thinking"
+  | "response"
+  | "modal-initial"
+  | "modal-expanded"
+  | "modal-thinking";
+
+/**
+ * - `TOGGLE`: the prompt button
+ * - `OPEN`: open the prompt to ask something, e.g. a suggestion
+ * - `SUBMIT`: a question was sent
+ * - `ANSWER`: the answer is in the modal's history
+ * - `CANCEL`: back to the prompt without an answer
+ * - `HIDE_ANSWER`: the answer under the prompt faded out
+ * - `OPEN_MODAL`: the prompt moved into the modal
+ * - `LEAVE`: Escape or a click outside the open prompt
+ * - `CLOSE`: the close button, or the modal closing
+ */
+export type TranslinkEvent =
+  | "TOGGLE"
+  | "OPEN"
+  | "SUBMIT"
+  | "ANSWER"
+  | "CANCEL"
+  | "HIDE_ANSWER"
+  | "OPEN_MODAL"
+  | "LEAVE"
+  | "CLOSE";
+
+export interface TranslinkGuards {
+  /** False while the widget animates, events wait for the view */
+  isIdle: Guard<TranslinkState, TranslinkEvent>;
+}
+
+const idle = (target: TranslinkState) => ({ target, guard: "isIdle" });
+
+/**
+ * The answer stays under the prompt in `thinking`; `response` is the prompt
+ * after that answer was hidden.
+ */
+export const TRANSLINK_MACHINE: MachineDefinition<TranslinkState, TranslinkEvent> = {
+  initial: "initial",
+  states: {
+    initial: {
+      on: {
+        TOGGLE: idle("expanded"),
+      },
+    },
+    expanded: {
+      on: {
+        TOGGLE: idle("initial"),
+        SUBMIT: idle("thinking"),
+        LEAVE: idle("initial"),
+        CLOSE: idle("initial"),
+      },
+    },
+    thinking: {
+      on: {
+        TOGGLE: idle("expanded"),
+        OPEN: idle("expanded"),
+        CANCEL: idle("expanded"),
+        // Not guarded, the answer fades out while the prompt animates
+        HIDE_ANSWER: "response",
+        CLOSE: idle("initial"),
+      },
+    },
+    response: {
+      on: {
+        TOGGLE: idle("initial"),
+        OPEN: idle("expanded"),
+        OPEN_MODAL: idle("modal-initial"),
+        CLOSE: idle("initial"),
+      },
+    },
+    "modal-initial": {
+      on: {
+        TOGGLE: idle("modal-expanded"),
+        OPEN: idle("modal-expanded"),
+        CLOSE: idle("initial"),
+      },
+    },
+    "modal-expanded": {
+      on: {
+        TOGGLE: idle("modal-initial"),
+        SUBMIT: idle("modal-thinking"),
+        CLOSE: idle("initial"),
+      },
+    },
+    "modal-thinking": {
+      on: {
+        TOGGLE: idle("initial"),
+        ANSWER: idle("modal-initial"),
+        CANCEL: idle("modal-expanded"),
+        CLOSE: idle("initial"),
+      },
+    },
+  },
+};
+
+/**
+ * The Translink widget's machine
+ * @param options - The `isIdle` guard and the widget's hooks
+ */
+export const createTranslinkMachine = (
+  options: MachineOptions<TranslinkState, TranslinkEvent> & { guards: TranslinkGuards }
+) => createMachine(TRANSLINK_MACHINE, options);
@@ -0,0 +1,170 @@
+import { AgentTimeoutError, NetworkError } from "./adapters/adapter";
+import { isRetryable } from "./adapters/retry";
+
+/**
+ * Questions asked while offline. They wait in the `outbox` store of
+ * TranslinkDB and are sent once the connection is back, on the `online`
+ * event and on a periodic probe (`navigator.onLine` stays true behind a
+ * dead router). Every open tab runs a queue; a tab claims an entry in a
+ * DB transaction before sending it, so no question goes out twice.
+ */
+
+/** A question in the outbox */
+export interface OutboxEntry {
+  id: number;
+  question: string;
+  threadId: string;
+  locale: string;
+  createdAt: string;
+  /** The queue sending it, see `claimOutboxEntry()` */
+  claimedBy: string | null;
+  /** Until when the claim holds, in ms since the epoch */
+  claimedUntil: number;
+  /** Why the backend refused it, it isn't sent again */
+  error?: string;
+}
+
+/** Where the queue finds queued questions, implemented by TranslinkDB */
+export interface OutboxStore {
+  getOutbox(): Promise<OutboxEntry[]>;
+  /** Resolves with the entry when it could be claimed, null when it is gone or claimed elsewhere */
+  claimOutboxEntry(id: number, owner: string, lease: number): Promise<OutboxEntry | null>;
+  releaseOutboxEntry(id: number, owner: string, error?: string): Promise<unknown>;
+}
+
+export interface OutboxOptions {
+  /** Sends the question and stores its answer, removing the entry */
+  send: (entry: OutboxEntry) => Promise<void>;
+  /** Whether the backend can be reached */
+  probe: () => Promise<boolean>;
+  /** Called after an entry was answered or refused */
+  onChange?: () => void;
+  /** How often to probe while questions wait, in ms */
+  probeInterval?: number;
+  /** How long a claim holds, longer than sending with all retries takes, in ms */
+  lease?: number;
+}
+
+const DEFAULT_PROBE_INTERVAL = 15000;
+const DEFAULT_LEASE = 2 * 60 * 1000;
+const PROBE_TIMEOUT = 5000;
+
+const createOwnerId = (): string => `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Whether a question failed because there is no connection: the request
+ * itself could not be made (see `fetchOrThrow()`). Errors while handling
+ * an answer are not, those questions would never go through.
+ */
+export const isNetworkError = (error: unknown): boolean => error instanceof NetworkError;
+
+/**
+ * Check that a URL can be reached. Any HTTP answer counts, only network
+ * failures and timeouts don't.
+ * @param url - e.g. the agent endpoint
+ * @param timeout - Give up after this long, in ms
+ */
+export const probeConnection = async (url: string, timeout = PROBE_TIMEOUT): Promise<boolean> => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    await fetch(url, { method: "HEAD", cache: "no-store", signal: controller.signal });
+    return true;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Sends queued questions one at a time, oldest first. While the connection
+ * is still down the rest wait for the next attempt, questions the backend
+ * refuses keep their error and aren't sent again.
+ * @param store - Where queued questions are kept
+ * @param options - How to send and probe
+ */
+export const createOutbox = (
+  store: OutboxStore,
+  {
+    send,
+    probe,
+    onChange = () => {},
+    probeInterval = DEFAULT_PROBE_INTERVAL,
+    lease = DEFAULT_LEASE,
+  }: OutboxOptions
+) => {
+  const owner = createOwnerId();
+  let running: Promise<void> | null = null;
+  let timer: ReturnType<typeof setInterval> | undefined;
+
+  const drain = async (shouldProbe: boolean) => {
+    const entries = (await store.getOutbox()).filter((entry) => !entry.error);
+    if (!entries.length || navigator.onLine === false) {
+      return;
+    }
+    if (shouldProbe && !(await probe())) {
+      return;
+    }
+
+    for (const { id } of entries) {
+      const entry = await store.claimOutboxEntry(id, owner, lease);
+      // Answered meanwhile, or being sent by another tab
+      if (!entry) {
+        continue;
+      }
+
+      try {
+        await send(entry);
+      } catch (error) {
+        if (isRetryable(error) || error instanceof AgentTimeoutError) {
+          await store.releaseOutboxEntry(id, owner);
+          return;
+        }
+
+        console.warn("[Translink] Queued question refused:", error);
+        await store.releaseOutboxEntry(id, owner, (error as Error).message || String(error));
+      }
+      onChange();
+    }
+  };
+
+  /**
+   * Send what is queued, resolves when done. Calls while sending share
+   * the running flush.
+   * @param shouldProbe - Check the connection first, sending is the check otherwise
+   */
+  const flush = (shouldProbe = false): Promise<void> => {
+    if (running) {
+      return running;
+    }
+
+    running = drain(shouldProbe)
+      .catch((error) => console.error("[Translink] Sending queued questions failed:", error))
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  };
+
+  const onOnline = () => flush();
+
+  return {
+    flush,
+
+    /** Send what an earlier visit left queued, then whenever the connection returns */
+    start() {
+      window.addEventListener("online", onOnline);
+      clearInterval(timer);
+      timer = setInterval(() => flush(true), probeInterval);
+      return flush();
+    },
+
+    destroy() {
+      clearInterval(timer);
+      window.removeEventListener("online", onOnline);
+    },
+  };
+};
@@ -0,0 +1,262 @@
+/**
+ * Scene actions the agent can send along with an answer to drive the 3D
+ * scene, e.g. `{ "type": "focusPoint", "point": "chip" }`. Only this
+ * vocabulary is accepted, anything else is dropped with a warning so a
+ * bad tool call never costs the visitor the answer itself.
+ *
+ * - `switchScene` `{ scene }`: "homepage", "specs" or "fwa"
+ * - `focusPoint` `{ point, duration? }`: highlight one of PROJECTED_POINTS
+ * - `triggerWave` `{ duration? }`: send a wave through the particles
+ *
+ * Actions run one after another and wait while the World is transitioning.
+ */
+
+import { wait } from "./utils/wait";
+
+export const SCENES = ["homepage", "specs", "fwa"] as const;
+
+/** The scene of `World.scenes` each name switches to */
+const WORLD_SCENES: Record<typeof SCENES[number], string> = {
+  homepage: "mainA",
+  specs: "specs",
+  fwa: "fwa",
+};
+
+/** The projected points of the main scene, `SceneMain.projectedEmpties` */
+export const PROJECTED_POINTS = [
+  "spectrum-visualiser",
+  "ipx",
+  "heart-rate",
+  "mic-hd",
+  "mic",
+  "touch-pad",
+  "volume",
+  "chip",
+  "dampening-shell",
+  "diffusion-rotary-discs",
+  "emission-core",
+] as const;
+
+export type SceneName = typeof SCENES[number];
+export type PointName = typeof PROJECTED_POINTS[number];
+
+export type SceneAction =
+  | { type: "switchScene"; scene: SceneName }
+  | { type: "focusPoint"; point: PointName; duration: number }
+  | { type: "triggerWave"; duration: number };
+
+/** What the queue drives, implemented by World */
+export interface SceneController {
+  isTransitioning: boolean;
+  scenes?: Record<string, unknown>;
+  activeScenes?: { current: unknown };
+  setActiveSceneAnimated(scene: SceneName): Promise<unknown> | undefined;
+  focusProjectedPoint(point: PointName, duration: number): unknown;
+  triggerParticleWave(duration: number): unknown;
+}
+
+export interface SceneQueueOptions {
+  /** How often to check whether a transition ended, in ms */
+  pollInterval?: number;
+  /** Drop what is still waiting after this long, in ms */
+  timeout?: number;
+}
+
+/** More than this per answer is ignored */
+export const MAX_SCENE_ACTIONS = 5;
+
+// In seconds
+const DURATION = {
+  min: 0.5,
+  max: 10,
+  focus: 4,
+  wave: 4,
+};
+
+// "Dampening Shell" and "dampening_shell" name the same point
+const toKey = (value: unknown): string | null => {
+  return typeof value === "string" ? value.trim().toLowerCase().replace(/[\s_]+/g, "-") : null;
+};
+
+const readDuration = (value: unknown, fallback: number): number | null => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return null;
+  }
+
+  return Math.min(DURATION.max, Math.max(DURATION.min, value));
+};
+
+/**
+ * Validate one scene action from the agent
+ * @param item - The action as sent
+ * @returns The normalized action, or why it was rejected
+ */
+export const validateSceneAction = (item: any): { action: SceneAction } | { error: string } => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { error: "must be an object" };
+  }
+
+  switch (item.type) {
+    case "switchScene": {
+      const scene = toKey(item.scene) as SceneName;
+      if (!SCENES.includes(scene)) {
+        return { error: `unknown scene ${JSON.stringify(item.scene)}` };
+      }
+
+      return { action: { type: "switchScene", scene } };
+    }
+    case "focusPoint": {
+      const point = toKey(item.point) as PointName;
+      const duration = readDuration(item.duration, DURATION.focus);
+      if (!PROJECTED_POINTS.includes(point)) {
+        return { error: `unknown point ${JSON.stringify(item.point)}` };
+      }
+      if (duration === null) {
+        return { error: "duration must be a number of seconds" };
+      }
+
+      return { action: { type: "focusPoint", point, duration } };
+    }
+    case "triggerWave": {
+      const duration = readDuration(item.duration, DURATION.wave);
+      if (duration === null) {
+        return { error: "duration must be a number of seconds" };
+      }
+
+      return { action: { type: "triggerWave", duration } };
+    }
+    default:
+      return { error: `unknown type ${JSON.stringify(item.type)}` };
+  }
+};
+
+/**
+ * The valid scene actions of an answer, at most MAX_SCENE_ACTIONS
+ * @param items - The answer's `scene` list
+ */
+export const parseSceneActions = (items: unknown[]): SceneAction[] => {
+  const actions: SceneAction[] = [];
+
+  items.forEach((item, index) => {
+    const result = validateSceneAction(item);
+    if ("error" in result) {
+      console.warn(`[Translink] Ignoring scene[${index}]: ${result.error}`);
+      return;
+    }
+
+    actions.push(result.action);
+  });
+
+  if (actions.length > MAX_SCENE_ACTIONS) {
+    console.warn(`[Translink] Ignoring scene actions after the first ${MAX_SCENE_ACTIONS}`);
+  }
+
+  return actions.slice(0, MAX_SCENE_ACTIONS);
+};
+
+/**
+ * Whether a scene is on screen already. Transitioning to it again would
+ * stop rendering it and leave the view frozen.
+ * @param controller - The World
+ * @param scene - The scene to switch to
+ */
+export const isActiveScene = (controller: SceneController, scene: SceneName): boolean => {
+  const target = controller.scenes?.[WORLD_SCENES[scene]];
+  return target !== undefined && controller.activeScenes?.current === target;
+};
+
+const runSceneAction = (controller: SceneController, action: SceneAction) => {
+  switch (action.type) {
+    case "switchScene":
+      if (isActiveScene(controller, action.scene)) {
+        return;
+      }
+      return controller.setActiveSceneAnimated(action.scene);
+    case "focusPoint":
+      return controller.focusProjectedPoint(action.point, action.duration);
+    case "triggerWave":
+      return controller.triggerParticleWave(action.duration);
+  }
+};
+
+/**
+ * Run scene actions in order, each once the World isn't transitioning.
+ * A scene switch is awaited before the next action starts.
+ * @param getController - The World, null while the scene isn't loaded
+ * @param options - Polling and how long actions may wait
+ */
+export const createSceneQueue = (
+  getController: () => SceneController | null | undefined,
+  { pollInterval = 100, timeout = 15000 }: SceneQueueOptions = {}
+) => {
+  let pending: SceneAction[] = [];
+  let running: Promise<void> | null = null;
+  let waitingSince = 0;
+
+  const drain = async () => {
+    waitingSince = Date.now();
+
+    while (pending.length) {
+      const controller = getController();
+      if (!controller) {
+        pending = [];
+        break;
+      }
+
+      if (controller.isTransitioning) {
+        if (Date.now() - waitingSince > timeout) {
+          console.warn("[Translink] Dropping scene actions, the scene stayed busy");
+          pending = [];
+          break;
+        }
+        await wait(pollInterval);
+        continue;
+      }
+
+      const action = pending.shift() as SceneAction;
+      try {
+        await runSceneAction(controller, action);
+      } catch (error) {
+        console.warn("[Translink] Scene action failed:", action, error);
+      }
+      waitingSince = Date.now();
+    }
+  };
+
+  const start = (): Promise<void> => {
+    running = drain().finally(() => {
+      running = null;
+      // Added while the last action was finishing
+      if (pending.length) {
+        start();
+      }
+    });
+
+    return running;
+  };
+
+  return {
+    /**
+     * Add actions after those still waiting
+     * @returns Resolves once the queue is empty
+     */
+    enqueue(actions: SceneAction[]): Promise<void> {
+      pending.push(...actions);
+      return running ?? start();
+    },
+
+    /**
+     * Drop everything still waiting, a running scene switch completes
+     */
+    clear() {
+      pending = [];
+    },
+
+    get size(): number {
+      return pending.length;
+    },
+  };
+};
@@ -0,0 +1,126 @@
+/**
+ * Voice input and spoken answers. Recognizers are registered by name like
+ * the agent adapters, "webspeech" wraps the browser's Web Speech API and
+ * tests or a local speech service can register their own.
+ */
+
+export interface RecognizerOptions {
+  /** BCP 47 language tag, e.g. "en-GB" */
+  lang: string;
+  /** Called with everything heard so far, `isFinal` once the phrase is complete */
+  onResult: (transcript: string, isFinal: boolean) => void;
+  /** Called with an error code like "not-allowed" or "no-speech" */
+  onError: (error: string) => void;
+  /** Called when listening stopped, after a final result or an error */
+  onEnd: () => void;
+}
+
+export interface SpeechRecognizer {
+  start(): void;
+  /** Stop listening and deliver what was heard */
+  stop(): void;
+  /** Stop listening and drop what was heard */
+  abort(): void;
+}
+
+/** Returns null when the recognizer can't run in this browser */
+export type RecognizerFactory = (options: RecognizerOptions) => SpeechRecognizer | null;
+
+export interface SpeakOptions {
+  lang?: string;
+  /** 0 to 1 */
+  volume?: number;
+  rate?: number;
+}
+
+const recognizers = new Map<string, RecognizerFactory>();
+
+/**
+ * Make a speech recognizer available to Translink under `name`
+ * @param name - Referenced by the `recognizer` agent config
+ * @param factory - Creates a recognizer for one session of listening
+ */
+export const registerRecognizer = (name: string, factory: RecognizerFactory) => {
+  recognizers.set(name, factory);
+};
+
+/**
+ * Create a registered recognizer
+ * @param name - The recognizer name from the agent config
+ * @param options - Language and callbacks
+ * @returns The recognizer, or null when it isn't registered or supported
+ */
+export const createRecognizer = (name: string, options: RecognizerOptions): SpeechRecognizer | null => {
+  const factory = recognizers.get(name);
+  if (!factory) {
+    console.warn(`[Translink] Unknown speech recognizer "${name}"`);
+    return null;
+  }
+
+  return factory(options);
+};
+
+export const webSpeechRecognizer: RecognizerFactory = ({ lang, onResult, onError, onEnd }) => {
+  const SpeechRecognition = (window as any).SpeechRecognition ?? (window as any).webkitSpeechRecognition;
+  if (!SpeechRecognition) {
+    return null;
+  }
+
+  const recognition = new SpeechRecognition();
+  recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+  recognition.maxAlternatives = 1;
+
+  recognition.onresult = (event: any) => {
+    const results = [...event.results];
+    const transcript = results.map((result) => result[0].transcript).join("");
+    onResult(transcript, results.every((result) => result.isFinal));
+  };
+  recognition.onerror = (event: any) => onError(event.error);
+  recognition.onend = () => onEnd();
+
+  return {
+    start: () => recognition.start(),
+    stop: () => recognition.stop(),
+    abort: () => recognition.abort(),
+  };
+};
+
+registerRecognizer("webspeech", webSpeechRecognizer);
+
+export const canSpeak = (): boolean => {
+  return "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+};
+
+/**
+ * Read text aloud, stopping anything still being read
+ * @param text - What to say
+ * @param options - Language, volume and rate
+ * @returns Resolves when speaking ended or was stopped
+ */
+export const speak = (text: string, { lang, volume = 1, rate = 1 }: SpeakOptions = {}): Promise<void> => {
+  if (!canSpeak() || !text) {
+    return Promise.resolve();
+  }
+
+  window.speechSynthesis.cancel();
+
+  return new Promise((resolve) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = lang ?? "";
+    utterance.volume = volume;
+    utterance.rate = rate;
+    // Stopping raises "interrupted" or "canceled", neither is worth reporting
+    utterance.onend = () => resolve();
+    utterance.onerror = () => resolve();
+
+    window.speechSynthesis.speak(utterance);
+  });
+};
+
+export const stopSpeaking = () => {
+  if (canSpeak()) {
+    window.speechSynthesis.cancel();
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Questions offered under the Translink prompt: follow-ups the agent sent
+ * with its last answer, questions asked before (from TranslinkDB) and
+ * starter questions. `TranslinkSuggestions` renders them.
+ */
+
+export type SuggestionSource = "followUp" | "history" | "starter";
+
+export interface Suggestion {
+  text: string;
+  source: SuggestionSource;
+}
+
+export interface SuggestionInput {
+  /** What is typed so far */
+  input: string;
+  /** Past questions starting with the input, newest first */
+  history?: string[];
+  starters?: string[];
+  followUps?: string[];
+}
+
+export const MAX_SUGGESTIONS = 5;
+/** More follow-ups per answer are ignored */
+export const MAX_FOLLOW_UPS = 3;
+const MAX_FOLLOW_UP_LENGTH = 150;
+
+/** Message keys of the starter questions offered unless configured, see `i18n.ts` */
+export const STARTER_QUESTIONS = [
+  "starter.lowFuel",
+  "starter.fuelTracking",
+  "starter.specs",
+  "starter.chip",
+  "starter.preorder",
+];
+
+const normalize = (text: string): string => text.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * The follow-up questions of an answer that can be offered
+ * @param items - The answer's `followUps` list
+ */
+export const parseFollowUps = (items: unknown[]): string[] => {
+  const followUps = items
+    .filter((item): item is string => typeof item === "string" && item.trim() !== "")
+    .map((item) => item.trim().replace(/\s+/g, " "))
+    .filter((item) => item.length <= MAX_FOLLOW_UP_LENGTH);
+
+  return [...new Set(followUps)].slice(0, MAX_FOLLOW_UPS);
+};
+
+/**
+ * Spellings to look a typed prefix up with. The byQuestion index is
+ * case-sensitive, questions usually start with a capital.
+ * @param input - What is typed so far
+ */
+export const getPrefixVariants = (input: string): string[] => {
+  const prefix = input.trimStart();
+  if (!prefix) {
+    return [];
+  }
+
+  const capitalized = prefix[0].toUpperCase() + prefix.slice(1);
+  return [...new Set([prefix, capitalized])];
+};
+
+/**
+ * Pick the suggestions for the prompt. With nothing typed these are the
+ * follow-ups, then the starters; otherwise past questions completing the
+ * input, then follow-ups and starters containing it.
+ * @param sources - The input and the candidate questions
+ * @param limit - How many to offer
+ */
+export const getSuggestions = (
+  { input, history = [], starters = [], followUps = [] }: SuggestionInput,
+  limit = MAX_SUGGESTIONS
+): Suggestion[] => {
+  const query = normalize(input);
+  const seen = new Set([query]);
+  const suggestions: Suggestion[] = [];
+
+  const add = (texts: string[], source: SuggestionSource, matches: (text: string) => boolean) => {
+    texts.forEach((text) => {
+      const key = normalize(text);
+      if (!seen.has(key) && matches(key)) {
+        seen.add(key);
+        suggestions.push({ text: text.trim(), source });
+      }
+    });
+  };
+
+  if (!query) {
+    add(followUps, "followUp", () => true);
+    add(starters, "starter", () => true);
+  } else {
+    add(history, "history", (key) => key.startsWith(query));
+    add(followUps, "followUp", (key) => key.includes(query));
+    add(starters, "starter", (key) => key.includes(query));
+  }
+
+  return suggestions.slice(0, limit);
+};
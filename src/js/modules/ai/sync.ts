@@ -0,0 +1,75 @@
+/**
+ * Keeps the Translink history in sync between open tabs. IndexedDB has no
+ * change events, so TranslinkDB posts the ids of every write on a
+ * BroadcastChannel and the other tabs reload what they show. Browsers
+ * without BroadcastChannel stay in sync on reload only.
+ */
+
+export type SyncStore = "conversations" | "outbox";
+
+export interface SyncMessage {
+  store: SyncStore;
+  /** Records written or deleted */
+  ids: number[];
+}
+
+export type SyncListener = (message: SyncMessage) => void;
+
+const isSupported = (): boolean => typeof BroadcastChannel !== "undefined";
+
+const isSyncMessage = (data: any): data is SyncMessage =>
+  (data?.store === "conversations" || data?.store === "outbox") && Array.isArray(data.ids);
+
+/**
+ * A channel to the same database in other tabs. It is only opened while
+ * someone listens, posting without listeners uses a channel for that one
+ * message.
+ * @param name - Shared by all tabs, e.g. after the database
+ */
+export const createSyncChannel = (name: string) => {
+  const listeners = new Set<SyncListener>();
+  let channel: BroadcastChannel | null = null;
+
+  return {
+    post(message: SyncMessage) {
+      if (!isSupported()) {
+        return;
+      }
+
+      if (channel) {
+        channel.postMessage(message);
+        return;
+      }
+
+      const sender = new BroadcastChannel(name);
+      sender.postMessage(message);
+      sender.close();
+    },
+
+    /**
+     * Listen to writes from other tabs
+     * @returns Stops listening
+     */
+    subscribe(listener: SyncListener): () => void {
+      listeners.add(listener);
+
+      if (!channel && isSupported()) {
+        channel = new BroadcastChannel(name);
+        channel.onmessage = ({ data }) => {
+          // Ignore anything else posted under the same name
+          if (isSyncMessage(data)) {
+            listeners.forEach((notify) => notify(data));
+          }
+        };
+      }
+
+      return () => {
+        listeners.delete(listener);
+        if (!listeners.size) {
+          channel?.close();
+          channel = null;
+        }
+      };
+    },
+  };
+};
@@ -0,0 +1,229 @@
+/**
+ * Sharing stored Translink answers: a JSON backup that can be imported
+ * again, Markdown for docs and a printable HTML report.
+ */
+
+import { escapeHTML } from "./html";
+import { MarkdownOptions, renderMarkdown } from "./markdown";
+
+export const EXPORT_FORMAT = "translink-answers";
+export const EXPORT_VERSION = 1;
+
+export interface StoredAnswer {
+  id?: number;
+  question: string;
+  title?: string | null;
+  short?: string | null;
+  long?: string | null;
+  media?: string | null;
+  mediaType?: string | null;
+  CTA?: string | null;
+  timestamp: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Thrown when an imported file isn't a Translink JSON export
+ */
+export class ImportError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * Where an answer's media lives, relative to the site root
+ * @param answer - A stored answer
+ * @returns The image or video path, or null without media
+ */
+export const getMediaURL = (answer: Pick<StoredAnswer, "media" | "mediaType">): string | null => {
+  if (!answer.media) {
+    return null;
+  }
+
+  const isImage = answer.mediaType ?
+    answer.mediaType === "image" :
+    answer.media.includes("IMAGE") || answer.media.includes("IMG");
+
+  return isImage ?
+    `/assets/ai-images/${answer.media}.webp` :
+    `/assets/ai-video/${answer.media}.mp4`;
+};
+
+/**
+ * Identifies an answer across devices, the DB id only exists locally
+ */
+export const getAnswerKey = (answer: StoredAnswer): string => `${answer.timestamp}\n${answer.question}`;
+
+// Local ids would collide with the ones in the importing database
+const withoutId = ({ id: _id, ...answer }: StoredAnswer) => answer;
+
+/**
+ * An answer from another installation as this one stores it. Ratings
+ * stay with whoever gave them, pending ones would be posted again from
+ * here, and outbox claims only mean something to the tab that made them.
+ */
+const toImported = (answer: StoredAnswer): StoredAnswer => {
+  const {
+    feedback: _feedback,
+    claimedBy: _claimedBy,
+    claimedUntil: _claimedUntil,
+    error: _error,
+    ...imported
+  } = withoutId(answer);
+
+  return { ...imported, feedback: null };
+};
+
+/**
+ * JSON backup of stored answers, readable by `parseImport()`
+ */
+export const toJSON = (answers: StoredAnswer[], exportedAt = new Date()): string => {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    answers: answers.map(withoutId),
+  }, null, 2);
+};
+
+const formatDate = (timestamp: string): string => new Date(timestamp).toLocaleString();
+
+/**
+ * Markdown for pasting answers into docs
+ * @param answers - Stored answers
+ * @param baseUrl - Prefixed to media paths, e.g. `window.location.origin`
+ */
+export const toMarkdown = (answers: StoredAnswer[], baseUrl = ""): string => {
+  const sections = answers.map((answer) => {
+    const mediaURL = getMediaURL(answer);
+    const lines = [
+      `## ${answer.title || answer.question}`,
+      "",
+      `> ${answer.question}`,
+      "",
+      `*${formatDate(answer.timestamp)}*`,
+      "",
+    ];
+
+    if (answer.short) {
+      lines.push(`**${answer.short}**`, "");
+    }
+    if (answer.long) {
+      lines.push(answer.long, "");
+    }
+    if (mediaURL) {
+      lines.push(
+        mediaURL.endsWith(".mp4") ?
+          `[Watch the video](${baseUrl}${mediaURL})` :
+          `![${answer.title || ""}](${baseUrl}${mediaURL})`,
+        ""
+      );
+    }
+
+    return lines.join("\n");
+  });
+
+  return [`# Translink answers`, "", ...sections].join("\n").trimEnd() + "\n";
+};
+
+const REPORT_STYLES = `
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+  header { border-bottom: 1px solid #ddd; margin-bottom: 2rem; }
+  article { break-inside: avoid; margin-bottom: 2.5rem; }
+  .question { color: #555; font-style: italic; }
+  .date { color: #888; font-size: 12px; }
+  img { max-width: 100%; border-radius: 0.5rem; }
+  .fleet-ref { border: 0; background: none; padding: 0; font: inherit; color: inherit; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+/**
+ * A standalone HTML report, laid out for printing or saving as PDF
+ * @param answers - Stored answers
+ * @param baseUrl - Prefixed to media paths so images load outside the site
+ * @param markdownOptions - Which links of the long answers to keep, as in the accordions
+ */
+export const toHTML = (answers: StoredAnswer[], baseUrl = "", markdownOptions: MarkdownOptions = {}): string => {
+  const articles = answers.map((answer) => {
+    const mediaURL = getMediaURL(answer);
+    let media = "";
+    if (mediaURL?.endsWith(".mp4")) {
+      media = `<p><a href="${escapeHTML(baseUrl + mediaURL)}">Watch the video</a></p>`;
+    } else if (mediaURL) {
+      media = `<img src="${escapeHTML(baseUrl + mediaURL)}" alt="${escapeHTML(answer.title)}">`;
+    }
+
+    return `
+    <article>
+      <h2>${escapeHTML(answer.title || answer.question)}</h2>
+      <p class="question">${escapeHTML(answer.question)}</p>
+      <p class="date">${escapeHTML(formatDate(answer.timestamp))}</p>
+      ${answer.short ? `<p><strong>${escapeHTML(answer.short)}</strong></p>` : ""}
+      ${answer.long ? `<div class="long">${renderMarkdown(answer.long, markdownOptions)}</div>` : ""}
+      ${media}
+    </article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Translink answers</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>Translink answers</h1>
+    <p class="date">${answers.length} ${answers.length === 1 ? "answer" : "answers"}, exported ${escapeHTML(new Date().toLocaleString())}</p>
+  </header>
+  ${articles.join("\n")}
+</body>
+</html>
+`;
+};
+
+/**
+ * Read a JSON export back in
+ * @param text - The file contents
+ * @returns The answers, without local ids, ratings or outbox state
+ */
+export const parseImport = (text: string): StoredAnswer[] => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ImportError("The file is not valid JSON");
+  }
+
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.answers)) {
+    throw new ImportError("The file is not a Translink export");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new ImportError(`Export version ${data.version} is newer than this app supports`);
+  }
+
+  return data.answers.map((answer: any, index: number) => {
+    if (typeof answer?.question !== "string" || Number.isNaN(Date.parse(answer?.timestamp))) {
+      throw new ImportError(`Answer ${index + 1} needs a question and a timestamp`);
+    }
+
+    return toImported(answer);
+  });
+};
+
+/**
+ * Save text as a file through a temporary download link
+ */
+export const downloadFile = (content: string, filename: string, type: string) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,86 @@
+export interface HistoryFilters {
+  /** Matched against question, title and long answer, case-insensitive */
+  query?: string;
+  /** Only answers from this date on */
+  from?: Date | string | null;
+  /** Only answers up to this date */
+  to?: Date | string | null;
+  /** Only answers offering this CTA */
+  CTA?: string | null;
+  pinnedOnly?: boolean;
+}
+
+export type DateRange = "" | "today" | "week" | "month";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of a date range from the history filter select
+ * @param range - "today", "week" (7 days) or "month" (30 days)
+ * @param now - The current time
+ * @returns The start date, or null for any time
+ */
+export const getRangeStart = (range: DateRange, now = new Date()): Date | null => {
+  switch (range) {
+    case "today":
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    case "week":
+      return new Date(now.getTime() - 7 * DAY);
+    case "month":
+      return new Date(now.getTime() - 30 * DAY);
+    default:
+      return null;
+  }
+};
+
+const normalize = (text: unknown): string => String(text ?? "").toLowerCase();
+
+/**
+ * Whether a stored answer contains every word of the search query
+ * @param record - A TranslinkDB record
+ * @param query - The search text
+ */
+export const matchesQuery = (record: any, query = ""): boolean => {
+  const words = normalize(query).split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return true;
+  }
+
+  const haystack = [record.question, record.title, record.long].map(normalize).join("\n");
+  return words.every((word) => haystack.includes(word));
+};
+
+/**
+ * Whether a stored answer passes all history filters
+ * @param record - A TranslinkDB record
+ * @param filters - The active filters, empty ones are ignored
+ */
+export const matchesFilters = (record: any, filters: HistoryFilters = {}): boolean => {
+  const { query, from, to, CTA, pinnedOnly } = filters;
+  const time = new Date(record.timestamp).getTime();
+
+  if (pinnedOnly && !record.pinned) {
+    return false;
+  }
+  if (CTA && record.CTA !== CTA && !(record.actions ?? []).includes(CTA)) {
+    return false;
+  }
+  if (from && time < new Date(from).getTime()) {
+    return false;
+  }
+  if (to && time > new Date(to).getTime()) {
+    return false;
+  }
+
+  return matchesQuery(record, query);
+};
+
+/**
+ * Order history for display, pinned answers first, then newest first
+ */
+export const sortHistory = <T extends { pinned?: boolean; timestamp: string }>(records: T[]): T[] => {
+  return [...records].sort((a, b) =>
+    Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) ||
+    new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+  );
+};
@@ -0,0 +1,10 @@
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param text - Anything, null and undefined become an empty string
+ */
+export const escapeHTML = (text: unknown): string => String(text ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
@@ -0,0 +1,363 @@
+/**
+ * Sanitizing Markdown renderer for the long (LR) answer. Text is escaped
+ * first and only this subset becomes markup, raw HTML never passes:
+ * - paragraphs, `#` headings, `>` quotes, `---` rules and fenced code
+ * - `-`, `*` and `1.` lists, nested by indenting
+ * - GitHub style tables
+ * - **bold**, *italic*, `code` and [links](/path) to allowed targets
+ * - fleet ids like VH-001 or DR-042, rendered as buttons that Translink
+ *   uses to show the vehicle in the 3D view (plain references inside links)
+ */
+
+import { escapeHTML } from "./html";
+
+export interface MarkdownOptions {
+  /** Hosts absolute links may point to besides the page's own, subdomains included */
+  allowedHosts?: string[];
+  /** Origin relative links resolve against */
+  origin?: string;
+}
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+const DELETE_CHARACTER = 127;
+const SPACE_CHARACTER = 32;
+
+const FLEET_TYPES: Record<string, string> = {
+  VH: "vehicle",
+  DR: "driver",
+};
+
+// Deeper quotes and lists are flattened instead of recursing further
+const MAX_DEPTH = 8;
+
+const FLEET_ID = /\b((VH|DR)-\d{3,})\b/g;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w-]*)\s*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Emphasis is bounded so unclosed markers can't make a line quadratic
+const INLINE = new RegExp([
+  /\\([\\`*_{}[\]()#+\-.!|>~])/.source,
+  /`([^`\n]+)`/.source,
+  /\[([^\]\n]+)\]\(([^()\s]*)\)/.source,
+  /\*\*(\S(?:[^\n]{0,500}?\S)?)\*\*/.source,
+  /__(\S(?:[^\n]{0,500}?\S)?)__/.source,
+  /\*(\S(?:[^\n*]{0,500}?\S)?)\*/.source,
+  /(?<![\p{L}\p{N}_])_(\S(?:[^\n_]{0,500}?\S)?)_(?![\p{L}\p{N}_])/.source,
+  FLEET_ID.source,
+].join("|"), "gu");
+
+const renderFleetRef = (id: string, prefix: string, isButton: boolean): string => {
+  const attributes = `class="fleet-ref" data-fleet-type="${FLEET_TYPES[prefix]}" data-fleet-id="${id}"`;
+  return isButton ? `<button type="button" ${attributes}>${id}</button>` : `<span ${attributes}>${id}</span>`;
+};
+
+const isControlCharacter = (char: string): boolean => {
+  const code = char.charCodeAt(0);
+  return code < SPACE_CHARACTER || code === DELETE_CHARACTER;
+};
+
+/**
+ * Whether a link target may be rendered, and how
+ * @param href - The target as written in the answer
+ * @param options - Allowed hosts and the page origin
+ * @returns The href to render and whether it leaves the site, or null
+ */
+export const sanitizeHref = (
+  href: string,
+  { allowedHosts = [], origin = window.location.origin }: MarkdownOptions = {}
+): { href: string; isExternal: boolean } | null => {
+  // Whitespace and control characters can hide a scheme ("java\tscript:")
+  if (!href || /[\s\\]/.test(href) || [...href].some(isControlCharacter)) {
+    return null;
+  }
+  if (href.startsWith("#")) {
+    return { href, isExternal: false };
+  }
+
+  let url: URL;
+  try {
+    url = new URL(href, origin);
+  } catch {
+    return null;
+  }
+
+  if (!SAFE_PROTOCOLS.includes(url.protocol)) {
+    return null;
+  }
+  if (url.protocol === "mailto:" || url.protocol === "tel:") {
+    return { href: url.href, isExternal: false };
+  }
+  if (url.origin === new URL(origin).origin) {
+    return { href: url.pathname + url.search + url.hash, isExternal: false };
+  }
+
+  const isAllowed = allowedHosts.some((host) =>
+    url.hostname === host || url.hostname.endsWith(`.${host}`));
+
+  return isAllowed ? { href: url.href, isExternal: true } : null;
+};
+
+/**
+ * Render the inline syntax of one block
+ * @param text - Raw text
+ * @param options - Link options
+ * @param allowLinks - False inside link labels
+ */
+export const renderInline = (text: string, options: MarkdownOptions = {}, allowLinks = true): string => {
+  let html = "";
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, escaped, code, label, href, strong, strongAlt, em, emAlt, fleetId, fleetType] = match;
+    html += escapeHTML(text.slice(last, match.index));
+    last = (match.index ?? 0) + whole.length;
+
+    if (escaped !== undefined) {
+      html += escapeHTML(escaped);
+    } else if (code !== undefined) {
+      html += `<code>${escapeHTML(code)}</code>`;
+    } else if (label !== undefined) {
+      const target = allowLinks ? sanitizeHref(href, options) : null;
+      const content = renderInline(label, options, false);
+
+      // Links that aren't allowed keep their text
+      html += target ?
+        `<a href="${escapeHTML(target.href)}"${target.isExternal ? ` target="_blank" rel="noopener noreferrer"` : ""}>${content}</a>` :
+        content;
+    } else if ((strong ?? strongAlt) !== undefined) {
+      html += `<strong>${renderInline(strong ?? strongAlt, options, allowLinks)}</strong>`;
+    } else if ((em ?? emAlt) !== undefined) {
+      html += `<em>${renderInline(em ?? emAlt, options, allowLinks)}</em>`;
+    } else if (fleetId !== undefined) {
+      // No buttons inside links
+      html += renderFleetRef(fleetId, fleetType, allowLinks);
+    }
+  }
+
+  return html + escapeHTML(text.slice(last));
+};
+
+const getIndent = (line: string): number => line.length - line.trimStart().length;
+
+const dedent = (lines: string[]): string[] => {
+  const indent = Math.min(...lines.filter((line) => line.trim()).map(getIndent));
+  return lines.map((line) => line.slice(Math.min(indent, getIndent(line))));
+};
+
+const splitRow = (line: string): string[] => {
+  let row = line.trim();
+  if (row.startsWith("|")) {
+    row = row.slice(1);
+  }
+  if (row.endsWith("|") && !row.endsWith("\\|")) {
+    row = row.slice(0, -1);
+  }
+
+  return row.split(/(?<!\\)\|/).map((cell) => cell.trim());
+};
+
+const isTableStart = (line: string, next = ""): boolean => {
+  return line.includes("|") &&
+    TABLE_DIVIDER.test(next) &&
+    next.includes("-") &&
+    splitRow(line).length === splitRow(next).length;
+};
+
+const startsBlock = (line: string, next?: string): boolean => {
+  return FENCE.test(line) ||
+    HEADING.test(line) ||
+    QUOTE.test(line) ||
+    RULE.test(line) ||
+    LIST_ITEM.test(line) ||
+    isTableStart(line, next);
+};
+
+const renderTable = (lines: string[], options: MarkdownOptions): string => {
+  const [header, divider, ...rows] = lines.map(splitRow);
+  const align = divider.map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) {
+      return ` style="text-align: center"`;
+    }
+    return cell.endsWith(":") ? ` style="text-align: right"` : "";
+  });
+
+  const renderRow = (cells: string[], tag: "th" | "td") => `<tr>${header
+    .map((_, index) => `<${tag}${align[index]}>${renderInline(cells[index] ?? "", options)}</${tag}>`)
+    .join("")}</tr>`;
+
+  return `<table><thead>${renderRow(header, "th")}</thead>` +
+    (rows.length ? `<tbody>${rows.map((row) => renderRow(row, "td")).join("")}</tbody>` : "") +
+    `</table>`;
+};
+
+/**
+ * Collect a list starting at `start`, items of the same kind at the same
+ * indent, with their indented continuation lines
+ */
+const collectList = (lines: string[], start: number) => {
+  const [, indent, marker] = LIST_ITEM.exec(lines[start]) as RegExpExecArray;
+  const isOrdered = /\d/.test(marker);
+  const items: string[][] = [];
+  let index = start;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const item = LIST_ITEM.exec(line);
+
+    if (item && item[1].length === indent.length) {
+      if (/\d/.test(item[2]) !== isOrdered) {
+        break;
+      }
+      items.push([item[3]]);
+    } else if (!line.trim()) {
+      // A blank line only continues the list if indented content or the next item follows
+      const next = lines[index + 1] ?? "";
+      if (!next.trim() || (getIndent(next) <= indent.length && !LIST_ITEM.test(next))) {
+        break;
+      }
+      items[items.length - 1].push("");
+    } else if (getIndent(line) > indent.length) {
+      items[items.length - 1].push(line);
+    } else {
+      break;
+    }
+    index++;
+  }
+
+  return {
+    isOrdered,
+    first: Number.parseInt(marker, 10),
+    items,
+    end: index,
+  };
+};
+
+const renderBlocks = (lines: string[], options: MarkdownOptions, depth: number): string => {
+  if (depth > MAX_DEPTH) {
+    return `<p>${renderInline(lines.join(" ").trim(), options)}</p>`;
+  }
+
+  const blocks: string[] = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      let end = index + 1;
+      while (end < lines.length && !lines[end].trim().startsWith(fence[1])) {
+        end++;
+      }
+      const language = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : "";
+
+      blocks.push(`<pre><code${language}>${escapeHTML(lines.slice(index + 1, end).join("\n"))}</code></pre>`);
+      index = end + 1;
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      // The answer's title is the h4 above
+      const level = Math.min(6, heading[1].length + 4);
+      blocks.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push("<hr>");
+      index++;
+      continue;
+    }
+
+    if (isTableStart(line, lines[index + 1])) {
+      let end = index + 2;
+      while (end < lines.length && lines[end].trim() && lines[end].includes("|")) {
+        end++;
+      }
+
+      blocks.push(renderTable(lines.slice(index, end), options));
+      index = end;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted: string[] = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push((QUOTE.exec(lines[index]) as RegExpExecArray)[1]);
+        index++;
+      }
+
+      blocks.push(`<blockquote>${renderBlocks(quoted, options, depth + 1)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { isOrdered, first, items, end } = collectList(lines, index);
+      const tag = isOrdered ? "ol" : "ul";
+      const start = isOrdered && first !== 1 ? ` start="${first}"` : "";
+
+      blocks.push(`<${tag}${start}>${items.map(([text, ...rest]) => {
+        const nested = rest.some((item) => item.trim()) ? renderBlocks(dedent(rest), options, depth + 1) : "";
+        return `<li>${renderInline(text, options)}${nested}</li>`;
+      }).join("")}</${tag}>`);
+      index = end;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index++;
+    while (index < lines.length && lines[index].trim() && !startsBlock(lines[index], lines[index + 1])) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+
+    blocks.push(`<p>${paragraph.map((text) => renderInline(text, options)).join("<br>")}</p>`);
+  }
+
+  return blocks.join("");
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param markdown - The answer text, may be incomplete while streaming
+ * @param options - Which links to keep
+ */
+export const renderMarkdown = (markdown: string | null | undefined, options: MarkdownOptions = {}): string => {
+  if (!markdown) {
+    return "";
+  }
+
+  return renderBlocks(String(markdown).replace(/\r\n?/g, "\n").split("\n"), options, 0);
+};
+
+/**
+ * Escape plain text such as the short answer, only fleet ids become markup
+ * @param text - The text, no Markdown syntax is applied
+ */
+export const renderFleetRefs = (text: string | null | undefined): string => {
+  if (!text) {
+    return "";
+  }
+
+  let html = "";
+  let last = 0;
+
+  for (const match of String(text).matchAll(FLEET_ID)) {
+    html += escapeHTML(text.slice(last, match.index)) + renderFleetRef(match[1], match[2], true);
+    last = (match.index ?? 0) + match[0].length;
+  }
+
+  return html + escapeHTML(text.slice(last));
+};
@@ -0,0 +1,288 @@
+import { SceneAction, parseSceneActions } from "../scene";
+import { parseFollowUps } from "../suggestions";
+
+/**
+ * Translink agent response contract.
+ *
+ * Version 1 answers are JSON objects:
+ * {
+ *   "version": 1,
+ *   "title": "Short heading",
+ *   "short": "One or two sentences for the small UI",
+ *   "long": "Full answer shown in the modal accordion",
+ *   "media": [{ "type": "image", "id": "IMG_9" }],
+ *   "actions": [{ "id": "CTA_4" }],
+ *   "scene": [{ "type": "focusPoint", "point": "chip" }],
+ *   "followUps": ["Which trucks are low on fuel?"]
+ * }
+ *
+ * `scene` is optional, see `../scene.ts` for the actions it may hold.
+ * `followUps` are optional questions offered after the answer.
+ *
+ * Older agents answer with a pipe-delimited string instead
+ * ("(SH) title | (SR) short | (LR) long | IMG_9 | CTA_4"), which is
+ * converted by `parseLegacyResponse()` and reported as version 0.
+ */
+
+export const RESPONSE_VERSION = 1;
+export const LEGACY_VERSION = 0;
+export const DEFAULT_MEDIA_ID = "IMG_9";
+
+export type MediaType = "image" | "video";
+
+export interface MediaItem {
+  type: MediaType;
+  id: string;
+}
+
+export interface ActionItem {
+  id: string;
+}
+
+export interface AgentResponse {
+  version: number;
+  title: string | null;
+  short: string | null;
+  long: string | null;
+  media: MediaItem[];
+  actions: ActionItem[];
+  scene: SceneAction[];
+  followUps: string[];
+}
+
+const MEDIA_TYPES: MediaType[] = ["image", "video"];
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Thrown when the agent answers with something that doesn't match the
+ * contract. `details` lists every problem found.
+ */
+export class ResponseFormatError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super(`Malformed answer: ${details.join("; ")}`);
+    this.name = "ResponseFormatError";
+    this.details = details;
+  }
+}
+
+/**
+ * Validate a version 1 response object
+ * @param payload - The decoded JSON answer
+ * @returns The validated response with defaults for optional lists
+ */
+export const validateResponse = (payload: any): AgentResponse => {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new ResponseFormatError(["answer must be a JSON object"]);
+  }
+
+  const errors: string[] = [];
+
+  if (payload.version !== RESPONSE_VERSION) {
+    errors.push(`unsupported version ${JSON.stringify(payload.version)}`);
+  }
+
+  for (const key of ["title", "short"]) {
+    if (typeof payload[key] !== "string" || !payload[key].trim()) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (payload.long !== undefined && typeof payload.long !== "string") {
+    errors.push("long must be a string");
+  }
+
+  const media = payload.media ?? [];
+  if (!Array.isArray(media)) {
+    errors.push("media must be an array");
+  } else {
+    media.forEach((item: any, index: number) => {
+      if (!MEDIA_TYPES.includes(item?.type)) {
+        errors.push(`media[${index}].type must be one of ${MEDIA_TYPES.join(", ")}`);
+      }
+      if (typeof item?.id !== "string" || !ID_PATTERN.test(item.id)) {
+        errors.push(`media[${index}].id must be a plain asset id`);
+      }
+    });
+  }
+
+  const actions = payload.actions ?? [];
+  if (!Array.isArray(actions)) {
+    errors.push("actions must be an array");
+  } else {
+    actions.forEach((item: any, index: number) => {
+      if (typeof item?.id !== "string" || !ID_PATTERN.test(item.id)) {
+        errors.push(`actions[${index}].id must be a plain action id`);
+      }
+    });
+  }
+
+  const scene = payload.scene ?? [];
+  if (!Array.isArray(scene)) {
+    errors.push("scene must be an array");
+  }
+
+  const followUps = payload.followUps ?? [];
+  if (!Array.isArray(followUps)) {
+    errors.push("followUps must be an array");
+  }
+
+  if (errors.length) {
+    throw new ResponseFormatError(errors);
+  }
+
+  return {
+    version: payload.version,
+    title: payload.title.trim(),
+    short: payload.short.trim(),
+    long: (payload.long ?? "").trim(),
+    media: media.map(({ type, id }: MediaItem) => ({ type, id })),
+    actions: actions.map(({ id }: ActionItem) => ({ id })),
+    // Unknown scene actions are dropped, the answer stays usable
+    scene: parseSceneActions(scene),
+    followUps: parseFollowUps(followUps),
+  };
+};
+
+/**
+ * The segments of a legacy answer found so far, those missing are null
+ */
+const readLegacySegments = (raw: string): AgentResponse => {
+  const result: AgentResponse = {
+    version: LEGACY_VERSION,
+    title: null,
+    short: null,
+    long: null,
+    media: [],
+    actions: [],
+    scene: [],
+    followUps: [],
+  };
+
+  raw
+    .split(" | ")
+    .map((part) => part.trim())
+    .forEach((part) => {
+      if (part.startsWith("(SH)")) {
+        result.title = part.replace("(SH)", "").trim();
+      } else if (part.startsWith("(SR)")) {
+        result.short = part.replace("(SR)", "").trim();
+      } else if (part.startsWith("(LR)")) {
+        result.long = part.replace("(LR)", "").trim();
+      } else if (part.startsWith("IMG_") || part.startsWith("VIDEO_")) {
+        result.media = [{ type: part.startsWith("VIDEO_") ? "video" : "image", id: part }];
+      } else if (part.startsWith("CTA_")) {
+        result.actions = [{ id: part }];
+      }
+    });
+
+  return result;
+};
+
+/**
+ * Convert a legacy pipe-delimited answer
+ * @param raw - e.g. "(SH) title | (SR) short | (LR) long | IMG_9 | CTA_4"
+ * @returns The answer in the structured shape, version 0
+ * @throws ResponseFormatError when there is neither an (SH) nor an (SR)
+ * segment, e.g. plain text or an HTML error page
+ */
+export const parseLegacyResponse = (raw: string): AgentResponse => {
+  const result = readLegacySegments(raw);
+  if (result.title === null && result.short === null) {
+    throw new ResponseFormatError(["neither JSON nor a legacy answer with an (SH) or (SR) segment"]);
+  }
+
+  if (!result.media.length) {
+    result.media = [{ type: "image", id: DEFAULT_MEDIA_ID }];
+  }
+
+  return result;
+};
+
+const looksLikeJSON = (raw: string): boolean => raw.trimStart().startsWith("{");
+
+/**
+ * Parse an agent answer in either format
+ * @param raw - The answer text, or an already decoded JSON answer
+ * @returns The structured answer
+ */
+export const parseAgentResponse = (raw: unknown): AgentResponse => {
+  if (raw && typeof raw === "object") {
+    return validateResponse(raw);
+  }
+
+  if (typeof raw !== "string") {
+    throw new ResponseFormatError(["answer is empty"]);
+  }
+
+  if (!looksLikeJSON(raw)) {
+    return parseLegacyResponse(raw);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (error) {
+    throw new ResponseFormatError([`invalid JSON (${(error as Error).message})`]);
+  }
+
+  return validateResponse(payload);
+};
+
+/**
+ * Pull the answer out of an agent reply. Structured replies may be the
+ * body itself, legacy ones live in `result.content[0].text.value`.
+ * @param data - The decoded response body
+ * @returns The raw answer, string or object
+ */
+export const getRawAnswer = (data: any): unknown => {
+  if (data?.version !== undefined) {
+    return data;
+  }
+
+  const value = data?.result?.content?.[0]?.text?.value;
+  if (value === undefined) {
+    throw new ResponseFormatError(["missing result.content[0].text.value"]);
+  }
+
+  return value;
+};
+
+/**
+ * Read whatever string fields of a JSON answer have streamed in so far
+ */
+const peekField = (raw: string, key: string): string | null => {
+  const match = raw.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+  if (!match) {
+    return null;
+  }
+
+  // Drop a dangling escape that hasn't been completed yet
+  const value = match[1].replace(/\\(u[0-9a-fA-F]{0,3})?$/, "");
+  try {
+    return JSON.parse(`"${value}"`);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Best effort parse of an answer that is still streaming in. Never throws,
+ * fields that haven't arrived yet are null.
+ * @param raw - The answer text received so far
+ */
+export const parsePartialResponse = (
+  raw: string
+): Pick<AgentResponse, "title" | "short" | "long"> => {
+  if (!looksLikeJSON(raw)) {
+    const { title, short, long } = readLegacySegments(raw);
+    return { title, short, long };
+  }
+
+  return {
+    title: peekField(raw, "title"),
+    short: peekField(raw, "short"),
+    long: peekField(raw, "long"),
+  };
+};
@@ -0,0 +1,155 @@
+export type StreamFormat = "sse" | "ndjson" | "json";
+
+/**
+ * Work out how the agent answered from the response Content-Type.
+ * @param response - The fetch response
+ * @returns "sse", "ndjson" or "json" (a single, non-streamed body)
+ */
+export const getStreamFormat = (response: Response): StreamFormat => {
+  const type = response.headers.get("Content-Type") || "";
+
+  if (type.includes("text/event-stream")) {
+    return "sse";
+  }
+  if (type.includes("ndjson") || type.includes("jsonl")) {
+    return "ndjson";
+  }
+  return "json";
+};
+
+/**
+ * Extract the answer text from a single streamed event.
+ * A `delta` (or `text`) is appended to what we have so far, while a full
+ * agent result (`result.content[0].text.value`) or a complete structured
+ * answer (an object with a `version`) replaces it.
+ * @param payload - The decoded event payload
+ * @param text - The text accumulated so far
+ * @returns The accumulated text after applying the event
+ */
+export const applyEvent = (payload: any, text: string): string => {
+  if (typeof payload === "string") {
+    return text + payload;
+  }
+  if (!payload || typeof payload !== "object") {
+    return text;
+  }
+
+  if (payload.version !== undefined) {
+    return JSON.stringify(payload);
+  }
+
+  const snapshot = payload.result?.content?.[0]?.text?.value;
+  if (typeof snapshot === "string") {
+    return snapshot;
+  }
+
+  const delta = payload.delta ?? payload.text;
+  return typeof delta === "string" ? text + delta : text;
+};
+
+const decodePayload = (raw: string): any => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Plain-text SSE data lines are treated as deltas
+    return raw;
+  }
+};
+
+/**
+ * Split a buffer into complete SSE events, returning the data of each
+ * event and whatever incomplete tail is left in the buffer.
+ */
+const takeSSEEvents = (buffer: string): { events: string[]; rest: string } => {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop() ?? "";
+
+  const events = blocks
+    .map((block) =>
+      block
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).replace(/^ /, ""))
+        .join("\n")
+    )
+    .filter((data) => data.length > 0);
+
+  return { events, rest };
+};
+
+/**
+ * Split a buffer into complete NDJSON lines.
+ */
+const takeNDJSONLines = (buffer: string): { events: string[]; rest: string } => {
+  const lines = buffer.split(/\r?\n/);
+  const rest = lines.pop() ?? "";
+
+  return { events: lines.filter((line) => line.trim().length > 0), rest };
+};
+
+/**
+ * Read a streamed agent response (SSE or NDJSON) to completion.
+ * @param response - The fetch response, its body must not be consumed yet
+ * @param onText - Called with the full accumulated text after every event
+ * @param apply - Applies one decoded event to the text, see `applyEvent()`
+ * @returns The final answer text
+ */
+export const readStream = async (
+  response: Response,
+  onText: (text: string) => void,
+  apply: (payload: any, text: string) => string = applyEvent
+): Promise<string> => {
+  const format = getStreamFormat(response);
+  const take = format === "sse" ? takeSSEEvents : takeNDJSONLines;
+
+  const reader = response.body!.getReader();
+  const decoder = new TextDecoder();
+
+  let buffer = "";
+  let text = "";
+  let isDone = false;
+
+  const consume = (events: string[]) => {
+    for (const event of events) {
+      if (event.trim() === "[DONE]") {
+        isDone = true;
+        return;
+      }
+
+      const next = apply(decodePayload(event), text);
+      if (next !== text) {
+        text = next;
+        onText(text);
+      }
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    const { events, rest } = take(buffer);
+    buffer = rest;
+    consume(events);
+
+    if (isDone) {
+      break;
+    }
+  }
+
+  // Flush a trailing event that wasn't followed by a separator
+  buffer += decoder.decode();
+  if (!isDone && buffer.trim()) {
+    consume(take(buffer + "\n\n").events);
+  }
+
+  if (isDone) {
+    // Ignore servers that keep the connection open after [DONE]
+    reader.cancel().catch(() => undefined);
+  }
+
+  return text;
+};
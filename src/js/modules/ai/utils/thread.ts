@@ -0,0 +1,36 @@
+export interface Turn {
+  question: string;
+  title: string | null;
+  short: string | null;
+  long: string | null;
+}
+
+/**
+ * Create a new conversation thread id
+ * @returns A unique id for the thread
+ */
+export const createThreadId = (): string => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return `thread-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Turn stored TranslinkDB records into the context sent with a follow-up
+ * @param records - Stored answers belonging to the thread
+ * @param maxTurns - Only the most recent turns are kept
+ * @returns The turns, oldest first
+ */
+export const toContext = (records: any[], maxTurns = 6): Turn[] => {
+  return [...records]
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+    .slice(-maxTurns)
+    .map(({ question, title, short, long }) => ({
+      question,
+      title: title ?? null,
+      short: short ?? null,
+      long: long ?? null,
+    }));
+};
@@ -1,3 +1,5 @@
+import { getAgentConfig } from "../config";
+
 export const url = (append = "api/agent") => {
-  return "http://localhost:3000/" + append;
+  return getAgentConfig().baseUrl + append;
 };
@@ -0,0 +1,30 @@
+/**
+ * The error fetch rejects with when its signal is aborted
+ */
+export const abortError = () => new DOMException("The request was aborted.", "AbortError");
+
+/**
+ * Resolve after `ms`, or reject with an AbortError as soon as the signal
+ * is aborted
+ * @param ms - How long to wait
+ * @param signal - Cancels the wait
+ */
+export const wait = (ms: number, signal?: AbortSignal) => {
+  return new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(abortError());
+    };
+    const timeout = setTimeout(() => {
+      // Long-lived signals would collect a listener per wait otherwise
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+};
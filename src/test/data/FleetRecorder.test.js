@@ -0,0 +1,141 @@
+/**
+ * Tests for recording fleet sessions
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { FleetRecorder } from '../../js/data/FleetRecorder'
+import { FleetTelematicsData } from '../../js/data/FleetTelematicsData'
+import { ReplayProvider, SimulatorProvider } from '../../js/data/providers'
+import { parseRecording, toNDJSON } from '../../js/data/recording'
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+const deleteDatabase = () => new Promise((resolve) => {
+  indexedDB.deleteDatabase('FleetRecordings').onsuccess = resolve
+})
+
+describe('FleetRecorder', () => {
+  let simulator
+  let fleet
+  let recorder
+  let clock
+
+  beforeEach(async () => {
+    await deleteDatabase()
+    clock = 1000
+    simulator = new SimulatorProvider({ seed: 7, autoplay: false, startTime: 0 })
+    fleet = new FleetTelematicsData({ provider: simulator })
+    fleet.start()
+    recorder = new FleetRecorder(fleet, { now: () => clock })
+  })
+
+  afterEach(() => {
+    recorder.destroy()
+    fleet.destroy()
+  })
+
+  // Three seconds of the fleet, one tick a second
+  const record = async () => {
+    await recorder.start('Incident')
+    for (let i = 0; i < 3; i++) {
+      clock += 1000
+      simulator.tick(1000)
+    }
+    return recorder.stop()
+  }
+
+  it('should capture every update as a timestamped frame', async () => {
+    const recording = await record()
+    const frames = await recorder.getFrames(recording.id)
+
+    expect(recording).toMatchObject({ name: 'Incident', startedAt: 1000, duration: 3000, frameCount: 4 })
+    expect(frames.map(frame => frame.t)).toEqual([0, 1000, 2000, 3000])
+    expect(frames[3].vehicles).toEqual(fleet.getAllVehicles())
+  })
+
+  it('should keep what was recorded as it was', async () => {
+    const recording = await record()
+
+    fleet.getAllVehicles()[0].location.speed = 999
+    const [first] = await recorder.getFrames(recording.id)
+
+    expect(first.vehicles[0].location.speed).not.toBe(999)
+  })
+
+  it('should stop capturing once stopped', async () => {
+    const recording = await record()
+
+    simulator.tick(1000)
+
+    expect(await recorder.getFrames(recording.id)).toHaveLength(4)
+    expect(recorder.isRecording).toBe(false)
+  })
+
+  it('should list recordings newest first and delete them with their frames', async () => {
+    const first = await record()
+    clock += 60000
+    const second = await record()
+
+    expect((await recorder.getRecordings()).map(({ id }) => id)).toEqual([second.id, first.id])
+
+    await recorder.deleteRecording(first.id)
+
+    expect((await recorder.getRecordings()).map(({ id }) => id)).toEqual([second.id])
+    expect(await recorder.getFrames(first.id)).toEqual([])
+    expect(await recorder.getFrames(second.id)).toHaveLength(4)
+  })
+
+  it('should download a recording as NDJSON', async () => {
+    const recording = await record()
+    let blob
+    URL.createObjectURL = vi.fn((file) => {
+      blob = file
+      return 'blob:recording'
+    })
+    URL.revokeObjectURL = vi.fn()
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    await recorder.download(recording.id)
+
+    expect(click).toHaveBeenCalled()
+    expect(blob.type).toBe('application/x-ndjson')
+    expect(parseRecording(await readBlob(blob))).toEqual(await recorder.getFrames(recording.id))
+    click.mockRestore()
+  })
+
+  it('should replay a recording into the fleet as if live', async () => {
+    const recording = await record()
+    const frames = await recorder.getFrames(recording.id)
+    const recorded = frames.at(-1).vehicles
+
+    vi.useFakeTimers()
+    fleet.setProvider(new ReplayProvider({ frames, loop: false }))
+    vi.advanceTimersByTime(3000)
+    vi.useRealTimers()
+
+    expect(fleet.getAllVehicles()).toEqual(recorded)
+  })
+})
+
+describe('parseRecording', () => {
+  const frames = [{ t: 1000, vehicles: [] }, { t: 0, vehicles: [{ id: 'VH-001' }] }]
+
+  it('should read NDJSON and JSON recordings, oldest frame first', () => {
+    const sorted = [frames[1], frames[0]]
+
+    expect(parseRecording(toNDJSON(frames))).toEqual(sorted)
+    expect(parseRecording(JSON.stringify(frames))).toEqual(sorted)
+    expect(parseRecording(JSON.stringify({ frames }, null, 2))).toEqual(sorted)
+    expect(parseRecording(toNDJSON([frames[0]]))).toEqual([frames[0]])
+  })
+
+  it('should reject files that are no recording', () => {
+    expect(() => parseRecording('{"hello":"world"}')).toThrow('Not a fleet recording')
+    expect(() => parseRecording('not json')).toThrow()
+  })
+})
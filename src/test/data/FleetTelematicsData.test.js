@@ -0,0 +1,572 @@
+/**
+ * Tests for the fleet telemetry service and its providers
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { FleetTelematicsData, getFleetData } from '../../js/data/FleetTelematicsData'
+import { LiveProvider, ReplayProvider, SimulatorProvider, createFleetProvider, getFleetConfig } from '../../js/data/providers'
+import { createRandom } from '../../js/data/providers/random'
+import { toNDJSON } from '../../js/data/recording'
+import { TORONTO_ROUTES } from '../../js/data/routes'
+
+const vehicle = (id, speed = 50) => ({
+  id,
+  type: 'Van',
+  location: { lat: 43.65, lng: -79.38, speed, heading: 90, altitude: 80 },
+  fuel: { level: 40, capacity: 80, efficiency: 12, consumption: 0, lastFill: 0 },
+  engine: { rpm: 2000, temperature: 90, oilPressure: 40, voltage: 13, faultCodes: [], hours: 1200 },
+  driver: { id: 'DR-007', score: 88, harshAcceleration: 0, harshBraking: 0, harshCornering: 0, idleTime: 0, drivingTime: 120 },
+  status: { state: 'driving', route: 'Downtown Core', nextMaintenance: 2000, lastUpdate: 0, connected: true }
+})
+
+// Stands in for WebSocket and EventSource, the test plays the server
+class FakeConnection {
+  static CLOSED = 2
+  static instances = []
+
+  constructor(url) {
+    this.url = url
+    this.readyState = 0
+    this.close = vi.fn(() => {
+      this.readyState = FakeConnection.CLOSED
+    })
+    FakeConnection.instances.push(this)
+  }
+
+  open() {
+    this.readyState = 1
+    this.onopen?.()
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) })
+  }
+}
+
+const latest = () => FakeConnection.instances.at(-1)
+
+beforeEach(() => {
+  FakeConnection.instances = []
+  vi.stubGlobal('WebSocket', FakeConnection)
+  vi.stubGlobal('EventSource', FakeConnection)
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('FleetTelematicsData', () => {
+  it('should wait for start() before asking the provider', () => {
+    const provider = { start: vi.fn(), stop: vi.fn() }
+    const fleet = new FleetTelematicsData({ provider })
+
+    expect(provider.start).not.toHaveBeenCalled()
+    fleet.start()
+    fleet.start()
+
+    expect(provider.start).toHaveBeenCalledTimes(1)
+    expect(provider.start).toHaveBeenCalledWith(fleet.sink)
+  })
+
+  it('should use the simulator by default', () => {
+    expect(new FleetTelematicsData().provider).toBeInstanceOf(SimulatorProvider)
+  })
+
+  it('should notify listeners and build display metrics from the simulator', () => {
+    vi.useFakeTimers()
+    const fleet = new FleetTelematicsData({ provider: new SimulatorProvider() })
+    const listener = vi.fn()
+    fleet.addListener(listener)
+
+    fleet.start()
+    vi.advanceTimersByTime(2000)
+
+    expect(listener).toHaveBeenCalledTimes(3)
+    expect(listener.mock.lastCall[0].total).toBe(12)
+    // Four metrics per vehicle and the fleet's
+    expect(fleet.getDisplayMetrics()).toHaveLength(12 * 4 + 1)
+    fleet.destroy()
+  })
+
+  it('should stop the provider and keep the last fleet', () => {
+    vi.useFakeTimers()
+    const fleet = new FleetTelematicsData({ provider: new SimulatorProvider() })
+    const listener = vi.fn()
+    fleet.addListener(listener)
+
+    fleet.start()
+    fleet.stop()
+    vi.advanceTimersByTime(5000)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(fleet.getAllVehicles()).toHaveLength(12)
+  })
+
+  it('should fill in vehicles the feed only partly describes', () => {
+    const fleet = new FleetTelematicsData({ provider: { start: vi.fn(), stop: vi.fn() } })
+
+    fleet.sink.update([{ id: 'VH-100', location: { speed: 42 } }])
+
+    expect(fleet.getVehicle('VH-100').location).toMatchObject({ speed: 42, lat: 0 })
+    expect(fleet.getDisplayMetrics()[0]).toMatchObject({ vehicleId: 'VH-100', value: '42 km/h' })
+  })
+
+  it('should summarize an empty fleet', () => {
+    const fleet = new FleetTelematicsData({ provider: { start: vi.fn(), stop: vi.fn() } })
+
+    expect(fleet.getFleetSummary()).toMatchObject({ total: 0, avgSpeed: 0, avgDriverScore: 0 })
+  })
+
+  it('should switch providers and replace the fleet', () => {
+    const fleet = new FleetTelematicsData({ provider: new ReplayProvider({ frames: [{ t: 0, vehicles: [vehicle('VH-001')] }] }) })
+    fleet.start()
+
+    fleet.setProvider(new ReplayProvider({ frames: [{ t: 0, vehicles: [vehicle('VH-002'), vehicle('VH-003')] }] }))
+
+    expect(fleet.getAllVehicles().map(v => v.id)).toEqual(['VH-002', 'VH-003'])
+    fleet.destroy()
+  })
+})
+
+describe('getFleetData', () => {
+  it('should share one started fleet', () => {
+    vi.useFakeTimers()
+    const fleet = getFleetData()
+
+    expect(getFleetData()).toBe(fleet)
+    expect(fleet.isRunning).toBe(true)
+    expect(fleet.getAllVehicles()).toHaveLength(12)
+    fleet.stop()
+  })
+})
+
+describe('createRandom', () => {
+  it('should repeat the sequence of a seed', () => {
+    const draw = (random) => Array.from({ length: 5 }, random)
+
+    expect(draw(createRandom(42))).toEqual(draw(createRandom(42)))
+    expect(draw(createRandom('rush hour'))).toEqual(draw(createRandom('rush hour')))
+    expect(draw(createRandom(42))).not.toEqual(draw(createRandom(43)))
+  })
+
+  it('should stay in [0, 1)', () => {
+    const random = createRandom(1)
+    const values = Array.from({ length: 1000 }, random)
+
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0)
+    expect(Math.max(...values)).toBeLessThan(1)
+  })
+})
+
+describe('SimulatorProvider', () => {
+  // A minute of a seeded fleet, ticked by hand
+  const simulate = (seed, ticks = 60, dt = 1000) => {
+    const simulator = new SimulatorProvider({ seed, autoplay: false, startTime: 0 })
+    const fleet = new FleetTelematicsData({ provider: simulator })
+    fleet.start()
+    for (let i = 0; i < ticks; i++) {
+      simulator.tick(dt)
+    }
+    return { simulator, fleet }
+  }
+
+  it('should not draw from Math.random once seeded', () => {
+    const random = vi.spyOn(Math, 'random')
+
+    simulate(42, 600)
+
+    expect(random).not.toHaveBeenCalled()
+  })
+
+  it('should simulate the same fleet for the same seed', () => {
+    const a = simulate(42, 3600)
+    const b = simulate(42, 3600)
+
+    expect(b.fleet.getAllVehicles()).toEqual(a.fleet.getAllVehicles())
+    expect(simulate(43).fleet.getAllVehicles()).not.toEqual(simulate(42).fleet.getAllVehicles())
+  })
+
+  it('should log the same fault codes and driver events for the same seed', () => {
+    const events = ({ fleet }) => fleet.getAllVehicles().map(({ id, engine, driver }) => ({
+      id,
+      faultCodes: engine.faultCodes,
+      harsh: [driver.harshAcceleration, driver.harshBraking, driver.harshCornering]
+    }))
+    const hours = simulate('fault codes', 4 * 3600)
+
+    // Enough time for both to happen at all
+    expect(events(hours).some(({ faultCodes }) => faultCodes.length)).toBe(true)
+    expect(events(hours)).toEqual(events(simulate('fault codes', 4 * 3600)))
+  })
+
+  it('should run on its own clock', () => {
+    const { fleet } = simulate(42, 90)
+
+    expect(fleet.getVehicle('VH-001').status.lastUpdate).toBe(90000)
+  })
+
+  it('should tick by the update interval once started, however late the timer is', () => {
+    vi.useFakeTimers()
+    const timed = new SimulatorProvider({ seed: 42, startTime: 0 })
+    const fleet = new FleetTelematicsData({ provider: timed })
+    fleet.start()
+    vi.advanceTimersByTime(5000)
+
+    expect(fleet.getAllVehicles()).toEqual(simulate(42, 5).fleet.getAllVehicles())
+    fleet.destroy()
+  })
+
+  it('should start over from the seed on reset', () => {
+    const { simulator, fleet } = simulate(42)
+    const first = fleet.getAllVehicles()
+
+    simulator.reset()
+    for (let i = 0; i < 60; i++) {
+      simulator.tick(1000)
+    }
+
+    expect(fleet.getAllVehicles()).toEqual(first)
+  })
+
+  describe('on routes', () => {
+    const line = (properties) => ({
+      type: 'Feature',
+      properties: { name: 'Test Line', stops: [{ name: 'Halfway', vertex: 1, dwell: 30 }], ...properties },
+      geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0.005], [0, 0.01]] }
+    })
+
+    // Every vehicle's location at every second
+    const drive = (routes, seconds = 600) => {
+      const simulator = new SimulatorProvider({ seed: 42, autoplay: false, startTime: 0, routes })
+      simulator.tick(0)
+      return Array.from({ length: seconds }, () => simulator.tick(1000).map(({ location, status }) => ({
+        ...location,
+        state: status.state
+      })))
+    }
+
+    it('should keep vehicles on their route', () => {
+      drive([line({ mode: 'return' })]).flat().forEach(({ lat, lng }) => {
+        expect(lng).toBeCloseTo(0, 9)
+        expect(lat).toBeGreaterThanOrEqual(0)
+        expect(lat).toBeLessThanOrEqual(0.01)
+      })
+    })
+
+    it('should wait out the dwell at stops', () => {
+      const seconds = drive([line({ mode: 'return' })])
+      // Seconds a vehicle spent idle at the halfway stop, in a row
+      const waits = seconds[0].map((_, vehicle) => {
+        let longest = 0
+        let current = 0
+        seconds.forEach((locations) => {
+          const { lat, state } = locations[vehicle]
+          current = state === 'idle' && Math.abs(lat - 0.005) < 1e-9 ? current + 1 : 0
+          longest = Math.max(longest, current)
+        })
+        return longest
+      })
+
+      // The second it arrives in, and the 30 it waits
+      expect(Math.max(...waits)).toBe(31)
+    })
+
+    it('should turn around at the end of a return route', () => {
+      const seconds = drive([line({ mode: 'return', terminusDwell: 10, stops: [] })], 1200)
+      const headings = new Set(seconds.flatMap((locations) => locations.map(({ heading }) => Math.round(heading))))
+
+      expect([...headings].sort((a, b) => a - b)).toEqual([0, 180])
+    })
+
+    it('should go round a loop', () => {
+      // North, east and back south-west to the start, never the other way
+      const triangle = {
+        type: 'Feature',
+        properties: { name: 'Test Loop', mode: 'loop' },
+        geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0.005], [0.005, 0.005]] }
+      }
+      const seconds = drive([triangle], 1200)
+      const headings = new Set(seconds.flatMap((locations) => locations.map(({ heading }) => Math.round(heading))))
+
+      expect([...headings].sort((a, b) => a - b)).toEqual([0, 90, 225])
+    })
+
+    it('should follow the Toronto routes by default', () => {
+      const { simulator } = simulate(42, 3600)
+      const airport = TORONTO_ROUTES.features.find(({ properties }) => properties.name === 'Airport Route')
+      const lngs = airport.geometry.coordinates.map(([lng]) => lng)
+      const lats = airport.geometry.coordinates.map(([, lat]) => lat)
+
+      simulator.getVehicles()
+        .filter(({ status }) => status.route === 'Airport Route')
+        .forEach(({ location }) => {
+          expect(location.lng).toBeGreaterThanOrEqual(Math.min(...lngs))
+          expect(location.lng).toBeLessThanOrEqual(Math.max(...lngs))
+          expect(location.lat).toBeGreaterThanOrEqual(Math.min(...lats))
+          expect(location.lat).toBeLessThanOrEqual(Math.max(...lats))
+        })
+    })
+
+    it('should wander off routes without geometry', () => {
+      const { simulator } = simulate(42)
+
+      simulator.routes.clear()
+      const before = simulator.getVehicles().map(({ location }) => location.heading)
+      for (let i = 0; i < 600; i++) {
+        simulator.tick(1000)
+      }
+
+      expect(simulator.getVehicles().map(({ location }) => location.heading)).not.toEqual(before)
+    })
+  })
+
+  it('should match the fleet summary of seed 42', () => {
+    expect(simulate(42).fleet.getFleetSummary()).toMatchSnapshot()
+  })
+
+  it('should match the display metrics of seed 42', () => {
+    expect(simulate(42).fleet.getDisplayMetrics()).toMatchSnapshot()
+  })
+})
+
+describe('LiveProvider', () => {
+  const startLive = (options) => {
+    const fleet = new FleetTelematicsData({ provider: new LiveProvider(options) })
+    const listener = vi.fn()
+    fleet.addListener(listener)
+    fleet.start()
+    latest().open()
+    return { fleet, listener }
+  }
+
+  it('should need a feed URL', () => {
+    expect(() => new LiveProvider()).toThrow('URL of the vehicle feed')
+  })
+
+  it('should pick the transport from the URL', () => {
+    expect(new LiveProvider({ url: 'wss://fleet.example/feed' }).transport).toBe('websocket')
+    expect(new LiveProvider({ url: 'https://fleet.example/feed' }).transport).toBe('sse')
+  })
+
+  it('should replace the fleet on a snapshot and merge updates into it', () => {
+    const { fleet, listener } = startLive({ url: 'ws://localhost:8787' })
+
+    latest().receive({ type: 'snapshot', vehicles: [vehicle('VH-001'), vehicle('VH-002')] })
+    latest().receive({ type: 'update', vehicle: { id: 'VH-002', location: { speed: 80 }, status: { state: 'idle' } } })
+
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(fleet.getVehicle('VH-002').location).toMatchObject({ speed: 80, lat: 43.65 })
+    expect(fleet.getVehicle('VH-002').status).toMatchObject({ state: 'idle', route: 'Downtown Core' })
+    expect(fleet.getFleetSummary()).toMatchObject({ total: 2, active: 1, avgSpeed: 50 })
+    expect(fleet.getDisplayMetrics().find(m => m.type === 'location' && m.vehicleId === 'VH-002').value).toBe('80 km/h')
+  })
+
+  it('should ignore malformed messages', () => {
+    const { fleet, listener } = startLive({ url: 'http://localhost:8787/fleet' })
+    latest().receive({ type: 'snapshot', vehicles: [vehicle('VH-001')] })
+
+    latest().receive('not json')
+    latest().receive({ type: 'delete', vehicles: [] })
+    latest().receive({ type: 'update' })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(fleet.getAllVehicles()).toHaveLength(1)
+  })
+
+  it('should skip vehicles without an id', () => {
+    const { fleet } = startLive({ url: 'ws://localhost:8787' })
+
+    latest().receive({ type: 'snapshot', vehicles: [vehicle('VH-001'), { location: { speed: 10 } }] })
+
+    expect(fleet.getAllVehicles().map(v => v.id)).toEqual(['VH-001'])
+  })
+
+  it('should reconnect with backoff and keep the last fleet meanwhile', () => {
+    vi.useFakeTimers()
+    const { fleet } = startLive({ url: 'ws://localhost:8787', reconnectDelay: 100, maxReconnectDelay: 300 })
+    latest().receive({ type: 'snapshot', vehicles: [vehicle('VH-001')] })
+
+    const delays = []
+    for (let i = 0; i < 3; i++) {
+      const count = FakeConnection.instances.length
+      latest().onclose()
+      let waited = 0
+      while (FakeConnection.instances.length === count) {
+        vi.advanceTimersByTime(50)
+        waited += 50
+      }
+      delays.push(waited)
+    }
+
+    expect(delays).toEqual([100, 200, 300])
+    expect(fleet.getAllVehicles()).toHaveLength(1)
+
+    // A connection that opens starts over
+    latest().open()
+    latest().onclose()
+    vi.advanceTimersByTime(100)
+    expect(FakeConnection.instances).toHaveLength(5)
+  })
+
+  it('should reconnect when an event stream gives up', () => {
+    vi.useFakeTimers()
+    startLive({ url: 'http://localhost:8787/fleet', reconnectDelay: 100 })
+
+    // Retried by EventSource itself
+    latest().onerror()
+    vi.advanceTimersByTime(1000)
+    expect(FakeConnection.instances).toHaveLength(1)
+
+    latest().readyState = FakeConnection.CLOSED
+    latest().onerror()
+    vi.advanceTimersByTime(100)
+    expect(FakeConnection.instances).toHaveLength(2)
+  })
+
+  it('should close the connection and stop reconnecting when stopped', () => {
+    vi.useFakeTimers()
+    const { fleet } = startLive({ url: 'ws://localhost:8787', reconnectDelay: 100 })
+    const connection = latest()
+    connection.onclose()
+
+    fleet.stop()
+    vi.advanceTimersByTime(1000)
+
+    expect(connection.close).toHaveBeenCalled()
+    expect(FakeConnection.instances).toHaveLength(1)
+  })
+})
+
+describe('ReplayProvider', () => {
+  const frames = [
+    { t: 1000, vehicles: [vehicle('VH-001', 30)] },
+    { t: 0, vehicles: [vehicle('VH-001', 10)] },
+    { t: 3000, vehicles: [vehicle('VH-001', 60)] }
+  ]
+  const speed = (fleet) => fleet.getVehicle('VH-001').location.speed
+
+  it('should play frames at their recorded pace', () => {
+    vi.useFakeTimers()
+    const fleet = new FleetTelematicsData({ provider: new ReplayProvider({ frames, loop: false }) })
+
+    fleet.start()
+    expect(speed(fleet)).toBe(10)
+    vi.advanceTimersByTime(999)
+    expect(speed(fleet)).toBe(10)
+    vi.advanceTimersByTime(1)
+    expect(speed(fleet)).toBe(30)
+    vi.advanceTimersByTime(2000)
+    expect(speed(fleet)).toBe(60)
+    vi.advanceTimersByTime(10000)
+    expect(speed(fleet)).toBe(60)
+  })
+
+  it('should scale the pace and start over when looping', () => {
+    vi.useFakeTimers()
+    const fleet = new FleetTelematicsData({ provider: new ReplayProvider({ frames, speed: 2 }) })
+
+    fleet.start()
+    vi.advanceTimersByTime(1500)
+    expect(speed(fleet)).toBe(60)
+    vi.advanceTimersByTime(1000)
+    expect(speed(fleet)).toBe(10)
+    fleet.destroy()
+  })
+
+  it('should leave the recording as it is', () => {
+    const fleet = new FleetTelematicsData({ provider: new ReplayProvider({ frames, loop: false }) })
+    fleet.start()
+
+    fleet.getVehicle('VH-001').location.speed = 99
+
+    expect(frames[1].vehicles[0].location.speed).toBe(10)
+  })
+
+  it('should load a recording from its URL', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, text: async () => toNDJSON(frames) })))
+    const fleet = new FleetTelematicsData({
+      provider: createFleetProvider({ provider: 'replay', url: '/recordings/rush-hour.ndjson', loop: false })
+    })
+
+    fleet.start()
+
+    await vi.waitFor(() => expect(speed(fleet)).toBe(10))
+    expect(fetch).toHaveBeenCalledWith('/recordings/rush-hour.ndjson')
+    fleet.destroy()
+  })
+
+  it('should hold the frame shown while paused', () => {
+    vi.useFakeTimers()
+    const replay = new ReplayProvider({ frames, loop: false })
+    const fleet = new FleetTelematicsData({ provider: replay })
+    fleet.start()
+
+    replay.pause()
+    vi.advanceTimersByTime(10000)
+    expect(speed(fleet)).toBe(10)
+
+    replay.play()
+    vi.advanceTimersByTime(1000)
+    expect(speed(fleet)).toBe(30)
+  })
+
+  it('should start paused when asked to', () => {
+    vi.useFakeTimers()
+    const fleet = new FleetTelematicsData({ provider: new ReplayProvider({ frames, paused: true }) })
+
+    fleet.start()
+    vi.advanceTimersByTime(10000)
+
+    expect(speed(fleet)).toBe(10)
+  })
+
+  it('should seek to the frame at a time and go on from there', () => {
+    vi.useFakeTimers()
+    const replay = new ReplayProvider({ frames, loop: false })
+    const fleet = new FleetTelematicsData({ provider: replay })
+    fleet.start()
+
+    replay.seek(2500)
+    expect(speed(fleet)).toBe(30)
+    expect(replay.time).toBe(1000)
+
+    vi.advanceTimersByTime(2000)
+    expect(speed(fleet)).toBe(60)
+
+    // Setting the time seeks, as the debug panel's slider does
+    replay.time = 0
+    expect(speed(fleet)).toBe(10)
+    expect(replay.duration).toBe(3000)
+  })
+
+  it('should change speed while playing', () => {
+    vi.useFakeTimers()
+    const replay = new ReplayProvider({ frames, loop: false })
+    const fleet = new FleetTelematicsData({ provider: replay })
+    fleet.start()
+
+    replay.setSpeed(4)
+    vi.advanceTimersByTime(250)
+
+    expect(speed(fleet)).toBe(30)
+  })
+})
+
+describe('createFleetProvider', () => {
+  it('should create the provider a config names', () => {
+    expect(createFleetProvider({ provider: 'live', url: 'ws://localhost:8787' })).toBeInstanceOf(LiveProvider)
+    expect(createFleetProvider({ provider: 'replay', url: '/recordings/rush-hour.json' })).toBeInstanceOf(ReplayProvider)
+    expect(createFleetProvider({ provider: 'simulator' })).toBeInstanceOf(SimulatorProvider)
+    expect(createFleetProvider({ provider: 'teleport' })).toBeInstanceOf(SimulatorProvider)
+  })
+
+  it('should seed the simulator from the URL', () => {
+    window.history.replaceState(null, '', '/?fleetSeed=42')
+
+    expect(createFleetProvider(getFleetConfig()).seed).toBe(42)
+    window.history.replaceState(null, '', '/')
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Tests for the simulator's routes
+ */
+
+import { describe, it, expect } from 'vitest'
+import { TORONTO_ROUTES, createRoute, createRoutes, distanceBetween, pointAlong } from '../../js/data/routes'
+
+// About 1112 m due north, the stop halfway
+const line = (properties = {}) => ({
+  type: 'Feature',
+  properties: { name: 'Test Line', stops: [{ name: 'Halfway', vertex: 1, dwell: 30 }], ...properties },
+  geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0.005], [0, 0.01]] }
+})
+
+describe('createRoute', () => {
+  it('should measure the route and place its stops', () => {
+    const route = createRoute(line({ terminusDwell: 60 }))
+
+    expect(route.length).toBeCloseTo(1112, 0)
+    expect(route.distances[1]).toBeCloseTo(route.length / 2, 6)
+    expect(route.stops).toEqual([{ name: 'Halfway', distance: route.distances[1], dwell: 30 }])
+    expect(route).toMatchObject({ name: 'Test Line', mode: 'return', terminusDwell: 60 })
+  })
+
+  it('should leave the termini of a return route to the terminus dwell', () => {
+    const route = createRoute(line({ stops: [{ name: 'Start', vertex: 0, dwell: 10 }, { name: 'End', vertex: 2, dwell: 10 }] }))
+
+    expect(route.stops).toEqual([])
+  })
+
+  it('should close a loop and reach its first stop at the end', () => {
+    const route = createRoute(line({ mode: 'loop', stops: [{ name: 'Depot', vertex: 0, dwell: 10 }] }))
+
+    expect(route.coordinates.at(-1)).toEqual([0, 0])
+    expect(route.length).toBeCloseTo(2224, 0)
+    expect(route.stops[0].distance).toBe(route.length)
+  })
+
+  it('should reject routes without a line to follow', () => {
+    expect(() => createRoute({ properties: { name: 'Nowhere' }, geometry: { type: 'Point', coordinates: [0, 0] } }))
+      .toThrow('Route "Nowhere" needs a LineString')
+    expect(() => createRoute({ properties: { name: 'Here' }, geometry: { type: 'LineString', coordinates: [[0, 0], [0, 0]] } }))
+      .toThrow('coordinates apart')
+  })
+})
+
+describe('createRoutes', () => {
+  it('should name a route after every status.route of the simulated fleet', () => {
+    expect([...createRoutes(TORONTO_ROUTES).keys()]).toEqual([
+      'Highway 401 E',
+      'Downtown Core',
+      'Industrial Zone',
+      'Airport Route',
+      'Suburban Loop'
+    ])
+  })
+})
+
+describe('pointAlong', () => {
+  const route = createRoute(line())
+
+  it('should interpolate along the segments and head along them', () => {
+    expect(pointAlong(route, route.length / 4)).toMatchObject({ lng: 0, heading: 0 })
+    expect(pointAlong(route, route.length / 4).lat).toBeCloseTo(0.0025, 6)
+    expect(pointAlong(route, route.length * 0.75).lat).toBeCloseTo(0.0075, 6)
+  })
+
+  it('should stay on the route', () => {
+    expect(pointAlong(route, -100).lat).toBe(0)
+    expect(pointAlong(route, route.length + 100).lat).toBe(0.01)
+  })
+
+  it('should measure distances on the globe', () => {
+    // Pearson to Union Station
+    expect(distanceBetween([-79.6114, 43.6793], [-79.3806, 43.6453]) / 1000).toBeCloseTo(18.9, 0)
+  })
+})
@@ -0,0 +1,56 @@
+/**
+ * Tests for the fleet's vehicle model
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createVehicle, mergeVehicle } from '../../js/data/vehicle'
+import { SimulatorProvider } from '../../js/data/providers'
+
+// Every group and field of the model, as `createVehicle` fills them in
+const shape = (value) => Object.fromEntries(
+  Object.entries(value).map(([key, field]) => [
+    key,
+    field !== null && typeof field === 'object' && !Array.isArray(field) ? shape(field) : key
+  ])
+)
+
+describe('createVehicle', () => {
+  it('should fill in every field of the model', () => {
+    const vehicle = createVehicle('VH-100')
+
+    expect(vehicle.id).toBe('VH-100')
+    expect(vehicle.status).toMatchObject({ state: 'idle', connected: true })
+    expect(vehicle.engine.faultCodes).toEqual([])
+  })
+
+  it('should have the shape of the simulated vehicles', () => {
+    const simulator = new SimulatorProvider({ seed: 1, autoplay: false })
+    const simulated = simulator.tick()
+
+    simulated.forEach((vehicle) => {
+      expect(shape(vehicle)).toEqual(shape(createVehicle(vehicle.id)))
+      expect(vehicle.id).toMatch(/^VH-\d{3}$/)
+      expect(vehicle.driver.id).toMatch(/^DR-\d{3}$/)
+      expect(['driving', 'idle']).toContain(vehicle.status.state)
+    })
+  })
+})
+
+describe('mergeVehicle', () => {
+  it('should change the fields an update lists and keep the rest', () => {
+    const previous = createVehicle('VH-001')
+    const merged = mergeVehicle(previous, { id: 'VH-001', location: { speed: 42 }, engine: { faultCodes: ['P0300'] } })
+
+    expect(merged.location).toEqual({ ...previous.location, speed: 42 })
+    expect(merged.engine).toEqual({ ...previous.engine, faultCodes: ['P0300'] })
+    expect(merged.driver).toEqual(previous.driver)
+  })
+
+  it('should leave the previous vehicle as it was', () => {
+    const previous = createVehicle('VH-001')
+
+    mergeVehicle(previous, { id: 'VH-001', location: { speed: 42 } })
+
+    expect(previous.location.speed).toBe(0)
+  })
+})
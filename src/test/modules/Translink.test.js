@@ -0,0 +1,780 @@
+/**
+ * Tests for the Translink state machine, driven through the mock agent
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import gsap from 'gsap'
+
+vi.mock('@/gl/Gl', () => ({
+  default: class {
+    constructor() {
+      this.audio = { playUI: vi.fn(), speak: vi.fn(() => Promise.resolve()), stopSpeaking: vi.fn() }
+    }
+  }
+}))
+vi.mock('@/modules/ScrollController', () => ({
+  default: { isIdleScrollAllowed: true }
+}))
+vi.mock('@/scroll', () => ({ Scroll: {} }))
+
+const { Translink } = await import('../../js/modules/Translink')
+const { NetworkError, getAdapter } = await import('../../js/modules/ai/adapters')
+const { registerRecognizer } = await import('../../js/modules/ai/speech')
+const { TranslinkDB } = await import('../../js/modules/TranslinkDB')
+
+const markup = `
+  <main class="main">
+    <div data-ai="w">
+      <div data-ai="buttonWrapper">
+        <button data-ai="button">
+          <div data-ai="buttonInner">
+            <span data-ai="buttonLabel">Ask Translink</span>
+            <div data-ai="icon"></div>
+          </div>
+        </button>
+        <button data-ai="cancelQuestion"></button>
+      </div>
+      <div data-ai="questionWrapper">
+        <textarea data-ai="question"></textarea>
+        <ul data-ai="suggestions" hidden></ul>
+        <button data-ai="mic" hidden></button>
+        <button data-ai="speakAnswers" hidden></button>
+        <span data-ai="voiceStatus"></span>
+        <button data-ai="closeQuestion"></button>
+      </div>
+      <div data-ai="responseWrapper">
+        <img data-ai="visual">
+        <h3 data-ai="title"></h3>
+        <p data-ai="response"></p>
+        <div data-ai="feedback" hidden>
+          <button data-ai="rate" data-rating="up"></button>
+          <button data-ai="rate" data-rating="down"></button>
+          <form data-ai="feedbackComment" hidden><input data-ai="feedbackCommentInput"></form>
+          <span data-ai="feedbackStatus"></span>
+        </div>
+        <div data-ai="actions"></div>
+        <div data-ai="followUps" hidden></div>
+      </div>
+    </div>
+  </main>
+  <div data-ai="modal">
+    <button class="modal__close-w"></button>
+    <button data-ai="newThread"></button>
+    <select data-ai="locale"></select>
+    <div data-ai="modalVisualWrapper"><img data-ai="modalVisual"></div>
+    <h2 data-ai="modalTitle"></h2>
+    <video data-ai="video"><source data-ai="videoSource"></video>
+    <div class="modal__Translink-w"></div>
+    <div data-ai="history">
+      <input data-ai="historySearch">
+      <select data-ai="historyDate"><option value=""></option><option value="today"></option></select>
+      <select data-ai="historyCTA"><option value=""></option></select>
+      <input data-ai="historyPinned" type="checkbox">
+      <span data-ai="historyCount"></span>
+      <button data-ai="historyExport" data-format="json"></button>
+      <input data-ai="historyImport" type="file">
+      <span data-ai="historyStatus"></span>
+    </div>
+    <div data-ai="accordionWrapper"></div>
+  </div>
+`
+
+// Animations and the mock latency add up, especially on a busy machine
+const waitOptions = { timeout: 4000 }
+
+const ask = (translink, question) => {
+  translink.question.value = question
+  window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+}
+
+const waitForState = (translink, state) => vi.waitFor(() => {
+  expect(translink.currentState).toBe(translink.STATES[state])
+  expect(translink.isAnimating).toBe(false)
+}, waitOptions)
+
+const isShown = (element) => element.style.display === 'flex'
+
+const actionButton = (id) => document.querySelector(`[data-ai="actions"] [data-action="${id}"]`)
+
+const readBlob = (blob) => new Promise((resolve) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.readAsText(blob)
+})
+
+describe('Translink', () => {
+  let translink
+
+  beforeEach(async () => {
+    gsap.globalTimeline.timeScale(4)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    document.body.innerHTML = markup
+    document.documentElement.className = ''
+    window.App = {
+      translink: {
+        adapter: 'mock',
+        mock: { latency: 40, errorRate: 0 },
+        retry: { attempts: 0 }
+      }
+    }
+
+    translink = new Translink()
+    await translink.db.initializeDB()
+  })
+
+  afterEach(async () => {
+    translink.destroy()
+    translink.db.db.close()
+    await new Promise((resolve) => {
+      indexedDB.deleteDatabase('TranslinkResponses').onsuccess = resolve
+    })
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('should expand from the initial state', async () => {
+    expect(translink.currentState).toBe(translink.STATES.INITIAL)
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    expect(document.documentElement.classList.contains('has-ai-open')).toBe(true)
+    expect(translink.question.disabled).toBe(false)
+  })
+
+  it('should ignore the button while a transition is animating', async () => {
+    translink.buttonInner.click()
+    translink.buttonInner.click()
+    expect(translink.currentState).toBe(translink.STATES.EXPANDED)
+
+    await waitForState(translink, 'EXPANDED')
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+    await waitForState(translink, 'INITIAL')
+    expect(document.documentElement.classList.contains('has-ai-open')).toBe(false)
+  })
+
+  it('should shake instead of submitting a too short question', async () => {
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    const submit = vi.spyOn(translink, 'submitQuestion')
+    ask(translink, 'hi')
+
+    expect(submit).not.toHaveBeenCalled()
+    expect(translink.currentState).toBe(translink.STATES.EXPANDED)
+  })
+
+  it('should stream a legacy answer into the response view', async () => {
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Where can I see the specs?')
+    await waitForState(translink, 'THINKING')
+
+    await vi.waitFor(() => {
+      expect(actionButton('CTA_1')).not.toBeNull()
+    }, waitOptions)
+    expect(translink.responseTitle.textContent).toBe('Technical specifications')
+    expect(translink.response.textContent).toBe('The full specifications cover range, capacity and connectivity.')
+    expect(document.documentElement.classList.contains('has-ai-response')).toBe(true)
+
+    const [record] = await translink.db.getAllResponses()
+    expect(record).toMatchObject({ question: 'Where can I see the specs?', media: 'IMG_1', CTA: 'CTA_1', version: 0 })
+  })
+
+  it.each([
+    ['Can I talk to sales?', 'CTA_2', 'IMG_2', 'image'],
+    ['How do I preorder?', 'CTA_3', 'IMG_3', 'image'],
+    ['Show me a video tour', 'CTA_4', 'VIDEO_1', 'video'],
+    ['How is fuel tracked?', 'CTA_4', 'IMAGE_4', 'image']
+  ])('should store the %s answer with %s and %s', async (question, CTA, media, mediaType) => {
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, question)
+
+    await vi.waitFor(() => {
+      expect(actionButton(CTA)).not.toBeNull()
+    }, waitOptions)
+    const [record] = await translink.db.getAllResponses()
+    expect(record).toMatchObject({ CTA, media, mediaType })
+  })
+
+  it('should show the error state when the agent fails', async () => {
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Is the service down?')
+
+    await vi.waitFor(() => {
+      expect(document.documentElement.classList.contains('has-ai-error')).toBe(true)
+    }, waitOptions)
+    expect(translink.buttonLabel.textContent).toBe('Error - Try Again')
+    expect(translink.questionWrapper.getAttribute('data-after')).toContain('503')
+  })
+
+  it('should explain a malformed answer', async () => {
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Send a malformed answer')
+
+    await vi.waitFor(() => {
+      expect(translink.buttonLabel.textContent).toBe('Unreadable answer - Try Again')
+    }, waitOptions)
+    expect(translink.questionWrapper.getAttribute('data-after')).toContain('title must be a non-empty string')
+    expect(await translink.db.getAllResponses()).toHaveLength(0)
+  })
+
+  it('should retry a failing agent before showing the error', async () => {
+    window.App.translink.retry = { attempts: 2, baseDelay: 10, maxDelay: 10 }
+    const send = vi.spyOn(getAdapter('mock'), 'send')
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Is the service down?')
+
+    await vi.waitFor(() => {
+      expect(translink.buttonLabel.textContent).toBe('Error - Try Again')
+    }, waitOptions)
+    expect(send).toHaveBeenCalledTimes(3)
+    expect(console.error).toHaveBeenCalledWith('Submission failed:', expect.objectContaining({ status: 503 }))
+  })
+
+  it('should give up on an agent that does not answer in time', async () => {
+    window.App.translink.mock.latency = 2000
+    window.App.translink.timeout = 100
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Where can I see the specs?')
+
+    await vi.waitFor(() => {
+      expect(translink.buttonLabel.textContent).toBe('No answer - Try Again')
+    }, waitOptions)
+    expect(isShown(translink.cancelButton)).toBe(false)
+  })
+
+  it('should go back to expanded with the question intact when cancelled', async () => {
+    window.App.translink.mock.latency = 2000
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Where can I see the specs?')
+    await waitForState(translink, 'THINKING')
+    expect(isShown(translink.cancelButton)).toBe(true)
+
+    translink.cancelButton.click()
+
+    await waitForState(translink, 'EXPANDED')
+    await vi.waitFor(() => {
+      expect(translink.question.disabled).toBe(false)
+    }, waitOptions)
+    expect(translink.question.value).toBe('Where can I see the specs?')
+    expect(isShown(translink.cancelButton)).toBe(false)
+    expect(translink.abortController).toBeNull()
+    expect(await translink.db.getAllResponses()).toHaveLength(0)
+  })
+
+  it('should cancel with Escape', async () => {
+    window.App.translink.mock.latency = 2000
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+
+    ask(translink, 'Where can I see the specs?')
+    await waitForState(translink, 'THINKING')
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+
+    await waitForState(translink, 'EXPANDED')
+    expect(translink.abortController).toBeNull()
+  })
+
+  it('should offer every action of an answer and run handler actions', async () => {
+    window.dataLayer = []
+    const openModal = vi.spyOn(translink, 'openModalFromResponse').mockImplementation(() => {})
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How is fuel tracked?')
+
+    await vi.waitFor(() => {
+      expect(actionButton('CTA_4')).not.toBeNull()
+    }, waitOptions)
+    expect([...document.querySelectorAll('[data-ai="actions"] [data-action]')].map((el) => el.dataset.action)).toEqual(['CTA_4', 'CTA_1'])
+    expect(actionButton('CTA_1').getAttribute('href')).toBe('/specs')
+
+    actionButton('CTA_4').click()
+
+    expect(openModal).toHaveBeenCalled()
+    expect(window.dataLayer).toEqual([expect.objectContaining({ event: 'translink_cta', actionId: 'CTA_4', question: 'How is fuel tracked?' })])
+    // Learn More is only offered in the small view
+    const accordion = document.querySelector('.accordion')
+    expect([...accordion.querySelectorAll('[data-action]')].map((el) => el.dataset.action)).toEqual(['CTA_1'])
+
+    delete window.dataLayer
+  })
+
+  it('should rate a stored answer and send the rating with its comment', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }))
+    vi.stubGlobal('fetch', fetch)
+    const feedback = document.querySelector('[data-ai="feedback"]')
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'Where can I see the specs?')
+
+    await vi.waitFor(() => {
+      expect(feedback.hidden).toBe(false)
+    }, waitOptions)
+    feedback.querySelector('[data-rating="down"]').click()
+    feedback.querySelector('[data-ai="feedbackCommentInput"]').value = 'Missing the battery size'
+    feedback.querySelector('[data-ai="feedbackComment"]').dispatchEvent(new Event('submit'))
+
+    await vi.waitFor(async () => {
+      const [record] = await translink.db.getAllResponses()
+      expect(record.feedback).toMatchObject({ rating: 'down', comment: 'Missing the battery size', status: 'sent' })
+    }, waitOptions)
+    const [endpoint, request] = fetch.mock.calls.at(-1)
+    expect(endpoint).toBe('http://localhost:3000/api/feedback')
+    expect(JSON.parse(request.body)).toMatchObject({ rating: 'down', comment: 'Missing the battery size', question: 'Where can I see the specs?' })
+    expect(feedback.querySelector('[data-rating="down"]').getAttribute('aria-pressed')).toBe('true')
+  })
+
+  it('should fill the question by voice and read the answer aloud', async () => {
+    // A local stand-in for the browser's speech recognition
+    let session
+    registerRecognizer('local', (options) => ({
+      start: vi.fn(() => { session = options }),
+      stop: vi.fn(() => options.onEnd()),
+      abort: vi.fn()
+    }))
+    vi.stubGlobal('speechSynthesis', { speak: vi.fn(), cancel: vi.fn() })
+    vi.stubGlobal('SpeechSynthesisUtterance', class {})
+    window.App.translink.recognizer = 'local'
+    translink.destroy()
+    translink.db.db.close()
+    translink = new Translink()
+    await translink.db.initializeDB()
+
+    const mic = document.querySelector('[data-ai="mic"]')
+    const speakAnswers = document.querySelector('[data-ai="speakAnswers"]')
+    expect(mic.hidden).toBe(false)
+    expect(speakAnswers.hidden).toBe(false)
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    speakAnswers.click()
+    mic.click()
+    expect(mic.getAttribute('aria-pressed')).toBe('true')
+
+    session.onResult('How is fuel', false)
+    expect(translink.question.value).toBe('How is fuel')
+    session.onResult('How is fuel tracked?', true)
+    session.onEnd()
+    expect(mic.getAttribute('aria-pressed')).toBe('false')
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+
+    await vi.waitFor(() => {
+      expect(translink.gl.audio.speak).toHaveBeenCalledWith(
+        'Fuel, engine and driver data are tracked live for every vehicle.', { lang: translink.speechLang })
+    }, waitOptions)
+    // localStorage is a mock in the test setup
+    expect(localStorage.setItem).toHaveBeenCalledWith('translink:speakAnswers', true)
+  })
+
+  it('should play the scene actions of an answer without storing them', async () => {
+    const world = {
+      isTransitioning: false,
+      setActiveSceneAnimated: vi.fn(() => Promise.resolve()),
+      focusProjectedPoint: vi.fn(),
+      triggerParticleWave: vi.fn()
+    }
+    translink.gl.world = world
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'Which chip is inside?')
+
+    await vi.waitFor(() => {
+      expect(world.triggerParticleWave).toHaveBeenCalledWith(4)
+    }, waitOptions)
+    expect(world.focusProjectedPoint).toHaveBeenCalledWith('chip', 4)
+    const [record] = await translink.db.getAllResponses()
+    expect(record.title).toBe('Inside the unit')
+    expect(record).not.toHaveProperty('scene')
+  })
+
+  it('should send the fleet on screen and focus vehicles named in the answer', async () => {
+    const vehicles = [
+      { id: 'VH-001', type: 'truck', fuel: { level: 40, capacity: 200 }, driver: { id: 'DR-014' }, status: { state: 'driving' } },
+      { id: 'VH-002', type: 'van', fuel: { level: 70, capacity: 80 }, driver: { id: 'DR-020' }, status: { state: 'idle' } }
+    ]
+    const particles = {
+      getFleetSummary: () => ({ total: 2, active: 1 }),
+      getAllVehicles: () => vehicles,
+      focusVehicle: vi.fn(() => true)
+    }
+    window.App.translink.fleetContext = true
+    translink.gl.world = { activeScenes: { current: { particles } } }
+    const send = vi.spyOn(getAdapter('mock'), 'send').mockResolvedValue({
+      version: 1,
+      title: 'Low on fuel',
+      short: 'VH-001 is at 20%, <b>refuel</b> soon.',
+      long: 'Only **VH-001**, driven by DR-014.'
+    })
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'Which trucks are low on fuel?')
+
+    await vi.waitFor(() => {
+      expect(translink.response.querySelector('.fleet-ref')).not.toBeNull()
+    }, waitOptions)
+    const [query] = send.mock.calls[0]
+    expect(query.fleet.summary).toEqual({ total: 2, active: 1 })
+    expect(query.fleet.vehicles.map((vehicle) => [vehicle.id, vehicle.fuel])).toEqual([['VH-001', 20]])
+
+    expect(translink.response.textContent).toBe('VH-001 is at 20%, <b>refuel</b> soon.')
+    translink.response.querySelector('.fleet-ref').click()
+    expect(particles.focusVehicle).toHaveBeenCalledWith('VH-001')
+
+    await vi.waitFor(() => {
+      expect(document.querySelector('.response__long .fleet-ref[data-fleet-type="driver"]')).not.toBeNull()
+    }, waitOptions)
+    document.querySelector('.response__long .fleet-ref[data-fleet-type="driver"]').click()
+    expect(particles.focusVehicle).toHaveBeenLastCalledWith('VH-001')
+  })
+
+  it('should suggest questions and send the one picked with the keyboard', async () => {
+    window.App.translink.starterQuestions = ['Which trucks are low on fuel?', 'Where can I see the specs?']
+    translink.destroy()
+    translink.db.db.close()
+    translink = new Translink()
+    await translink.db.initializeDB()
+    await translink.db.saveResponse({ question: 'Where is VH-002?', title: 'VH-002', timestamp: '2026-01-02T00:00:00.000Z' })
+    const send = vi.spyOn(getAdapter('mock'), 'send')
+    const list = document.querySelector('[data-ai="suggestions"]')
+    const options = () => [...list.querySelectorAll('[role="option"]')].map((option) => option.textContent)
+    const press = (key) => translink.question.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    translink.question.dispatchEvent(new Event('focus'))
+    await vi.waitFor(() => {
+      expect(options()).toEqual(['Which trucks are low on fuel?', 'Where can I see the specs?'])
+    })
+
+    translink.question.value = 'wh'
+    translink.question.dispatchEvent(new Event('input'))
+    await vi.waitFor(() => {
+      expect(options()).toEqual(['Where is VH-002?', 'Which trucks are low on fuel?', 'Where can I see the specs?'])
+    })
+    expect(translink.question.getAttribute('aria-expanded')).toBe('true')
+
+    press('ArrowDown')
+    press('ArrowDown')
+    press('ArrowUp')
+    expect(translink.question.getAttribute('aria-activedescendant')).toBe(list.querySelector('[aria-selected="true"]').id)
+
+    // Escape closes the list and leaves the prompt open
+    press('Escape')
+    expect(list.hidden).toBe(true)
+    expect(translink.currentState).toBe(translink.STATES.EXPANDED)
+
+    translink.question.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', altKey: true, bubbles: true }))
+    await vi.waitFor(() => {
+      expect(list.hidden).toBe(false)
+    })
+    press('ArrowDown')
+    press('Enter')
+
+    await vi.waitFor(() => {
+      expect(send).toHaveBeenCalled()
+    }, waitOptions)
+    expect(send.mock.calls[0][0].question).toBe('Where is VH-002?')
+    expect(list.hidden).toBe(true)
+  })
+
+  it('should offer the follow-ups of an answer as chips', async () => {
+    const send = vi.spyOn(getAdapter('mock'), 'send')
+    const chips = document.querySelector('[data-ai="followUps"]')
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How is fuel tracked?')
+
+    await vi.waitFor(() => {
+      expect(chips.hidden).toBe(false)
+    }, waitOptions)
+    expect([...chips.querySelectorAll('button')].map((chip) => chip.textContent)).toEqual(['Which trucks are low on fuel?', 'What chip is inside?'])
+
+    chips.querySelector('[data-follow-up="What chip is inside?"]').click()
+
+    await vi.waitFor(() => {
+      expect(send).toHaveBeenCalledTimes(2)
+    }, waitOptions)
+    expect(send.mock.calls[1][0].question).toBe('What chip is inside?')
+    expect(chips.hidden).toBe(true)
+  })
+
+  it('should label the UI in the configured locale and ask for answers in it', async () => {
+    translink.destroy()
+    translink.db.db.close()
+    window.App.translink.locale = 'de'
+    translink = new Translink()
+    await translink.db.initializeDB()
+    const send = vi.spyOn(getAdapter('mock'), 'send')
+
+    expect(translink.buttonLabel.textContent).toBe('Frag Translink')
+    expect(translink.localeSelect.value).toBe('de')
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How do I preorder?')
+
+    await vi.waitFor(() => expect(actionButton('CTA_3')).not.toBeNull(), waitOptions)
+    expect(send.mock.calls[0][0].locale).toBe('de')
+    expect(actionButton('CTA_3').textContent.trim()).toBe('Vorbestellen')
+    const [record] = await translink.db.getAllResponses()
+    expect(record.locale).toBe('de')
+    expect(document.querySelector('.accordion').lang).toBe('de')
+
+    translink.localeSelect.value = 'fr'
+    translink.localeSelect.dispatchEvent(new Event('change'))
+
+    expect(localStorage.setItem).toHaveBeenCalledWith('translink:locale', 'fr')
+    expect(actionButton('CTA_3').textContent.trim()).toBe('Précommander')
+    expect(translink.question.placeholder).toBe('Posez-moi une question sur la gestion de flotte...')
+  })
+
+  it('should queue a question asked offline and answer it once back online', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const send = vi.spyOn(getAdapter('mock'), 'send')
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How do I preorder?')
+
+    await vi.waitFor(() => expect(document.querySelector('.accordion.is-pending')).not.toBeNull(), waitOptions)
+    await waitForState(translink, 'EXPANDED')
+    expect(document.querySelector('.accordion.is-pending .accordion__question').textContent).toBe('How do I preorder?')
+    expect(translink.question.value).toBe('')
+    expect(send).not.toHaveBeenCalled()
+
+    onLine.mockReturnValue(true)
+    window.dispatchEvent(new Event('online'))
+
+    await vi.waitFor(() => {
+      expect(document.querySelector('.accordion .accordion__title').textContent).toBe('Preorder Translink')
+    }, waitOptions)
+    expect(document.querySelector('.accordion.is-pending')).toBeNull()
+    expect(await translink.db.getOutbox()).toEqual([])
+    expect(send).toHaveBeenCalledTimes(1)
+  })
+
+  it('should queue a question whose request cannot be made', async () => {
+    vi.spyOn(getAdapter('mock'), 'send').mockRejectedValueOnce(new NetworkError(new TypeError('Failed to fetch')))
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How do I preorder?')
+
+    await vi.waitFor(() => expect(document.querySelector('.accordion.is-pending')).not.toBeNull(), waitOptions)
+    expect(await translink.db.getOutbox()).toHaveLength(1)
+  })
+
+  it('should not queue a question that failed on a bug', async () => {
+    vi.spyOn(translink, 'finishResponse').mockRejectedValueOnce(new TypeError("Cannot read properties of undefined (reading 'title')"))
+
+    translink.buttonInner.click()
+    await waitForState(translink, 'EXPANDED')
+    ask(translink, 'How do I preorder?')
+
+    await vi.waitFor(() => {
+      expect(document.documentElement.classList.contains('has-ai-error')).toBe(true)
+    }, waitOptions)
+    expect(document.querySelector('.accordion.is-pending')).toBeNull()
+    expect(await translink.db.getOutbox()).toEqual([])
+  })
+
+  describe('history', () => {
+    const questions = () => [...document.querySelectorAll('.accordion__question')].map((el) => el.textContent)
+
+    beforeEach(async () => {
+      await translink.db.saveResponse({ question: 'Where can I see the specs?', title: 'Specs', long: 'Range and capacity', CTA: 'CTA_1', timestamp: '2026-01-01T00:00:00.000Z' })
+      await translink.db.saveResponse({ question: 'Can I talk to sales?', title: 'Sales', long: 'Contact form', CTA: 'CTA_2', timestamp: '2026-01-02T00:00:00.000Z' })
+      await translink.db.saveResponse({ question: 'How is fuel tracked?', title: 'Fleet health', long: 'Fuel levels per vehicle', CTA: 'CTA_4', timestamp: '2026-01-03T00:00:00.000Z' })
+      await translink.loadAccordionsFromDB()
+    })
+
+    it('should list stored answers newest first', () => {
+      expect(questions()).toEqual(['How is fuel tracked?', 'Can I talk to sales?', 'Where can I see the specs?'])
+      expect(document.querySelector('[data-ai="historyCount"]').textContent).toBe('3 conversations')
+    })
+
+    it('should search and filter the history', async () => {
+      const search = document.querySelector('[data-ai="historySearch"]')
+      search.value = 'capacity'
+      search.dispatchEvent(new Event('input'))
+
+      await vi.waitFor(() => {
+        expect(questions()).toEqual(['Where can I see the specs?'])
+      }, waitOptions)
+      expect(document.querySelector('[data-ai="historyCount"]').textContent).toBe('1 of 3')
+
+      search.value = ''
+      const CTA = document.querySelector('[data-ai="historyCTA"]')
+      CTA.value = 'CTA_2'
+      CTA.dispatchEvent(new Event('change'))
+
+      await vi.waitFor(() => {
+        expect(questions()).toEqual(['Can I talk to sales?'])
+      }, waitOptions)
+    })
+
+    it('should count, search and suggest in the visitor\'s locale', async () => {
+      translink.setLocale('de')
+
+      await vi.waitFor(() => {
+        expect(document.querySelector('[data-ai="historyCount"]').textContent).toBe('3 Unterhaltungen')
+      }, waitOptions)
+      expect(translink.suggestions.starters[0]).toBe('Welche Lkw haben wenig Kraftstoff?')
+
+      const search = document.querySelector('[data-ai="historySearch"]')
+      search.value = 'nothing like it'
+      search.dispatchEvent(new Event('input'))
+
+      await vi.waitFor(() => {
+        expect(document.querySelector('.accordion-wrapper__empty').textContent).toBe('Keine Unterhaltung passt zu deiner Suche')
+      }, waitOptions)
+      expect(document.querySelector('[data-ai="historyCount"]').textContent).toBe('0 von 3')
+    })
+
+    it('should move pinned answers to the top', async () => {
+      const accordion = document.querySelectorAll('.accordion')[2]
+      accordion.querySelector('[data-ai="pinResponse"]').click()
+
+      await vi.waitFor(() => {
+        expect(questions()[0]).toBe('Where can I see the specs?')
+      }, waitOptions)
+      const pinned = document.querySelector('.accordion.is-pinned')
+      expect(pinned.querySelector('[data-ai="pinResponse"]').textContent).toBe('Unpin')
+      expect((await translink.db.getAllResponses()).find((record) => record.pinned).title).toBe('Specs')
+    })
+
+    it('should show answers saved in another tab and keep the others as they are', async () => {
+      const kept = document.querySelectorAll('.accordion')[1]
+      kept.open = true
+
+      const otherTab = new TranslinkDB(9)
+      await otherTab.saveResponse({ question: 'What chip is inside?', title: 'Chip', long: 'Edge module', CTA: 'CTA_3', timestamp: '2026-01-04T00:00:00.000Z' })
+      otherTab.db.close()
+
+      await vi.waitFor(() => {
+        expect(questions()).toEqual(['What chip is inside?', 'How is fuel tracked?', 'Can I talk to sales?', 'Where can I see the specs?'])
+      }, waitOptions)
+      expect(document.querySelectorAll('.accordion')[2]).toBe(kept)
+      expect(kept.open).toBe(true)
+    })
+
+    it('should delete a single answer', async () => {
+      document.querySelectorAll('.accordion')[1].querySelector('[data-ai="deleteResponse"]').click()
+
+      await vi.waitFor(() => {
+        expect(questions()).toEqual(['How is fuel tracked?', 'Where can I see the specs?'])
+      }, waitOptions)
+      expect(await translink.db.getResponsesByQuestion('Can I talk to sales?')).toHaveLength(0)
+    })
+
+    it('should export the listed answers as JSON', async () => {
+      let blob
+      URL.createObjectURL = vi.fn((file) => {
+        blob = file
+        return 'blob:translink'
+      })
+      URL.revokeObjectURL = vi.fn()
+      const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+      document.querySelector('[data-ai="historyExport"]').click()
+
+      await vi.waitFor(() => {
+        expect(click).toHaveBeenCalled()
+      }, waitOptions)
+      const exported = JSON.parse(await readBlob(blob))
+      expect(exported.answers.map((answer) => answer.title)).toEqual(['Fleet health', 'Sales', 'Specs'])
+      expect(document.querySelector('[data-ai="historyStatus"]').textContent).toBe('Exported 3 answers')
+    })
+
+    it('should merge an imported export into the history', async () => {
+      const input = document.querySelector('[data-ai="historyImport"]')
+      const json = JSON.stringify({
+        format: 'translink-answers',
+        version: 1,
+        answers: [
+          { question: 'Can I talk to sales?', title: 'Sales', timestamp: '2026-01-02T00:00:00.000Z' },
+          { question: 'Which drivers are idle?', title: 'Idle drivers', timestamp: '2026-01-04T00:00:00.000Z' }
+        ]
+      })
+      // jsdom files can't be read with text()
+      const file = Object.assign(new File([json], 'answers.json', { type: 'application/json' }), {
+        text: () => Promise.resolve(json)
+      })
+      Object.defineProperty(input, 'files', { value: [file], configurable: true })
+
+      input.dispatchEvent(new Event('change'))
+
+      await vi.waitFor(() => {
+        expect(questions()[0]).toBe('Which drivers are idle?')
+      }, waitOptions)
+      expect(questions()).toHaveLength(4)
+      expect(document.querySelector('[data-ai="historyStatus"]').textContent).toBe('Imported 1 answer, 1 already saved')
+    })
+
+    it('should render stored answers as text and sanitized Markdown', async () => {
+      await translink.db.saveResponse({
+        question: '<img src=x onerror=alert(1)>',
+        title: '<script>alert(1)</script>',
+        long: 'Check **VH-001** and [the specs](/specs).\n\n[Run](javascript:alert(1))',
+        timestamp: '2026-01-04T00:00:00.000Z'
+      })
+      await translink.loadAccordionsFromDB()
+
+      const accordion = document.querySelector('.accordion__summary').parentElement
+      expect(accordion.querySelector('.accordion__question').textContent).toBe('<img src=x onerror=alert(1)>')
+      expect(accordion.querySelector('h4').textContent).toBe('<script>alert(1)</script>')
+      expect(accordion.querySelector('img, script')).toBeNull()
+
+      const long = accordion.querySelector('.response__long')
+      expect(long.querySelector('strong .fleet-ref').dataset.fleetId).toBe('VH-001')
+      expect([...long.querySelectorAll('a')].map((link) => link.getAttribute('href'))).toEqual(['/specs'])
+      expect(long.textContent).toContain('Run')
+    })
+
+    it('should queue ratings while offline and send them once back online', async () => {
+      const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }))
+      vi.stubGlobal('fetch', fetch)
+      const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+
+      document.querySelectorAll('.accordion')[0].querySelector('[data-rating="up"]').click()
+
+      await vi.waitFor(async () => {
+        expect(await translink.db.getPendingFeedback()).toHaveLength(1)
+      }, waitOptions)
+      expect(fetch).not.toHaveBeenCalled()
+
+      onLine.mockReturnValue(true)
+      window.dispatchEvent(new Event('online'))
+
+      await vi.waitFor(async () => {
+        expect(await translink.db.getPendingFeedback()).toHaveLength(0)
+      }, waitOptions)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ rating: 'up', question: 'How is fuel tracked?' })
+    })
+  })
+})
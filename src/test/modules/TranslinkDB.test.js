@@ -0,0 +1,202 @@
+/**
+ * Tests for the TranslinkDB history store
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { TranslinkDB } from '../../js/modules/TranslinkDB'
+
+const record = (index, overrides = {}) => ({
+  question: `Question ${index}`,
+  title: `Title ${index}`,
+  short: `Short ${index}`,
+  long: `Long answer ${index}`,
+  media: 'IMG_9',
+  CTA: 'CTA_4',
+  timestamp: new Date(Date.UTC(2026, 0, index)).toISOString(),
+  ...overrides
+})
+
+describe('TranslinkDB', () => {
+  let db
+
+  beforeEach(async () => {
+    db = new TranslinkDB(3)
+    await db.initializeDB()
+  })
+
+  afterEach(async () => {
+    db.db.close()
+    await new Promise((resolve) => {
+      indexedDB.deleteDatabase('TranslinkResponses').onsuccess = resolve
+    })
+  })
+
+  it('should share one connection between concurrent callers', async () => {
+    const other = new TranslinkDB()
+    const [first, second] = await Promise.all([other.initializeDB(), other.initializeDB()])
+
+    expect(first).toBe(second)
+    other.db.close()
+  })
+
+  it('should drop the oldest answers over the limit but keep pinned ones', async () => {
+    const pinnedId = await db.saveResponse(record(1))
+    await db.setPinned(pinnedId, true)
+
+    for (let index = 2; index <= 6; index++) {
+      await db.saveResponse(record(index))
+    }
+
+    const questions = (await db.getAllResponses()).map((response) => response.question)
+    expect(questions).toEqual(['Question 1', 'Question 4', 'Question 5', 'Question 6'])
+  })
+
+  it('should apply the limit again when an answer is unpinned', async () => {
+    const pinnedId = await db.saveResponse(record(1, { pinned: true }))
+    for (let index = 2; index <= 4; index++) {
+      await db.saveResponse(record(index))
+    }
+
+    await db.setPinned(pinnedId, false)
+
+    expect(await db.getResponse(pinnedId)).toBeNull()
+    expect(await db.countResponses()).toBe(3)
+  })
+
+  it('should delete a single answer', async () => {
+    const id = await db.saveResponse(record(1))
+    await db.saveResponse(record(2))
+
+    await db.deleteResponse(id)
+
+    expect(await db.getResponse(id)).toBeNull()
+    expect(await db.countResponses()).toBe(1)
+  })
+
+  it('should look up answers through the byQuestion index', async () => {
+    await db.saveResponse(record(1, { question: 'Which trucks need fuel?' }))
+    await db.saveResponse(record(2, { question: 'Which trucks need fuel?' }))
+    await db.saveResponse(record(3, { question: 'Which drivers are idle?' }))
+
+    expect(await db.getResponsesByQuestion('Which trucks need fuel?')).toHaveLength(2)
+    expect(await db.getResponsesByQuestionPrefix('Which')).toHaveLength(3)
+    expect(await db.getResponsesByQuestionPrefix('which')).toHaveLength(0)
+  })
+
+  it('should search question, title and long answer', async () => {
+    await db.saveResponse(record(1, { title: 'Fuel levels' }))
+    await db.saveResponse(record(2, { long: 'Two trucks are low on fuel.' }))
+    await db.saveResponse(record(3, { question: 'Where is truck 12?' }))
+
+    const results = await db.searchResponses({ query: 'FUEL' })
+
+    expect(results.map((response) => response.title)).toEqual(['Title 2', 'Fuel levels'])
+  })
+
+  it('should rank questions starting with the search text first', async () => {
+    await db.saveResponse(record(1, { question: 'Fuel report please' }))
+    await db.saveResponse(record(2, { question: 'Where do I check Fuel?' }))
+
+    const results = await db.searchResponses({ query: 'Fuel' })
+
+    expect(results.map((response) => response.question)).toEqual(['Fuel report please', 'Where do I check Fuel?'])
+  })
+
+  it('should filter by date, CTA and pinned', async () => {
+    await db.saveResponse(record(1, { CTA: 'CTA_1' }))
+    await db.saveResponse(record(5, { CTA: 'CTA_2', pinned: true }))
+    await db.saveResponse(record(9, { CTA: 'CTA_2' }))
+
+    const titles = async (filters) => (await db.searchResponses(filters)).map((response) => response.title)
+
+    expect(await titles({ CTA: 'CTA_2' })).toEqual(['Title 5', 'Title 9'])
+    expect(await titles({ from: '2026-01-04T00:00:00Z' })).toEqual(['Title 5', 'Title 9'])
+    expect(await titles({ to: '2026-01-04T00:00:00Z' })).toEqual(['Title 1'])
+    expect(await titles({ pinnedOnly: true })).toEqual(['Title 5'])
+  })
+
+  it('should import answers without duplicating stored ones', async () => {
+    await db.saveResponse(record(1))
+
+    const result = await db.importResponses([record(1), record(2), record(2)])
+
+    expect(result).toEqual({ added: 1, skipped: 2 })
+    expect((await db.getAllResponses()).map((response) => response.question)).toEqual(['Question 1', 'Question 2'])
+  })
+
+  it('should keep every imported answer over the limit', async () => {
+    const result = await db.importResponses([1, 2, 3, 4, 5].map((index) => record(index)))
+    expect(result).toEqual({ added: 5, skipped: 0 })
+
+    await Promise.all([6, 7, 8, 9].map((index) => db.saveResponse(record(index))))
+
+    expect((await db.getAllResponses()).map((response) => response.question)).toEqual([
+      'Question 1', 'Question 2', 'Question 3', 'Question 4', 'Question 5',
+      'Question 7', 'Question 8', 'Question 9'
+    ])
+  })
+
+  it('should keep feedback pending until the sent rating is confirmed', async () => {
+    const id = await db.saveResponse(record(1))
+
+    const first = await db.setFeedback(id, { rating: 'down', comment: '  Wrong truck ' })
+    expect(first).toMatchObject({ rating: 'down', comment: 'Wrong truck', status: 'pending' })
+    expect(await db.getPendingFeedback()).toHaveLength(1)
+
+    // Changed while the first rating was being sent
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    const second = await db.setFeedback(id, { rating: 'up' })
+    await db.setFeedbackStatus(id, first.updatedAt, 'sent')
+    expect((await db.getPendingFeedback())[0].feedback).toEqual(second)
+
+    await db.setFeedbackStatus(id, second.updatedAt, 'sent')
+    expect(await db.getPendingFeedback()).toEqual([])
+    expect((await db.getResponse(id)).feedback.status).toBe('sent')
+  })
+
+  it('should keep to the limit when several tabs save at once', async () => {
+    const tabs = [new TranslinkDB(3), new TranslinkDB(3)]
+
+    await Promise.all(tabs.flatMap((tab, i) =>
+      [1, 2, 3, 4].map((index) => tab.saveResponse(record(i * 4 + index)))))
+
+    expect(await db.countResponses()).toBe(3)
+    tabs.forEach((tab) => tab.db.close())
+  })
+
+  it('should tell other tabs what was written', async () => {
+    const other = new TranslinkDB(3)
+    const messages = []
+    const unsubscribe = other.subscribe((message) => messages.push(message))
+
+    const id = await db.saveResponse(record(1))
+    await db.setPinned(id, true)
+    await db.deleteResponse(id)
+    const queuedId = await db.addToOutbox({ question: 'Offline?', threadId: 't', locale: 'en' })
+    await vi.waitFor(() => expect(messages).toHaveLength(4))
+
+    expect(messages).toEqual([
+      { store: 'conversations', ids: [id] },
+      { store: 'conversations', ids: [id] },
+      { store: 'conversations', ids: [id] },
+      { store: 'outbox', ids: [queuedId] }
+    ])
+    unsubscribe()
+  })
+
+  it('should tell other tabs about answers trimmed over the limit', async () => {
+    const other = new TranslinkDB(3)
+    const messages = []
+    const unsubscribe = other.subscribe((message) => messages.push(message))
+
+    const ids = []
+    for (let index = 1; index <= 4; index++) {
+      ids.push(await db.saveResponse(record(index)))
+    }
+    await vi.waitFor(() => expect(messages).toHaveLength(4))
+
+    expect(messages[3]).toEqual({ store: 'conversations', ids: [ids[3], ids[0]] })
+    unsubscribe()
+  })
+})
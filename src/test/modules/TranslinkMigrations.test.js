@@ -0,0 +1,108 @@
+/**
+ * Tests for the TranslinkDB schema migrations
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { TranslinkDB } from '../../js/modules/TranslinkDB'
+import { MIGRATIONS, eachRecord, runMigrations } from '../../js/modules/TranslinkMigrations'
+
+const DB_NAME = 'TranslinkResponses'
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+// The database exactly as the first release created it
+const createVersion1 = async (records) => {
+  const open = indexedDB.open(DB_NAME, 1)
+  open.onupgradeneeded = () => {
+    const store = open.result.createObjectStore('conversations', { keyPath: 'id', autoIncrement: true })
+    store.createIndex('byQuestion', 'question', { unique: false })
+  }
+  const db = await request(open)
+
+  const store = db.transaction('conversations', 'readwrite').objectStore('conversations')
+  await Promise.all(records.map((record) => request(store.add(record))))
+  db.close()
+}
+
+describe('TranslinkDB migrations', () => {
+  let db
+
+  afterEach(async () => {
+    db?.db?.close()
+    db = null
+    await request(indexedDB.deleteDatabase(DB_NAME))
+  })
+
+  it('should create the latest schema for new visitors', async () => {
+    db = new TranslinkDB()
+    await db.initializeDB()
+
+    const store = db.db.transaction('conversations').objectStore('conversations')
+    expect(db.db.version).toBe(5)
+    expect([...store.indexNames]).toEqual(['byQuestion', 'byThread'])
+    expect([...db.db.objectStoreNames]).toEqual(['conversations', 'outbox'])
+  })
+
+  it('should upgrade answers stored by the first release', async () => {
+    await createVersion1([
+      { question: 'Where can I see the specs?', title: 'Specs', short: 'Here', long: 'All of it', media: 'IMG_1', CTA: 'CTA_1', timestamp: '2026-01-01T00:00:00.000Z' },
+      { question: 'Show me a tour', title: 'Tour', short: 'Here', long: 'Video', media: 'VIDEO_1', CTA: 'CTA_4', timestamp: '2026-01-02T00:00:00.000Z' }
+    ])
+
+    db = new TranslinkDB()
+    const [specs, tour] = await db.getAllResponses()
+
+    expect(specs).toMatchObject({ question: 'Where can I see the specs?', version: 0, mediaType: 'image', actions: ['CTA_1'], pinned: false, feedback: null, locale: null })
+    expect(tour).toMatchObject({ mediaType: 'video', actions: ['CTA_4'] })
+  })
+
+  it('should keep fields that are already set', async () => {
+    await createVersion1([
+      { question: 'Fuel?', media: 'IMAGE_4', mediaType: 'image', CTA: 'CTA_4', actions: ['CTA_4', 'CTA_2'], version: 1, threadId: 'thread-1', timestamp: '2026-01-01T00:00:00.000Z' }
+    ])
+
+    db = new TranslinkDB()
+    const thread = await db.getThread('thread-1')
+
+    expect(thread).toHaveLength(1)
+    expect(thread[0]).toMatchObject({ version: 1, actions: ['CTA_4', 'CTA_2'], pinned: false })
+  })
+
+  it('should run only the pending steps, oldest first', () => {
+    const calls = []
+    const migrations = {
+      3: () => calls.push(3),
+      1: () => calls.push(1),
+      2: () => calls.push(2)
+    }
+
+    runMigrations({ db: {}, transaction: {}, oldVersion: 1, newVersion: 3 }, migrations)
+
+    expect(calls).toEqual([2, 3])
+  })
+
+  it('should apply a new version on top of the shipped ones', async () => {
+    db = new TranslinkDB()
+    await db.saveResponse({ question: 'Fuel?', title: 'Fuel', timestamp: '2026-01-01T00:00:00.000Z' })
+
+    const addSource = vi.fn(({ transaction }) => {
+      eachRecord(transaction.objectStore('conversations'), (record) => ({ ...record, source: 'agent' }))
+    })
+
+    // The old connection closes itself so the upgrade isn't blocked
+    const next = db.version + 1
+    const upgraded = new TranslinkDB(10, { migrations: { ...MIGRATIONS, [next]: addSource } })
+    const [record] = await upgraded.getAllResponses()
+
+    expect(addSource).toHaveBeenCalledWith(expect.objectContaining({ oldVersion: db.version }))
+    expect(record).toMatchObject({ title: 'Fuel', source: 'agent' })
+    expect(upgraded.db.version).toBe(next)
+    expect(db.db).toBeNull()
+
+    upgraded.db.close()
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * Tests for the answer action registry
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  DEFAULT_ACTIONS,
+  createActionRegistry,
+  getActionIds,
+  getActions,
+  localizeActions,
+  mergeActions,
+  registerActionHandler,
+  renderAction,
+  runAction,
+  trackAction
+} from '../../../js/modules/ai/actions'
+
+const render = (markup) => {
+  const wrapper = document.createElement('div')
+  wrapper.innerHTML = markup
+  return wrapper.firstElementChild
+}
+
+describe('action registry', () => {
+  afterEach(() => {
+    delete window.dataLayer
+    vi.restoreAllMocks()
+  })
+
+  it('should merge configured actions over the defaults by id', () => {
+    const actions = mergeActions(DEFAULT_ACTIONS, [
+      { id: 'CTA_2', label: 'Book a demo', href: '/demo' },
+      { id: 'TOUR', label: 'Open the specs scene', handler: 'openScene', target: 'specs' }
+    ])
+    const registry = createActionRegistry(actions)
+
+    expect(actions.map((action) => action.id)).toEqual(['CTA_1', 'CTA_2', 'CTA_3', 'CTA_4', 'TOUR'])
+    expect(registry.get('CTA_2')).toMatchObject({ label: 'Book a demo', href: '/demo', icon: 'arrow', visual: 'avatar1' })
+    expect(registry.get('TOUR').handler).toBe('openScene')
+  })
+
+  it('should read the actions of new and legacy answers', () => {
+    expect(getActionIds({ actions: ['CTA_4', 'CTA_1'], CTA: 'CTA_4' })).toEqual(['CTA_4', 'CTA_1'])
+    expect(getActionIds({ CTA: 'CTA_3' })).toEqual(['CTA_3'])
+    expect(getActionIds({ actions: [], CTA: null })).toEqual([])
+  })
+
+  it('should skip unknown actions and those not offered on a surface', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const registry = createActionRegistry(DEFAULT_ACTIONS)
+
+    const ids = (surface) => getActions(['CTA_4', 'CTA_9', 'CTA_1', 'CTA_1'], registry, surface).map((action) => action.id)
+
+    expect(ids('response')).toEqual(['CTA_4', 'CTA_1'])
+    expect(ids('accordion')).toEqual(['CTA_1'])
+    expect(console.warn).toHaveBeenCalledWith('[Translink] Unknown action: CTA_9')
+  })
+
+  it('should label actions in the locale, by language or with the default label', () => {
+    const actions = [...DEFAULT_ACTIONS, { id: 'CTA_9', label: 'Book a demo' }]
+
+    expect(localizeActions(actions, 'de').map((action) => action.label)).toEqual([
+      'Technische Daten', 'OFF+BRAND. kontaktieren', 'Vorbestellen', 'Mehr erfahren', 'Book a demo'
+    ])
+    expect(localizeActions(actions, 'fr-CA')[3].label).toBe('En savoir plus')
+    expect(localizeActions(actions, 'en')[0].label).toBe('View Specs')
+  })
+
+  it('should render links, handler buttons and escape config values', () => {
+    const link = render(renderAction({ id: 'CTA_1', label: 'Specs <b>now</b>', icon: 'arrow', href: '/specs?a=1&b=2' }, 'cta_1'))
+    expect(link.tagName).toBe('A')
+    expect(link.getAttribute('href')).toBe('/specs?a=1&b=2')
+    expect(link.querySelector('span').textContent).toBe('Specs <b>now</b>')
+    expect(link.querySelector('svg')).not.toBeNull()
+
+    const button = render(renderAction({ id: 'TOUR', label: 'Tour', handler: 'openScene', href: '/specs' }, 'cta'))
+    expect(button.tagName).toBe('BUTTON')
+    expect(button.dataset.action).toBe('TOUR')
+
+    const unsafe = render(renderAction({ id: 'BAD', label: 'Bad', href: ' javascript:alert(1)' }, 'cta'))
+    expect(unsafe.tagName).toBe('BUTTON')
+    expect(unsafe.hasAttribute('href')).toBe(false)
+  })
+
+  it('should run the registered handler and report the action', () => {
+    const handler = vi.fn(() => 'done')
+    registerActionHandler('test', handler)
+    const action = { id: 'TEST', label: 'Test', handler: 'test', analytics: { event: 'translink_cta', cta: 'test' } }
+    const response = { question: 'Which trucks are idle?' }
+    const listener = vi.fn()
+    window.addEventListener('translink:action', listener)
+    window.dataLayer = []
+
+    expect(runAction({ action, response })).toBe('done')
+    trackAction(action, response)
+
+    expect(handler).toHaveBeenCalledWith({ action, response })
+    expect(window.dataLayer).toEqual([{ event: 'translink_cta', cta: 'test', actionId: 'TEST', question: 'Which trucks are idle?' }])
+    expect(listener.mock.calls[0][0].detail.actionId).toBe('TEST')
+    window.removeEventListener('translink:action', listener)
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Tests for the backend adapters, fetch stands in for the servers
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { getAdapter, registerAdapter } from '../../../../js/modules/ai/adapters'
+import { toMessages } from '../../../../js/modules/ai/adapters/openai'
+
+const config = {
+  adapter: 'agent',
+  baseUrl: 'http://localhost:3000/',
+  endpoint: 'http://localhost:3000/api/agent',
+  headers: { 'X-Tenant': 'acme' },
+  token: 'secret',
+  model: 'gpt-test'
+}
+
+const query = {
+  question: 'Which trucks need fuel?',
+  threadId: 'thread-1',
+  context: [{ question: 'Hi', title: 'Hello', short: 'Hi there', long: '' }]
+}
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+})
+
+describe('adapters', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn()
+  })
+
+  it('should post the question and thread to the agent service', async () => {
+    fetch.mockResolvedValue(jsonResponse({ result: { content: [{ text: { value: '(SR) Two trucks' } }] } }))
+
+    const answer = await getAdapter('agent').send(query, { config })
+
+    expect(answer).toBe('(SR) Two trucks')
+    const [endpoint, init] = fetch.mock.calls[0]
+    expect(endpoint).toBe('http://localhost:3000/api/agent')
+    expect(init.headers.Authorization).toBe('Bearer secret')
+    expect(init.headers['X-Tenant']).toBe('acme')
+    expect(JSON.parse(init.body)).toMatchObject({ question: 'Which trucks need fuel?', threadId: 'thread-1', stream: true })
+  })
+
+  it('should throw an AgentRequestError with the status', async () => {
+    fetch.mockResolvedValue(jsonResponse({}, 503))
+
+    await expect(getAdapter('agent').send(query, { config })).rejects.toMatchObject({
+      name: 'AgentRequestError',
+      status: 503
+    })
+  })
+
+  it('should throw a NetworkError only when the request cannot be made', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    await expect(getAdapter('openai').send(query, { config })).rejects.toMatchObject({
+      name: 'NetworkError',
+      message: 'Network request failed: Failed to fetch'
+    })
+
+    fetch.mockRejectedValueOnce(new DOMException('The request was aborted.', 'AbortError'))
+    await expect(getAdapter('agent').send(query, { config })).rejects.toMatchObject({ name: 'AbortError' })
+
+    // A bug reading the answer is no network failure
+    fetch.mockResolvedValueOnce({ ok: true, headers: new Headers({ 'Content-Type': 'application/json' }), json: () => undefined.result })
+    await expect(getAdapter('agent').send(query, { config })).rejects.toBeInstanceOf(TypeError)
+  })
+
+  it('should map the thread to chat messages for OpenAI-compatible endpoints', () => {
+    const messages = toMessages(query)
+
+    expect(messages[0].role).toBe('system')
+    expect(messages.slice(1).map((message) => message.role)).toEqual(['user', 'assistant', 'user'])
+    expect(JSON.parse(messages[2].content)).toMatchObject({ title: 'Hello', short: 'Hi there' })
+  })
+
+  it('should pass the fleet telemetry to OpenAI-compatible endpoints', () => {
+    const fleet = { summary: { total: 1 }, vehicles: [{ id: 'VH-001', fuel: 12 }], omitted: 0 }
+    const messages = toMessages({ ...query, fleet })
+
+    expect(messages.map((message) => message.role)).toEqual(['system', 'system', 'user', 'assistant', 'user'])
+    expect(messages[1].content).toBe(`Live fleet telemetry: ${JSON.stringify(fleet)}`)
+  })
+
+  it('should ask OpenAI-compatible endpoints to answer in the locale', () => {
+    const messages = toMessages({ ...query, locale: 'de' })
+
+    expect(messages[1]).toEqual({ role: 'system', content: 'Write title, short, long and followUps in German.' })
+  })
+
+  it('should read the chat completion content', async () => {
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{"version": 1}' } }] }))
+
+    const answer = await getAdapter('openai').send(query, { config })
+
+    expect(answer).toBe('{"version": 1}')
+    expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('gpt-test')
+  })
+
+  it('should accumulate streamed chat deltas', async () => {
+    const onText = vi.fn()
+    const chunks = [
+      'data: {"choices": [{"delta": {"content": "{\\"version\\": 1, "}}]}\n\n',
+      'data: {"choices": [{"delta": {"content": "\\"title\\": \\"Fuel\\"}"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]
+    fetch.mockResolvedValue(new Response(chunks.join(''), { headers: { 'Content-Type': 'text/event-stream' } }))
+
+    const answer = await getAdapter('openai').send(query, { config, onText })
+
+    expect(answer).toBe('{"version": 1, "title": "Fuel"}')
+    expect(onText).toHaveBeenCalledTimes(2)
+  })
+
+  it('should register custom adapters and reject unknown ones', async () => {
+    registerAdapter({ name: 'custom', send: vi.fn(async () => '(SR) Custom') })
+
+    expect(await getAdapter('custom').send(query, { config })).toBe('(SR) Custom')
+    expect(() => getAdapter('missing')).toThrow('Unknown agent adapter "missing"')
+  })
+})
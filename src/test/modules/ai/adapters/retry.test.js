@@ -0,0 +1,110 @@
+/**
+ * Tests for the agent request timeout and retries
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { AgentRequestError, NetworkError } from '../../../../js/modules/ai/adapters/adapter'
+import { getBackoffDelay, isRetryable, sendWithRetry } from '../../../../js/modules/ai/adapters/retry'
+
+const config = {
+  timeout: 200,
+  retry: { attempts: 2, baseDelay: 10, maxDelay: 20 }
+}
+
+const query = { question: 'Which trucks need fuel?', threadId: 'thread-1', context: [] }
+
+const createAdapter = (...attempts) => {
+  const send = vi.fn()
+  attempts.forEach((attempt) => send.mockImplementationOnce(attempt))
+  return { name: 'test', send }
+}
+
+describe('sendWithRetry', () => {
+  it('should only retry server and network errors', () => {
+    expect(isRetryable(new AgentRequestError(503))).toBe(true)
+    expect(isRetryable(new NetworkError(new TypeError('Failed to fetch')))).toBe(true)
+    expect(isRetryable(new AgentRequestError(401))).toBe(false)
+    expect(isRetryable(new SyntaxError('Unexpected token'))).toBe(false)
+    // Bugs are no network failures
+    expect(isRetryable(new TypeError("Cannot read properties of undefined (reading 'text')"))).toBe(false)
+  })
+
+  it('should double the delay up to the maximum', () => {
+    const retry = { baseDelay: 500, maxDelay: 4000 }
+
+    expect([0, 1, 2, 3, 4].map((index) => getBackoffDelay(index, retry))).toEqual([500, 1000, 2000, 4000, 4000])
+  })
+
+  it('should retry a 5xx answer with backoff', async () => {
+    const adapter = createAdapter(
+      () => Promise.reject(new AgentRequestError(502)),
+      () => Promise.reject(new NetworkError(new TypeError('Failed to fetch'))),
+      () => Promise.resolve('(SR) Two trucks')
+    )
+    const onRetry = vi.fn()
+
+    const answer = await sendWithRetry(adapter, query, { config }, onRetry)
+
+    expect(answer).toBe('(SR) Two trucks')
+    expect(adapter.send).toHaveBeenCalledTimes(3)
+    expect(onRetry.mock.calls.map(([retry, delay]) => [retry, delay])).toEqual([[1, 10], [2, 20]])
+  })
+
+  it('should give up after the configured attempts', async () => {
+    const adapter = { name: 'test', send: vi.fn().mockRejectedValue(new AgentRequestError(500)) }
+
+    await expect(sendWithRetry(adapter, query, { config })).rejects.toMatchObject({ status: 500 })
+    expect(adapter.send).toHaveBeenCalledTimes(3)
+  })
+
+  it('should not retry client errors or partially streamed answers', async () => {
+    const rejected = createAdapter(() => Promise.reject(new AgentRequestError(400)))
+    await expect(sendWithRetry(rejected, query, { config })).rejects.toMatchObject({ status: 400 })
+    expect(rejected.send).toHaveBeenCalledTimes(1)
+
+    const streamed = createAdapter((_query, { onText }) => {
+      onText('(SH) Fuel')
+      return Promise.reject(new NetworkError(new TypeError('network error')))
+    })
+    await expect(sendWithRetry(streamed, query, { config })).rejects.toThrow('network error')
+    expect(streamed.send).toHaveBeenCalledTimes(1)
+  })
+
+  it('should time out a silent backend and abort its request', async () => {
+    let signal
+    const adapter = createAdapter((_query, options) => {
+      signal = options.signal
+      return new Promise(() => {})
+    })
+
+    await expect(sendWithRetry(adapter, query, { config })).rejects.toMatchObject({
+      name: 'AgentTimeoutError',
+      timeout: 200
+    })
+    expect(signal.aborted).toBe(true)
+    expect(adapter.send).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep waiting while the answer streams in', async () => {
+    const adapter = createAdapter(async (_query, { onText }) => {
+      for (let index = 1; index <= 4; index++) {
+        await new Promise((resolve) => setTimeout(resolve, 100))
+        onText(`chunk ${index}`)
+      }
+      return 'chunk 4'
+    })
+
+    await expect(sendWithRetry(adapter, query, { config })).resolves.toBe('chunk 4')
+  })
+
+  it('should stop retrying once the caller aborts', async () => {
+    const controller = new AbortController()
+    const adapter = createAdapter(() => {
+      setTimeout(() => controller.abort(), 0)
+      return Promise.reject(new AgentRequestError(503))
+    })
+
+    await expect(sendWithRetry(adapter, query, { config, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' })
+    expect(adapter.send).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * Tests for the assistant configuration
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getAgentConfig } from '../../../js/modules/ai/config'
+import { url } from '../../../js/modules/ai/utils/url'
+
+describe('getAgentConfig', () => {
+  beforeEach(() => {
+    window.App = {}
+  })
+
+  afterEach(() => {
+    delete window.App
+    vi.unstubAllEnvs()
+  })
+
+  it('should default to the local agent service', () => {
+    const config = getAgentConfig()
+
+    expect(config.adapter).toBe('agent')
+    expect(config.endpoint).toBe('http://localhost:3000/api/agent')
+    expect(config.token).toBeNull()
+    expect(config.feedbackEndpoint).toBe('http://localhost:3000/api/feedback')
+    expect(url('api/feedback')).toBe('http://localhost:3000/api/feedback')
+  })
+
+  it('should read build time env variables', () => {
+    vi.stubEnv('VITE_TRANSLINK_BASE_URL', 'https://agent.example.com/')
+    vi.stubEnv('VITE_TRANSLINK_TOKEN', 'env-token')
+
+    const config = getAgentConfig()
+
+    expect(config.endpoint).toBe('https://agent.example.com/api/agent')
+    expect(config.feedbackEndpoint).toBe('https://agent.example.com/api/feedback')
+    expect(config.token).toBe('env-token')
+  })
+
+  it('should keep the path of a base URL without a trailing slash', () => {
+    vi.stubEnv('VITE_TRANSLINK_BASE_URL', 'https://agent.example.com/v1')
+
+    const config = getAgentConfig()
+
+    expect(config.endpoint).toBe('https://agent.example.com/v1/api/agent')
+    expect(config.feedbackEndpoint).toBe('https://agent.example.com/v1/api/feedback')
+    expect(url('api/feedback')).toBe('https://agent.example.com/v1/api/feedback')
+  })
+
+  it('should resolve a relative base URL on the site origin', () => {
+    window.App.translink = { baseUrl: '/assistant' }
+
+    expect(getAgentConfig().endpoint).toBe(`${window.location.origin}/assistant/api/agent`)
+  })
+
+  it('should read request headers from the env as JSON', () => {
+    vi.stubEnv('VITE_TRANSLINK_HEADERS', '{"X-Tenant": "acme", "X-Client": "web"}')
+    window.App.translink = { headers: { 'X-Client': 'kiosk' } }
+
+    expect(getAgentConfig().headers).toEqual({ 'X-Tenant': 'acme', 'X-Client': 'kiosk' })
+  })
+
+  it('should ignore env headers that are not a JSON object', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    vi.stubEnv('VITE_TRANSLINK_HEADERS', "{'X-Tenant': 'acme'}")
+    expect(getAgentConfig().headers).toEqual({})
+    expect(warn).toHaveBeenLastCalledWith(expect.stringContaining('VITE_TRANSLINK_HEADERS, it is not valid JSON'))
+
+    vi.stubEnv('VITE_TRANSLINK_HEADERS', '["X-Tenant", "acme"]')
+    window.App.translink = { headers: { 'X-Client': 'kiosk' } }
+    expect(getAgentConfig().headers).toEqual({ 'X-Client': 'kiosk' })
+    expect(warn).toHaveBeenLastCalledWith(expect.stringContaining('must be a JSON object of header names and values'))
+
+    warn.mockRestore()
+  })
+
+  it('should let window.App.translink override the env', () => {
+    vi.stubEnv('VITE_TRANSLINK_ENDPOINT', 'https://env.example.com/agent')
+    window.App.translink = {
+      adapter: 'openai',
+      endpoint: 'https://runtime.example.com/v1/chat/completions',
+      headers: { 'X-Tenant': 'acme' }
+    }
+
+    const config = getAgentConfig()
+
+    expect(config.adapter).toBe('openai')
+    expect(config.endpoint).toBe('https://runtime.example.com/v1/chat/completions')
+    expect(config.headers).toEqual({ 'X-Tenant': 'acme' })
+  })
+
+  it('should merge partial retry settings over the defaults', () => {
+    vi.stubEnv('VITE_TRANSLINK_TIMEOUT', '15000')
+    window.App.translink = { retry: { attempts: 4 } }
+
+    const config = getAgentConfig()
+
+    expect(config.timeout).toBe(15000)
+    expect(config.retry).toEqual({ attempts: 4, baseDelay: 500, maxDelay: 4000 })
+  })
+
+  it('should only send fleet telemetry when a deployment turns it on', () => {
+    expect(getAgentConfig().fleetContext).toBe(false)
+
+    vi.stubEnv('VITE_TRANSLINK_FLEET_CONTEXT', 'true')
+    expect(getAgentConfig().fleetContext).toBe(true)
+
+    window.App.translink = { fleetContext: false }
+    expect(getAgentConfig().fleetContext).toBe(false)
+  })
+})
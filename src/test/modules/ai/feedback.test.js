@@ -0,0 +1,145 @@
+/**
+ * Tests for the answer feedback queue
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createFeedbackQueue, sendFeedback, toFeedbackPayload } from '../../../js/modules/ai/feedback'
+
+const config = {
+  feedbackEndpoint: 'https://agent.example.com/api/feedback',
+  headers: {},
+  token: 'secret',
+  timeout: 1000
+}
+
+const rated = (id, rating, comment = '') => ({
+  id,
+  question: `Question ${id}`,
+  title: `Title ${id}`,
+  short: `Short ${id}`,
+  threadId: 'thread-1',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  feedback: { rating, comment, updatedAt: `2026-01-0${id}T12:00:00.000Z`, status: 'pending' }
+})
+
+// An in-memory TranslinkDB stand-in
+const createStore = (records) => ({
+  records,
+  getPendingFeedback: vi.fn(async () => records.filter((record) => record.feedback.status === 'pending')),
+  setFeedbackStatus: vi.fn(async (id, updatedAt, status) => {
+    const record = records.find((item) => item.id === id)
+    if (record.feedback.updatedAt === updatedAt) {
+      record.feedback.status = status
+    }
+  })
+})
+
+const statuses = (store) => store.records.map((record) => record.feedback.status)
+
+describe('createFeedbackQueue', () => {
+  let queue
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    queue?.destroy()
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('should post every pending rating and mark it sent', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }))
+    vi.stubGlobal('fetch', fetch)
+    const store = createStore([rated(1, 'up'), rated(2, 'down', 'Wrong depot')])
+
+    queue = createFeedbackQueue(store, () => config)
+    await queue.flush()
+
+    expect(statuses(store)).toEqual(['sent', 'sent'])
+    const [url, request] = fetch.mock.calls[1]
+    expect(url).toBe(config.feedbackEndpoint)
+    expect(request.headers.Authorization).toBe('Bearer secret')
+    expect(JSON.parse(request.body)).toEqual(toFeedbackPayload(store.records[1]))
+    expect(JSON.parse(request.body)).toMatchObject({ rating: 'down', comment: 'Wrong depot', question: 'Question 2', answeredAt: '2026-01-01T00:00:00.000Z' })
+  })
+
+  it('should mark ratings the backend refuses as rejected', async () => {
+    vi.stubGlobal('fetch', vi.fn()
+      .mockResolvedValueOnce({ ok: false, status: 422, statusText: 'Unprocessable Entity' })
+      .mockResolvedValueOnce({ ok: true, status: 204 }))
+    const store = createStore([rated(1, 'up'), rated(2, 'down')])
+
+    queue = createFeedbackQueue(store, () => config)
+    await queue.flush()
+
+    expect(statuses(store)).toEqual(['rejected', 'sent'])
+  })
+
+  it('should retry network and server errors with backoff', async () => {
+    vi.useFakeTimers()
+    const fetch = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ ok: false, status: 503, statusText: 'Service Unavailable' })
+      .mockResolvedValue({ ok: true, status: 204 })
+    vi.stubGlobal('fetch', fetch)
+    const store = createStore([rated(1, 'up'), rated(2, 'down')])
+
+    queue = createFeedbackQueue(store, () => config)
+    await queue.flush()
+    expect(statuses(store)).toEqual(['pending', 'pending'])
+    // The rest waits for the same retry
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(statuses(store)).toEqual(['pending', 'pending'])
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(statuses(store)).toEqual(['sent', 'sent'])
+  })
+
+  it('should count a hung request as a network failure', async () => {
+    vi.useFakeTimers()
+    vi.stubGlobal('fetch', vi.fn((_url, { signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')))
+    })))
+
+    const sending = sendFeedback(rated(1, 'up'), config)
+    const result = expect(sending).rejects.toMatchObject({ name: 'NetworkError', message: 'Network request failed: Feedback request timed out' })
+    await vi.advanceTimersByTimeAsync(1000)
+    await result
+  })
+
+  it('should hold ratings while offline and send them when back online', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }))
+    vi.stubGlobal('fetch', fetch)
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const store = createStore([rated(1, 'up')])
+
+    queue = createFeedbackQueue(store, () => config)
+    await queue.start()
+    expect(fetch).not.toHaveBeenCalled()
+
+    onLine.mockReturnValue(true)
+    window.dispatchEvent(new Event('online'))
+
+    await vi.waitFor(() => {
+      expect(statuses(store)).toEqual(['sent'])
+    })
+  })
+
+  it('should keep ratings local without a feedback endpoint', async () => {
+    const fetch = vi.fn()
+    vi.stubGlobal('fetch', fetch)
+    const store = createStore([rated(1, 'up')])
+
+    queue = createFeedbackQueue(store, () => ({ ...config, feedbackEndpoint: '' }))
+    await queue.flush()
+
+    expect(fetch).not.toHaveBeenCalled()
+    expect(statuses(store)).toEqual(['pending'])
+  })
+})
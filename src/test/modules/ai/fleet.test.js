@@ -0,0 +1,93 @@
+/**
+ * Tests for the fleet telemetry sent with questions
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { buildFleetContext, findFleetVehicle, toFleetVehicle } from '../../../js/modules/ai/fleet'
+
+// A vehicle as FleetTelematicsData keeps it
+const vehicle = (id, type, { fuel = 50, temperature = 90, score = 80, nextMaintenance = 2000, state = 'driving' } = {}) => ({
+  id,
+  type,
+  location: { speed: 62.4 },
+  fuel: { level: fuel, capacity: 100 },
+  engine: { temperature, faultCodes: [] },
+  driver: { id: `DR-${id.slice(3)}`, score },
+  status: { state, route: 'Downtown Core', nextMaintenance, connected: true }
+})
+
+const createSource = (vehicles) => ({
+  getFleetSummary: () => ({ total: vehicles.length, avgSpeed: 62.44 }),
+  getAllVehicles: () => vehicles
+})
+
+const fleet = createSource([
+  vehicle('VH-001', 'Truck', { fuel: 60 }),
+  vehicle('VH-002', 'Van', { fuel: 8 }),
+  vehicle('VH-003', 'Truck', { fuel: 15 }),
+  vehicle('VH-004', 'Bus', { temperature: 104, nextMaintenance: 200 }),
+  vehicle('VH-005', 'Truck', { fuel: 35 })
+])
+
+describe('fleet', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should keep the fields the agent needs and flag alerts', () => {
+    expect(toFleetVehicle(vehicle('VH-004', 'Bus', { fuel: 12.6, temperature: 104.2 }))).toEqual({
+      id: 'VH-004',
+      type: 'bus',
+      state: 'driving',
+      connected: true,
+      speed: 62,
+      fuel: 13,
+      engineTemp: 104,
+      faultCodes: [],
+      driverId: 'DR-004',
+      driverScore: 80,
+      nextMaintenance: 2000,
+      route: 'Downtown Core',
+      alerts: ['lowFuel', 'hotEngine']
+    })
+    // The particles only know whether the ignition is on
+    const parked = { ...vehicle('VH-009', 'van'), status: { ignition: false, connected: false, nextMaintenance: 900 } }
+    expect(toFleetVehicle(parked)).toMatchObject({ state: 'idle', speed: 0, alerts: ['offline'] })
+  })
+
+  it('should list the vehicles a question is about first', () => {
+    const lowOnFuel = buildFleetContext(fleet, 'Which trucks are low on fuel?')
+    expect(lowOnFuel.summary).toEqual({ total: 5, avgSpeed: 62.4 })
+    expect(lowOnFuel.vehicles.map((item) => item.id)).toEqual(['VH-003', 'VH-005', 'VH-001'])
+    expect(lowOnFuel.omitted).toBe(2)
+
+    expect(buildFleetContext(fleet, 'Anything wrong?').vehicles[0].id).toBe('VH-004')
+    expect(buildFleetContext(fleet, 'How is vh-005 doing?').vehicles[0].id).toBe('VH-005')
+    expect(buildFleetContext(fleet, 'How is DR-001 driving?').vehicles[0].id).toBe('VH-001')
+  })
+
+  it('should stay within the size budget', () => {
+    const context = buildFleetContext(fleet, 'Fleet status', { maxSize: 700 })
+
+    expect(JSON.stringify(context).length).toBeLessThanOrEqual(700)
+    expect(context.vehicles.length).toBeGreaterThan(0)
+    expect(context.omitted).toBe(5 - context.vehicles.length)
+    expect(buildFleetContext(fleet, 'Fleet status', { maxVehicles: 2 }).vehicles).toHaveLength(2)
+  })
+
+  it('should skip the context without a working fleet', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(buildFleetContext(null, 'Fuel?')).toBeNull()
+    expect(buildFleetContext({ getFleetSummary: () => { throw new Error('gone') }, getAllVehicles: () => [] }, 'Fuel?')).toBeNull()
+    expect(console.warn).toHaveBeenCalled()
+  })
+
+  it('should find vehicles by their id or their driver', () => {
+    const vehicles = fleet.getAllVehicles()
+
+    expect(findFleetVehicle(vehicles, 'vehicle', 'VH-002').id).toBe('VH-002')
+    expect(findFleetVehicle(vehicles, 'driver', 'DR-003').id).toBe('VH-003')
+    expect(findFleetVehicle(vehicles, 'vehicle', 'VH-999')).toBeNull()
+  })
+})
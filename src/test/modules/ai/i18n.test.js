@@ -0,0 +1,91 @@
+/**
+ * Tests for the Translink UI strings and locale detection
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  MESSAGES,
+  createTranslator,
+  detectLocale,
+  getLanguageName,
+  getSpeechLang,
+  matchLocale,
+  mergeMessages
+} from '../../../js/modules/ai/i18n'
+
+const SUPPORTED = Object.keys(MESSAGES)
+
+describe('i18n', () => {
+  afterEach(() => {
+    document.documentElement.lang = ''
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('should have every message in every locale', () => {
+    const keys = Object.keys(MESSAGES.en).sort()
+
+    SUPPORTED.forEach((locale) => {
+      expect(Object.keys(MESSAGES[locale]).sort()).toEqual(keys)
+    })
+  })
+
+  it('should match locales by tag, then by language', () => {
+    expect(matchLocale(['pt-BR', 'de-AT', 'fr'], SUPPORTED)).toBe('de')
+    expect(matchLocale(['', null, 'ES'], SUPPORTED)).toBe('es')
+    expect(matchLocale(['en-GB'], ['en', 'en-GB'])).toBe('en-GB')
+    expect(matchLocale(['pt-BR'], SUPPORTED)).toBeNull()
+  })
+
+  it('should prefer the visitor\'s choice, then the config, then the page and browser', () => {
+    vi.stubGlobal('navigator', { languages: ['fr-FR', 'en-US'], language: 'fr-FR' })
+
+    expect(detectLocale(SUPPORTED)).toBe('fr')
+
+    document.documentElement.lang = 'es'
+    expect(detectLocale(SUPPORTED)).toBe('es')
+    expect(detectLocale(SUPPORTED, 'de')).toBe('de')
+
+    localStorage.getItem.mockReturnValueOnce('en')
+    expect(detectLocale(SUPPORTED, 'de')).toBe('en')
+
+    vi.stubGlobal('navigator', { languages: ['ja'], language: 'ja' })
+    document.documentElement.lang = ''
+    expect(detectLocale(SUPPORTED)).toBe('en')
+  })
+
+  it('should speak with the region of the page or browser', () => {
+    vi.stubGlobal('navigator', { languages: ['de-CH', 'en-GB'], language: 'de-CH' })
+
+    expect(getSpeechLang('en')).toBe('en-GB')
+    expect(getSpeechLang('fr')).toBe('fr')
+  })
+
+  it('should translate with placeholders and fall back to English', () => {
+    const messages = mergeMessages(MESSAGES, { de: { 'label.initial': 'Hallo' }, it: { 'hint.send': 'Invio per inviare' } })
+    const t = createTranslator('it', messages)
+
+    expect(createTranslator('de', messages)('label.initial')).toBe('Hallo')
+    expect(createTranslator('de', messages)('status.retrying', { retry: 1, attempts: 2 })).toBe('Neuer Versuch (1/2)...')
+    expect(t('hint.send')).toBe('Invio per inviare')
+    expect(t('label.thinking')).toBe('Thinking...')
+    expect(t('unknown.key')).toBe('unknown.key')
+  })
+
+  it('should pick the plural form of the count', () => {
+    const t = createTranslator('fr', MESSAGES)
+
+    expect(createTranslator('en', MESSAGES)('history.count', { count: 1 })).toBe('1 conversation')
+    expect(createTranslator('de', MESSAGES)('history.exported', { count: 3 })).toBe('3 Antworten exportiert')
+    // French counts zero as singular
+    expect(t('history.imported', { count: 0 })).toBe('0 réponse importée')
+    expect(t('history.imported', { count: 2 })).toBe('2 réponses importées')
+    // Forms a locale has no message for fall back to "other"
+    expect(t('history.count', { count: 1000000 })).toBe('1000000 conversations')
+  })
+
+  it('should name languages in their own language', () => {
+    expect(getLanguageName('de')).toBe('Deutsch')
+    expect(getLanguageName('fr', 'en')).toBe('French')
+  })
+})
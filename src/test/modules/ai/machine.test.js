@@ -0,0 +1,141 @@
+/**
+ * Tests for the headless state machine and the Translink widget's transitions
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { TRANSLINK_MACHINE, createMachine, createTranslinkMachine } from '../../../js/modules/ai/machine'
+
+const STATES = ['initial', 'expanded', 'thinking', 'response', 'modal-initial', 'modal-expanded', 'modal-thinking']
+const EVENTS = ['TOGGLE', 'OPEN', 'SUBMIT', 'ANSWER', 'CANCEL', 'HIDE_ANSWER', 'OPEN_MODAL', 'LEAVE', 'CLOSE']
+
+// Every legal transition, any other state and event pair is refused
+const LEGAL = {
+  initial: { TOGGLE: 'expanded' },
+  expanded: { TOGGLE: 'initial', SUBMIT: 'thinking', LEAVE: 'initial', CLOSE: 'initial' },
+  thinking: { TOGGLE: 'expanded', OPEN: 'expanded', CANCEL: 'expanded', HIDE_ANSWER: 'response', CLOSE: 'initial' },
+  response: { TOGGLE: 'initial', OPEN: 'expanded', OPEN_MODAL: 'modal-initial', CLOSE: 'initial' },
+  'modal-initial': { TOGGLE: 'modal-expanded', OPEN: 'modal-expanded', CLOSE: 'initial' },
+  'modal-expanded': { TOGGLE: 'modal-initial', SUBMIT: 'modal-thinking', CLOSE: 'initial' },
+  'modal-thinking': { TOGGLE: 'initial', ANSWER: 'modal-initial', CANCEL: 'modal-expanded', CLOSE: 'initial' }
+}
+
+const CASES = STATES.flatMap((state) => EVENTS.map((event) => [state, event, LEGAL[state][event] ?? null]))
+
+const translinkIn = (state, isIdle = () => true) =>
+  createMachine({ ...TRANSLINK_MACHINE, initial: state }, { guards: { isIdle } })
+
+const LIGHT = {
+  initial: 'red',
+  states: {
+    red: { on: { NEXT: 'green' } },
+    green: { on: { NEXT: { target: 'red', guard: 'isClear' } } }
+  }
+}
+
+describe('createMachine', () => {
+  it('should start in the initial state and follow events', () => {
+    const machine = createMachine(LIGHT, { guards: { isClear: () => true } })
+
+    expect(machine.state).toBe('red')
+    expect(machine.send('NEXT')).toEqual({ from: 'red', to: 'green', event: 'NEXT' })
+    expect(machine.state).toBe('green')
+  })
+
+  it('should refuse events the state does not take', () => {
+    const machine = createMachine(LIGHT, { guards: { isClear: () => true } })
+
+    expect(machine.can('STOP')).toBe(false)
+    expect(machine.send('STOP')).toBeNull()
+    expect(machine.state).toBe('red')
+  })
+
+  it('should refuse transitions their guard does not allow', () => {
+    const isClear = vi.fn(() => false)
+    const machine = createMachine(LIGHT, { guards: { isClear } })
+    machine.send('NEXT')
+
+    expect(machine.can('NEXT')).toBe(false)
+    expect(machine.send('NEXT')).toBeNull()
+    expect(machine.state).toBe('green')
+    expect(isClear).toHaveBeenCalledWith({ from: 'green', to: 'red', event: 'NEXT' })
+  })
+
+  it('should run exit, enter and then listeners on a transition', () => {
+    const calls = []
+    const machine = createMachine(LIGHT, {
+      guards: { isClear: () => true },
+      exit: { red: () => calls.push('exit red') },
+      enter: { green: (transition) => calls.push(`enter green from ${transition.from}`) }
+    })
+    const unsubscribe = machine.subscribe(() => calls.push('listener'))
+
+    machine.send('NEXT')
+    unsubscribe()
+    machine.send('NEXT')
+
+    expect(calls).toEqual(['exit red', 'enter green from red', 'listener'])
+  })
+
+  it('should not run hooks for refused events', () => {
+    const enter = vi.fn()
+    const machine = createMachine(LIGHT, { guards: { isClear: () => false }, enter: { red: enter } })
+    machine.send('NEXT')
+    machine.send('NEXT')
+
+    expect(enter).not.toHaveBeenCalled()
+  })
+
+  it('should reject definitions with unknown targets or guards', () => {
+    expect(() => createMachine({ initial: 'a', states: { a: { on: { GO: 'b' } } } }))
+      .toThrow('unknown state "b"')
+    expect(() => createMachine(LIGHT)).toThrow('missing guard "isClear"')
+  })
+})
+
+describe('createTranslinkMachine', () => {
+  it('should start with the prompt closed', () => {
+    expect(createTranslinkMachine({ guards: { isIdle: () => true } }).state).toBe('initial')
+  })
+
+  it.each(CASES)('should move from %s on %s to %s', (state, event, target) => {
+    const machine = translinkIn(state)
+
+    expect(machine.can(event)).toBe(target !== null)
+    expect(machine.send(event)?.to ?? null).toBe(target)
+    expect(machine.state).toBe(target ?? state)
+  })
+
+  it.each(CASES.filter(([, event, target]) => target && event !== 'HIDE_ANSWER'))(
+    'should wait for the view before leaving %s on %s',
+    (state, event) => {
+      const machine = translinkIn(state, () => false)
+
+      expect(machine.send(event)).toBeNull()
+      expect(machine.state).toBe(state)
+    }
+  )
+
+  it('should hide the answer while the prompt is still animating', () => {
+    const machine = translinkIn('thinking', () => false)
+
+    expect(machine.send('HIDE_ANSWER')).toEqual({ from: 'thinking', to: 'response', event: 'HIDE_ANSWER' })
+  })
+
+  it('should run the hooks of a question asked and answered in the modal', () => {
+    const enter = { 'modal-thinking': vi.fn(), 'modal-initial': vi.fn() }
+    const exit = { 'modal-expanded': vi.fn() }
+    const machine = createMachine({ ...TRANSLINK_MACHINE, initial: 'modal-initial' }, {
+      guards: { isIdle: () => true },
+      enter,
+      exit
+    })
+
+    machine.send('OPEN')
+    machine.send('SUBMIT')
+    machine.send('ANSWER')
+
+    expect(exit['modal-expanded']).toHaveBeenCalledTimes(1)
+    expect(enter['modal-thinking']).toHaveBeenCalledTimes(1)
+    expect(enter['modal-initial']).toHaveBeenCalledWith({ from: 'modal-thinking', to: 'modal-initial', event: 'ANSWER' })
+  })
+})
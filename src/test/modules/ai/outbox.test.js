@@ -0,0 +1,126 @@
+/**
+ * Tests for the offline question queue
+ */
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { TranslinkDB } from '../../../js/modules/TranslinkDB'
+import { AgentRequestError, NetworkError } from '../../../js/modules/ai/adapters/adapter'
+import { createOutbox, probeConnection } from '../../../js/modules/ai/outbox'
+
+const DB_NAME = 'TranslinkOutboxTest'
+
+const question = (text) => ({ question: text, threadId: 'thread-1', locale: 'en' })
+
+const answer = (entry) => ({ question: entry.question, title: `About ${entry.question}`, threadId: entry.threadId })
+
+describe('createOutbox', () => {
+  let db
+  let queues
+
+  const createQueue = (store, send, options = {}) => {
+    const queue = createOutbox(store, { send, probe: () => Promise.resolve(true), ...options })
+    queues.push(queue)
+    return queue
+  }
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    db = new TranslinkDB(10, { dbName: DB_NAME })
+    await db.initializeDB()
+    queues = []
+  })
+
+  afterEach(async () => {
+    queues.forEach((queue) => queue.destroy())
+    db.db?.close()
+    await new Promise((resolve) => {
+      indexedDB.deleteDatabase(DB_NAME).onsuccess = resolve
+    })
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('should send queued questions oldest first and store their answers', async () => {
+    await db.addToOutbox(question('First?'))
+    await db.addToOutbox(question('Second?'))
+    const send = vi.fn((entry) => db.completeOutboxEntry(entry.id, answer(entry)))
+    const onChange = vi.fn()
+
+    await createQueue(db, send, { onChange }).flush()
+
+    expect(send.mock.calls.map(([entry]) => entry.question)).toEqual(['First?', 'Second?'])
+    expect(await db.getOutbox()).toEqual([])
+    expect((await db.getAllResponses()).map((record) => record.title)).toEqual(['About First?', 'About Second?'])
+    expect(onChange).toHaveBeenCalledTimes(2)
+  })
+
+  it('should send every question once when several tabs flush together', async () => {
+    const otherTab = new TranslinkDB(10, { dbName: DB_NAME })
+    await db.addToOutbox(question('First?'))
+    await db.addToOutbox(question('Second?'))
+    const send = vi.fn(async (entry) => {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      await db.completeOutboxEntry(entry.id, answer(entry))
+    })
+
+    await Promise.all([createQueue(db, send).flush(), createQueue(otherTab, send).flush()])
+
+    expect(send.mock.calls.map(([entry]) => entry.question).sort()).toEqual(['First?', 'Second?'])
+    expect(await db.countResponses()).toBe(2)
+
+    otherTab.db.close()
+  })
+
+  it('should keep questions while the connection is down and not resend refused ones', async () => {
+    await db.addToOutbox(question('Offline?'))
+    await db.addToOutbox(question('Refused?'))
+    const send = vi.fn().mockRejectedValueOnce(new NetworkError(new TypeError('Failed to fetch')))
+    const queue = createQueue(db, send)
+
+    await queue.flush()
+
+    expect(send).toHaveBeenCalledTimes(1)
+    const [offline] = await db.getOutbox()
+    expect(offline).toMatchObject({ question: 'Offline?', claimedBy: null, claimedUntil: 0 })
+    expect(offline.error).toBeUndefined()
+
+    send
+      .mockImplementationOnce((entry) => db.completeOutboxEntry(entry.id, answer(entry)))
+      .mockRejectedValueOnce(new AgentRequestError(400, 'Bad Request'))
+    await queue.flush()
+    await queue.flush()
+
+    expect(send).toHaveBeenCalledTimes(3)
+    expect(await db.getOutbox()).toEqual([
+      expect.objectContaining({ question: 'Refused?', error: 'Agent request failed with 400 Bad Request' })
+    ])
+  })
+
+  it('should wait for the connection, then send once a probe gets through', async () => {
+    await db.addToOutbox(question('Later?'))
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const send = vi.fn((entry) => db.completeOutboxEntry(entry.id, answer(entry)))
+    const probe = vi.fn().mockResolvedValue(false)
+
+    await createQueue(db, send, { probe, probeInterval: 20 }).start()
+    expect(send).not.toHaveBeenCalled()
+
+    onLine.mockReturnValue(true)
+    await vi.waitFor(() => expect(probe).toHaveBeenCalled())
+    expect(send).not.toHaveBeenCalled()
+
+    probe.mockResolvedValue(true)
+    await vi.waitFor(() => expect(send).toHaveBeenCalledTimes(1))
+    expect(await db.getOutbox()).toEqual([])
+  })
+
+  it('should count any HTTP answer as a connection', async () => {
+    const fetch = vi.fn().mockResolvedValueOnce({ ok: false, status: 405 }).mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    vi.stubGlobal('fetch', fetch)
+
+    expect(await probeConnection('https://agent.example.com/api/agent')).toBe(true)
+    expect(await probeConnection('https://agent.example.com/api/agent')).toBe(false)
+    expect(fetch).toHaveBeenCalledWith('https://agent.example.com/api/agent', expect.objectContaining({ method: 'HEAD', cache: 'no-store' }))
+  })
+})
@@ -0,0 +1,113 @@
+/**
+ * Tests for the scene actions answers can carry
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  MAX_SCENE_ACTIONS,
+  createSceneQueue,
+  parseSceneActions,
+  validateSceneAction
+} from '../../../js/modules/ai/scene'
+
+// Stands in for World, switching scenes takes `transition` ms
+const createWorld = (transition = 30) => {
+  const calls = []
+  const world = {
+    calls,
+    isTransitioning: false,
+    setActiveSceneAnimated: vi.fn((scene) => {
+      calls.push(`scene:${scene}`)
+      world.isTransitioning = true
+      return new Promise((resolve) => setTimeout(() => {
+        world.isTransitioning = false
+        resolve()
+      }, transition))
+    }),
+    focusProjectedPoint: vi.fn((point) => calls.push(`focus:${point}`)),
+    triggerParticleWave: vi.fn(() => calls.push('wave'))
+  }
+
+  return world
+}
+
+describe('scene', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should normalize whitelisted actions', () => {
+    expect(validateSceneAction({ type: 'focusPoint', point: 'Diffusion Rotary Discs' })).toEqual({
+      action: { type: 'focusPoint', point: 'diffusion-rotary-discs', duration: 4 }
+    })
+    expect(validateSceneAction({ type: 'switchScene', scene: 'Specs' })).toEqual({
+      action: { type: 'switchScene', scene: 'specs' }
+    })
+    expect(validateSceneAction({ type: 'triggerWave', duration: 60 })).toEqual({
+      action: { type: 'triggerWave', duration: 10 }
+    })
+  })
+
+  it('should drop actions outside the vocabulary', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(validateSceneAction({ type: 'switchScene', scene: 'easter-egg' })).toEqual({ error: 'unknown scene "easter-egg"' })
+    expect(validateSceneAction({ type: 'focusPoint', point: 'chip', duration: '2s' })).toEqual({ error: 'duration must be a number of seconds' })
+    expect(validateSceneAction('wave')).toEqual({ error: 'must be an object' })
+
+    const actions = parseSceneActions([{ type: 'eval', code: 'alert(1)' }, ...Array(8).fill({ type: 'triggerWave' })])
+    expect(actions).toHaveLength(MAX_SCENE_ACTIONS)
+    expect(console.warn).toHaveBeenCalledWith('[Translink] Ignoring scene[0]: unknown type "eval"')
+  })
+
+  it('should run actions in order once the world is not transitioning', async () => {
+    const world = createWorld()
+    world.isTransitioning = true
+    setTimeout(() => { world.isTransitioning = false }, 30)
+    const queue = createSceneQueue(() => world, { pollInterval: 5 })
+
+    const done = queue.enqueue(parseSceneActions([
+      { type: 'switchScene', scene: 'specs' },
+      { type: 'focusPoint', point: 'chip' }
+    ]))
+    queue.enqueue(parseSceneActions([{ type: 'triggerWave' }]))
+    expect(world.calls).toEqual([])
+
+    await done
+    expect(world.calls).toEqual(['scene:specs', 'focus:chip', 'wave'])
+    expect(queue.size).toBe(0)
+  })
+
+  it('should not switch to the scene already on screen', async () => {
+    const world = createWorld()
+    world.scenes = { mainA: { id: 'main-a' }, specs: { id: 'specs' } }
+    world.activeScenes = { current: world.scenes.specs }
+    const queue = createSceneQueue(() => world, { pollInterval: 5 })
+
+    await queue.enqueue(parseSceneActions([
+      { type: 'switchScene', scene: 'specs' },
+      { type: 'triggerWave' }
+    ]))
+    expect(world.calls).toEqual(['wave'])
+    expect(world.setActiveSceneAnimated).not.toHaveBeenCalled()
+
+    await queue.enqueue(parseSceneActions([{ type: 'switchScene', scene: 'homepage' }]))
+    expect(world.calls).toEqual(['wave', 'scene:homepage'])
+  })
+
+  it('should drop waiting actions when cleared or when the world stays busy', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const world = createWorld()
+    const queue = createSceneQueue(() => world, { pollInterval: 5, timeout: 20 })
+
+    const done = queue.enqueue(parseSceneActions([{ type: 'switchScene', scene: 'fwa' }, { type: 'triggerWave' }]))
+    queue.clear()
+    await done
+    expect(world.calls).toEqual(['scene:fwa'])
+
+    world.isTransitioning = true
+    await queue.enqueue(parseSceneActions([{ type: 'triggerWave' }]))
+    expect(world.triggerParticleWave).not.toHaveBeenCalled()
+    expect(console.warn).toHaveBeenCalledWith('[Translink] Dropping scene actions, the scene stayed busy')
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * Tests for voice input and spoken answers
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { createRecognizer, registerRecognizer, speak } from '../../../js/modules/ai/speech'
+
+// What the browser's SpeechRecognition delivers for a phrase
+const results = (...phrases) => phrases.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal }))
+
+const callbacks = () => ({ lang: 'en-GB', onResult: vi.fn(), onError: vi.fn(), onEnd: vi.fn() })
+
+describe('speech', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('should create registered recognizers and skip unknown ones', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const recognizer = { start: vi.fn(), stop: vi.fn(), abort: vi.fn() }
+    const factory = vi.fn(() => recognizer)
+    registerRecognizer('local', factory)
+    const options = callbacks()
+
+    expect(createRecognizer('local', options)).toBe(recognizer)
+    expect(factory).toHaveBeenCalledWith(options)
+    expect(createRecognizer('whisper', options)).toBeNull()
+    expect(console.warn).toHaveBeenCalledWith('[Translink] Unknown speech recognizer "whisper"')
+  })
+
+  it('should wrap the Web Speech API where the browser has it', () => {
+    expect(createRecognizer('webspeech', callbacks())).toBeNull()
+
+    const instances = []
+    vi.stubGlobal('webkitSpeechRecognition', class {
+      constructor() {
+        this.start = vi.fn()
+        instances.push(this)
+      }
+    })
+    const options = callbacks()
+    const recognizer = createRecognizer('webspeech', options)
+    const [recognition] = instances
+
+    recognizer.start()
+    expect(recognition.start).toHaveBeenCalled()
+    expect(recognition).toMatchObject({ lang: 'en-GB', interimResults: true })
+
+    recognition.onresult({ results: results(['Which trucks ', true], ['are idle', false]) })
+    recognition.onresult({ results: results(['Which trucks ', true], ['are idle', true]) })
+    recognition.onerror({ error: 'no-speech' })
+    recognition.onend()
+
+    expect(options.onResult.mock.calls).toEqual([['Which trucks are idle', false], ['Which trucks are idle', true]])
+    expect(options.onError).toHaveBeenCalledWith('no-speech')
+    expect(options.onEnd).toHaveBeenCalled()
+  })
+
+  it('should speak one text at a time and resolve when done', async () => {
+    const utterances = []
+    const speechSynthesis = { cancel: vi.fn(), speak: vi.fn((utterance) => utterances.push(utterance)) }
+    vi.stubGlobal('speechSynthesis', speechSynthesis)
+    vi.stubGlobal('SpeechSynthesisUtterance', class {
+      constructor(text) {
+        this.text = text
+      }
+    })
+
+    const first = speak('Three trucks are idle', { lang: 'en-GB', volume: 0.5 })
+    expect(speechSynthesis.cancel).toHaveBeenCalledTimes(1)
+    expect(utterances[0]).toMatchObject({ text: 'Three trucks are idle', lang: 'en-GB', volume: 0.5, rate: 1 })
+
+    const second = speak('VH-004 is charging')
+    expect(speechSynthesis.cancel).toHaveBeenCalledTimes(2)
+    utterances[0].onerror({ error: 'interrupted' })
+    utterances[1].onend()
+
+    await expect(Promise.all([first, second])).resolves.toEqual([undefined, undefined])
+  })
+})
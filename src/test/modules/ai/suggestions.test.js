@@ -0,0 +1,44 @@
+/**
+ * Tests for the questions suggested under the prompt
+ */
+
+import { describe, it, expect } from 'vitest'
+import { getPrefixVariants, getSuggestions, parseFollowUps } from '../../../js/modules/ai/suggestions'
+
+const starters = ['Which trucks are low on fuel?', 'How is fuel tracked?', 'How do I preorder?']
+
+describe('suggestions', () => {
+  it('should offer follow-ups, then starters, for an empty prompt', () => {
+    const suggestions = getSuggestions({ input: ' ', starters, followUps: ['Which vans are idle?', 'How is fuel tracked?'] }, 3)
+
+    expect(suggestions).toEqual([
+      { text: 'Which vans are idle?', source: 'followUp' },
+      { text: 'How is fuel tracked?', source: 'followUp' },
+      { text: 'Which trucks are low on fuel?', source: 'starter' }
+    ])
+  })
+
+  it('should complete the input from past questions first', () => {
+    const suggestions = getSuggestions({
+      input: 'how is',
+      history: ['How is VH-002 doing?', 'How is fuel tracked?', 'how is'],
+      starters
+    })
+
+    expect(suggestions.map(({ text, source }) => `${source}: ${text}`)).toEqual([
+      'history: How is VH-002 doing?',
+      'history: How is fuel tracked?'
+    ])
+    expect(getSuggestions({ input: 'FUEL', starters }).map(({ text }) => text)).toEqual(starters.slice(0, 2))
+  })
+
+  it('should look prefixes up as typed and capitalized', () => {
+    expect(getPrefixVariants('which')).toEqual(['which', 'Which'])
+    expect(getPrefixVariants('Which')).toEqual(['Which'])
+    expect(getPrefixVariants('  ')).toEqual([])
+  })
+
+  it('should keep at most three distinct follow-ups', () => {
+    expect(parseFollowUps(['A?', 'A?', null, 'B?', 'C?', 'D?', 'x'.repeat(200)])).toEqual(['A?', 'B?', 'C?'])
+  })
+})
@@ -0,0 +1,46 @@
+/**
+ * Tests for the cross-tab sync channel
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { createSyncChannel } from '../../../js/modules/ai/sync'
+
+describe('createSyncChannel', () => {
+  it('should pass writes of one tab to listeners in another', async () => {
+    const listener = vi.fn()
+    const unsubscribe = createSyncChannel('test:sync').subscribe(listener)
+
+    createSyncChannel('test:sync').post({ store: 'conversations', ids: [1, 2] })
+
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledWith({ store: 'conversations', ids: [1, 2] }))
+    unsubscribe()
+  })
+
+  it('should ignore other messages on the channel', async () => {
+    const listener = vi.fn()
+    const unsubscribe = createSyncChannel('test:sync').subscribe(listener)
+
+    const other = new BroadcastChannel('test:sync')
+    other.postMessage({ type: 'something else' })
+    other.postMessage({ store: 'outbox', ids: [3] })
+    other.close()
+
+    await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(1))
+    expect(listener).toHaveBeenCalledWith({ store: 'outbox', ids: [3] })
+    unsubscribe()
+  })
+
+  it('should stop listening once unsubscribed', async () => {
+    const listener = vi.fn()
+    const control = vi.fn()
+    const sync = createSyncChannel('test:sync')
+    sync.subscribe(listener)()
+    const unsubscribe = createSyncChannel('test:sync').subscribe(control)
+
+    createSyncChannel('test:sync').post({ store: 'outbox', ids: [4] })
+
+    await vi.waitFor(() => expect(control).toHaveBeenCalled())
+    expect(listener).not.toHaveBeenCalled()
+    unsubscribe()
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Tests for exporting and importing stored answers
+ */
+
+import { describe, it, expect } from 'vitest'
+import { getMediaURL, parseImport, toHTML, toJSON, toMarkdown } from '../../../../js/modules/ai/utils/export'
+
+const answers = [
+  {
+    id: 4,
+    question: 'How is fuel tracked?',
+    title: 'Fleet health',
+    short: 'Fuel is tracked live.',
+    long: 'Vehicles under 20% fuel are flagged.',
+    media: 'IMAGE_4',
+    mediaType: 'image',
+    CTA: 'CTA_4',
+    timestamp: '2026-01-03T10:00:00.000Z'
+  },
+  {
+    id: 7,
+    question: 'Show me a tour',
+    title: 'Product tour',
+    short: 'Here is the tour.',
+    long: '',
+    media: 'VIDEO_1',
+    CTA: 'CTA_4',
+    timestamp: '2026-01-04T10:00:00.000Z'
+  }
+]
+
+describe('export', () => {
+  it('should resolve image and video paths', () => {
+    expect(getMediaURL(answers[0])).toBe('/assets/ai-images/IMAGE_4.webp')
+    expect(getMediaURL(answers[1])).toBe('/assets/ai-video/VIDEO_1.mp4')
+    expect(getMediaURL({ media: null })).toBeNull()
+  })
+
+  it('should import its own JSON export without local ids', () => {
+    const json = toJSON(answers, new Date('2026-01-05T00:00:00.000Z'))
+
+    expect(JSON.parse(json)).toMatchObject({ format: 'translink-answers', version: 1, exportedAt: '2026-01-05T00:00:00.000Z' })
+
+    const imported = parseImport(json)
+    expect(imported).toHaveLength(2)
+    expect(imported[0]).not.toHaveProperty('id')
+    expect(imported[0]).toMatchObject({ question: 'How is fuel tracked?', media: 'IMAGE_4' })
+  })
+
+  it('should not import ratings or outbox state from another installation', () => {
+    const json = toJSON([{
+      ...answers[0],
+      feedback: { rating: 'down', comment: 'Wrong truck', updatedAt: '2026-01-02T00:00:00.000Z', status: 'pending' },
+      claimedBy: 'tab-1',
+      claimedUntil: 1767225600000,
+      error: 'Agent request failed with 400'
+    }])
+
+    const [imported] = parseImport(json)
+    expect(imported.feedback).toBeNull()
+    expect(imported).not.toHaveProperty('claimedBy')
+    expect(imported).not.toHaveProperty('claimedUntil')
+    expect(imported).not.toHaveProperty('error')
+  })
+
+  it('should reject files that are not a Translink export', () => {
+    expect(() => parseImport('not json')).toThrow('not valid JSON')
+    expect(() => parseImport('{"answers": []}')).toThrow('not a Translink export')
+    expect(() => parseImport('{"format": "translink-answers", "version": 1, "answers": [{"title": "No question"}]}'))
+      .toThrow('Answer 1 needs a question and a timestamp')
+    expect(() => parseImport('{"format": "translink-answers", "version": 9, "answers": []}')).toThrow('newer')
+  })
+
+  it('should write Markdown with absolute media links', () => {
+    const markdown = toMarkdown(answers, 'https://translink.example')
+
+    expect(markdown).toMatch(/^# Translink answers\n/)
+    expect(markdown).toContain('## Fleet health\n\n> How is fuel tracked?')
+    expect(markdown).toContain('**Fuel is tracked live.**')
+    expect(markdown).toContain('![Fleet health](https://translink.example/assets/ai-images/IMAGE_4.webp)')
+    expect(markdown).toContain('[Watch the video](https://translink.example/assets/ai-video/VIDEO_1.mp4)')
+  })
+
+  it('should build an escaped, printable HTML report', () => {
+    const html = toHTML([{ ...answers[0], title: '<script>alert(1)</script>' }], 'https://translink.example')
+
+    expect(html).toContain('<img src="https://translink.example/assets/ai-images/IMAGE_4.webp"')
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;')
+    expect(html).not.toContain('<script>')
+    expect(html).toContain('@media print')
+  })
+
+  it('should render the Markdown of long answers in the report', () => {
+    const long = 'Low on fuel:\n\n- **VH-001** at 12%\n- VH-004\n\nSee [the dashboard](https://fleet.example.com/fuel) or [this](javascript:alert(1))'
+    const html = toHTML([{ ...answers[0], long }], '', { allowedHosts: ['fleet.example.com'] })
+
+    expect(html).toContain('<ul><li><strong>')
+    expect(html).toContain('href="https://fleet.example.com/fuel"')
+    expect(html).not.toContain('**')
+    expect(html).not.toContain('href="javascript:')
+  })
+})
@@ -0,0 +1,46 @@
+/**
+ * Tests for the history filters
+ */
+
+import { describe, it, expect } from 'vitest'
+import { getRangeStart, matchesFilters, sortHistory } from '../../../../js/modules/ai/utils/history'
+
+const record = {
+  question: 'Which trucks need fuel?',
+  title: 'Fuel levels',
+  long: 'Truck 12 is below 20%.',
+  CTA: 'CTA_4',
+  actions: ['CTA_4', 'CTA_1'],
+  timestamp: '2026-03-10T12:00:00.000Z'
+}
+
+describe('history filters', () => {
+  it('should require every search word somewhere in the answer', () => {
+    expect(matchesFilters(record, { query: 'fuel truck 12' })).toBe(true)
+    expect(matchesFilters(record, { query: 'fuel driver' })).toBe(false)
+    expect(matchesFilters(record, { query: '   ' })).toBe(true)
+  })
+
+  it('should match any of the answer actions', () => {
+    expect(matchesFilters(record, { CTA: 'CTA_1' })).toBe(true)
+    expect(matchesFilters(record, { CTA: 'CTA_2' })).toBe(false)
+  })
+
+  it('should turn date ranges into start dates', () => {
+    const now = new Date(2026, 0, 20, 15, 30)
+
+    expect(getRangeStart('today', now)).toEqual(new Date(2026, 0, 20))
+    expect(getRangeStart('week', now)).toEqual(new Date(2026, 0, 13, 15, 30))
+    expect(getRangeStart('', now)).toBeNull()
+  })
+
+  it('should list pinned answers first, then newest first', () => {
+    const sorted = sortHistory([
+      { id: 1, timestamp: '2026-01-01T00:00:00Z' },
+      { id: 2, timestamp: '2026-01-03T00:00:00Z' },
+      { id: 3, timestamp: '2025-12-01T00:00:00Z', pinned: true }
+    ])
+
+    expect(sorted.map(({ id }) => id)).toEqual([3, 2, 1])
+  })
+})
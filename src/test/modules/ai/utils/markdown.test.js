@@ -0,0 +1,143 @@
+/**
+ * Tests for the answer Markdown renderer
+ */
+
+import { describe, it, expect } from 'vitest'
+import { renderFleetRefs, renderMarkdown, sanitizeHref } from '../../../../js/modules/ai/utils/markdown'
+
+const options = { allowedHosts: ['offbrand.studio'], origin: 'https://translink.example.com' }
+
+const render = (markdown) => {
+  const wrapper = document.createElement('div')
+  wrapper.innerHTML = renderMarkdown(markdown, options)
+  return wrapper
+}
+
+// Every element and attribute the renderer may produce
+const ALLOWED = {
+  P: [], BR: [], H5: [], H6: [], HR: [], UL: [], OL: ['start'], LI: [], BLOCKQUOTE: [],
+  PRE: [], CODE: ['class'], STRONG: [], EM: [], A: ['href', 'target', 'rel'],
+  TABLE: [], THEAD: [], TBODY: [], TR: [], TH: ['style'], TD: ['style'],
+  SPAN: ['class', 'data-fleet-type', 'data-fleet-id'],
+  BUTTON: ['type', 'class', 'data-fleet-type', 'data-fleet-id']
+}
+
+const expectSafe = (wrapper) => {
+  wrapper.querySelectorAll('*').forEach((element) => {
+    expect(ALLOWED).toHaveProperty(element.tagName)
+    ;[...element.attributes].forEach(({ name }) => expect(ALLOWED[element.tagName]).toContain(name))
+  })
+  wrapper.querySelectorAll('a').forEach((link) => {
+    expect(link.getAttribute('href')).toMatch(/^(\/|#|https:\/\/([\w-]+\.)*offbrand\.studio\/|mailto:|tel:)/)
+  })
+}
+
+describe('renderMarkdown', () => {
+  it('should render paragraphs, headings, emphasis and code', () => {
+    expect(renderMarkdown('## Range\nUp to **620 km** on one charge,\n*depending on load*.\n\nUse `eco` mode.'))
+      .toBe('<h6>Range</h6><p>Up to <strong>620 km</strong> on one charge,<br><em>depending on load</em>.</p><p>Use <code>eco</code> mode.</p>')
+    expect(renderMarkdown('snake_case_name and 2 * 3 * 4 stay as they are'))
+      .toBe('<p>snake_case_name and 2 * 3 * 4 stay as they are</p>')
+    expect(renderMarkdown('```js\nconst a = "<b>";\n```')).toBe('<pre><code class="language-js">const a = &quot;&lt;b&gt;&quot;;</code></pre>')
+  })
+
+  it('should render nested and ordered lists and quotes', () => {
+    expect(renderMarkdown('- Battery\n  - 540 kWh\n  - LFP\n- Motor\n\n3. Charge\n4. Drive'))
+      .toBe('<ul><li>Battery<ul><li>540 kWh</li><li>LFP</li></ul></li><li>Motor</li></ul><ol start="3"><li>Charge</li><li>Drive</li></ol>')
+    expect(renderMarkdown('> Quoted\n> > twice')).toBe('<blockquote><p>Quoted</p><blockquote><p>twice</p></blockquote></blockquote>')
+  })
+
+  it('should render tables with alignment', () => {
+    const table = render('| Vehicle | Fuel | Status |\n|:--|--:|:-:|\n| VH-001 | 82% | Active |\n| VH-002 | 15% \\| low |')
+
+    expect([...table.querySelectorAll('th')].map((cell) => cell.textContent)).toEqual(['Vehicle', 'Fuel', 'Status'])
+    expect([...table.querySelectorAll('tbody tr')].map((row) => [...row.cells].map((cell) => cell.textContent)))
+      .toEqual([['VH-001', '82%', 'Active'], ['VH-002', '15% | low', '']])
+    expect(table.querySelector('td:nth-child(2)').style.textAlign).toBe('right')
+    expect(table.querySelector('th:nth-child(3)').style.textAlign).toBe('center')
+  })
+
+  it('should mark vehicle and driver ids as fleet references', () => {
+    const wrapper = render('VH-007 was driven by **DR-042**, not VH-07 or XVH-123.')
+    const refs = [...wrapper.querySelectorAll('.fleet-ref')]
+
+    expect(refs.map((ref) => [ref.dataset.fleetType, ref.dataset.fleetId])).toEqual([['vehicle', 'VH-007'], ['driver', 'DR-042']])
+    expect(refs[1].parentElement.tagName).toBe('STRONG')
+    expect(refs.map((ref) => ref.tagName)).toEqual(['BUTTON', 'BUTTON'])
+    expect(render('[VH-007](/fleet)').querySelector('a .fleet-ref').tagName).toBe('SPAN')
+  })
+
+  it('should only turn fleet ids of plain text into references', () => {
+    const wrapper = document.createElement('div')
+    wrapper.innerHTML = renderFleetRefs('<b>VH-003</b> is low, ask **DR-011**')
+
+    expect(wrapper.textContent).toBe('<b>VH-003</b> is low, ask **DR-011**')
+    expect([...wrapper.querySelectorAll('button.fleet-ref')].map((ref) => ref.dataset.fleetId)).toEqual(['VH-003', 'DR-011'])
+    expectSafe(wrapper)
+  })
+
+  it('should only keep links to allowed targets', () => {
+    const wrapper = render([
+      '[Specs](/specs) [Contact](#contact) [Mail](mailto:sales@offbrand.studio)',
+      '[Studio](https://www.offbrand.studio/work) [Same site](https://translink.example.com/preorder?a=1)',
+      '[Elsewhere](https://evil.example.com) [Lookalike](https://offbrand.studio.evil.com/) [Relative](//evil.example.com)'
+    ].join('\n'))
+
+    expect([...wrapper.querySelectorAll('a')].map((link) => link.getAttribute('href'))).toEqual([
+      '/specs', '#contact', 'mailto:sales@offbrand.studio', 'https://www.offbrand.studio/work', '/preorder?a=1'
+    ])
+    expect(wrapper.querySelector('a[href^="https"]').rel).toBe('noopener noreferrer')
+    expect(wrapper.querySelector('a[href="/specs"]').hasAttribute('target')).toBe(false)
+    expect(wrapper.textContent).toContain('Elsewhere Lookalike Relative')
+  })
+
+  it('should never produce markup from malicious answers', () => {
+    const payloads = [
+      '<script>alert(1)</script>',
+      '<img src=x onerror=alert(1)>',
+      '<a href="javascript:alert(1)">click</a>',
+      '[click](javascript:alert(1))',
+      '[click](JaVaScRiPt:alert(1))',
+      '[click](java\tscript:alert(1))',
+      '[click](&#106;avascript:alert(1))',
+      '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+      '[click](vbscript:msgbox(1))',
+      '[x](/specs" onmouseover="alert(1))',
+      '[x](/specs"onmouseover="alert(1)")',
+      '[<img src=x onerror=alert(1)>](/specs)',
+      '**<svg onload=alert(1)>**',
+      '`<script>alert(1)</script>`',
+      '```"><script>alert(1)</script>\n<iframe src="javascript:alert(1)">\n```',
+      '| <b onclick=alert(1)>a</b> | b |\n|---|---|\n| <style>*{}</style> | [x](javascript:alert(1)) |',
+      '<details open ontoggle=alert(1)>',
+      '> <iframe srcdoc="<script>alert(1)</script>">',
+      '- [ok](/specs)\n  - <object data="javascript:alert(1)">',
+      '\\<script>alert(1)\\</script>',
+      'VH-001"><script>alert(1)</script>'
+    ]
+
+    payloads.forEach((payload) => {
+      const wrapper = render(payload)
+      expectSafe(wrapper)
+      expect(wrapper.innerHTML).not.toMatch(/<(script|img|svg|iframe|style|object|details|b)\b/i)
+    })
+  })
+
+  it('should stay fast and bounded on pathological input', () => {
+    const started = performance.now()
+    render('**a _b *c '.repeat(3000))
+    render('> '.repeat(5000) + 'deep')
+    render('- a\n'.repeat(2000) + '  '.repeat(2000) + '- deep')
+    expect(performance.now() - started).toBeLessThan(2000)
+  })
+})
+
+describe('sanitizeHref', () => {
+  it('should tell links to this site from external ones', () => {
+    expect(sanitizeHref('/specs#range', options)).toEqual({ href: '/specs#range', isExternal: false })
+    expect(sanitizeHref('https://offbrand.studio', options)).toEqual({ href: 'https://offbrand.studio/', isExternal: true })
+    expect(sanitizeHref('http://169.254.169.254/', options)).toBeNull()
+    expect(sanitizeHref('/\\evil.example.com', options)).toBeNull()
+    expect(sanitizeHref('java\u0001script:alert(1)', options)).toBeNull()
+  })
+})
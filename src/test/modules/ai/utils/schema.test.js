@@ -0,0 +1,118 @@
+/**
+ * Tests for the agent response contract
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  ResponseFormatError,
+  getRawAnswer,
+  parseAgentResponse,
+  parseLegacyResponse,
+  parsePartialResponse
+} from '../../../../js/modules/ai/utils/schema'
+
+const validAnswer = {
+  version: 1,
+  title: 'Fuel usage',
+  short: 'Trucks use the most fuel.',
+  long: 'Trucks average 8.5 km/L | buses 6 km/L.',
+  media: [{ type: 'image', id: 'IMG_3' }],
+  actions: [{ id: 'CTA_1' }, { id: 'CTA_4' }]
+}
+
+describe('schema', () => {
+  it('should parse a version 1 JSON answer', () => {
+    const result = parseAgentResponse(JSON.stringify(validAnswer))
+
+    expect(result.version).toBe(1)
+    expect(result.long).toBe('Trucks average 8.5 km/L | buses 6 km/L.')
+    expect(result.media).toEqual([{ type: 'image', id: 'IMG_3' }])
+    expect(result.actions.map((action) => action.id)).toEqual(['CTA_1', 'CTA_4'])
+  })
+
+  it('should accept an already decoded answer and default optional lists', () => {
+    const result = parseAgentResponse({ version: 1, title: 'Hi', short: 'Hello' })
+
+    expect(result.long).toBe('')
+    expect(result.media).toEqual([])
+    expect(result.actions).toEqual([])
+    expect(result.scene).toEqual([])
+    expect(result.followUps).toEqual([])
+  })
+
+  it('should report every problem of a malformed answer', () => {
+    const malformed = { version: 2, title: '', media: [{ type: 'gif', id: '../x' }], actions: 'CTA_1' }
+
+    try {
+      parseAgentResponse(malformed)
+      expect.unreachable()
+    } catch (error) {
+      expect(error).toBeInstanceOf(ResponseFormatError)
+      expect(error.details).toEqual([
+        'unsupported version 2',
+        'title must be a non-empty string',
+        'short must be a non-empty string',
+        'media[0].type must be one of image, video',
+        'media[0].id must be a plain asset id',
+        'actions must be an array'
+      ])
+    }
+  })
+
+  it('should keep valid scene actions and reject a scene that is not a list', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const result = parseAgentResponse({ ...validAnswer, scene: [{ type: 'focusPoint', point: 'chip' }, { type: 'explode' }] })
+
+    expect(result.scene).toEqual([{ type: 'focusPoint', point: 'chip', duration: 4 }])
+    expect(() => parseAgentResponse({ ...validAnswer, scene: 'chip' })).toThrow('scene must be an array')
+    vi.restoreAllMocks()
+  })
+
+  it('should keep the follow-up questions that can be offered', () => {
+    const result = parseAgentResponse({ ...validAnswer, followUps: ['  Which vans are idle? ', 42, '', 'Which vans are idle?', 'Who drives VH-002?'] })
+
+    expect(result.followUps).toEqual(['Which vans are idle?', 'Who drives VH-002?'])
+    expect(() => parseAgentResponse({ ...validAnswer, followUps: 'Why?' })).toThrow('followUps must be an array')
+  })
+
+  it('should reject invalid JSON', () => {
+    expect(() => parseAgentResponse('{"version": 1, "title"')).toThrow(ResponseFormatError)
+  })
+
+  it('should convert the legacy pipe format', () => {
+    const result = parseLegacyResponse('(SH) Title | (SR) Short | (LR) Long | VIDEO_2 | CTA_4')
+
+    expect(result).toEqual({
+      version: 0,
+      title: 'Title',
+      short: 'Short',
+      long: 'Long',
+      media: [{ type: 'video', id: 'VIDEO_2' }],
+      actions: [{ id: 'CTA_4' }],
+      scene: [],
+      followUps: []
+    })
+    expect(parseLegacyResponse('(SR) Short').media).toEqual([{ type: 'image', id: 'IMG_9' }])
+  })
+
+  it('should reject text that is no answer at all', () => {
+    expect(() => parseAgentResponse('<html><body>502 Bad Gateway</body></html>')).toThrow(ResponseFormatError)
+    expect(() => parseAgentResponse('Sorry, something went wrong')).toThrow('neither JSON nor a legacy answer')
+    expect(() => parseLegacyResponse('(LR) Long | IMG_4')).toThrow(ResponseFormatError)
+    expect(parsePartialResponse('Sorry, some')).toEqual({ title: null, short: null, long: null })
+  })
+
+  it('should find the answer in either reply shape', () => {
+    expect(getRawAnswer(validAnswer)).toBe(validAnswer)
+    expect(getRawAnswer({ result: { content: [{ text: { value: '(SR) Hi' } }] } })).toBe('(SR) Hi')
+    expect(() => getRawAnswer({ result: {} })).toThrow(ResponseFormatError)
+  })
+
+  it('should read fields of a JSON answer that is still streaming', () => {
+    const partial = parsePartialResponse('{"version": 1, "title": "Fuel", "short": "Trucks \\"use\\" the mo')
+
+    expect(partial).toEqual({ title: 'Fuel', short: 'Trucks "use" the mo', long: null })
+    expect(parsePartialResponse('{"short": "Line\\').short).toBe('Line')
+    expect(parsePartialResponse('(SH) Title | (SR) Sho').short).toBe('Sho')
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Tests for the streamed agent response reader
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { applyEvent, getStreamFormat, readStream } from '../../../../js/modules/ai/utils/stream'
+
+const streamResponse = (chunks, contentType) => {
+  const encoder = new TextEncoder()
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)))
+      controller.close()
+    }
+  })
+
+  return new Response(body, { headers: { 'Content-Type': contentType } })
+}
+
+describe('stream', () => {
+  it('should detect the response format from the Content-Type', () => {
+    expect(getStreamFormat(streamResponse([], 'text/event-stream; charset=utf-8'))).toBe('sse')
+    expect(getStreamFormat(streamResponse([], 'application/x-ndjson'))).toBe('ndjson')
+    expect(getStreamFormat(streamResponse([], 'application/json'))).toBe('json')
+  })
+
+  it('should append deltas and replace with full results', () => {
+    expect(applyEvent({ delta: 'lo' }, 'Hel')).toBe('Hello')
+    expect(applyEvent({ text: '!' }, 'Hi')).toBe('Hi!')
+    expect(applyEvent({ result: { content: [{ text: { value: 'Final' } }] } }, 'Partial')).toBe('Final')
+    expect(applyEvent({ unrelated: true }, 'Same')).toBe('Same')
+  })
+
+  it('should read SSE events split across chunks', async () => {
+    const onText = vi.fn()
+    const response = streamResponse([
+      'data: {"delta": "(SH) Title | (SR) Sho"}\n\n',
+      'data: {"delta": "rt answer"}\n',
+      '\ndata: [DONE]\n\n'
+    ], 'text/event-stream')
+
+    const text = await readStream(response, onText)
+
+    expect(text).toBe('(SH) Title | (SR) Short answer')
+    expect(onText).toHaveBeenCalledTimes(2)
+    expect(onText).toHaveBeenLastCalledWith('(SH) Title | (SR) Short answer')
+  })
+
+  it('should read NDJSON lines including a trailing line without newline', async () => {
+    const response = streamResponse([
+      '{"delta": "(SR) One"}\n{"delta": " two"}\n',
+      '{"delta": " | (LR) Three"}'
+    ], 'application/x-ndjson')
+
+    expect(await readStream(response, () => {})).toBe('(SR) One two | (LR) Three')
+  })
+})
@@ -0,0 +1,33 @@
+/**
+ * Tests for waiting with an abort signal
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { wait } from '../../../../js/modules/ai/utils/wait'
+
+describe('wait', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should resolve after the delay and let go of the signal', async () => {
+    vi.useFakeTimers()
+    const controller = new AbortController()
+    const removeEventListener = vi.spyOn(controller.signal, 'removeEventListener')
+
+    const waiting = wait(100, controller.signal)
+    await vi.advanceTimersByTimeAsync(100)
+
+    await expect(waiting).resolves.toBeUndefined()
+    expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function))
+  })
+
+  it('should reject with an AbortError when aborted', async () => {
+    const controller = new AbortController()
+
+    const waiting = wait(10000, controller.signal)
+    controller.abort()
+
+    await expect(waiting).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
@@ -54,6 +54,16 @@ global.ResizeObserver = vi.fn(() => ({
   disconnect: vi.fn(),
 }))
 
+// Mock matchMedia
+global.matchMedia = window.matchMedia = vi.fn((query) => ({
+  matches: false,
+  media: query,
+  addListener: vi.fn(),
+  removeListener: vi.fn(),
+  addEventListener: vi.fn(),
+  removeEventListener: vi.fn(),
+}))
+
 // Mock performance API
 global.performance = {
   ...global.performance,